@@ -4,15 +4,23 @@
  * Handles:
  * - Backing up original classAssociations to flags
  * - Creating item copies for modified/partial features
+ * - Keeping the actor's embedded class-feature items in sync with classAssociations
  * - Swapping UUIDs in classAssociations
  * - Writing tracking flags on class items and actors
+ * - Applying multi-archetype stacks as a single atomic operation
+ * - Journaling each operation so interrupted writes can be recovered
+ * - Recording undo/redo history for every apply, remove and restore
  * - Error rollback on failure
  * - Archetype removal and restoration
  */
 
 import { MODULE_ID, MODULE_TITLE, debugLog } from './module.mjs';
 import { DiffEngine } from './diff-engine.mjs';
+import { CompendiumParser } from './compendium-parser.mjs';
 import { ConflictChecker } from './conflict-checker.mjs';
+import { ClassEdits } from './class-edits.mjs';
+import { OperationJournal } from './operation-journal.mjs';
+import { OperationHistory } from './operation-history.mjs';
 
 export class Applicator {
   // Guard flags for preventing double-click/concurrent operations
@@ -23,247 +31,1528 @@ export class Applicator {
   // Maps actor.id -> Promise that resolves when the current operation completes
   static _actorLocks = new Map();
 
+  // Lifecycle hooks fired for each plan type: [pre-hook (cancellable), post-hook].
+  // Both receive (actor, classItem, parsedArchetype, diff). Removals pass a null diff, and
+  // restore passes the array of parsed archetypes it clears.
+  static HOOKS = {
+    apply: ['archetypeManager.preApply', 'archetypeManager.apply'],
+    applyStack: ['archetypeManager.preApply', 'archetypeManager.apply'],
+    remove: ['archetypeManager.preRemove', 'archetypeManager.remove'],
+    restore: ['archetypeManager.preRestore', 'archetypeManager.restore']
+  };
+
+  /**
+   * Acquire a per-actor lock to serialize operations on the same actor.
+   * If another operation is in progress on this actor, the caller waits.
+   * This prevents data corruption from concurrent apply/remove on the same actor.
+   * @param {string} actorId - The actor's ID
+   * @param {Function} fn - Async function to execute while holding the lock
+   * @returns {*} Result of fn
+   * @private
+   */
+  static async _withActorLock(actorId, fn) {
+    // Wait for any existing lock on this actor to complete
+    const existingLock = this._actorLocks.get(actorId);
+    if (existingLock) {
+      try { await existingLock; } catch (_) { /* ignore errors from previous ops */ }
+    }
+
+    // Create a new lock (a promise that resolves when our operation completes)
+    let releaseLock;
+    const lockPromise = new Promise(resolve => { releaseLock = resolve; });
+    this._actorLocks.set(actorId, lockPromise);
+
+    try {
+      return await fn();
+    } finally {
+      releaseLock();
+      // Clean up the lock if it's still ours
+      if (this._actorLocks.get(actorId) === lockPromise) {
+        this._actorLocks.delete(actorId);
+      }
+    }
+  }
+
+  /**
+   * Apply an archetype to a class item
+   * @param {Actor} actor - The actor document
+   * @param {Item} classItem - The class item document
+   * @param {object} parsedArchetype - Parsed archetype data
+   * @param {Array} diff - The generated diff
+   * @param {object} [options]
+   * @param {boolean} [options.dryRun] - Return the plan instead of applying it
+   * @param {object} [options.plan] - Execute a plan previously returned by planApply()
+   * @returns {boolean|object} Success or failure, or the plan for a dry run
+   */
+  static async apply(actor, classItem, parsedArchetype, diff, options = {}) {
+    // Dry run: compute the plan without touching any document
+    if (options.dryRun) return this.planApply(actor, classItem, parsedArchetype, diff);
+
+    // Prevent double-click: if already applying, reject immediately
+    if (this._applyInProgress) {
+      ui.notifications.warn(`${MODULE_TITLE} | Application already in progress. Please wait.`);
+      return false;
+    }
+
+    this._applyInProgress = true;
+    try {
+      return await this._withActorLock(actor.id, () => this._doApply(actor, classItem, parsedArchetype, diff, options.plan));
+    } finally {
+      this._applyInProgress = false;
+    }
+  }
+
+  /**
+   * Internal apply implementation (called within the apply guard)
+   *
+   * Computes the complete plan up front (or uses a precomputed one), then executes it.
+   * @private
+   */
+  static async _doApply(actor, classItem, parsedArchetype, diff, precomputedPlan = null) {
+    // Permission check: players can only modify owned characters
+    if (!game.user.isGM && !actor.isOwner) {
+      ui.notifications.error(`${MODULE_TITLE} | You do not have permission to modify this character.`);
+      return false;
+    }
+
+    const plan = precomputedPlan ?? await this.planApply(actor, classItem, parsedArchetype, diff);
+    if (!this._checkPlan(actor, classItem, plan, 'apply')) return false;
+    if (!this._callPreHooks(actor, classItem, plan)) return false;
+
+    try {
+      await this._executePlan(actor, classItem, plan);
+      ui.notifications.info(`${MODULE_TITLE} | Applied ${plan.archetypeName} to ${classItem.name}`);
+      return true;
+    } catch (error) {
+      console.error(`${MODULE_ID} | Error applying archetype:`, error);
+      ui.notifications.error(`${MODULE_TITLE} | Failed to apply archetype. Rolling back changes.`);
+      return false;
+    }
+  }
+
+  /**
+   * Apply several archetypes to a class item as one operation.
+   * Each archetype is diffed against the class as left by the previous one, the
+   * combined result is committed in a single write, and any failure rolls back the
+   * whole stack so the character never ends up with a partial, un-previewed stack.
+   * @param {Actor} actor - The actor document
+   * @param {Item} classItem - The class item document
+   * @param {Array<object>} parsedList - Parsed archetypes, in application order
+   * @param {object} [options]
+   * @param {boolean} [options.dryRun] - Return the plan instead of applying it
+   * @param {object} [options.plan] - Execute a plan previously returned by planApplyStack()
+   * @returns {object} { success: boolean, results: Array<{ slug, name, success, error }>, error? }, or the plan for a dry run
+   */
+  static async applyStack(actor, classItem, parsedList, options = {}) {
+    if (options.dryRun) return this.planApplyStack(actor, classItem, parsedList);
+
+    if (this._applyInProgress) {
+      ui.notifications.warn(`${MODULE_TITLE} | Application already in progress. Please wait.`);
+      return this._stackResult(parsedList, false, 'Application already in progress');
+    }
+
+    this._applyInProgress = true;
+    try {
+      return await this._withActorLock(actor.id, () => this._doApplyStack(actor, classItem, parsedList, options.plan));
+    } finally {
+      this._applyInProgress = false;
+    }
+  }
+
+  /**
+   * Internal stack apply implementation (called within the apply guard)
+   * @private
+   */
+  static async _doApplyStack(actor, classItem, parsedList, precomputedPlan = null) {
+    if (!game.user.isGM && !actor.isOwner) {
+      ui.notifications.error(`${MODULE_TITLE} | You do not have permission to modify this character.`);
+      return this._stackResult(parsedList, false, 'Permission denied');
+    }
+
+    if (!parsedList?.length && !precomputedPlan) {
+      return this._stackResult([], false, 'No archetypes to apply');
+    }
+
+    const plan = precomputedPlan ?? await this.planApplyStack(actor, classItem, parsedList);
+    const results = foundry.utils.deepClone(plan.results || []);
+    if (!this._checkPlan(actor, classItem, plan, 'applyStack')) {
+      const error = plan.error?.message || 'Plan is out of date';
+      for (const r of results) r.error = r.error || error;
+      return { success: false, results, error };
+    }
+    if (!this._callPreHooks(actor, classItem, plan)) {
+      const error = 'Cancelled by a preApply hook';
+      for (const r of results) r.error = error;
+      return { success: false, results, error };
+    }
+
+    try {
+      await this._executePlan(actor, classItem, plan);
+      for (const r of results) r.success = true;
+      ui.notifications.info(`${MODULE_TITLE} | Applied ${plan.archetypeName} to ${classItem.name}`);
+      return { success: true, results };
+    } catch (error) {
+      console.error(`${MODULE_ID} | Error applying archetype stack:`, error);
+      ui.notifications.error(`${MODULE_TITLE} | Failed to apply ${plan.archetypeName}. Rolling back changes.`);
+      for (const r of results) r.error = error.message;
+      return { success: false, results, error: error.message };
+    }
+  }
+
+  /**
+   * Build a stack result where every archetype shares the same outcome
+   * @private
+   */
+  static _stackResult(parsedList, success, error = null) {
+    return {
+      success,
+      results: (parsedList || []).map(p => ({ slug: p.slug, name: p.name, success, error })),
+      ...(error ? { error } : {})
+    };
+  }
+
+  /**
+   * Remove an archetype from a class item
+   * @param {Actor} actor - The actor document
+   * @param {Item} classItem - The class item document
+   * @param {string} slug - The archetype slug to remove
+   * @param {object} [options]
+   * @param {boolean} [options.dryRun] - Return the plan instead of removing
+   * @param {object} [options.plan] - Execute a plan previously returned by planRemove()
+   * @returns {boolean|object} Success or failure, or the plan for a dry run
+   */
+  static async remove(actor, classItem, slug, options = {}) {
+    if (options.dryRun) return this.planRemove(actor, classItem, slug);
+
+    // Prevent double-click: if already removing, reject immediately
+    if (this._removeInProgress) {
+      ui.notifications.warn(`${MODULE_TITLE} | Removal already in progress. Please wait.`);
+      return false;
+    }
+
+    this._removeInProgress = true;
+    try {
+      return await this._withActorLock(actor.id, () => this._doRemove(actor, classItem, slug, options.plan));
+    } finally {
+      this._removeInProgress = false;
+    }
+  }
+
+  /**
+   * Internal remove implementation (called within the remove guard)
+   * @private
+   */
+  static async _doRemove(actor, classItem, slug, precomputedPlan = null) {
+    // Permission check: players can only modify owned characters
+    if (!game.user.isGM && !actor.isOwner) {
+      ui.notifications.error(`${MODULE_TITLE} | You do not have permission to modify this character.`);
+      return false;
+    }
+
+    try {
+      const plan = precomputedPlan ?? await this.planRemove(actor, classItem, slug);
+      if (!this._checkPlan(actor, classItem, plan, 'remove')) return false;
+      if (!this._callPreHooks(actor, classItem, plan)) return false;
+
+      await this._executePlan(actor, classItem, plan);
+      ui.notifications.info(`${MODULE_TITLE} | Removed archetype from ${classItem.name}`);
+      return true;
+    } catch (error) {
+      console.error(`${MODULE_ID} | Error removing archetype:`, error);
+      ui.notifications.error(`${MODULE_TITLE} | Failed to remove archetype.`);
+      return false;
+    }
+  }
+
+  /**
+   * Compute what applying an archetype would do, without modifying anything.
+   * The real apply executes exactly this plan.
+   * @param {Actor} actor - The actor document
+   * @param {Item} classItem - The class item document
+   * @param {object} parsedArchetype - Parsed archetype data
+   * @param {Array} diff - The generated diff
+   * @returns {Promise<object>} Plan (see _buildPlan), or { valid: false, error } if the apply would be rejected
+   */
+  static async planApply(actor, classItem, parsedArchetype, diff) {
+    const slug = parsedArchetype.slug;
+
+    // Check for duplicate application
+    const existingArchetypes = classItem.getFlag(MODULE_ID, 'archetypes') || [];
+    if (existingArchetypes.includes(slug)) {
+      return this._invalidPlan('apply', classItem, slug, 'warn', `${parsedArchetype.name} is already applied to this class.`);
+    }
+
+    // Validate class match - archetype must be for the correct class
+    if (parsedArchetype.class && !ConflictChecker.validateClass(parsedArchetype, classItem)) {
+      return this._invalidPlan('apply', classItem, slug, 'error',
+        `${parsedArchetype.name} is a ${parsedArchetype.class} archetype and cannot be applied to ${classItem.name}.`);
+    }
+
+    const before = this._captureState(actor, classItem);
+    const after = this._computeApplyState(before, classItem, parsedArchetype, diff);
+    const copyLinks = {};
+    const copies = await this._buildModifiedFeatureCopyData(parsedArchetype, diff, copyLinks);
+    const sync = await this._planFeatureSync(actor, classItem, before, after);
+    this._planSpellbook(actor, classItem, before, after);
+    this._updateFeatureLinks(after, copyLinks);
+    return this._buildPlan(actor, classItem, {
+      type: 'apply',
+      slug,
+      archetypeName: parsedArchetype.name,
+      label: `Apply ${parsedArchetype.name} to ${classItem.name}`,
+      before,
+      after,
+      itemsToCreate: [...copies, ...sync.itemsToCreate],
+      itemsToDelete: sync.itemsToDelete,
+      chatMessage: this._buildApplyMessage(actor, classItem, parsedArchetype, diff),
+      archetypes: [{ parsed: parsedArchetype, diff }]
+    });
+  }
+
+  /**
+   * Compute what applying a stack of archetypes would do, without modifying anything
+   * @param {Actor} actor - The actor document
+   * @param {Item} classItem - The class item document
+   * @param {Array<object>} parsedList - Parsed archetypes, in application order
+   * @returns {Promise<object>} Plan with per-archetype `results` and `diffs`
+   */
+  static async planApplyStack(actor, classItem, parsedList) {
+    const slug = (parsedList || []).map(p => p.slug).join('+');
+    const archetypeName = (parsedList || []).map(p => p.name).join(' + ');
+
+    // Validate every archetype before anything is computed
+    const existingArchetypes = classItem.getFlag(MODULE_ID, 'archetypes') || [];
+    const seen = new Set();
+    const results = (parsedList || []).map(parsed => {
+      let error = null;
+      if (existingArchetypes.includes(parsed.slug)) {
+        error = `${parsed.name} is already applied to this class.`;
+      } else if (seen.has(parsed.slug)) {
+        error = `${parsed.name} is selected more than once.`;
+      } else if (parsed.class && !ConflictChecker.validateClass(parsed, classItem)) {
+        error = `${parsed.name} is a ${parsed.class} archetype and cannot be applied to ${classItem.name}.`;
+      }
+      seen.add(parsed.slug);
+      return { slug: parsed.slug, name: parsed.name, success: false, error };
+    });
+
+    const invalid = results.filter(r => r.error);
+    if (invalid.length > 0) {
+      for (const r of results) r.error = r.error || 'Not applied: another archetype in the stack is invalid.';
+      const plan = this._invalidPlan('applyStack', classItem, slug, 'error', invalid.map(r => r.error).join(' '));
+      return { ...plan, archetypeName, results };
+    }
+
+    // Compute the target state by applying each archetype in turn
+    const before = this._captureState(actor, classItem);
+    let after = before;
+    const diffs = [];
+    const itemsToCreate = [];
+    const copyLinks = {};
+    for (const parsed of parsedList) {
+      const resolved = await CompendiumParser.resolveAssociations(after.classAssociations);
+      const diff = DiffEngine.generateDiff(resolved, parsed, classItem.name);
+      after = this._computeApplyState(after, classItem, parsed, diff);
+      diffs.push(diff);
+      itemsToCreate.push(...await this._buildModifiedFeatureCopyData(parsed, diff, copyLinks));
+    }
+    const sync = await this._planFeatureSync(actor, classItem, before, after);
+    this._planSpellbook(actor, classItem, before, after);
+    this._updateFeatureLinks(after, copyLinks);
+
+    const plan = this._buildPlan(actor, classItem, {
+      type: 'applyStack',
+      slug,
+      archetypeName,
+      label: `Apply ${archetypeName} to ${classItem.name}`,
+      before,
+      after,
+      itemsToCreate: [...itemsToCreate, ...sync.itemsToCreate],
+      itemsToDelete: sync.itemsToDelete,
+      chatMessage: this._buildStackMessage(actor, classItem, parsedList, diffs),
+      archetypes: parsedList.map((parsed, i) => ({ parsed, diff: diffs[i] }))
+    });
+    return { ...plan, results, diffs };
+  }
+
+  /**
+   * Compute what removing an archetype would do, without modifying anything
+   * @param {Actor} actor - The actor document
+   * @param {Item} classItem - The class item document
+   * @param {string} slug - The archetype slug to remove
+   * @returns {Promise<object>} Plan, or { valid: false, error } if the removal would be rejected
+   */
+  static async planRemove(actor, classItem, slug) {
+    const existingArchetypes = classItem.getFlag(MODULE_ID, 'archetypes') || [];
+    if (!existingArchetypes.includes(slug)) {
+      return this._invalidPlan('remove', classItem, slug, 'warn', 'This archetype is not applied to this class.');
+    }
+
+    // Restore from backup if this is the last archetype, otherwise rebuild from the remaining ones
+    const before = this._captureState(actor, classItem);
+    const parsed = before.classFlags.appliedArchetypeData?.[slug] ?? { slug, name: slug, features: [] };
+    const after = await this._computeRemoveState(before, classItem, [slug]);
+    const sync = await this._planFeatureSync(actor, classItem, before, after);
+    this._planSpellbook(actor, classItem, before, after);
+    const itemsToDelete = this._uniqueItems([
+      ...this._findCreatedCopies(actor, [slug]).map(c => this._itemData(c)),
+      ...sync.itemsToDelete
+    ]);
+    this._updateFeatureLinks(after, {}, itemsToDelete.map(d => d._id));
+    return this._buildPlan(actor, classItem, {
+      type: 'remove',
+      slug,
+      archetypeName: slug,
+      label: `Remove ${slug} from ${classItem.name}`,
+      before,
+      after,
+      itemsToCreate: sync.itemsToCreate,
+      itemsToDelete,
+      chatMessage: this._buildRemoveMessage(actor, classItem, slug),
+      archetypes: [{ parsed, diff: null }]
+    });
+  }
+
+  /**
+   * Compute what restoring a class from its backup would do, without modifying anything
+   * @param {Actor} actor - The actor document
+   * @param {Item} classItem - The class item document
+   * @returns {Promise<object>} Plan
+   */
+  static async planRestore(actor, classItem) {
+    const existingArchetypes = classItem.getFlag(MODULE_ID, 'archetypes') || [];
+    const before = this._captureState(actor, classItem);
+    const after = await this._computeRemoveState(before, classItem, existingArchetypes);
+
+    // Clean up actor-level flags for this class entirely, even if they drifted out of sync
+    const actorArchetypes = { ...(before.actorFlags.appliedArchetypes || {}) };
+    delete actorArchetypes[this._getClassTag(classItem)];
+    after.actorFlags.appliedArchetypes = Object.keys(actorArchetypes).length > 0 ? actorArchetypes : null;
+    const sync = await this._planFeatureSync(actor, classItem, before, after);
+    this._planSpellbook(actor, classItem, before, after);
+    const itemsToDelete = this._uniqueItems([
+      ...this._findCreatedCopies(actor, existingArchetypes).map(c => this._itemData(c)),
+      ...sync.itemsToDelete
+    ]);
+    this._updateFeatureLinks(after, {}, itemsToDelete.map(d => d._id));
+
+    return this._buildPlan(actor, classItem, {
+      type: 'restore',
+      slug: existingArchetypes.join('+'),
+      archetypeName: existingArchetypes.join(' + '),
+      label: `Restore ${classItem.name} from backup`,
+      before,
+      after,
+      itemsToCreate: sync.itemsToCreate,
+      itemsToDelete,
+      chatMessage: null,
+      // Restore clears every archetype at once, so its hooks receive the whole list
+      archetypes: [{
+        parsed: existingArchetypes.map(slug => before.classFlags.appliedArchetypeData?.[slug] ?? { slug, name: slug, features: [] }),
+        diff: null
+      }]
+    });
+  }
+
+  /**
+   * Assemble a plan: the computed before/after state plus the exact document mutations
+   * that executing it will perform.
+   * @returns {object} {
+   *   type, valid, actorId, classItemId, slug, archetypeName, label, before, after,
+   *   classAssociations,  // the new classAssociations
+   *   classItemUpdate,    // the single update() call made on the class item
+   *   actorUpdate,        // spellbook changes written to the actor, or null
+   *   flags: { classItem: { set, unset }, actor: { set, unset } },
+   *   archetypes,         // [{ parsed, diff }] passed to the lifecycle hooks
+   *   itemsToCreate, itemsToDelete,  // embedded item data
+   *   chatMessage         // { content } or null when chat notifications are off
+   * }
+   * @private
+   */
+  static _buildPlan(actor, classItem, { type, slug, archetypeName, label, before, after, itemsToCreate, itemsToDelete, chatMessage, archetypes = [] }) {
+    return {
+      type,
+      valid: true,
+      actorId: actor.id,
+      classItemId: classItem.id,
+      slug,
+      archetypeName,
+      label,
+      before,
+      after,
+      classAssociations: foundry.utils.deepClone(after.classAssociations),
+      classItemUpdate: this._buildCommitUpdate(classItem, after),
+      actorUpdate: this._buildSpellbookUpdate(actor, after),
+      flags: {
+        classItem: this._describeFlagChanges(before.classFlags, after.classFlags),
+        actor: this._describeFlagChanges(before.actorFlags, after.actorFlags)
+      },
+      itemsToCreate,
+      itemsToDelete,
+      chatMessage,
+      archetypes: foundry.utils.deepClone(archetypes)
+    };
+  }
+
+  /**
+   * Build a plan describing an operation that would be rejected
+   * @private
+   */
+  static _invalidPlan(type, classItem, slug, level, message) {
+    return { type, valid: false, classItemId: classItem.id, slug, error: { level, message } };
+  }
+
+  /**
+   * List the flags a plan sets (with their new values) and unsets
+   * @private
+   */
+  static _describeFlagChanges(beforeFlags, afterFlags) {
+    const set = {};
+    const unset = [];
+    for (const [key, value] of Object.entries(afterFlags)) {
+      const previous = beforeFlags[key] ?? null;
+      if (value === null || value === undefined) {
+        if (previous !== null) unset.push(key);
+      } else if (JSON.stringify(value) !== JSON.stringify(previous)) {
+        set[key] = foundry.utils.deepClone(value);
+      }
+    }
+    return { set, unset };
+  }
+
+  /**
+   * Check that a plan can be executed: it must be valid, of the expected type, for this
+   * class item, and computed from the class item's current state
+   * @private
+   */
+  static _checkPlan(actor, classItem, plan, type) {
+    if (!plan.valid) {
+      ui.notifications[plan.error.level](`${MODULE_TITLE} | ${plan.error.message}`);
+      return false;
+    }
+
+    if (plan.type !== type || !this._isPlanCurrent(actor, classItem, plan)) {
+      ui.notifications.warn(`${MODULE_TITLE} | ${classItem.name} has changed since this plan was computed. Please plan again.`);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Whether a plan was computed from this class item's current state
+   * @private
+   */
+  static _isPlanCurrent(actor, classItem, plan) {
+    return plan.classItemId === classItem.id && this._isStateCurrent(actor, classItem, plan.before);
+  }
+
+  /**
+   * Whether the class item and actor still hold a captured state
+   * @param {object} state - State from _captureState(), with an optional spellbook
+   * @private
+   */
+  static _isStateCurrent(actor, classItem, state) {
+    const { spellbook, ...captured } = state;
+    // Committing a state without feature links leaves an empty link map behind, so treat the two alike
+    const withLinks = (s) => ({ ...s, featureLinks: Object.keys(s.featureLinks || {}).length > 0 ? s.featureLinks : null });
+    if (this._stateKey(withLinks(this._captureState(actor, classItem))) !== this._stateKey(withLinks(captured))) return false;
+    // Spellbook paths are only captured while planning; they must still hold the planned "before" values
+    return !spellbook || this._buildSpellbookUpdate(actor, { spellbook }) === null;
+  }
+
+  /**
+   * Serialize a state with sorted object keys, so states rebuilt from history compare equal
+   * @private
+   */
+  static _stateKey(state) {
+    return JSON.stringify(state, (key, value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+      ? Object.fromEntries(Object.entries(value).sort(([a], [b]) => a.localeCompare(b)))
+      : value);
+  }
+
+  /**
+   * Fire the cancellable pre-hook for each archetype in a plan, before anything is written.
+   * A stack fires once per archetype; any listener returning false cancels the whole plan.
+   * @returns {boolean} False if a listener cancelled the operation
+   * @private
+   */
+  static _callPreHooks(actor, classItem, plan) {
+    const hook = this.HOOKS[plan.type]?.[0];
+    if (!hook) return true;
+
+    for (const { parsed, diff } of plan.archetypes || []) {
+      if (Hooks.call(hook, actor, classItem, parsed, diff) === false) {
+        debugLog(`${MODULE_ID} | ${hook} cancelled ${plan.type} of ${plan.archetypeName} on ${classItem.name}`);
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Fire the post-hook for each archetype in a plan that has just been committed
+   * @private
+   */
+  static _callPostHooks(actor, classItem, plan) {
+    const hook = this.HOOKS[plan.type]?.[1];
+    if (!hook) return;
+
+    for (const { parsed, diff } of plan.archetypes || []) {
+      Hooks.callAll(hook, actor, classItem, parsed, diff);
+    }
+  }
+
+  /**
+   * Describe a state change made without a plan (undo, redo, crash recovery) as the plans
+   * whose hooks it should fire: archetypes that go away are removed and archetypes that come
+   * back are applied. A restore is redone or recovered as a restore. These paths have no
+   * diff, so the hooks receive null for it.
+   * @param {object} from - State before the change ({ classFlags, ... })
+   * @param {object} to - State after the change
+   * @param {string|null} [type] - The operation being repeated, if known ('restore' keeps its own hooks)
+   * @returns {Array<object>} Plan-like objects for _callPreHooks/_callPostHooks
+   * @private
+   */
+  static _transitionHookPlans(from, to, type = null) {
+    const fromSlugs = from?.classFlags?.archetypes || [];
+    const toSlugs = to?.classFlags?.archetypes || [];
+    const parsedOf = (state, slug) => state.classFlags?.appliedArchetypeData?.[slug] ?? { slug, name: slug, features: [] };
+    const removed = fromSlugs.filter(slug => !toSlugs.includes(slug));
+    const added = toSlugs.filter(slug => !fromSlugs.includes(slug));
+
+    if (type === 'restore' && removed.length > 0) {
+      return [{ type: 'restore', archetypeName: removed.join(' + '), archetypes: [{ parsed: removed.map(slug => parsedOf(from, slug)), diff: null }] }];
+    }
+    return [
+      { type: 'remove', archetypeName: removed.join(' + '), archetypes: removed.map(slug => ({ parsed: parsedOf(from, slug), diff: null })) },
+      { type: 'apply', archetypeName: added.join(' + '), archetypes: added.map(slug => ({ parsed: parsedOf(to, slug), diff: null })) }
+    ].filter(plan => plan.archetypes.length > 0);
+  }
+
+  /**
+   * Execute any plan without UI feedback (no notifications), for scripted callers.
+   * Failures are reported through the result; a failed execution is rolled back.
+   * @param {Actor} actor - The actor document
+   * @param {Item} classItem - The class item document
+   * @param {object} plan - Plan from one of the plan*() methods
+   * @returns {Promise<object>} { success: true } or { success: false, error: { code, message } }
+   *   where code is PERMISSION_DENIED, INVALID, STALE_PLAN, CANCELLED or FAILED
+   */
+  static async executePlan(actor, classItem, plan) {
+    if (!game.user.isGM && !actor.isOwner) {
+      return { success: false, error: { code: 'PERMISSION_DENIED', message: 'You do not have permission to modify this character.' } };
+    }
+    if (!plan?.valid) {
+      return { success: false, error: { code: 'INVALID', message: plan?.error?.message || 'Invalid plan' } };
+    }
+
+    return this._withActorLock(actor.id, async () => {
+      if (!this._isPlanCurrent(actor, classItem, plan)) {
+        return { success: false, error: { code: 'STALE_PLAN', message: `${classItem.name} has changed since this plan was computed.` } };
+      }
+      if (!this._callPreHooks(actor, classItem, plan)) {
+        return { success: false, error: { code: 'CANCELLED', message: `${plan.label} was cancelled by a hook.` } };
+      }
+      try {
+        await this._executePlan(actor, classItem, plan);
+        return { success: true };
+      } catch (error) {
+        console.error(`${MODULE_ID} | Error executing ${plan.type} plan:`, error);
+        return { success: false, error: { code: 'FAILED', message: error.message } };
+      }
+    });
+  }
+
+  /**
+   * Execute a plan: journal it, create items, commit the class item and actor flags in
+   * one batched update, delete items, post the chat message and record undo history.
+   * On failure, rolls back to the plan's "before" state and rethrows.
+   * @param {Actor} actor - The actor document
+   * @param {Item} classItem - The class item document
+   * @param {object} plan - Plan from one of the plan*() methods
+   * @returns {Promise<Array>} The items created
+   * @private
+   */
+  static async _executePlan(actor, classItem, plan) {
+    // Items this plan deletes are tracked too, so undo can bring back the exact documents
+    const beforeCopies = this._uniqueItems([...this._snapshotCopies(actor, plan.before), ...plan.itemsToDelete]);
+    let journalEntry = null;
+    try {
+      // Step 1: Journal the operation before touching any document
+      journalEntry = await OperationJournal.begin(actor, {
+        type: plan.type,
+        classItemId: classItem.id,
+        slug: plan.slug,
+        archetypeName: plan.archetypeName,
+        before: plan.before,
+        after: plan.after,
+        itemsToCreate: plan.itemsToCreate,
+        deletedItems: plan.itemsToDelete
+      });
+
+      // Step 2: Create item copies for modified features and synced feature items
+      // (synced items carry pre-assigned IDs that the plan already links to the class)
+      const copyData = journalEntry.itemsToCreate.map(data => this._tagWithOperation(data, journalEntry.id));
+      const createdItems = copyData.length > 0
+        ? await actor.createEmbeddedDocuments('Item', copyData, { keepId: true })
+        : [];
+      if (createdItems.length > 0) {
+        journalEntry.createdItemIds = createdItems.map(i => i.id);
+        await OperationJournal.record(actor, journalEntry.id, { createdItemIds: journalEntry.createdItemIds });
+      }
+
+      // Step 3: Commit classAssociations and tracking flags in one batched update
+      await this._commitState(actor, classItem, plan.after);
+
+      // Step 4: Delete item copies belonging to removed archetypes and unlinked feature items
+      const deletedIds = new Set(plan.itemsToDelete.map(d => d._id));
+      if (deletedIds.size > 0) {
+        await actor.deleteEmbeddedDocuments('Item', [...deletedIds]);
+      }
+
+      // Step 5: Post chat message
+      if (plan.chatMessage) await ChatMessage.create(plan.chatMessage);
+
+      await OperationJournal.complete(actor, journalEntry.id);
+      await this._recordHistory(actor, classItem, {
+        type: plan.type,
+        label: plan.label,
+        before: plan.before,
+        after: plan.after,
+        beforeCopies,
+        afterCopies: [
+          ...beforeCopies.filter(c => !deletedIds.has(c._id)),
+          ...createdItems.map(i => this._itemData(i))
+        ]
+      });
+
+      // Announce the change only once it is committed; listeners can no longer trigger a rollback
+      this._callPostHooks(actor, classItem, plan);
+      return createdItems;
+
+    } catch (error) {
+      if (journalEntry) await this._rollbackOperation(actor, classItem, journalEntry);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the parsed data of the archetypes applied to a class (for conflict checking),
+   * from the data stored when they were applied
+   * @param {Item} classItem - The class item with applied archetype flags
+   * @returns {Array<object>} Array of parsed archetype data objects
+   */
+  static getAppliedArchetypeData(classItem) {
+    const applied = classItem?.getFlag?.(MODULE_ID, 'archetypes') || [];
+    if (applied.length === 0) return [];
+
+    // Try to use stored parsed data from flags (set during apply)
+    const storedData = classItem?.getFlag?.(MODULE_ID, 'appliedArchetypeData') || {};
+
+    const result = [];
+    for (const slug of applied) {
+      // First check stored parsed data from flags
+      if (storedData[slug]) {
+        result.push(storedData[slug]);
+      } else {
+        // Build minimal data from slug as fallback
+        const displayName = slug.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+        result.push({
+          name: displayName,
+          slug,
+          features: []
+        });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Flags on the class item that together describe its archetype state
+   */
+  static CLASS_STATE_FLAGS = ['archetypes', 'originalAssociations', 'originalClassFields', 'originalSpellbook', 'appliedAt', 'appliedArchetypeData', 'removedFeatures'];
+
+  /**
+   * Get the class tag used as the key for actor-level lookups
+   * @private
+   */
+  static _getClassTag(classItem) {
+    return classItem.system.tag || classItem.name.slugify();
+  }
+
+  /**
+   * Capture the archetype-related state of a class item and its actor
+   * @param {Actor} actor - The actor document
+   * @param {Item} classItem - The class item document
+   * @returns {object} { classAssociations, featureLinks, classFields, classFlags, actorFlags } (deep-cloned)
+   * @private
+   */
+  static _captureState(actor, classItem) {
+    const classFlags = {};
+    for (const key of this.CLASS_STATE_FLAGS) {
+      classFlags[key] = classItem.getFlag(MODULE_ID, key) ?? null;
+    }
+
+    return foundry.utils.deepClone({
+      classAssociations: classItem.system.links?.classAssociations || [],
+      featureLinks: this._getFeatureLinks(classItem),
+      classFields: ClassEdits.capture(classItem),
+      classFlags,
+      actorFlags: {
+        appliedArchetypes: actor.getFlag(MODULE_ID, 'appliedArchetypes') ?? null
+      }
+    });
+  }
+
+  /**
+   * Compute the state after applying an archetype on top of the given state
+   * @param {object} before - State from _captureState()
+   * @param {Item} classItem - The class item document
+   * @param {object} parsedArchetype - Parsed archetype data
+   * @param {Array} diff - The generated diff
+   * @returns {object} The target state
+   * @private
+   */
+  static _computeApplyState(before, classItem, parsedArchetype, diff) {
+    const slug = parsedArchetype.slug;
+    const after = foundry.utils.deepClone(before);
+    const existingArchetypes = before.classFlags.archetypes || [];
+
+    // Backup original classAssociations and class fields (only if first archetype)
+    if (existingArchetypes.length === 0) {
+      after.classFlags.originalAssociations = foundry.utils.deepClone(before.classAssociations);
+      after.classFlags.originalClassFields = foundry.utils.deepClone(before.classFields);
+    } else {
+      // Backups made before a field was tracked: no earlier archetype could have edited it
+      const fieldBackup = { ...(before.classFlags.originalClassFields || {}) };
+      for (const field of ClassEdits.FIELDS) {
+        if (!(field in fieldBackup)) fieldBackup[field] = foundry.utils.deepClone(before.classFields[field]);
+      }
+      after.classFlags.originalClassFields = fieldBackup;
+    }
+
+    after.classAssociations = this._buildNewAssociations(diff);
+    after.classFields = ClassEdits.applyArchetype(before.classFields, parsedArchetype);
+    after.classFlags.archetypes = [...existingArchetypes, slug];
+    after.classFlags.appliedAt = new Date().toISOString();
+
+    // Store parsed archetype data for selective removal rebuild
+    after.classFlags.appliedArchetypeData = {
+      ...(before.classFlags.appliedArchetypeData || {}),
+      [slug]: foundry.utils.deepClone(parsedArchetype)
+    };
+
+    // Update actor-level quick lookup
+    const actorArchetypes = { ...(before.actorFlags.appliedArchetypes || {}) };
+    const classTag = this._getClassTag(classItem);
+    actorArchetypes[classTag] = [...(actorArchetypes[classTag] || []), slug];
+    after.actorFlags.appliedArchetypes = actorArchetypes;
+
+    return after;
+  }
+
+  /**
+   * Compute the state after removing one or more archetypes from the given state.
+   * Removing every applied archetype restores the backup and clears all tracking flags.
+   * @param {object} before - State from _captureState()
+   * @param {Item} classItem - The class item document
+   * @param {Array<string>} slugs - Archetype slugs to remove
+   * @returns {Promise<object>} The target state
+   * @private
+   */
+  static async _computeRemoveState(before, classItem, slugs) {
+    const after = foundry.utils.deepClone(before);
+    const existingArchetypes = before.classFlags.archetypes || [];
+    const remaining = existingArchetypes.filter(a => !slugs.includes(a));
+    const backup = before.classFlags.originalAssociations;
+    // Classes that had archetypes applied before class fields were tracked have no field backup
+    const fieldBackup = before.classFlags.originalClassFields;
+
+    if (remaining.length === 0) {
+      if (backup) after.classAssociations = foundry.utils.deepClone(backup);
+      if (fieldBackup) after.classFields = foundry.utils.deepClone(fieldBackup);
+      for (const key of this.CLASS_STATE_FLAGS) after.classFlags[key] = null;
+    } else {
+      if (backup) {
+        // Rebuild classAssociations by re-applying remaining archetypes to the backup
+        after.classAssociations = await this._rebuildForRemainingArchetypes(backup, remaining, classItem);
+      }
+      if (fieldBackup) {
+        const storedData = before.classFlags.appliedArchetypeData || {};
+        after.classFields = ClassEdits.rebuild(fieldBackup, remaining.map(slug => storedData[slug]));
+      }
+      after.classFlags.archetypes = remaining;
+
+      // Remove stored parsed data for the removed archetypes
+      const storedData = { ...(before.classFlags.appliedArchetypeData || {}) };
+      for (const slug of slugs) delete storedData[slug];
+      after.classFlags.appliedArchetypeData = storedData;
+    }
+
+    // Update actor flags
+    const actorArchetypes = { ...(before.actorFlags.appliedArchetypes || {}) };
+    const classTag = this._getClassTag(classItem);
+    if (actorArchetypes[classTag]) {
+      actorArchetypes[classTag] = actorArchetypes[classTag].filter(a => !slugs.includes(a));
+      if (actorArchetypes[classTag].length === 0) {
+        delete actorArchetypes[classTag];
+      }
+    }
+    after.actorFlags.appliedArchetypes = Object.keys(actorArchetypes).length > 0 ? actorArchetypes : null;
+
+    return after;
+  }
+
+  /**
+   * Write a captured/computed state to the class item (one batched update) and the actor
+   * @param {Actor} actor - The actor document
+   * @param {Item} classItem - The class item document
+   * @param {object} state - State from _captureState() or _compute*State()
+   * @private
+   */
+  static async _commitState(actor, classItem, state) {
+    await classItem.update(this._buildCommitUpdate(classItem, state));
+
+    const spellbookUpdate = this._buildSpellbookUpdate(actor, state);
+    if (spellbookUpdate) await actor.update(spellbookUpdate);
+
+    const actorArchetypes = state.actorFlags.appliedArchetypes ?? null;
+    const currentActorArchetypes = actor.getFlag(MODULE_ID, 'appliedArchetypes') ?? null;
+    if (actorArchetypes !== null || currentActorArchetypes !== null) {
+      await actor.setFlag(MODULE_ID, 'appliedArchetypes', foundry.utils.deepClone(actorArchetypes));
+    }
+  }
+
+  /**
+   * Build the class item update data that writes a state in one call
+   * @param {Item} classItem - The class item document
+   * @param {object} state - State from _captureState() or _compute*State()
+   * @returns {object} Update data for classItem.update()
+   * @private
+   */
+  static _buildCommitUpdate(classItem, state) {
+    const updateData = {
+      'system.links.classAssociations': foundry.utils.deepClone(state.classAssociations)
+    };
+
+    // PF1's link map from embedded feature items to the class (states recorded before
+    // feature syncing existed have no featureLinks and leave it alone)
+    const currentLinks = this._getFeatureLinks(classItem);
+    if (state.featureLinks !== undefined && JSON.stringify(state.featureLinks ?? null) !== JSON.stringify(currentLinks)) {
+      updateData['flags.pf1.links.classAssociations'] = this._replacementValue(currentLinks, state.featureLinks ?? {});
+    }
+
+    // Class skills and proficiencies (states recorded before these were tracked have no classFields)
+    for (const field of ClassEdits.FIELDS) {
+      const value = state.classFields?.[field] ?? null;
+      const current = classItem.system?.[field] ?? null;
+      if (value !== null && JSON.stringify(value) !== JSON.stringify(current)) {
+        updateData[`system.${field}`] = this._replacementValue(current, value);
+      }
+    }
+
+    for (const key of this.CLASS_STATE_FLAGS) {
+      const value = state.classFlags[key] ?? null;
+      if (value === null) {
+        updateData[`flags.${MODULE_ID}.-=${key}`] = null;
+      } else {
+        updateData[`flags.${MODULE_ID}.${key}`] = this._replacementValue(classItem.getFlag(MODULE_ID, key), value);
+      }
+    }
+
+    return updateData;
+  }
+
+  /**
+   * Find the key of the actor spellbook that casts from a class
+   * @param {Actor} actor - The actor document
+   * @param {Item} classItem - The class item document
+   * @returns {string|null} Spellbook key (e.g. "primary"), or null if the class has none
+   * @private
+   */
+  static _findSpellbookKey(actor, classItem) {
+    const spellbooks = this._spellbookSource(actor);
+    const classTag = this._getClassTag(classItem);
+    return Object.keys(spellbooks).find(key => spellbooks[key]?.class === classTag) ?? null;
+  }
+
+  /**
+   * Stored (not derived) spellbook data of an actor
+   * @private
+   */
+  static _spellbookSource(actor) {
+    const system = actor?._source?.system ?? actor?.system;
+    return system?.attributes?.spells?.spellbooks ?? {};
+  }
+
+  /**
+   * Read a dotted path from an object (undefined when any segment is missing)
+   * @private
+   */
+  static _getPath(object, path) {
+    return path.split('.').reduce((value, key) => value?.[key], object);
+  }
+
+  /**
+   * Work out the spellbook values a target state needs. Only paths an applied archetype's
+   * spellcasting block touches are tracked: their original values are kept in the
+   * originalSpellbook flag, and the target values are rebuilt by applying every remaining
+   * archetype in order on top of them. Sets before.spellbook and after.spellbook.
+   * @param {Actor} actor - The actor document
+   * @param {Item} classItem - The class item document
+   * @param {object} before - State from _captureState() (modified in place)
+   * @param {object} after - Target state (modified in place)
+   * @private
+   */
+  static _planSpellbook(actor, classItem, before, after) {
+    const storedBackup = before.classFlags.originalSpellbook;
+    const key = storedBackup?.key ?? this._findSpellbookKey(actor, classItem);
+    if (!key) return;
+
+    const book = this._spellbookSource(actor)[key] || {};
+    const storedData = after.classFlags.appliedArchetypeData || {};
+    const edits = (after.classFlags.archetypes || [])
+      .map(slug => ClassEdits.normalizeSpellcasting(storedData[slug]?.spellcasting)?.spellbook)
+      .filter(Boolean);
+
+    const originals = { ...(storedBackup?.values || {}) };
+    for (const spellbook of edits) {
+      for (const path of Object.keys(spellbook)) {
+        if (!(path in originals)) originals[path] = this._getPath(book, path) ?? null;
+      }
+    }
+    if (Object.keys(originals).length === 0) return;
+
+    const values = { ...originals };
+    for (const spellbook of edits) Object.assign(values, spellbook);
+
+    const current = {};
+    for (const path of Object.keys(originals)) current[path] = this._getPath(book, path) ?? null;
+
+    before.spellbook = { key, values: current };
+    after.spellbook = { key, values };
+    after.classFlags.originalSpellbook = edits.length > 0 ? { key, values: originals } : null;
+  }
+
   /**
-   * Acquire a per-actor lock to serialize operations on the same actor.
-   * If another operation is in progress on this actor, the caller waits.
-   * This prevents data corruption from concurrent apply/remove on the same actor.
-   * @param {string} actorId - The actor's ID
-   * @param {Function} fn - Async function to execute while holding the lock
-   * @returns {*} Result of fn
+   * Build the actor update that writes a state's spellbook values
+   * @param {Actor} actor - The actor document
+   * @param {object} state - State with an optional spellbook { key, values }
+   * @returns {object|null} Update data for actor.update(), or null if nothing changes
    * @private
    */
-  static async _withActorLock(actorId, fn) {
-    // Wait for any existing lock on this actor to complete
-    const existingLock = this._actorLocks.get(actorId);
-    if (existingLock) {
-      try { await existingLock; } catch (_) { /* ignore errors from previous ops */ }
+  static _buildSpellbookUpdate(actor, state) {
+    if (!state.spellbook) return null;
+    const { key, values } = state.spellbook;
+    const book = this._spellbookSource(actor)[key] || {};
+    const prefix = `system.attributes.spells.spellbooks.${key}`;
+
+    const update = {};
+    for (const [path, value] of Object.entries(values)) {
+      const currentValue = this._getPath(book, path) ?? null;
+      if (JSON.stringify(currentValue) === JSON.stringify(value)) continue;
+      if (value === null) {
+        const parts = path.split('.');
+        const field = parts.pop();
+        update[[prefix, ...parts, `-=${field}`].join('.')] = null;
+      } else {
+        update[`${prefix}.${path}`] = foundry.utils.deepClone(value);
+      }
     }
+    return Object.keys(update).length > 0 ? update : null;
+  }
 
-    // Create a new lock (a promise that resolves when our operation completes)
-    let releaseLock;
-    const lockPromise = new Promise(resolve => { releaseLock = resolve; });
-    this._actorLocks.set(actorId, lockPromise);
-
-    try {
-      return await fn();
-    } finally {
-      releaseLock();
-      // Clean up the lock if it's still ours
-      if (this._actorLocks.get(actorId) === lockPromise) {
-        this._actorLocks.delete(actorId);
+  /**
+   * Build an update value that replaces (rather than merges into) an object flag.
+   * Keys present in the current value but absent from the new one get a "-=" deletion key.
+   * @private
+   */
+  static _replacementValue(current, value) {
+    const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+    const replacement = foundry.utils.deepClone(value);
+    if (isObject(current) && isObject(value)) {
+      for (const key of Object.keys(current)) {
+        if (!(key in value)) replacement[`-=${key}`] = null;
       }
     }
+    return replacement;
   }
 
   /**
-   * Apply an archetype to a class item
+   * Find item copies on the actor that were created by the given archetypes
+   * @private
+   */
+  static _findCreatedCopies(actor, slugs) {
+    return actor.items.filter(i => slugs.includes(i.getFlag?.(MODULE_ID, 'createdByArchetype')));
+  }
+
+  /**
+   * Get PF1's map of embedded feature items created for a class (item ID -> level)
+   * @private
+   */
+  static _getFeatureLinks(classItem) {
+    return classItem.flags?.pf1?.links?.classAssociations ?? null;
+  }
+
+  /**
+   * Get the compendium UUID an embedded item was created from
+   * @private
+   */
+  static _getItemSource(item) {
+    return item._stats?.compendiumSource ?? item.flags?.core?.sourceId ?? null;
+  }
+
+  /**
+   * Find the embedded feature items belonging to a class: those in PF1's link map, those
+   * this module synced, and (for classes without a link map) class features in general
+   * @private
+   */
+  static _findClassFeatureItems(actor, state) {
+    const linkedIds = new Set(Object.keys(state.featureLinks || {}));
+    return actor.items.filter(i => i.type !== 'class' && (
+      linkedIds.has(i.id) ||
+      i.getFlag?.(MODULE_ID, 'syncedFeature') ||
+      (!state.featureLinks && i.system?.subType === 'classFeat')
+    ));
+  }
+
+  /**
+   * Work out which embedded feature items must change for the class to match a new state.
+   * Items whose association is gone are deleted; features newly associated at or below the
+   * class level are created, reusing the exact item data saved when the module removed
+   * them, or else (for archetype features) fresh from the compendium. Updates
+   * after.featureLinks and the removedFeatures flag to match.
    * @param {Actor} actor - The actor document
    * @param {Item} classItem - The class item document
-   * @param {object} parsedArchetype - Parsed archetype data
-   * @param {Array} diff - The generated diff
-   * @returns {boolean} Success or failure
+   * @param {object} before - State from _captureState()
+   * @param {object} after - Target state (modified in place)
+   * @returns {Promise<object>} { itemsToCreate, itemsToDelete }
+   * @private
    */
-  static async apply(actor, classItem, parsedArchetype, diff) {
-    // Prevent double-click: if already applying, reject immediately
-    if (this._applyInProgress) {
-      ui.notifications.warn(`${MODULE_TITLE} | Application already in progress. Please wait.`);
-      return false;
+  static async _planFeatureSync(actor, classItem, before, after) {
+    const classLevel = classItem.system?.level ?? 0;
+    const beforeUuids = this._associationLevels(before.classAssociations);
+    const afterUuids = this._associationLevels(after.classAssociations);
+    const links = { ...(before.featureLinks || {}) };
+    const removed = { ...(before.classFlags.removedFeatures || {}) };
+    const classFeatures = this._findClassFeatureItems(actor, before);
+    const remaining = after.classFlags.archetypes || [];
+    const itemsToCreate = [];
+    const itemsToDelete = [];
+
+    // Delete features whose association no longer exists
+    for (const item of classFeatures) {
+      const uuid = this._getItemSource(item);
+      if (!uuid || !beforeUuids.has(uuid) || afterUuids.has(uuid)) continue;
+
+      const data = this._itemData(item);
+      itemsToDelete.push(data);
+      delete links[item.id];
+      // Keep the original item so removing the archetype can bring it back exactly,
+      // unless it belongs to an archetype that is itself going away
+      if (this._isOwnedByRemaining(data, remaining)) removed[uuid] = data;
+    }
+    for (const [uuid, data] of Object.entries(removed)) {
+      if (!this._isOwnedByRemaining(data, remaining)) delete removed[uuid];
     }
 
-    this._applyInProgress = true;
-    try {
-      return await this._withActorLock(actor.id, () => this._doApply(actor, classItem, parsedArchetype, diff));
-    } finally {
-      this._applyInProgress = false;
+    // Create features that are newly associated at or below the class level. Base class
+    // features only come back from stored items; the actor may never have had the rest.
+    const present = new Set(classFeatures.map(i => this._getItemSource(i)));
+    const owners = this._featureOwners(after);
+    for (const [uuid, level] of afterUuids) {
+      if (beforeUuids.has(uuid)) continue;
+      const stored = removed[uuid];
+      delete removed[uuid];
+      if (level > classLevel || present.has(uuid)) continue;
+
+      if (!stored && !owners.has(uuid)) continue;
+
+      const data = stored ?? await this._buildFeatureItemData(uuid, owners.get(uuid));
+      if (!data) continue;
+      links[data._id] = level;
+      itemsToCreate.push(data);
     }
+
+    after.featureLinks = (before.featureLinks === null && Object.keys(links).length === 0) ? null : links;
+    after.classFlags.removedFeatures = Object.keys(removed).length > 0 ? removed : null;
+    return { itemsToCreate, itemsToDelete };
   }
 
   /**
-   * Internal apply implementation (called within the apply guard)
+   * Whether item data is a base class item, or belongs to an archetype that stays applied
    * @private
    */
-  static async _doApply(actor, classItem, parsedArchetype, diff) {
-    const slug = parsedArchetype.slug;
+  static _isOwnedByRemaining(data, remainingSlugs) {
+    const moduleFlags = data.flags?.[MODULE_ID] || {};
+    const owner = moduleFlags.createdByArchetype ?? moduleFlags.grantedByArchetype;
+    return !owner || remainingSlugs.includes(owner);
+  }
 
-    // Permission check: players can only modify owned characters
-    if (!game.user.isGM && !actor.isOwner) {
-      ui.notifications.error(`${MODULE_TITLE} | You do not have permission to modify this character.`);
-      return false;
-    }
+  /**
+   * Link items into (or unlink them from) a state's PF1 feature link map
+   * @param {object} state - Target state (modified in place)
+   * @param {object} [added] - { itemId: level } to link
+   * @param {Array<string>} [removedIds] - Item IDs to unlink
+   * @private
+   */
+  static _updateFeatureLinks(state, added = {}, removedIds = []) {
+    if (Object.keys(added).length === 0 && !removedIds.some(id => id in (state.featureLinks || {}))) return;
+    const links = { ...(state.featureLinks || {}), ...added };
+    for (const id of removedIds) delete links[id];
+    state.featureLinks = Object.keys(links).length > 0 ? links : null;
+  }
 
-    // Check for duplicate application
-    const existingArchetypes = classItem.getFlag(MODULE_ID, 'archetypes') || [];
-    if (existingArchetypes.includes(slug)) {
-      ui.notifications.warn(`${parsedArchetype.name} is already applied to this class.`);
-      return false;
+  /**
+   * Map each associated UUID to the lowest level it is granted at
+   * @private
+   */
+  static _associationLevels(associations) {
+    const levels = new Map();
+    for (const assoc of associations || []) {
+      const uuid = assoc.uuid || assoc.id;
+      if (!uuid) continue;
+      levels.set(uuid, Math.min(levels.get(uuid) ?? Infinity, assoc.level ?? 0));
     }
+    return levels;
+  }
 
-    // Validate class match - archetype must be for the correct class
-    if (parsedArchetype.class) {
-      if (!ConflictChecker.validateClass(parsedArchetype, classItem)) {
-        const archetypeClass = parsedArchetype.class;
-        const className = classItem.name;
-        ui.notifications.error(
-          `${MODULE_TITLE} | ${parsedArchetype.name} is a ${archetypeClass} archetype and cannot be applied to ${className}.`
-        );
-        return false;
+  /**
+   * Map each archetype feature UUID in a state to the slug of the archetype that grants it
+   * @private
+   */
+  static _featureOwners(state) {
+    const owners = new Map();
+    for (const [slug, parsed] of Object.entries(state.classFlags.appliedArchetypeData || {})) {
+      for (const feature of (parsed.features || [])) {
+        // Modified features are represented by their cloned copies instead
+        if (feature.uuid && feature.type !== 'modification') owners.set(feature.uuid, slug);
       }
     }
+    return owners;
+  }
 
+  /**
+   * Build creation data for an embedded feature item from its compendium source
+   * @param {string} uuid - Compendium UUID of the feature
+   * @param {string} [slug] - Archetype that grants the feature, if any
+   * @returns {Promise<object|null>} Item data with a pre-assigned _id, or null if unresolvable
+   * @private
+   */
+  static async _buildFeatureItemData(uuid, slug) {
+    let doc = null;
     try {
-      // Step 1: Backup original classAssociations (only if first archetype)
-      if (existingArchetypes.length === 0) {
-        const originalAssociations = foundry.utils.deepClone(
-          classItem.system.links?.classAssociations || []
-        );
-        await classItem.setFlag(MODULE_ID, 'originalAssociations', originalAssociations);
+      doc = await fromUuid(uuid);
+    } catch (e) {
+      debugLog(`${MODULE_ID} | Could not resolve feature ${uuid}:`, e);
+    }
+    if (!doc) return null;
+
+    const data = doc.toObject?.() ?? foundry.utils.deepClone(doc);
+    data._id = foundry.utils.randomID();
+    data._stats = { ...data._stats, compendiumSource: uuid };
+    data.flags = {
+      ...data.flags,
+      [MODULE_ID]: {
+        ...data.flags?.[MODULE_ID],
+        syncedFeature: true,
+        ...(slug ? { grantedByArchetype: slug } : {})
       }
+    };
+    return data;
+  }
 
-      // Step 2: Build new classAssociations from diff
-      const newAssociations = this._buildNewAssociations(diff);
+  /**
+   * Drop duplicate item data (same _id), keeping the first occurrence
+   * @private
+   */
+  static _uniqueItems(items) {
+    const seen = new Set();
+    return items.filter(data => {
+      if (seen.has(data._id)) return false;
+      seen.add(data._id);
+      return true;
+    });
+  }
 
-      // Step 3: Create item copies for modified features
-      const createdItems = await this._createModifiedFeatureCopies(actor, parsedArchetype, diff);
+  /**
+   * Tag item creation data with the journal entry that creates it, so recovery can
+   * find the item even if the operation was interrupted before its ID was recorded.
+   * Data with a pre-assigned _id (synced feature items) is found by that ID instead.
+   * @private
+   */
+  static _tagWithOperation(data, operationId) {
+    if (data._id) return data;
+    return {
+      ...data,
+      flags: {
+        ...data.flags,
+        [MODULE_ID]: { ...data.flags?.[MODULE_ID], operationId }
+      }
+    };
+  }
 
-      // Step 4: Update classAssociations
-      await classItem.update({
-        'system.links.classAssociations': newAssociations
-      });
+  /**
+   * Serialize an embedded item so it can be recreated during rollback
+   * @private
+   */
+  static _itemData(item) {
+    const data = item.toObject?.() ?? foundry.utils.deepClone(item);
+    data._id = item.id ?? data._id;
+    return data;
+  }
 
-      // Step 5: Update tracking flags
-      await classItem.setFlag(MODULE_ID, 'archetypes', [...existingArchetypes, slug]);
-      await classItem.setFlag(MODULE_ID, 'appliedAt', new Date().toISOString());
+  /**
+   * Serialize the archetype-created item copies belonging to a class state
+   * @private
+   */
+  static _snapshotCopies(actor, state) {
+    return this._findCreatedCopies(actor, state.classFlags.archetypes || []).map(c => this._itemData(c));
+  }
 
-      // Store parsed archetype data for selective removal rebuild
-      const storedArchetypeData = classItem.getFlag(MODULE_ID, 'appliedArchetypeData') || {};
-      storedArchetypeData[slug] = foundry.utils.deepClone(parsedArchetype);
-      await classItem.setFlag(MODULE_ID, 'appliedArchetypeData', storedArchetypeData);
+  /**
+   * Push a completed operation onto the actor's undo history.
+   * History is a convenience: failing to record it must not fail the operation.
+   * @private
+   */
+  static async _recordHistory(actor, classItem, { type, label, before, after, beforeCopies, afterCopies }) {
+    try {
+      await OperationHistory.push(actor, {
+        type,
+        label,
+        classItemId: classItem.id,
+        before: { state: before, copies: beforeCopies },
+        after: { state: after, copies: afterCopies }
+      });
+    } catch (e) {
+      console.warn(`${MODULE_ID} | Failed to record undo history:`, e);
+    }
+  }
 
-      // Update actor-level quick lookup
-      const actorArchetypes = actor.getFlag(MODULE_ID, 'appliedArchetypes') || {};
-      const classTag = classItem.system.tag || classItem.name.slugify();
-      actorArchetypes[classTag] = [...(actorArchetypes[classTag] || []), slug];
-      await actor.setFlag(MODULE_ID, 'appliedArchetypes', actorArchetypes);
+  /**
+   * Roll back a journaled operation: restore the "before" state, delete items the
+   * operation created and recreate items it deleted.
+   * @param {Actor} actor - The actor document
+   * @param {Item} classItem - The class item document
+   * @param {object} entry - The OperationJournal entry
+   * @returns {Promise<boolean>} Whether the rollback completed
+   * @private
+   */
+  static async _rollbackOperation(actor, classItem, entry) {
+    try {
+      await this._commitState(actor, classItem, entry.before);
+
+      const createdIds = new Set([
+        ...(entry.createdItemIds || []),
+        ...(entry.itemsToCreate || []).map(data => data._id).filter(Boolean)
+      ]);
+      for (const item of actor.items.filter(i => i.getFlag?.(MODULE_ID, 'operationId') === entry.id)) {
+        createdIds.add(item.id);
+      }
+      const existingCreated = [...createdIds].filter(id => actor.items.get(id));
+      if (existingCreated.length > 0) {
+        await actor.deleteEmbeddedDocuments('Item', existingCreated);
+      }
 
-      // Step 6: Post chat message
-      await this._postApplyMessage(actor, classItem, parsedArchetype, diff);
+      const missing = (entry.deletedItems || []).filter(data => !actor.items.get(data._id ?? data.id));
+      if (missing.length > 0) {
+        await actor.createEmbeddedDocuments('Item', missing, { keepId: true });
+      }
 
-      ui.notifications.info(`${MODULE_TITLE} | Applied ${parsedArchetype.name} to ${classItem.name}`);
+      await OperationJournal.discard(actor, entry.id);
+      debugLog(`${MODULE_ID} | Rolled back ${entry.type} "${entry.slug}" (${entry.id})`);
       return true;
-
-    } catch (error) {
-      console.error(`${MODULE_ID} | Error applying archetype:`, error);
-      ui.notifications.error(`${MODULE_TITLE} | Failed to apply archetype. Rolling back changes.`);
-
-      // Rollback
-      await this._rollback(actor, classItem, slug);
+    } catch (e) {
+      console.error(`${MODULE_ID} | Rollback also failed:`, e);
       return false;
     }
   }
 
   /**
-   * Remove an archetype from a class item
+   * Roll a journaled operation forward: finish any item creation/deletion it did not
+   * reach, then commit its "after" state.
    * @param {Actor} actor - The actor document
    * @param {Item} classItem - The class item document
-   * @param {string} slug - The archetype slug to remove
-   * @returns {boolean} Success or failure
+   * @param {object} entry - The OperationJournal entry
+   * @private
    */
-  static async remove(actor, classItem, slug) {
-    // Prevent double-click: if already removing, reject immediately
-    if (this._removeInProgress) {
-      ui.notifications.warn(`${MODULE_TITLE} | Removal already in progress. Please wait.`);
-      return false;
+  static async _rollForwardOperation(actor, classItem, entry) {
+    const alreadyCreated = (entry.createdItemIds || []).some(id => actor.items.get(id)) ||
+      (entry.itemsToCreate || []).some(data => data._id && actor.items.get(data._id)) ||
+      actor.items.filter(i => i.getFlag?.(MODULE_ID, 'operationId') === entry.id).length > 0;
+    if (!alreadyCreated && entry.itemsToCreate?.length > 0) {
+      await actor.createEmbeddedDocuments('Item', entry.itemsToCreate.map(data => this._tagWithOperation(data, entry.id)), { keepId: true });
     }
 
-    this._removeInProgress = true;
-    try {
-      return await this._withActorLock(actor.id, () => this._doRemove(actor, classItem, slug));
-    } finally {
-      this._removeInProgress = false;
+    const toDelete = (entry.deletedItems || [])
+      .map(data => data._id ?? data.id)
+      .filter(id => actor.items.get(id));
+    if (toDelete.length > 0) {
+      await actor.deleteEmbeddedDocuments('Item', toDelete);
     }
+
+    await this._commitState(actor, classItem, entry.after);
+    await OperationJournal.complete(actor, entry.id);
+    debugLog(`${MODULE_ID} | Rolled forward ${entry.type} "${entry.slug}" (${entry.id})`);
   }
 
   /**
-   * Internal remove implementation (called within the remove guard)
+   * Recover an operation left unfinished by a crash or disconnect
+   * @param {Actor} actor - The actor document
+   * @param {object} entry - The pending OperationJournal entry
+   * @param {string} direction - 'forward' to finish the operation, 'back' to undo it
+   * @returns {Promise<boolean>} Success or failure
+   */
+  static async recoverOperation(actor, entry, direction) {
+    return this._withActorLock(actor.id, async () => {
+      const classItem = actor.items.get(entry.classItemId);
+      if (!classItem) {
+        // The class item is gone; nothing left to recover
+        await OperationJournal.discard(actor, entry.id);
+        ui.notifications.warn(`${MODULE_TITLE} | Class item for unfinished ${entry.type} of "${entry.slug}" no longer exists. Journal entry discarded.`);
+        return false;
+      }
+
+      try {
+        if (direction === 'forward') {
+          await this._rollForwardOperation(actor, classItem, entry);
+          // The pre-hooks ran before the interruption; announce the change now that it is committed.
+          // A rolled-back operation never happened, so it fires nothing (like a failed apply).
+          const type = ['undo', 'redo'].includes(entry.type) ? null : entry.type;
+          for (const plan of this._transitionHookPlans(entry.before, entry.after, type)) this._callPostHooks(actor, classItem, plan);
+        } else if (!await this._rollbackOperation(actor, classItem, entry)) {
+          throw new Error('Rollback did not complete');
+        }
+        ui.notifications.info(`${MODULE_TITLE} | Recovered unfinished ${entry.type} of "${entry.slug}" on ${actor.name}.`);
+        return true;
+      } catch (error) {
+        console.error(`${MODULE_ID} | Error recovering archetype operation:`, error);
+        ui.notifications.error(`${MODULE_TITLE} | Failed to recover unfinished ${entry.type} of "${entry.slug}".`);
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Undo the most recent archetype operation on an actor
+   * @param {Actor} actor - The actor document
+   * @returns {Promise<boolean>} Success or failure
+   */
+  static async undo(actor) {
+    return this._stepHistory(actor, 'undo');
+  }
+
+  /**
+   * Redo the most recently undone archetype operation on an actor
+   * @param {Actor} actor - The actor document
+   * @returns {Promise<boolean>} Success or failure
+   */
+  static async redo(actor) {
+    return this._stepHistory(actor, 'redo');
+  }
+
+  /**
+   * Move the actor's class item to the other side of its latest history entry
+   * @param {Actor} actor - The actor document
+   * @param {string} direction - 'undo' or 'redo'
    * @private
    */
-  static async _doRemove(actor, classItem, slug) {
-    // Permission check: players can only modify owned characters
+  static async _stepHistory(actor, direction) {
     if (!game.user.isGM && !actor.isOwner) {
       ui.notifications.error(`${MODULE_TITLE} | You do not have permission to modify this character.`);
       return false;
     }
 
-    try {
-      const existingArchetypes = classItem.getFlag(MODULE_ID, 'archetypes') || [];
-      if (!existingArchetypes.includes(slug)) {
-        ui.notifications.warn('This archetype is not applied to this class.');
+    return this._withActorLock(actor.id, async () => {
+      const isUndo = direction === 'undo';
+      const entry = isUndo ? OperationHistory.peekUndo(actor) : OperationHistory.peekRedo(actor);
+      if (!entry) {
+        ui.notifications.warn(`${MODULE_TITLE} | Nothing to ${direction}.`);
         return false;
       }
 
-      // If this is the last archetype, restore from backup
-      if (existingArchetypes.length === 1) {
-        const backup = classItem.getFlag(MODULE_ID, 'originalAssociations');
-        if (backup) {
-          await classItem.update({
-            'system.links.classAssociations': backup
-          });
-        }
-        // Clean up all flags
-        await classItem.unsetFlag(MODULE_ID, 'archetypes');
-        await classItem.unsetFlag(MODULE_ID, 'originalAssociations');
-        await classItem.unsetFlag(MODULE_ID, 'appliedAt');
-        await classItem.unsetFlag(MODULE_ID, 'appliedArchetypeData');
-      } else {
-        // Selective removal - rebuild from remaining archetypes
-        const remaining = existingArchetypes.filter(a => a !== slug);
-        const backup = classItem.getFlag(MODULE_ID, 'originalAssociations');
-
-        if (backup) {
-          // Rebuild classAssociations by re-applying remaining archetypes to the backup
-          const rebuiltAssociations = await this._rebuildForRemainingArchetypes(
-            backup, remaining, classItem
-          );
-          await classItem.update({
-            'system.links.classAssociations': rebuiltAssociations
-          });
-        }
+      const classItem = actor.items.get(entry.classItemId);
+      if (!classItem) {
+        await OperationHistory.drop(actor, entry.id);
+        ui.notifications.warn(`${MODULE_TITLE} | The class item for "${entry.label}" no longer exists. History entry discarded.`);
+        return false;
+      }
 
-        await classItem.setFlag(MODULE_ID, 'archetypes', remaining);
+      const states = OperationHistory.getStates(entry);
+      const fromState = isUndo ? states.after : states.before;
+      const toState = isUndo ? states.before : states.after;
+      const fromIds = isUndo ? entry.after.copyIds : entry.before.copyIds;
+      const toIds = isUndo ? entry.before.copyIds : entry.after.copyIds;
 
-        // Remove stored parsed data for the removed archetype
-        const storedData = classItem.getFlag(MODULE_ID, 'appliedArchetypeData') || {};
-        delete storedData[slug];
-        await classItem.setFlag(MODULE_ID, 'appliedArchetypeData', storedData);
+      // Refuse to overwrite changes made since this entry was recorded
+      if (!this._isStateCurrent(actor, classItem, fromState)) {
+        ui.notifications.warn(`${MODULE_TITLE} | ${classItem.name} has changed since "${entry.label}". Cannot ${direction}.`);
+        return false;
       }
 
-      // Delete any item copies created for this archetype
-      await this._deleteCreatedCopies(actor, slug);
+      // Work out which archetype-created copies and synced feature items need to come back or go away
+      const targetIds = new Set(toIds);
+      const trackedIds = new Set([...fromIds, ...toIds]);
+      const managedSlugs = [...new Set([...(fromState.classFlags.archetypes || []), ...(toState.classFlags.archetypes || [])])];
+      const currentCopies = actor.items.filter(i =>
+        trackedIds.has(i.id) || managedSlugs.includes(i.getFlag?.(MODULE_ID, 'createdByArchetype')));
+      const extraCopies = currentCopies.filter(c => !targetIds.has(c.id));
+      const missingCopies = (entry.items || []).filter(c => targetIds.has(c._id) && !actor.items.get(c._id));
+
+      // Fire the hooks of the archetypes this step applies or removes; a listener can cancel it
+      const hookPlans = this._transitionHookPlans(fromState, toState, isUndo ? null : entry.type);
+      if (!hookPlans.every(plan => this._callPreHooks(actor, classItem, plan))) return false;
+
+      let journalEntry = null;
+      try {
+        journalEntry = await OperationJournal.begin(actor, {
+          type: direction,
+          classItemId: classItem.id,
+          slug: entry.label,
+          archetypeName: entry.label,
+          before: this._captureState(actor, classItem),
+          after: toState,
+          itemsToCreate: missingCopies,
+          deletedItems: extraCopies.map(c => this._itemData(c))
+        });
 
-      // Update actor flags
-      const actorArchetypes = actor.getFlag(MODULE_ID, 'appliedArchetypes') || {};
-      const classTag = classItem.system.tag || classItem.name.slugify();
-      if (actorArchetypes[classTag]) {
-        actorArchetypes[classTag] = actorArchetypes[classTag].filter(a => a !== slug);
-        if (actorArchetypes[classTag].length === 0) {
-          delete actorArchetypes[classTag];
+        if (missingCopies.length > 0) {
+          const created = await actor.createEmbeddedDocuments('Item',
+            missingCopies.map(data => this._tagWithOperation(data, journalEntry.id)), { keepId: true });
+          journalEntry.createdItemIds = created.map(i => i.id);
+          await OperationJournal.record(actor, journalEntry.id, { createdItemIds: journalEntry.createdItemIds });
+        }
+        if (extraCopies.length > 0) {
+          await actor.deleteEmbeddedDocuments('Item', extraCopies.map(c => c.id));
         }
-        await actor.setFlag(MODULE_ID, 'appliedArchetypes',
-          Object.keys(actorArchetypes).length > 0 ? actorArchetypes : null
-        );
-      }
 
-      // Post chat message
-      await this._postRemoveMessage(actor, classItem, slug);
+        await this._commitState(actor, classItem, toState);
+        await OperationJournal.complete(actor, journalEntry.id);
+
+        // Keep the data of the copies this step deleted, so the opposite step can recreate them
+        const restoredIds = new Set(missingCopies.map(c => c._id));
+        const items = [
+          ...(entry.items || []).filter(c => !restoredIds.has(c._id)),
+          ...journalEntry.deletedItems.filter(c => trackedIds.has(c._id))
+        ];
+        if (isUndo) {
+          await OperationHistory.markUndone(actor, entry.id, items);
+        } else {
+          await OperationHistory.markRedone(actor, entry.id, items);
+        }
 
-      ui.notifications.info(`${MODULE_TITLE} | Removed archetype from ${classItem.name}`);
-      return true;
+        await this._postHistoryMessage(actor, classItem, direction, entry);
+        for (const plan of hookPlans) this._callPostHooks(actor, classItem, plan);
+        ui.notifications.info(`${MODULE_TITLE} | ${isUndo ? 'Undid' : 'Redid'}: ${entry.label}`);
+        return true;
 
-    } catch (error) {
-      console.error(`${MODULE_ID} | Error removing archetype:`, error);
-      ui.notifications.error(`${MODULE_TITLE} | Failed to remove archetype.`);
-      return false;
-    }
+      } catch (error) {
+        console.error(`${MODULE_ID} | Error during ${direction}:`, error);
+        ui.notifications.error(`${MODULE_TITLE} | Failed to ${direction} "${entry.label}". Rolling back changes.`);
+        if (journalEntry) await this._rollbackOperation(actor, classItem, journalEntry);
+        return false;
+      }
+    });
   }
 
   /**
@@ -296,50 +1585,78 @@ export class Applicator {
   }
 
   /**
-   * Create item copies for modified features
+   * Build the creation data for item copies of modified features. Each copy is a full
+   * clone of the base feature it modifies (actions, changes, notes, uses and subtype
+   * included), with the archetype's name and text layered on top.
+   * @param {object} parsedArchetype - Parsed archetype data
+   * @param {Array} diff - The generated diff
+   * @param {object} [links] - Receives { copyId: level } for wiring copies into the class
+   * @returns {Promise<Array<object>>} Item data with pre-assigned IDs
    * @private
    */
-  static async _createModifiedFeatureCopies(actor, parsedArchetype, diff) {
+  static async _buildModifiedFeatureCopyData(parsedArchetype, diff, links = {}) {
     const copiesToCreate = [];
 
     for (const entry of diff) {
-      if (entry.status === 'modified' && entry.archetypeFeature) {
-        copiesToCreate.push({
-          name: `${entry.archetypeFeature.name} (${parsedArchetype.name})`,
-          type: 'feat',
-          system: {
-            description: {
-              value: `<p><strong>Modified by ${parsedArchetype.name}:</strong></p>` +
-                     `<p>${entry.archetypeFeature.description || 'See archetype description.'}</p>`
-            }
-          },
-          flags: {
-            [MODULE_ID]: {
-              createdByArchetype: parsedArchetype.slug,
-              isModifiedCopy: true
-            }
-          }
-        });
-      }
-    }
+      if (entry.status !== 'modified' || !entry.archetypeFeature) continue;
+
+      const feature = entry.archetypeFeature;
+      const sourceUuid = feature.matchedAssociation?.uuid ?? entry.original?.uuid ?? null;
+      const base = await this._resolveBaseFeatureData(sourceUuid);
+      const baseDescription = base?.system?.description?.value || '';
+
+      const data = base ?? { type: 'feat', system: { subType: 'classFeat' } };
+      data._id = foundry.utils.randomID();
+      data.name = `${feature.name} (${parsedArchetype.name})`;
+      data.system = {
+        ...data.system,
+        description: {
+          ...data.system?.description,
+          value: `<p><strong>Modified by ${parsedArchetype.name}:</strong></p>` +
+                 `<p>${feature.description || 'See archetype description.'}</p>` +
+                 (baseDescription ? `<hr>${baseDescription}` : '')
+        }
+      };
+      // The copy stands in for the archetype feature's association in the class progression
+      data._stats = { ...data._stats, compendiumSource: feature.uuid ?? null };
+      data.flags = {
+        ...data.flags,
+        [MODULE_ID]: {
+          createdByArchetype: parsedArchetype.slug,
+          isModifiedCopy: true,
+          sourceUuid
+        }
+      };
 
-    if (copiesToCreate.length > 0) {
-      return actor.createEmbeddedDocuments('Item', copiesToCreate);
+      links[data._id] = entry.level;
+      copiesToCreate.push(data);
     }
-    return [];
+
+    return copiesToCreate;
   }
 
   /**
-   * Delete item copies created by a specific archetype
+   * Resolve the base feature a modified copy is cloned from
+   * @param {string|null} uuid - Compendium UUID of the base feature
+   * @returns {Promise<object|null>} Item data without document IDs, or null if unresolvable
    * @private
    */
-  static async _deleteCreatedCopies(actor, slug) {
-    const copies = actor.items.filter(
-      i => i.getFlag(MODULE_ID, 'createdByArchetype') === slug
-    );
-    if (copies.length > 0) {
-      await actor.deleteEmbeddedDocuments('Item', copies.map(c => c.id));
+  static async _resolveBaseFeatureData(uuid) {
+    if (!uuid) return null;
+    let doc = null;
+    try {
+      doc = await fromUuid(uuid);
+    } catch (e) {
+      debugLog(`${MODULE_ID} | Could not resolve base feature ${uuid}:`, e);
     }
+    if (!doc?.toObject) return null;
+
+    const data = doc.toObject();
+    delete data._id;
+    delete data.folder;
+    delete data.sort;
+    delete data.ownership;
+    return data;
   }
 
   /**
@@ -383,90 +1700,43 @@ export class Applicator {
       return { success: false, message: 'Permission denied', restoredCount: 0 };
     }
 
-    const backup = classItem.getFlag(MODULE_ID, 'originalAssociations');
-    if (!backup) {
-      ui.notifications.warn(`${MODULE_TITLE} | No backup found. Cannot restore.`);
-      return { success: false, message: 'No backup found', restoredCount: 0 };
-    }
-
-    try {
-      // Restore original classAssociations from backup
-      await classItem.update({
-        'system.links.classAssociations': foundry.utils.deepClone(backup)
-      });
-
-      // Delete all archetype-created item copies
-      const existingArchetypes = classItem.getFlag(MODULE_ID, 'archetypes') || [];
-      for (const slug of existingArchetypes) {
-        await this._deleteCreatedCopies(actor, slug);
-      }
-
-      // Clean up all archetype tracking flags
-      await classItem.unsetFlag(MODULE_ID, 'archetypes');
-      await classItem.unsetFlag(MODULE_ID, 'originalAssociations');
-      await classItem.unsetFlag(MODULE_ID, 'appliedAt');
-      await classItem.unsetFlag(MODULE_ID, 'appliedArchetypeData');
-
-      // Clean up actor-level flags
-      const classTag = classItem.system.tag || classItem.name.slugify();
-      const actorArchetypes = actor.getFlag(MODULE_ID, 'appliedArchetypes') || {};
-      if (actorArchetypes[classTag]) {
-        delete actorArchetypes[classTag];
-        await actor.setFlag(MODULE_ID, 'appliedArchetypes',
-          Object.keys(actorArchetypes).length > 0 ? actorArchetypes : null
-        );
-      }
-
-      ui.notifications.info(`${MODULE_TITLE} | Restored ${classItem.name} to original state (${backup.length} features).`);
-      return { success: true, message: 'Restored successfully', restoredCount: backup.length };
-
-    } catch (error) {
-      console.error(`${MODULE_ID} | Error restoring from backup:`, error);
-      ui.notifications.error(`${MODULE_TITLE} | Failed to restore from backup.`);
-      return { success: false, message: error.message, restoredCount: 0 };
-    }
-  }
-
-  /**
-   * Rollback a failed application
-   * @private
-   */
-  static async _rollback(actor, classItem, slug) {
-    try {
+    // Plan and execute under the actor lock, so a restore never commits against a state
+    // that an apply or remove still in progress is about to change
+    return this._withActorLock(actor.id, async () => {
       const backup = classItem.getFlag(MODULE_ID, 'originalAssociations');
-      if (backup) {
-        await classItem.update({
-          'system.links.classAssociations': backup
-        });
+      if (!backup) {
+        ui.notifications.warn(`${MODULE_TITLE} | No backup found. Cannot restore.`);
+        return { success: false, message: 'No backup found', restoredCount: 0 };
       }
 
-      // Remove the archetype from tracking
-      const archetypes = classItem.getFlag(MODULE_ID, 'archetypes') || [];
-      await classItem.setFlag(MODULE_ID, 'archetypes', archetypes.filter(a => a !== slug));
-
-      // Remove stored parsed data for the rolled-back archetype
-      const storedData = classItem.getFlag(MODULE_ID, 'appliedArchetypeData') || {};
-      delete storedData[slug];
-      await classItem.setFlag(MODULE_ID, 'appliedArchetypeData',
-        Object.keys(storedData).length > 0 ? storedData : null
-      );
+      try {
+        // Restore original classAssociations from backup, clear all tracking flags and
+        // delete all archetype-created item copies
+        const plan = await this.planRestore(actor, classItem);
+        if (!this._callPreHooks(actor, classItem, plan)) {
+          return { success: false, message: 'Cancelled by a preRestore hook', restoredCount: 0 };
+        }
+        await this._executePlan(actor, classItem, plan);
 
-      // Delete any copies created during failed apply
-      await this._deleteCreatedCopies(actor, slug);
+        ui.notifications.info(`${MODULE_TITLE} | Restored ${classItem.name} to original state (${backup.length} features).`);
+        return { success: true, message: 'Restored successfully', restoredCount: backup.length };
 
-      debugLog(`${MODULE_ID} | Successfully rolled back archetype application`);
-    } catch (e) {
-      console.error(`${MODULE_ID} | Rollback also failed:`, e);
-    }
+      } catch (error) {
+        console.error(`${MODULE_ID} | Error restoring from backup:`, error);
+        ui.notifications.error(`${MODULE_TITLE} | Failed to restore from backup.`);
+        return { success: false, message: error.message, restoredCount: 0 };
+      }
+    });
   }
 
   /**
-   * Post a chat message summarizing archetype application
+   * Build the chat message summarizing archetype application
+   * @returns {object|null} ChatMessage data, or null if chatNotifications is disabled
    * @private
    */
-  static async _postApplyMessage(actor, classItem, parsedArchetype, diff) {
+  static _buildApplyMessage(actor, classItem, parsedArchetype, diff) {
     // Skip chat message if chatNotifications setting is disabled
-    if (!game.settings.get(MODULE_ID, 'chatNotifications')) return;
+    if (!game.settings.get(MODULE_ID, 'chatNotifications')) return null;
 
     const replaced = diff.filter(d => d.status === 'removed').map(d => d.name);
     const added = diff.filter(d => d.status === 'added').map(d => d.name);
@@ -479,21 +1749,65 @@ export class Applicator {
     if (added.length) content += `<p><em>Added:</em> ${added.join(', ')}</p>`;
     if (modified.length) content += `<p><em>Modified:</em> ${modified.join(', ')}</p>`;
 
-    await ChatMessage.create({ content });
+    return { content };
+  }
+
+  /**
+   * Build a single chat message summarizing a stacked application
+   * @returns {object|null} ChatMessage data, or null if chatNotifications is disabled
+   * @private
+   */
+  static _buildStackMessage(actor, classItem, parsedList, diffs) {
+    // Skip chat message if chatNotifications setting is disabled
+    if (!game.settings.get(MODULE_ID, 'chatNotifications')) return null;
+
+    const names = parsedList.map(p => `<strong>${p.name}</strong>`).join(' + ');
+    let content = `<h3>${MODULE_TITLE}</h3>`;
+    content += `<p>${names} applied to <strong>${actor.name}</strong>'s ${classItem.name}.</p>`;
+
+    parsedList.forEach((parsed, i) => {
+      const diff = diffs[i] || [];
+      const replaced = diff.filter(d => d.status === 'removed').map(d => d.name);
+      const added = diff.filter(d => d.status === 'added').map(d => d.name);
+      const modified = diff.filter(d => d.status === 'modified').map(d => d.name);
+      if (!replaced.length && !added.length && !modified.length) return;
+
+      content += `<p><strong>${parsed.name}</strong></p>`;
+      if (replaced.length) content += `<p><em>Replaced:</em> ${replaced.join(', ')}</p>`;
+      if (added.length) content += `<p><em>Added:</em> ${added.join(', ')}</p>`;
+      if (modified.length) content += `<p><em>Modified:</em> ${modified.join(', ')}</p>`;
+    });
+
+    return { content };
   }
 
   /**
-   * Post a chat message confirming archetype removal
+   * Post a chat message noting an undo or redo
    * @private
    */
-  static async _postRemoveMessage(actor, classItem, slug) {
+  static async _postHistoryMessage(actor, classItem, direction, entry) {
     // Skip chat message if chatNotifications setting is disabled
     if (!game.settings.get(MODULE_ID, 'chatNotifications')) return;
 
+    const content = `<h3>${MODULE_TITLE}</h3>` +
+      `<p>${direction === 'undo' ? 'Undid' : 'Redid'} <strong>${entry.label}</strong> on <strong>${actor.name}</strong>'s ${classItem.name}.</p>`;
+
+    await ChatMessage.create({ content });
+  }
+
+  /**
+   * Build the chat message confirming archetype removal
+   * @returns {object|null} ChatMessage data, or null if chatNotifications is disabled
+   * @private
+   */
+  static _buildRemoveMessage(actor, classItem, slug) {
+    // Skip chat message if chatNotifications setting is disabled
+    if (!game.settings.get(MODULE_ID, 'chatNotifications')) return null;
+
     const content = `<h3>${MODULE_TITLE}</h3>` +
       `<p>Archetype <strong>${slug}</strong> removed from <strong>${actor.name}</strong>'s ${classItem.name}. ` +
       `Class features restored to original state.</p>`;
 
-    await ChatMessage.create({ content });
+    return { content };
   }
 }
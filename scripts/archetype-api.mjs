@@ -0,0 +1,440 @@
+/**
+ * ArchetypeAPI - Headless scripting API exposed on game.modules.get('archetype-manager').api
+ *
+ * Handles:
+ * - Resolving actors, class items and archetypes from documents, IDs, names, slugs or class tags
+ * - Listing available and applied archetypes
+ * - Previewing, checking, applying and removing archetypes without opening any dialog
+ *
+ * Every call resolves to a plain result object and never shows a notification.
+ * Failures are reported as { success: false, error: { code, message } } where code is one of
+ * ACTOR_NOT_FOUND, CLASS_NOT_FOUND, ARCHETYPE_NOT_FOUND, AMBIGUOUS, CONFLICT,
+ * PERMISSION_DENIED, INVALID, UNRESOLVED, PARSE_FAILED, STALE_PLAN, CANCELLED or FAILED.
+ * Compendium and parse errors are reported as PARSE_FAILED rather than rejecting.
+ */
+
+import { MODULE_ID, debugLog } from './module.mjs';
+import { CompendiumParser } from './compendium-parser.mjs';
+import { DiffEngine } from './diff-engine.mjs';
+import { ConflictChecker } from './conflict-checker.mjs';
+import { CompatibilityDB } from './compatibility-db.mjs';
+import { Applicator } from './applicator.mjs';
+
+export class ArchetypeAPI {
+  /**
+   * Apply an archetype to one of an actor's classes
+   * @param {Actor|string} actorRef - Actor document, ID or name
+   * @param {Item|string|null} classRef - Class item, ID, name or tag (optional if the actor has one class)
+   * @param {object|string} archetypeRef - Archetype slug or name, or already-parsed archetype data
+   * @param {object} [options]
+   * @param {boolean} [options.dryRun] - Return the plan instead of applying it
+   * @param {boolean} [options.force] - Skip the stacking conflict check
+   * @param {boolean} [options.markAdditive] - In strict mode, apply unresolved features as additive
+   *   (recorded with the applied data) instead of refusing with UNRESOLVED
+   * @returns {Promise<object>} { success, archetype, classItem, diff, plan? } or { success: false, error }
+   */
+  static async apply(actorRef, classRef, archetypeRef, options = {}) {
+    const ctx = await this._prepare(actorRef, classRef, archetypeRef);
+    if (ctx.error) return ctx;
+    const { actor, classItem, parsed } = ctx;
+    let diff = ctx.diff;
+
+    // Strict mode: unresolved features block the apply unless the caller accepts them as additive
+    const unresolved = game.settings.get(MODULE_ID, 'strictMode')
+      ? parsed.features.filter(feature => CompendiumParser.isUnresolved(feature))
+      : [];
+    if (unresolved.length > 0) {
+      if (!options.markAdditive) {
+        return this._error('UNRESOLVED', `${parsed.name} has unresolved features: ${unresolved.map(f => f.name).join(', ')}`);
+      }
+      parsed.features.forEach((feature, i) => {
+        if (CompendiumParser.isUnresolved(feature)) CompendiumParser.markAdditive(parsed, i);
+      });
+      try {
+        const resolved = await CompendiumParser.resolveAssociations(classItem.system?.links?.classAssociations || []);
+        diff = DiffEngine.generateDiff(resolved, parsed, classItem.name);
+      } catch (error) {
+        return this._parseFailed(parsed.name, error);
+      }
+    }
+
+    if (!options.force) {
+      // An archetype that is already applied is rejected by the plan below, not as a conflict
+      const applied = Applicator.getAppliedArchetypeData(classItem).filter(a => a.slug !== parsed.slug);
+      const validation = ConflictChecker.validateStacking([...applied, parsed], classItem.name);
+      if (!validation.valid) {
+        return {
+          ...this._error('CONFLICT', `${parsed.name} conflicts with an applied archetype over ${validation.conflicts.map(c => c.reason || c.featureName).join(', ')}`),
+          conflicts: validation.conflicts
+        };
+      }
+    }
+
+    const plan = await Applicator.planApply(actor, classItem, parsed, diff);
+    if (!plan.valid) return this._error('INVALID', plan.error.message);
+
+    const result = options.dryRun ? { success: true, plan } : await Applicator.executePlan(actor, classItem, plan);
+    if (!result.success) return result;
+
+    debugLog(`${MODULE_ID} | API: ${options.dryRun ? 'planned' : 'applied'} ${parsed.slug} on ${actor.name} (${classItem.name})`);
+    return { ...result, ...this._describe(classItem, parsed), diff };
+  }
+
+  /**
+   * Remove an applied archetype from one of an actor's classes
+   * @param {Actor|string} actorRef - Actor document, ID or name
+   * @param {Item|string|null} classRef - Class item, ID, name or tag (optional if only one class has archetypes)
+   * @param {string} archetypeRef - Applied archetype slug or name
+   * @param {object} [options]
+   * @param {boolean} [options.dryRun] - Return the plan instead of removing
+   * @returns {Promise<object>} { success, archetype, classItem, plan? } or { success: false, error }
+   */
+  static async remove(actorRef, classRef, archetypeRef, options = {}) {
+    const actor = this._resolveActor(actorRef);
+    if (!actor) return this._error('ACTOR_NOT_FOUND', `No actor matches "${this._refLabel(actorRef)}"`);
+
+    const classResult = this._resolveClass(actor, classRef, { appliedOnly: true });
+    if (classResult.error) return classResult;
+    const classItem = classResult.classItem;
+
+    const appliedResult = this._resolveApplied(classItem, archetypeRef);
+    if (appliedResult.error) return appliedResult;
+    const archetype = appliedResult.archetype;
+
+    const plan = await Applicator.planRemove(actor, classItem, archetype.slug);
+    if (!plan.valid) return this._error('INVALID', plan.error.message);
+
+    const result = options.dryRun ? { success: true, plan } : await Applicator.executePlan(actor, classItem, plan);
+    if (!result.success) return result;
+
+    debugLog(`${MODULE_ID} | API: ${options.dryRun ? 'planned removal of' : 'removed'} ${archetype.slug} on ${actor.name} (${classItem.name})`);
+    return { ...result, ...this._describe(classItem, archetype) };
+  }
+
+  /**
+   * List the archetypes that can be applied to one of an actor's classes
+   * @param {Actor|string} actorRef - Actor document, ID or name
+   * @param {Item|string|null} classRef - Class item, ID, name or tag (optional if the actor has one class)
+   * @returns {Promise<object>} { success, classItem, archetypes: Array<{ slug, name, source, class, applied }> }
+   */
+  static async listAvailable(actorRef, classRef) {
+    const actor = this._resolveActor(actorRef);
+    if (!actor) return this._error('ACTOR_NOT_FOUND', `No actor matches "${this._refLabel(actorRef)}"`);
+
+    const classResult = this._resolveClass(actor, classRef);
+    if (classResult.error) return classResult;
+    const classItem = classResult.classItem;
+
+    const applied = classItem.getFlag(MODULE_ID, 'archetypes') || [];
+    let list;
+    try {
+      list = await CompendiumParser.loadClassArchetypes(classItem, { quiet: true });
+    } catch (error) {
+      return this._parseFailed(`the ${classItem.name} archetypes`, error);
+    }
+    return {
+      success: true,
+      classItem: this._describeClass(classItem),
+      archetypes: list.map(a => ({
+        slug: a.slug,
+        name: a.name,
+        source: a.source,
+        class: a.class,
+        applied: applied.includes(a.slug)
+      }))
+    };
+  }
+
+  /**
+   * List the archetypes applied to each of an actor's classes
+   * @param {Actor|string} actorRef - Actor document, ID or name
+   * @returns {object} { success, classes: Array<{ id, name, tag, archetypes: Array<{ slug, name }> }> }
+   */
+  static listApplied(actorRef) {
+    const actor = this._resolveActor(actorRef);
+    if (!actor) return this._error('ACTOR_NOT_FOUND', `No actor matches "${this._refLabel(actorRef)}"`);
+
+    const classes = this._classItems(actor).map(classItem => {
+      const stored = classItem.getFlag(MODULE_ID, 'appliedArchetypeData') || {};
+      const slugs = classItem.getFlag(MODULE_ID, 'archetypes') || [];
+      return {
+        ...this._describeClass(classItem),
+        archetypes: slugs.map(slug => ({ slug, name: stored[slug]?.name || this._displayName(slug) }))
+      };
+    });
+    return { success: true, classes };
+  }
+
+  /**
+   * Compute the diff an archetype would produce on a class, without modifying anything
+   * @param {Actor|string} actorRef - Actor document, ID or name
+   * @param {Item|string|null} classRef - Class item, ID, name or tag (optional if the actor has one class)
+   * @param {object|string} archetypeRef - Archetype slug or name, or already-parsed archetype data
+   * @returns {Promise<object>} { success, archetype, classItem, diff, parsed }
+   */
+  static async preview(actorRef, classRef, archetypeRef) {
+    const ctx = await this._prepare(actorRef, classRef, archetypeRef);
+    if (ctx.error) return ctx;
+    return { success: true, ...this._describe(ctx.classItem, ctx.parsed), diff: ctx.diff, parsed: ctx.parsed };
+  }
+
+  /**
+   * Check whether archetypes can be stacked on a class, together with those already applied
+   * @param {Actor|string} actorRef - Actor document, ID or name
+   * @param {Item|string|null} classRef - Class item, ID, name or tag (optional if the actor has one class)
+   * @param {Array<object|string>|object|string} archetypeRefs - One or more archetype references
+   * @returns {Promise<object>} { success, compatible, conflicts, conflictPairs }
+   */
+  static async checkCompatibility(actorRef, classRef, archetypeRefs) {
+    const actor = this._resolveActor(actorRef);
+    if (!actor) return this._error('ACTOR_NOT_FOUND', `No actor matches "${this._refLabel(actorRef)}"`);
+
+    const classResult = this._resolveClass(actor, classRef);
+    if (classResult.error) return classResult;
+    const classItem = classResult.classItem;
+
+    await this._loadCompatibilityDB();
+    const refs = Array.isArray(archetypeRefs) ? archetypeRefs : [archetypeRefs];
+    const parsedList = [];
+    for (const ref of refs) {
+      let parsed;
+      try {
+        parsed = await this._resolveParsed(classItem, ref, actor);
+      } catch (error) {
+        return this._parseFailed(`"${this._refLabel(ref)}"`, error);
+      }
+      if (parsed.error) return parsed;
+      parsedList.push(parsed.parsed);
+    }
+
+    const applied = Applicator.getAppliedArchetypeData(classItem);
+    const validation = ConflictChecker.validateStacking([...applied, ...parsedList], classItem.name);
+    return {
+      success: true,
+      compatible: validation.valid,
+      conflicts: validation.conflicts,
+      conflictPairs: validation.conflictPairs
+    };
+  }
+
+  /**
+   * Resolve actor, class and archetype, parse the archetype and diff it against the class
+   * @private
+   */
+  static async _prepare(actorRef, classRef, archetypeRef) {
+    const actor = this._resolveActor(actorRef);
+    if (!actor) return this._error('ACTOR_NOT_FOUND', `No actor matches "${this._refLabel(actorRef)}"`);
+
+    const classResult = this._resolveClass(actor, classRef);
+    if (classResult.error) return classResult;
+    const classItem = classResult.classItem;
+
+    await this._loadCompatibilityDB();
+    try {
+      const parsedResult = await this._resolveParsed(classItem, archetypeRef, actor);
+      if (parsedResult.error) return parsedResult;
+      const parsed = parsedResult.parsed;
+
+      const resolved = await CompendiumParser.resolveAssociations(classItem.system?.links?.classAssociations || []);
+      const diff = DiffEngine.generateDiff(resolved, parsed, classItem.name);
+      return { actor, classItem, parsed, diff };
+    } catch (error) {
+      return this._parseFailed(`"${this._refLabel(archetypeRef)}"`, error);
+    }
+  }
+
+  /**
+   * Resolve an archetype reference to parsed archetype data for a class, with the actor's own fixes
+   * @private
+   */
+  static async _resolveParsed(classItem, archetypeRef, actor = null) {
+    // Already-parsed data (e.g., from a previous preview) is used as given, but copied so
+    // that marking features additive in strict mode never changes the caller's object
+    if (archetypeRef && typeof archetypeRef === 'object' && Array.isArray(archetypeRef.features)) {
+      return { parsed: foundry.utils.deepClone(archetypeRef) };
+    }
+
+    const list = await CompendiumParser.loadClassArchetypes(classItem, { quiet: true });
+    const matches = this._matchArchetypes(list, archetypeRef);
+    if (matches.length === 0) {
+      return this._error('ARCHETYPE_NOT_FOUND', `No ${classItem.name} archetype matches "${this._refLabel(archetypeRef)}"`);
+    }
+    if (matches.length > 1) {
+      return {
+        ...this._error('AMBIGUOUS', `"${this._refLabel(archetypeRef)}" matches several archetypes: ${matches.map(a => a.name).join(', ')}`),
+        candidates: matches.map(a => ({ slug: a.slug, name: a.name, source: a.source }))
+      };
+    }
+
+    const baseAssociations = classItem.system?.links?.classAssociations || [];
+    const parsed = await CompendiumParser.parseArchetypeOnDemand(matches[0], baseAssociations, classItem.name.toLowerCase(), actor, { quiet: true });
+    return { parsed };
+  }
+
+  /**
+   * Resolve an actor reference: an Actor document, an actor ID or an actor name
+   * @private
+   */
+  static _resolveActor(actorRef) {
+    if (!actorRef) return null;
+    if (typeof actorRef === 'object') return actorRef.items ? actorRef : null;
+
+    const actors = [...(game.actors ?? [])];
+    return actors.find(a => a.id === actorRef)
+      ?? actors.find(a => a.name === actorRef)
+      ?? actors.find(a => a.name?.toLowerCase() === String(actorRef).toLowerCase())
+      ?? null;
+  }
+
+  /**
+   * Resolve a class reference on an actor: a class Item, an item ID, a class name or tag.
+   * When no reference is given, the actor's only class (or, with appliedOnly, its only
+   * class with archetypes applied) is used.
+   * @private
+   */
+  static _resolveClass(actor, classRef, { appliedOnly = false } = {}) {
+    const classItems = this._classItems(actor);
+
+    if (!classRef) {
+      const candidates = appliedOnly
+        ? classItems.filter(c => (c.getFlag(MODULE_ID, 'archetypes') || []).length > 0)
+        : classItems;
+      if (candidates.length === 1) return { classItem: candidates[0] };
+      if (candidates.length === 0) return this._error('CLASS_NOT_FOUND', `${actor.name} has no matching class`);
+      return {
+        ...this._error('AMBIGUOUS', `${actor.name} has several classes; specify one`),
+        candidates: candidates.map(c => this._describeClass(c))
+      };
+    }
+
+    if (typeof classRef === 'object') {
+      const classItem = classItems.find(c => c.id === classRef.id);
+      return classItem ? { classItem } : this._error('CLASS_NOT_FOUND', `${classRef.name} is not a class on ${actor.name}`);
+    }
+
+    const key = this._normalize(classRef);
+    const classItem = classItems.find(c => c.id === classRef)
+      ?? classItems.find(c => this._normalize(c.name) === key)
+      ?? classItems.find(c => c.system?.tag && this._normalize(c.system.tag) === key);
+    return classItem ? { classItem } : this._error('CLASS_NOT_FOUND', `${actor.name} has no class matching "${classRef}"`);
+  }
+
+  /**
+   * Resolve a reference to an archetype applied to a class
+   * @private
+   */
+  static _resolveApplied(classItem, archetypeRef) {
+    const stored = classItem.getFlag(MODULE_ID, 'appliedArchetypeData') || {};
+    const applied = (classItem.getFlag(MODULE_ID, 'archetypes') || []).map(slug => ({
+      slug,
+      name: stored[slug]?.name || this._displayName(slug)
+    }));
+
+    const ref = typeof archetypeRef === 'object' ? archetypeRef?.slug : archetypeRef;
+    const matches = this._matchArchetypes(applied, ref);
+    if (matches.length === 1) return { archetype: matches[0] };
+    if (matches.length > 1) {
+      return {
+        ...this._error('AMBIGUOUS', `"${ref}" matches several applied archetypes: ${matches.map(a => a.name).join(', ')}`),
+        candidates: matches
+      };
+    }
+    return this._error('ARCHETYPE_NOT_FOUND', `No archetype matching "${this._refLabel(ref)}" is applied to ${classItem.name}`);
+  }
+
+  /**
+   * Find archetypes matching a slug or name. An exact slug match wins; otherwise names are
+   * compared case-insensitively, both in full ("Fighter (Two-Handed Fighter)") and by the
+   * short name in parentheses ("Two-Handed Fighter").
+   * @private
+   */
+  static _matchArchetypes(list, ref) {
+    if (!ref || typeof ref !== 'string') return [];
+
+    const exactSlug = list.filter(a => a.slug === ref);
+    if (exactSlug.length > 0) return exactSlug;
+
+    const key = this._normalize(ref);
+    return list.filter(a => {
+      const shortName = a.name?.match(/\((.+?)\)\s*$/)?.[1];
+      return this._normalize(a.slug) === key
+        || this._normalize(a.name) === key
+        || (shortName && this._normalize(shortName) === key);
+    });
+  }
+
+  /**
+   * Normalize a name, slug or tag for comparison ("Two-Handed Fighter" -> "twohandedfighter")
+   * @private
+   */
+  static _normalize(value) {
+    return String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * @private
+   */
+  static _classItems(actor) {
+    return (actor.items?.filter?.(i => i.type === 'class')) ?? [];
+  }
+
+  /**
+   * Load the compatibility database for conflict checks (continues without it on failure)
+   * @private
+   */
+  static async _loadCompatibilityDB() {
+    try {
+      await CompatibilityDB.load();
+    } catch (e) {
+      console.warn(`${MODULE_ID} | CompatibilityDB load failed, continuing without DB:`, e);
+    }
+  }
+
+  /**
+   * @private
+   */
+  static _describe(classItem, archetype) {
+    return {
+      archetype: { slug: archetype.slug, name: archetype.name },
+      classItem: this._describeClass(classItem)
+    };
+  }
+
+  /**
+   * @private
+   */
+  static _describeClass(classItem) {
+    return { id: classItem.id, name: classItem.name, tag: classItem.system?.tag || '' };
+  }
+
+  /**
+   * @private
+   */
+  static _displayName(slug) {
+    return slug.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+  }
+
+  /**
+   * @private
+   */
+  static _refLabel(ref) {
+    if (ref && typeof ref === 'object') return ref.name ?? ref.slug ?? ref.id ?? '';
+    return String(ref ?? '');
+  }
+
+  /**
+   * @private
+   */
+  static _error(code, message) {
+    return { success: false, error: { code, message } };
+  }
+
+  /**
+   * Report a compendium or parse exception as a PARSE_FAILED result
+   * @private
+   */
+  static _parseFailed(what, error) {
+    console.error(`${MODULE_ID} | API: failed to load or parse ${what}:`, error);
+    return this._error('PARSE_FAILED', `Failed to load or parse ${what}: ${error?.message ?? error}`);
+  }
+}
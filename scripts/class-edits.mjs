@@ -0,0 +1,334 @@
+/**
+ * ClassEdits - Archetype edits to class item fields outside classAssociations
+ *
+ * Handles:
+ * - Normalizing the classEdits, spellcasting and chassis blocks archetype data can declare (JE entries and fixes)
+ * - Capturing the editable class fields (class skills, proficiencies, casting, hit die, BAB, saves, skill ranks)
+ * - Applying a stack of archetype edits on top of a backup of those fields
+ * - Describing edits for the preview dialog
+ *
+ * A classEdits block looks like:
+ *   {
+ *     "classSkills": { "add": ["kna"], "remove": ["dip"] },
+ *     "armorProf": { "remove": ["hvy"] },
+ *     "weaponProf": { "add": ["Longsword"] }
+ *   }
+ * Proficiency values that are PF1 codes (lgt, med, hvy, shl, twr, sim, mar) edit the
+ * standard list; anything else edits the custom proficiency list.
+ *
+ * A spellcasting block looks like:
+ *   {
+ *     "casting": { "ability": "wis", "progression": "low" },
+ *     "spellbook": { "castPerDayAllOffsetFormula": "-1" },
+ *     "diminished": true
+ *   }
+ * casting fields are merged into the class item's system.casting; spellbook fields (dotted
+ * paths allowed) are set on the actor's spellbook linked to the class. "diminished" is
+ * shorthand for one fewer spell per day of each level.
+ *
+ * A chassis block overrides the class's core progression:
+ *   {
+ *     "hd": 10,
+ *     "bab": "high",
+ *     "savingThrows": { "fort": "high", "will": "low" },
+ *     "skillsPerLevel": 4
+ *   }
+ * bab is "high", "med" or "low"; saves are "high" or "low". Omitted values are left unchanged.
+ */
+
+export class ClassEdits {
+  /**
+   * Class item system fields archetypes may edit
+   */
+  static FIELDS = ['classSkills', 'armorProf', 'weaponProf', 'casting', 'hd', 'bab', 'savingThrows', 'skillsPerLevel'];
+
+  /**
+   * Fields a classEdits block edits with add/remove lists
+   */
+  static LIST_FIELDS = ['classSkills', 'armorProf', 'weaponProf'];
+
+  /**
+   * Standard PF1 proficiency codes per proficiency field
+   */
+  static PROFICIENCY_CODES = {
+    armorProf: ['lgt', 'med', 'hvy', 'shl', 'twr'],
+    weaponProf: ['sim', 'mar']
+  };
+
+  /**
+   * Accepted spellings of PF1 BAB and save progressions
+   */
+  static BAB_VALUES = { high: 'high', full: 'high', med: 'med', medium: 'med', low: 'low', poor: 'low' };
+  static SAVE_VALUES = { high: 'high', good: 'high', low: 'low', poor: 'low' };
+  static SAVES = ['fort', 'ref', 'will'];
+
+  /**
+   * Normalize a classEdits block: unknown fields are dropped and single values become arrays
+   * @param {object} edits - Raw classEdits from archetype data
+   * @returns {object|null} { field: { add: [], remove: [] } }, or null if nothing is edited
+   */
+  static normalize(edits) {
+    if (!edits || typeof edits !== 'object') return null;
+
+    const toList = v => (Array.isArray(v) ? v : (v ? [v] : []))
+      .map(s => String(s).trim())
+      .filter(Boolean);
+
+    const normalized = {};
+    for (const field of this.LIST_FIELDS) {
+      const add = toList(edits[field]?.add);
+      const remove = toList(edits[field]?.remove);
+      if (add.length > 0 || remove.length > 0) normalized[field] = { add, remove };
+    }
+    return Object.keys(normalized).length > 0 ? normalized : null;
+  }
+
+  /**
+   * Capture the editable fields of a class item
+   * @param {Item} classItem - The class item document
+   * @returns {object} Values keyed by FIELDS (deep-cloned; missing fields are null)
+   */
+  static capture(classItem) {
+    const values = {};
+    for (const field of this.FIELDS) {
+      values[field] = classItem.system?.[field] ?? null;
+    }
+    return foundry.utils.deepClone(values);
+  }
+
+  /**
+   * Apply one archetype's edits to captured field values
+   * @param {object} values - Values from capture()
+   * @param {object} edits - classEdits block (raw or normalized)
+   * @returns {object} New values (the input is not modified)
+   */
+  static apply(values, edits) {
+    const result = foundry.utils.deepClone(values);
+    const normalized = this.normalize(edits);
+    if (!normalized) return result;
+
+    for (const [field, { add, remove }] of Object.entries(normalized)) {
+      if (field === 'classSkills') {
+        const skills = { ...(result.classSkills || {}) };
+        for (const skill of remove) skills[skill] = false;
+        for (const skill of add) skills[skill] = true;
+        result.classSkills = skills;
+      } else {
+        result[field] = this._editProficiencies(result[field], field, add, remove);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Apply everything a parsed archetype declares for the class item fields:
+   * its classEdits, the casting part of its spellcasting block and its chassis overrides
+   * @param {object} values - Values from capture()
+   * @param {object} parsedArchetype - Parsed archetype data
+   * @returns {object} New values (the input is not modified)
+   */
+  static applyArchetype(values, parsedArchetype) {
+    const result = this.apply(values, parsedArchetype?.classEdits);
+    const casting = this.normalizeSpellcasting(parsedArchetype?.spellcasting)?.casting;
+    if (casting) result.casting = { ...(result.casting || {}), ...casting };
+
+    const chassis = this.normalizeChassis(parsedArchetype?.chassis);
+    if (chassis) {
+      for (const field of ['hd', 'bab', 'skillsPerLevel']) {
+        if (field in chassis) result[field] = chassis[field];
+      }
+      if (chassis.savingThrows) {
+        const saves = foundry.utils.deepClone(result.savingThrows || {});
+        for (const [save, value] of Object.entries(chassis.savingThrows)) {
+          saves[save] = { ...(saves[save] || {}), value };
+        }
+        result.savingThrows = saves;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Normalize a chassis block: values are validated and spelled the way PF1 stores them
+   * @param {object} chassis - Raw chassis block from archetype data
+   * @returns {object|null} { hd?, bab?, savingThrows?, skillsPerLevel? }, or null if nothing changes
+   */
+  static normalizeChassis(chassis) {
+    if (!chassis || typeof chassis !== 'object') return null;
+
+    const normalized = {};
+    const hd = parseInt(String(chassis.hd ?? '').replace(/^d/i, ''), 10);
+    if (hd > 0) normalized.hd = hd;
+
+    const bab = this.BAB_VALUES[String(chassis.bab ?? '').toLowerCase()];
+    if (bab) normalized.bab = bab;
+
+    const saves = {};
+    for (const save of this.SAVES) {
+      const value = this.SAVE_VALUES[String(chassis.savingThrows?.[save] ?? '').toLowerCase()];
+      if (value) saves[save] = value;
+    }
+    if (Object.keys(saves).length > 0) normalized.savingThrows = saves;
+
+    const skills = parseInt(chassis.skillsPerLevel, 10);
+    if (skills >= 0) normalized.skillsPerLevel = skills;
+
+    return Object.keys(normalized).length > 0 ? normalized : null;
+  }
+
+  /**
+   * Normalize a spellcasting block, expanding the "diminished" shorthand
+   * @param {object} spellcasting - Raw spellcasting block from archetype data
+   * @returns {object|null} { casting, spellbook } (either may be null), or null if nothing changes
+   */
+  static normalizeSpellcasting(spellcasting) {
+    if (!spellcasting || typeof spellcasting !== 'object') return null;
+
+    const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+    const casting = isObject(spellcasting.casting) && Object.keys(spellcasting.casting).length > 0
+      ? { ...spellcasting.casting }
+      : null;
+    const spellbook = isObject(spellcasting.spellbook) ? { ...spellcasting.spellbook } : {};
+    if (spellcasting.diminished && !('castPerDayAllOffsetFormula' in spellbook)) {
+      spellbook.castPerDayAllOffsetFormula = '-1';
+    }
+
+    if (!casting && Object.keys(spellbook).length === 0) return null;
+    return { casting, spellbook: Object.keys(spellbook).length > 0 ? spellbook : null };
+  }
+
+  /**
+   * Rebuild field values by applying each archetype's edits to the backup, in order
+   * @param {object} backup - Values captured before any archetype was applied
+   * @param {Array<object>} parsedList - Parsed archetypes (with optional classEdits)
+   * @returns {object} The rebuilt values
+   */
+  static rebuild(backup, parsedList) {
+    let values = foundry.utils.deepClone(backup);
+    for (const parsed of parsedList) {
+      if (parsed) values = this.applyArchetype(values, parsed);
+    }
+    return values;
+  }
+
+  /**
+   * Describe an archetype's edits as readable lines for the preview
+   * @param {object} edits - classEdits block
+   * @returns {Array<string>} e.g. ["Armor proficiencies: removes hvy"]
+   */
+  static describe(edits) {
+    const labels = {
+      classSkills: 'Class skills',
+      armorProf: 'Armor proficiencies',
+      weaponProf: 'Weapon proficiencies'
+    };
+    const normalized = this.normalize(edits);
+    if (!normalized) return [];
+
+    return Object.entries(normalized).map(([field, { add, remove }]) => {
+      const parts = [];
+      if (add.length > 0) parts.push(`adds ${add.join(', ')}`);
+      if (remove.length > 0) parts.push(`removes ${remove.join(', ')}`);
+      return `${labels[field]}: ${parts.join('; ')}`;
+    });
+  }
+
+  /**
+   * Describe an archetype's spellcasting changes as readable lines for the preview
+   * @param {object} spellcasting - spellcasting block
+   * @returns {Array<string>} e.g. ["Spells per day: -1 per spell level"]
+   */
+  static describeSpellcasting(spellcasting) {
+    const castingLabels = {
+      type: 'Casting type',
+      progression: 'Spell progression',
+      ability: 'Casting ability',
+      spells: 'Spell type',
+      cantrips: 'Cantrips',
+      domainSlots: 'Domain slots'
+    };
+    const spellbookLabels = {
+      ability: 'Spellbook ability',
+      class: 'Spell list',
+      kind: 'Spell type',
+      spellPreparationMode: 'Preparation',
+      casterType: 'Caster progression',
+      castPerDayAllOffsetFormula: 'Spells per day',
+      preparedAllOffsetFormula: 'Spells prepared',
+      domainSlotValue: 'Domain slots'
+    };
+    const normalized = this.normalizeSpellcasting(spellcasting);
+    if (!normalized) return [];
+
+    const lines = [];
+    for (const [key, value] of Object.entries(normalized.casting || {})) {
+      lines.push(`${castingLabels[key] || key}: ${value}`);
+    }
+    for (const [path, value] of Object.entries(normalized.spellbook || {})) {
+      const shown = path.endsWith('OffsetFormula') ? `${value} per spell level` : value;
+      lines.push(`${spellbookLabels[path] || path}: ${shown}`);
+    }
+    return lines;
+  }
+
+  /**
+   * Compare a chassis block against current class values for the preview
+   * @param {object} chassis - chassis block
+   * @param {object|null} values - Values from capture() (null when the class item is unknown)
+   * @returns {Array<object>} [{ label, before, after }] for each overridden value
+   */
+  static describeChassis(chassis, values) {
+    const progression = { high: 'High', med: 'Medium', low: 'Low' };
+    const normalized = this.normalizeChassis(chassis);
+    if (!normalized) return [];
+
+    const rows = [];
+    const push = (label, before, after) => rows.push({ label, before: before ?? '—', after });
+    if ('hd' in normalized) push('Hit Die', values?.hd ? `d${values.hd}` : null, `d${normalized.hd}`);
+    if ('bab' in normalized) push('Base Attack Bonus', progression[values?.bab] ?? values?.bab, progression[normalized.bab]);
+    for (const [save, value] of Object.entries(normalized.savingThrows || {})) {
+      const before = values?.savingThrows?.[save]?.value;
+      push(`${save.charAt(0).toUpperCase()}${save.slice(1)} Save`, progression[before] ?? before, progression[value]);
+    }
+    if ('skillsPerLevel' in normalized) push('Skill Ranks per Level', values?.skillsPerLevel, normalized.skillsPerLevel);
+    return rows;
+  }
+
+  /**
+   * Edit a PF1 proficiency field. Supports both { value, custom } and { base, custom }
+   * layouts, with custom as an array or a semicolon-separated string.
+   * @private
+   */
+  static _editProficiencies(prof, field, add, remove) {
+    const result = foundry.utils.deepClone(prof || {});
+    const listKey = Array.isArray(result.base) ? 'base' : 'value';
+    const codes = this.PROFICIENCY_CODES[field] || [];
+    const customIsString = typeof result.custom === 'string';
+
+    let list = [...(result[listKey] || [])];
+    let custom = customIsString
+      ? result.custom.split(';').map(s => s.trim()).filter(Boolean)
+      : [...(result.custom || [])];
+
+    const isCode = v => codes.includes(v.toLowerCase());
+    const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+    for (const entry of remove) {
+      if (isCode(entry)) list = list.filter(v => !same(v, entry));
+      else custom = custom.filter(v => !same(v, entry));
+    }
+    for (const entry of add) {
+      if (isCode(entry)) {
+        if (!list.some(v => same(v, entry))) list.push(entry.toLowerCase());
+      } else if (!custom.some(v => same(v, entry))) {
+        custom.push(entry);
+      }
+    }
+
+    result[listKey] = list;
+    if (custom.length > 0 || result.custom !== undefined) {
+      result.custom = customIsString ? custom.join(';') : custom;
+    }
+    return result;
+  }
+}
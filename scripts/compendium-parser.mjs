@@ -3,11 +3,16 @@
  *
  * Handles:
  * - Loading archetype list and features from compendium packs
+ * - Listing the archetypes available to a class and parsing one of them on demand
  * - Regex parsing of level, replaces, modifies patterns from descriptions
+ * - Ordered, extensible recognition rules for replacement and modification wording
+ * - Splitting compound "replaces X, Y, and Z" targets into individual targets
+ * - Reading level-specific targets ("the 6th-level hex") as (name, level) pairs
  * - Feature name normalization for fuzzy matching
  * - UUID resolution for classAssociations entries
  * - Matching parsed text to classAssociations entries
  * - Merging JournalEntry fixes over automatic parse results
+ * - Reading and writing fixes scoped to the world, one actor or the current session
  */
 
 import { MODULE_ID, debugLog } from './module.mjs';
@@ -22,6 +27,71 @@ export class CompendiumParser {
   static MODIFIES_REGEX = /modif(?:y|ies|ying)\s+(.+?)\./i;
   static AS_BUT_REGEX = /as the .+? (?:class feature|ability),?\s+but/i;
 
+  /**
+   * Built-in recognition rules, tried in order; the first rule that matches classifies the
+   * feature. Each pattern captures the affected base feature in group 1. Rules with
+   * requiresMatch only apply when the captured text names one of the class's features
+   * (exactly or after normalization, not as a mere substring), since words like "loses" and "changes" also appear in ordinary rules text.
+   */
+  static BUILT_IN_RULES = [
+    { id: 'replaces', type: 'replacement', label: 'replaces X', pattern: this.REPLACES_REGEX },
+    { id: 'in-place-of', type: 'replacement', label: 'in place of X', pattern: /\bin place of\s+(.+?)(?:,\s+(?:he|she|it|they|the|a|an|this)\b|\.)/i, requiresMatch: true },
+    { id: 'instead-of', type: 'replacement', label: 'instead of X', pattern: /\binstead of\s+(.+?)(?:,\s+(?:he|she|it|they|the|a|an|this)\b|\.)/i, requiresMatch: true },
+    { id: 'loses', type: 'replacement', label: 'loses X', pattern: /\bloses?\s+(.+?)\./i, requiresMatch: true },
+    { id: 'modifies', type: 'modification', label: 'modifies X', pattern: this.MODIFIES_REGEX },
+    { id: 'alters', type: 'modification', label: 'alters X', pattern: /\balter(?:s|ing)?\s+(.+?)\./i, requiresMatch: true },
+    { id: 'changes', type: 'modification', label: 'changes X', pattern: /\bchang(?:e|es|ing)\s+(.+?)\./i, requiresMatch: true },
+    { id: 'functions-as-except', type: 'modification', label: 'functions as X except', pattern: /\bfunctions?\s+(?:as|like)\s+(.+?),?\s+except\b/i },
+    { id: 'as-but', type: 'modification', label: 'as the X class feature, but', pattern: /\bas the (.+? (?:class feature|ability)),?\s+but\b/i }
+  ];
+
+  // How far each matchTarget pass is trusted; a match with close alternatives counts for less
+  static MATCH_CONFIDENCE = { exact: 1, normalized: 0.9, partial: 0.5 };
+  static AMBIGUOUS_MATCH_FACTOR = 0.8;
+
+  // Matched features scoring below this are shown as low-confidence and can be re-prompted
+  static LOW_CONFIDENCE = 0.6;
+
+  // Rules registered by modules or world scripts, and rules read from the JE config page
+  static _registeredRules = [];
+  static _journalRules = [];
+  // The journal rules are read once and then only when the config page changes (see module.mjs)
+  static _journalRulesLoaded = false;
+
+  // Where a fix can be saved: the JE fixes section, the actor's flags, or memory until reload.
+  // parseArchetype uses the most specific one that has a fix for a feature.
+  static FIX_SCOPES = ['world', 'actor', 'session'];
+  // Session fixes are kept per actor (keyed by actor id, '' without one) so they never leak onto other actors
+  static _sessionFixes = {};
+
+  // Separators between the targets of one "replaces X, Y, and Z" sentence
+  static TARGET_SEPARATOR_REGEX = /\s*,\s*(?:(?:and|as well as)\s+)?|\s+(?:and|as well as)\s+/i;
+  // Base class feature names that contain "and" themselves
+  static COMPOUND_NAME_REGEX = /weapon and armor proficienc(?:y|ies)/gi;
+
+  // Targets named by the level they are gained at: "the 6th-level hex", "bonus feat gained at 4th level"
+  static LEVEL_PREFIX_REGEX = /^(?:the\s+)?(\d+)(?:st|nd|rd|th)?[-\s]level\s+(.+)$/i;
+  // "weapon training 2-4", "armor training II through IV"
+  static TIER_RANGE_REGEX = /^(.+?)\s+(\d+|[ivx]+)\s*(?:-|\u2013|\u2014|\s(?:through|to)\s)\s*(\d+|[ivx]+)$/i;
+  // "sneak attack at 3rd, 7th and 11th level"
+  static LEVEL_LIST_REGEX = /^(.*\bat\s+)(\d+(?:st|nd|rd|th)(?:\s*,\s*(?:and\s+)?\d+(?:st|nd|rd|th)|\s+and\s+\d+(?:st|nd|rd|th))+)\s+levels?$/i;
+  static LEVEL_SUFFIX_REGEX = /^(?:the\s+)?(.+?)\s+(?:(?:gained|granted|received|obtained|acquired)\s+)?at\s+(?:(\d+)(?:st|nd|rd|th)\s+level|level\s+(\d+))$/i;
+  static ORDINAL_WORDS = [
+    'first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth',
+    'eleventh', 'twelfth', 'thirteenth', 'fourteenth', 'fifteenth', 'sixteenth', 'seventeenth',
+    'eighteenth', 'nineteenth', 'twentieth'
+  ];
+
+  // Level phrases in the opening sentence, used when the "Level:" marker is missing:
+  // "At 3rd level", "Starting at 5th level", "upon reaching 7th level", "at 5th, 9th and 13th levels"
+  static PROSE_LEVEL_REGEX = /\b(?:at|reaching|reaches|reached)\s+((?:\d+(?:st|nd|rd|th)(?:\s*,\s*(?:and\s+)?|\s+and\s+))*\d+(?:st|nd|rd|th))\s+levels?\b|\bat\s+level\s+(\d+)\b/i;
+  // "... and again at 10th and 15th level"
+  static PROSE_AGAIN_REGEX = /\bagain\s+at\s+((?:\d+(?:st|nd|rd|th)(?:\s*,\s*(?:and\s+)?|\s+and\s+))*\d+(?:st|nd|rd|th))\s+levels?\b/gi;
+  // "... and every 4 levels thereafter", "every other level after that"
+  static PROSE_REPEAT_REGEX = /\bevery\s+(\d+|other|two|three|four|five|six)\s+levels?\s+(?:thereafter|after\s+that|afterward|beyond\s+that)\b/i;
+  static CARDINAL_WORDS = { other: 2, two: 2, three: 3, four: 4, five: 5, six: 6 };
+  static MAX_LEVEL = 20;
+
   /**
    * Get the configured compendium source module ID
    * @returns {string} The module ID for archetype data packs
@@ -46,9 +116,11 @@ export class CompendiumParser {
 
   /**
    * Load the archetype list from the compendium
+   * @param {object} [options]
+   * @param {boolean} [options.quiet] - Throw on failure instead of showing a notification (for the scripting API)
    * @returns {Array} List of archetype documents
    */
-  static async loadArchetypeList() {
+  static async loadArchetypeList(options = {}) {
     if (!this.isModuleAvailable()) {
       const source = this.getCompendiumSource();
       debugLog(`${MODULE_ID} | ${source} module not available, using JE-only mode`);
@@ -64,6 +136,7 @@ export class CompendiumParser {
       debugLog(`${MODULE_ID} | Loaded ${documents.length} archetypes from ${source} compendium`);
       return documents;
     } catch (e) {
+      if (options.quiet) throw e;
       console.error(`${MODULE_ID} | Failed to load archetype list:`, e);
       const source = this.getCompendiumSource();
       ui.notifications.error(`Archetype Manager: Failed to load archetype compendium. Check that ${source} module is enabled.`);
@@ -73,9 +146,11 @@ export class CompendiumParser {
 
   /**
    * Load archetype features from the compendium
+   * @param {object} [options]
+   * @param {boolean} [options.quiet] - Throw on failure instead of showing a notification (for the scripting API)
    * @returns {Array} List of feature documents
    */
-  static async loadArchetypeFeatures() {
+  static async loadArchetypeFeatures(options = {}) {
     if (!this.isModuleAvailable()) return [];
 
     try {
@@ -87,20 +162,382 @@ export class CompendiumParser {
       debugLog(`${MODULE_ID} | Loaded ${documents.length} archetype features from ${source} compendium`);
       return documents;
     } catch (e) {
+      if (options.quiet) throw e;
       console.error(`${MODULE_ID} | Failed to load archetype features:`, e);
       ui.notifications.error('Archetype Manager: Failed to load archetype features compendium.');
       return [];
     }
   }
 
+  // Cache for pf-arch-features pack (loaded once per session, shared across archetypes)
+  static _archFeaturesCache = null;
+
+  /**
+   * Load the archetype features once per session
+   * @param {object} [options] - See loadArchetypeFeatures
+   * @returns {Promise<Array>} List of feature documents
+   */
+  static async getArchetypeFeatures(options = {}) {
+    if (!this._archFeaturesCache) {
+      this._archFeaturesCache = await this.loadArchetypeFeatures(options);
+      debugLog(`${MODULE_ID} | Cached ${this._archFeaturesCache.length} archetype features`);
+    }
+    return this._archFeaturesCache;
+  }
+
+  /**
+   * Build the list of archetypes available to a class: compendium archetypes for the
+   * class plus JE "missing" and "custom" entries, sorted by name
+   * @param {Item} classItem - The class item
+   * @param {object} [options]
+   * @param {boolean} [options.quiet] - Throw compendium failures instead of showing a notification
+   * @returns {Promise<Array<object>>} [{ name, slug, source, class, _doc? }]
+   */
+  static async loadClassArchetypes(classItem, options = {}) {
+    const classTag = classItem.system?.tag || classItem.name.slugify?.() || classItem.name.toLowerCase().replace(/\s+/g, '-');
+
+    // Load archetypes from compendium
+    const compendiumArchetypes = await this.loadArchetypeList(options);
+
+    // Filter by class if possible (archetypes that match current class)
+    const className = classItem.name.toLowerCase();
+    const classTag2 = classTag.toLowerCase();
+
+    // Build combined list: compendium + JE missing + JE custom
+    const archetypeData = [];
+
+    // Compendium archetypes (filtered by class)
+    for (const arch of compendiumArchetypes) {
+      // Archetype items in the compendium source module may have class info in flags or system
+      const compendiumSource = this.getCompendiumSource();
+      let archClass = (arch.system?.class || arch.flags?.[compendiumSource]?.class || '').toLowerCase();
+      // Extract class from archetype name format "Class (ArchetypeName)" if not in system data
+      if (!archClass && arch.name) {
+        const nameMatch = arch.name.match(/^(.+?)\s*\(/);
+        if (nameMatch) {
+          archClass = nameMatch[1].trim().toLowerCase();
+        }
+      }
+      // Only include archetypes that match the selected class
+      if (archClass === className || archClass === classTag2) {
+        archetypeData.push({
+          name: arch.name,
+          slug: arch.name.slugify?.() || arch.name.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+          source: 'compendium',
+          class: archClass,
+          _doc: arch
+        });
+      }
+    }
+
+    // JE missing archetypes
+    const missingData = await JournalEntryDB.readSection('missing');
+    for (const [slug, entry] of Object.entries(missingData)) {
+      if ((entry.class || '').toLowerCase() === className ||
+          (entry.class || '').toLowerCase() === classTag2) {
+        archetypeData.push({
+          name: entry.name || slug.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
+          slug,
+          source: 'missing',
+          class: entry.class
+        });
+      }
+    }
+
+    // JE custom archetypes
+    const customData = await JournalEntryDB.readSection('custom');
+    for (const [slug, entry] of Object.entries(customData)) {
+      if ((entry.class || '').toLowerCase() === className ||
+          (entry.class || '').toLowerCase() === classTag2) {
+        archetypeData.push({
+          name: entry.name || slug.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
+          slug,
+          source: 'custom',
+          class: entry.class
+        });
+      }
+    }
+
+    // Sort alphabetically
+    archetypeData.sort((a, b) => a.name.localeCompare(b.name));
+
+    return archetypeData;
+  }
+
+  /**
+   * Parse an archetype on demand - loads features from compendium or JE and returns parsed data
+   * @param {object} archData - The archetype data from the list { name, slug, source, class, _doc }
+   * @param {Array} baseAssociations - The base class classAssociations (raw, unresolved)
+   * @param {string} [className] - Class name for CompatibilityDB lookup
+   * @param {Actor} [actor] - Actor whose own fixes apply (see parseArchetype)
+   * @param {object} [options]
+   * @param {boolean} [options.quiet] - Throw compendium failures instead of showing a notification
+   * @returns {Promise<object>} Parsed archetype data with features
+   */
+  static async parseArchetypeOnDemand(archData, baseAssociations, className, actor = null, options = {}) {
+    if (archData.source === 'compendium' && archData._doc) {
+      const archetypeDoc = archData._doc;
+
+      // Strategy 1: Try classAssociations on the archetype doc (some modules use this)
+      const archAssociations = archetypeDoc.system?.links?.classAssociations || [];
+      let features = [];
+      for (const assoc of archAssociations) {
+        try {
+          const doc = await fromUuid(assoc.uuid || assoc.id);
+          if (doc) features.push(doc);
+        } catch (e) {
+          // Feature couldn't be resolved - skip silently
+        }
+      }
+
+      // Strategy 2: If no features found via classAssociations, search pf-arch-features by name
+      // pf1e-archetypes stores features separately with names like "FeatureName (ArchetypeName)"
+      if (features.length === 0) {
+        // Extract short archetype name from "Class (ArchetypeName)" format
+        const shortNameMatch = archData.name.match(/\((.+?)\)\s*$/);
+        const shortName = shortNameMatch ? shortNameMatch[1].trim() : archData.name;
+
+        debugLog(`${MODULE_ID} | No classAssociations on archetype doc, searching pf-arch-features for "${shortName}"`);
+
+        // Match features by archetype short name in parentheses at end of feature name
+        const namePattern = `(${shortName})`;
+        features = (await this.getArchetypeFeatures(options)).filter(f =>
+          f.name && f.name.includes(namePattern)
+        );
+
+        debugLog(`${MODULE_ID} | Found ${features.length} features for "${shortName}" via name matching`);
+      }
+
+      const parsed = await this.parseArchetype(archetypeDoc, features, baseAssociations, className, { actor });
+      parsed.class = archData.class || '';
+      debugLog(`${MODULE_ID} | Parsed "${archData.name}": ${parsed.features.length} features (${parsed.features.filter(f => f.type === 'replacement').length} replacements, ${parsed.features.filter(f => f.type === 'additive').length} additive, ${parsed.features.filter(f => f.source === 'db-assisted').length} DB-assisted)`);
+      return parsed;
+    } else {
+      // JE-based archetype (missing/custom) - build from JE data
+      const jeData = await JournalEntryDB.getArchetype(archData.slug);
+      if (!jeData || !jeData.features) {
+        return {
+          name: archData.name,
+          slug: archData.slug,
+          class: archData.class || '',
+          features: [],
+          ...this._jeClassChanges(jeData)
+        };
+      }
+
+      const resolvedAssociations = await this.resolveAssociations(baseAssociations);
+      const features = [];
+      for (const [featureSlug, featureData] of Object.entries(jeData.features)) {
+        const featureName = featureSlug.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+        const replaces = Array.isArray(featureData.replaces) && featureData.replaces.length === 0 ? null : featureData.replaces;
+        const { targets, matchedAssociations, matchedAssociation } = replaces
+          ? this.resolveTargets(replaces, resolvedAssociations, { level: featureData.level, className })
+          : { targets: [], matchedAssociations: [], matchedAssociation: null };
+        features.push({
+          name: featureName,
+          level: featureData.level,
+          type: replaces ? 'replacement' : 'additive',
+          target: Array.isArray(replaces) ? (targets[0] ?? null) : (replaces || null),
+          targets,
+          matchedAssociation,
+          matchedAssociations,
+          description: featureData.description || '',
+          source: 'je-entry',
+          confidence: 1,
+          explanation: 'Entered in the JE database.'
+        });
+      }
+
+      return {
+        name: archData.name || jeData.name || archData.slug,
+        slug: archData.slug,
+        class: archData.class || jeData.class || '',
+        features,
+        ...this._jeClassChanges(jeData)
+      };
+    }
+  }
+
+  /**
+   * Pick the class-level changes (classEdits, spellcasting, chassis) a JE archetype entry declares
+   * @param {object|null} jeData - JE archetype entry
+   * @returns {object} Deep-cloned { classEdits?, spellcasting?, chassis? }
+   * @private
+   */
+  static _jeClassChanges(jeData) {
+    const changes = {};
+    for (const key of ['classEdits', 'spellcasting', 'chassis']) {
+      if (jeData?.[key]) changes[key] = foundry.utils.deepClone(jeData[key]);
+    }
+    return changes;
+  }
+
+  /**
+   * Get the installed version of the compendium source module
+   * @returns {string|null} The module version, or null if it is not installed
+   */
+  static getSourceVersion() {
+    return game.modules.get(this.getCompendiumSource())?.version ?? null;
+  }
+
+  /**
+   * Hash a feature description for stale fix detection. Markup and whitespace are
+   * ignored, so only a change to the wording counts as a change.
+   * @param {string} description - HTML description text
+   * @returns {string} 8-digit hex FNV-1a hash
+   */
+  static hashDescription(description) {
+    const text = String(description ?? '')
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Build the stamp stored with a JE fix: what the compendium description was when the fix was written
+   * @param {string} description - The compendium description the fix was written against
+   * @returns {object} { descriptionHash, sourceVersion }
+   */
+  static fixStamp(description) {
+    return {
+      descriptionHash: this.hashDescription(description),
+      sourceVersion: this.getSourceVersion()
+    };
+  }
+
+  /**
+   * Read the fixes saved in a scope
+   * @param {string} scope - 'world' (JE fixes section), 'actor' (the actor's flags) or 'session'
+   *   (memory until reload)
+   * @param {Actor} [actor] - The actor, for the 'actor' and 'session' scopes
+   * @returns {Promise<object>} { [archetypeSlug]: { class, features } } (a copy for actor and session)
+   */
+  static async readFixes(scope, actor = null) {
+    if (scope === 'actor') return foundry.utils.deepClone(actor?.getFlag?.(MODULE_ID, 'fixes') || {});
+    if (scope === 'session') return foundry.utils.deepClone(this._sessionFixes[this._sessionKey(actor)] || {});
+    return JournalEntryDB.readSection('fixes');
+  }
+
+  /**
+   * Write the fixes of a scope. World fixes are GM only (see JournalEntryDB.writeSection).
+   * @param {string} scope - See readFixes
+   * @param {object} data - { [archetypeSlug]: { class, features } }
+   * @param {Actor} [actor] - The actor, for the 'actor' and 'session' scopes
+   * @returns {Promise<boolean>} Whether the fixes were written
+   */
+  static async writeFixes(scope, data, actor = null) {
+    if (scope === 'actor') {
+      if (!actor) return false;
+      // setFlag merges objects, so clear the flag first or removed fixes would linger
+      await actor.unsetFlag(MODULE_ID, 'fixes');
+      await actor.setFlag(MODULE_ID, 'fixes', data);
+      return true;
+    }
+    if (scope === 'session') {
+      this._sessionFixes[this._sessionKey(actor)] = data;
+      return true;
+    }
+    return JournalEntryDB.writeSection('fixes', data);
+  }
+
+  /**
+   * The key of an actor's session fixes ('' for fixes made without an actor)
+   * @private
+   */
+  static _sessionKey(actor) {
+    return actor?.id ?? '';
+  }
+
+  /**
+   * Merge fix records into fixes data, keeping the other fixes of each archetype
+   * @param {object} data - { [archetypeSlug]: { class, features } }, changed in place
+   * @param {Array} records - [{ archetypeSlug, className, featureSlug, fix }]
+   * @returns {object} The merged data
+   */
+  static mergeFixes(data, records) {
+    for (const { archetypeSlug, className, featureSlug, fix } of records) {
+      const existing = data[archetypeSlug];
+      data[archetypeSlug] = existing
+        ? { ...existing, class: existing.class || className || '', features: { ...existing.features } }
+        : { class: className || '', features: {} };
+      data[archetypeSlug].features[featureSlug] = fix;
+    }
+    return data;
+  }
+
+  /**
+   * Check a JE fix against the current compendium description.
+   * Fixes saved before stamping have no hash and are reported as 'unstamped'.
+   * @param {object} fix - The feature fix entry
+   * @param {string} description - The current compendium description
+   * @returns {object} { status: 'current'|'stale'|'unstamped', savedHash, currentHash, savedVersion, currentVersion }
+   */
+  static checkFix(fix, description) {
+    const currentHash = this.hashDescription(description);
+    const savedHash = fix?.descriptionHash ?? null;
+    let status = 'unstamped';
+    if (savedHash) status = savedHash === currentHash ? 'current' : 'stale';
+    return {
+      status,
+      savedHash,
+      currentHash,
+      savedVersion: fix?.sourceVersion ?? null,
+      currentVersion: this.getSourceVersion()
+    };
+  }
+
   /**
    * Parse the level from a feature description
    * @param {string} description - HTML description text
    * @returns {number|null} The level number or null
    */
   static parseLevel(description) {
-    const match = description?.match(this.LEVEL_REGEX);
-    return match ? parseInt(match[1]) : null;
+    return this.parseLevels(description)[0] ?? null;
+  }
+
+  /**
+   * Parse every level a feature is gained at. The "Level:" marker wins when present;
+   * otherwise the opening sentence is read for phrases like "At 3rd level", "at 5th,
+   * 9th and 13th levels" or "at 5th level and every 4 levels thereafter" (up to 20th).
+   * @param {string} description - HTML description text
+   * @returns {number[]} Levels in ascending order (empty when none are found)
+   */
+  static parseLevels(description) {
+    const marked = description?.match(this.LEVEL_REGEX);
+    if (marked) return [parseInt(marked[1])];
+
+    const text = String(description ?? '')
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(new RegExp(`\\b(${this.ORDINAL_WORDS.join('|')})\\b`, 'gi'),
+        word => `${this.ORDINAL_WORDS.indexOf(word.toLowerCase()) + 1}th`);
+    const sentence = text.match(/^.*?(?:\.(?=\s|$)|$)/)?.[0] ?? '';
+
+    const phrase = sentence.match(this.PROSE_LEVEL_REGEX);
+    if (!phrase) return [];
+
+    const ordinals = list => [...list.matchAll(/(\d+)(?:st|nd|rd|th)/gi)].map(m => parseInt(m[1]));
+    const levels = phrase[1] ? ordinals(phrase[1]) : [parseInt(phrase[2])];
+    for (const again of sentence.matchAll(this.PROSE_AGAIN_REGEX)) levels.push(...ordinals(again[1]));
+
+    const repeat = sentence.match(this.PROSE_REPEAT_REGEX);
+    const step = repeat ? (this.CARDINAL_WORDS[repeat[1].toLowerCase()] ?? parseInt(repeat[1])) : 0;
+    if (step > 0) {
+      for (let next = Math.max(...levels) + step; next <= this.MAX_LEVEL; next += step) levels.push(next);
+    }
+
+    return [...new Set(levels)]
+      .filter(level => level >= 1 && level <= this.MAX_LEVEL)
+      .sort((a, b) => a - b);
   }
 
   /**
@@ -133,21 +570,307 @@ export class CompendiumParser {
   }
 
   /**
-   * Determine the type of an archetype feature
-   * @param {string} description - HTML description text
-   * @returns {object} { type: 'replacement'|'modification'|'additive', target: string|null }
+   * Register a recognition rule. Rules are tried in order after the built-in rules, unless
+   * placed with before/after. Re-registering an id replaces the rule.
+   * @param {object} rule - { id, type: 'replacement'|'modification', pattern, flags?, label?, requiresMatch?, before?, after? }
+   *   pattern is a RegExp or a regex source string capturing the affected feature in group 1;
+   *   requiresMatch limits the rule to targets naming a class feature; before/after name the
+   *   id of the rule to place this one next to
+   * @returns {object} The compiled rule
+   */
+  static registerRecognitionRule(rule) {
+    const compiled = this._compileRule(rule, 'api');
+    this._registeredRules = [...this._registeredRules.filter(r => r.id !== compiled.id), compiled];
+    debugLog(`${MODULE_ID} | CompendiumParser: registered recognition rule "${compiled.id}"`);
+    return compiled;
+  }
+
+  /**
+   * Remove a registered recognition rule
+   * @param {string} id - Rule id
+   * @returns {boolean} Whether a rule was removed
+   */
+  static unregisterRecognitionRule(id) {
+    const count = this._registeredRules.length;
+    this._registeredRules = this._registeredRules.filter(r => r.id !== id);
+    return this._registeredRules.length !== count;
+  }
+
+  /**
+   * Load the recognition rules declared in the JE config page ("recognitionRules").
+   * Invalid rules are skipped with a warning.
+   * @returns {Array<object>} The compiled journal rules
+   */
+  static async loadJournalRules() {
+    const config = await JournalEntryDB.readConfig();
+    const rules = Array.isArray(config.recognitionRules) ? config.recognitionRules : [];
+    this._journalRules = [];
+    for (const rule of rules) {
+      try {
+        this._journalRules.push(this._compileRule(rule, 'journal'));
+      } catch (e) {
+        console.warn(`${MODULE_ID} | Skipping invalid recognition rule in JE config:`, e.message);
+      }
+    }
+    this._journalRulesLoaded = true;
+    return this._journalRules;
+  }
+
+  /**
+   * List the recognition rules in the order classifyFeature() tries them
+   * @returns {Array<object>} [{ id, type, label, pattern, source: 'built-in'|'journal'|'api' }]
    */
-  static classifyFeature(description) {
-    const replaces = this.parseReplaces(description);
-    if (replaces) return { type: 'replacement', target: replaces };
+  static getRecognitionRules() {
+    const rules = this.BUILT_IN_RULES.map(rule => ({ ...rule, source: 'built-in' }));
+    for (const rule of [...this._journalRules, ...this._registeredRules]) {
+      const existing = rules.findIndex(r => r.id === rule.id);
+      if (existing >= 0) rules.splice(existing, 1);
 
-    const modifies = this.parseModifies(description);
-    if (modifies) return { type: 'modification', target: modifies };
+      const anchor = rules.findIndex(r => r.id === (rule.before ?? rule.after));
+      if (anchor < 0) rules.push(rule);
+      else rules.splice(rule.before ? anchor : anchor + 1, 0, rule);
+    }
+    return rules;
+  }
+
+  /**
+   * Determine the type of an archetype feature using the recognition rules
+   * @param {string} description - HTML description text
+   * @param {Array} [associations] - Resolved classAssociations; when given (even empty),
+   *   requiresMatch rules are skipped unless their target names one of them exactly or
+   *   after normalization
+   * @returns {object} { type: 'replacement'|'modification'|'additive'|'unknown', target: string|null,
+   *   rule: string|null } where rule is the id of the recognition rule that matched
+   */
+  static classifyFeature(description, associations = null) {
+    for (const rule of this.getRecognitionRules()) {
+      const target = description?.match(rule.pattern)?.[1]
+        ?.replace(/^(?:gaining|receiving|getting|having|using)\s+/i, '')
+        .trim();
+      if (!target) continue;
+      // Loose wording only counts when it names a class feature, not when the text merely contains one
+      if (rule.requiresMatch && Array.isArray(associations) &&
+        !this.splitTargets(target, associations).some(t => ['exact', 'normalized'].includes(this.explainMatch(t, associations).pass))) continue;
+      return { type: rule.type, target, rule: rule.id };
+    }
 
     const level = this.parseLevel(description);
-    if (level !== null) return { type: 'additive', target: null };
+    if (level !== null) return { type: 'additive', target: null, rule: null };
 
-    return { type: 'unknown', target: null };
+    return { type: 'unknown', target: null, rule: null };
+  }
+
+  /**
+   * Validate and compile a recognition rule
+   * @private
+   */
+  static _compileRule(rule, source) {
+    if (!rule?.id || typeof rule.id !== 'string') throw new Error('Recognition rule id must be a non-empty string');
+    if (!['replacement', 'modification'].includes(rule.type)) {
+      throw new Error(`Recognition rule "${rule.id}" type must be "replacement" or "modification"`);
+    }
+    const pattern = rule.pattern instanceof RegExp ? rule.pattern : new RegExp(String(rule.pattern ?? ''), rule.flags ?? 'i');
+    if (!pattern.source || pattern.source === '(?:)') throw new Error(`Recognition rule "${rule.id}" needs a pattern`);
+
+    return {
+      id: rule.id,
+      type: rule.type,
+      label: rule.label || rule.id,
+      pattern,
+      requiresMatch: !!rule.requiresMatch,
+      ...(rule.before ? { before: rule.before } : {}),
+      ...(rule.after ? { after: rule.after } : {}),
+      source
+    };
+  }
+
+  /**
+   * Split a compound replacement target into its individual targets.
+   * "bravery, armor training 1, and the armor training gained at 7th level" becomes
+   * ["bravery", "armor training 1", "armor training gained at 7th level"]. Bare tier
+   * numbers ("armor training 1, 2, and 3") take the name of the target before them, and
+   * tier ranges and level lists are expanded to one target per tier (see expandTarget).
+   * @param {string} text - Target text captured from a "replaces ..." sentence
+   * @param {Array} [associations] - Resolved classAssociations; a target that names one of
+   *   them exactly is kept whole even if it contains "and" or a comma
+   * @returns {Array<string>} The individual targets (empty if there is no text)
+   */
+  static splitTargets(text, associations = []) {
+    if (!text) return [];
+
+    const clean = part => part
+      .replace(/<[^>]+>/g, '')
+      .replace(/^(?:the|his|her|its|their)\s+/i, '')
+      .replace(/\s+(?:class\s+)?(?:features?|abilit(?:y|ies))$/i, '')
+      .trim();
+
+    const whole = clean(text);
+    const lowerWhole = whole.toLowerCase();
+    const normalizedWhole = this.normalizeName(whole);
+    const namesAssociation = (associations || []).some(a => a.resolvedName && (
+      a.resolvedName.trim().toLowerCase() === lowerWhole || this.normalizeName(a.resolvedName) === normalizedWhole
+    ));
+    if (namesAssociation) return [whole];
+
+    // Keep separators inside parentheses, compound feature names and level lists
+    // ("gained at 1st and 2nd levels") from splitting
+    const protectedText = text
+      .replace(/\([^)]*\)/g, m => m.replace(/,/g, '\u0001').replace(/\s+and\s+/gi, '\u0000'))
+      .replace(this.COMPOUND_NAME_REGEX, m => m.replace(/\s+and\s+/i, '\u0000'))
+      .replace(/\bat\s+(\d+(?:st|nd|rd|th)(?:\s*,\s*(?:and\s+)?\d+(?:st|nd|rd|th)|\s+and\s+\d+(?:st|nd|rd|th))+)\s+levels?\b/gi,
+        (m, list) => `at ${list.match(/\d+(?:st|nd|rd|th)/gi).join('\u0002')} level`);
+
+    const targets = [];
+    for (const raw of protectedText.split(this.TARGET_SEPARATOR_REGEX)) {
+      let part = clean(raw.replace(/\u0000/g, ' and ').replace(/\u0001/g, ',').replace(/\u0002/g, ', '));
+      if (!part) continue;
+
+      // A bare tier takes the previous target's name; Roman tiers are written as digits
+      const previous = targets.at(-1);
+      const previousTier = previous?.match(/\s(\d+|[ivx]+)$/i);
+      if (/^(?:\d+|[ivx]+)$/i.test(part) && previousTier) {
+        const tierOf = numeral => String(ScalableFeatures.parseTierNumber(numeral) ?? numeral);
+        targets[targets.length - 1] = previous.replace(/(?:\d+|[ivx]+)$/i, tierOf(previousTier[1]));
+        part = previous.replace(/(?:\d+|[ivx]+)$/i, tierOf(part));
+      }
+      targets.push(...this.expandTarget(part));
+    }
+    return targets.length > 0 ? targets : [whole];
+  }
+
+  /**
+   * Expand a target naming several tiers or levels of one feature into one target each:
+   * "weapon training 2-4" becomes ["weapon training 2", "weapon training 3", "weapon training 4"]
+   * and "bonus feats gained at 1st and 2nd levels" becomes one target per level.
+   * @param {string} target - A single target
+   * @returns {Array<string>} The expanded targets ([target] when it names one tier)
+   */
+  static expandTarget(target) {
+    const text = String(target ?? '').trim();
+
+    const levelList = text.match(this.LEVEL_LIST_REGEX);
+    if (levelList) {
+      return levelList[2].match(/\d+(?:st|nd|rd|th)/gi).map(ordinal => `${levelList[1]}${ordinal} level`);
+    }
+
+    const range = text.match(this.TIER_RANGE_REGEX);
+    if (range) {
+      const from = ScalableFeatures.parseTierNumber(range[2]);
+      const to = ScalableFeatures.parseTierNumber(range[3]);
+      if (from && to && from < to && to - from < 20) {
+        return Array.from({ length: to - from + 1 }, (_, i) => `${range[1]} ${from + i}`);
+      }
+    }
+
+    return text ? [text] : [];
+  }
+
+  /**
+   * Split a target that names a feature by the level it is gained at into (name, level).
+   * "the 2nd-level bonus feat", "12th-level utility wild talent" and "the bonus feat
+   * gained at 4th level" all carry a level; other targets are returned unchanged.
+   * @param {string} target - Target text
+   * @returns {object} { name, level } (level is null when the target has none)
+   */
+  static parseTargetLevel(target) {
+    const text = String(target ?? '').trim()
+      .replace(new RegExp(`\\b(${this.ORDINAL_WORDS.join('|')})(?=[-\\s]level\\b)`, 'gi'),
+        word => `${this.ORDINAL_WORDS.indexOf(word.toLowerCase()) + 1}th`)
+      .replace(new RegExp(`\\bat\\s+(${this.ORDINAL_WORDS.join('|')})\\s+level\\b`, 'gi'),
+        (m, word) => `at ${this.ORDINAL_WORDS.indexOf(word.toLowerCase()) + 1}th level`);
+
+    // One level names one instance: "the bonus feats gained at 2nd level" is a bonus feat
+    const clean = name => name
+      .replace(/^the\s+/i, '')
+      .replace(/\s+(?:class\s+)?features?$/i, '')
+      .replace(/ies$/i, 'y')
+      .replace(/(x|ch|sh)es$/i, '$1')
+      .replace(/([^su'])s$/i, '$1')
+      .trim();
+
+    const prefix = text.match(this.LEVEL_PREFIX_REGEX);
+    if (prefix) return { name: clean(prefix[2]), level: parseInt(prefix[1]) };
+
+    const suffix = text.match(this.LEVEL_SUFFIX_REGEX);
+    if (suffix) return { name: clean(suffix[1]), level: parseInt(suffix[2] ?? suffix[3]) };
+
+    return { name: text, level: null };
+  }
+
+  /**
+   * Key a target for conflict detection: the normalized feature name, plus "@level"
+   * when the target names one specific level ("bonus feat@4")
+   * @param {string} target - Target text
+   * @returns {string}
+   */
+  static targetKey(target) {
+    const { name, level } = this.parseTargetLevel(target);
+    const normalized = this.normalizeName(name);
+    return level !== null ? `${normalized}@${level}` : normalized;
+  }
+
+  /**
+   * Check whether two target keys touch the same feature. Different levels of one
+   * feature do not overlap, but a key without a level overlaps every level.
+   * @param {string} keyA - From targetKey()
+   * @param {string} keyB - From targetKey()
+   * @returns {boolean}
+   */
+  static keysOverlap(keyA, keyB) {
+    if (keyA === keyB) return true;
+    const [nameA, levelA] = keyA.split('@');
+    const [nameB, levelB] = keyB.split('@');
+    return nameA === nameB && (!levelA || !levelB);
+  }
+
+  /**
+   * Get every replacement target of a parsed feature
+   * @param {object} feature - Parsed archetype feature
+   * @returns {Array<string>} targets if the feature has them, otherwise [target] (or [])
+   */
+  static getTargets(feature) {
+    if (Array.isArray(feature?.targets) && feature.targets.length > 0) return feature.targets;
+    return feature?.target ? [feature.target] : [];
+  }
+
+  /**
+   * Pair each replacement target of a parsed feature with its matched association
+   * @param {object} feature - Parsed archetype feature
+   * @returns {Array<object>} [{ target, matchedAssociation }]
+   */
+  static getTargetMatches(feature) {
+    if (Array.isArray(feature?.targets) && feature.targets.length > 0) {
+      return feature.targets.map((target, i) => ({
+        target,
+        matchedAssociation: feature.matchedAssociations?.[i] ?? null
+      }));
+    }
+    return feature?.target ? [{ target: feature.target, matchedAssociation: feature.matchedAssociation ?? null }] : [];
+  }
+
+  /**
+   * Split a replacement target and match each part against the class associations
+   * @param {string|Array<string>} replaces - Target text, or a list of targets
+   * @param {Array} associations - Resolved classAssociations
+   * @param {object} [options] - { level, className } used to break ties (see explainMatch)
+   * @returns {object} { targets, matchedAssociations, matchedAssociation, ambiguities } where
+   *   matchedAssociation is the first target's match (or the first match found) and
+   *   ambiguities lists [{ target, candidates }] for targets several features match equally well
+   */
+  static resolveTargets(replaces, associations, options = {}) {
+    const targets = Array.isArray(replaces)
+      ? replaces.flatMap(t => this.expandTarget(t))
+      : this.splitTargets(replaces, associations);
+    const matches = targets.map(t => this.explainMatch(t, associations, options));
+    const matchedAssociations = matches.map(m => m.association);
+    return {
+      targets,
+      matchedAssociations,
+      matchedAssociation: matchedAssociations.find(Boolean) ?? null,
+      ambiguities: matches
+        .map((m, i) => ({ target: targets[i], candidates: m.ties }))
+        .filter(a => a.candidates.length > 0)
+    };
   }
 
   /**
@@ -202,62 +925,202 @@ export class CompendiumParser {
   }
 
   /**
-   * Match a parsed "replaces X" target against classAssociations entries
+   * Match a parsed "replaces X" target against classAssociations entries.
+   * A target naming a level ("the 6th-level hex") prefers the entry gained at that level.
    * @param {string} target - The parsed replacement target
    * @param {Array} associations - Resolved classAssociations
+   * @param {object} [options] - { level, className } (see explainMatch)
    * @returns {object|null} The matched association entry
    */
-  static matchTarget(target, associations) {
-    if (!target || !associations || associations.length === 0) return null;
+  static matchTarget(target, associations, options = {}) {
+    return this.explainMatch(target, associations, options).association;
+  }
 
-    const normalizedTarget = this.normalizeName(target);
-    if (!normalizedTarget) return null;
-
-    // Pass 1: Exact case-insensitive match (preserves numbers/tiers)
-    const lowerTarget = target.trim().toLowerCase();
-    for (const assoc of associations) {
-      if (!assoc.resolvedName) continue;
-      if (assoc.resolvedName.trim().toLowerCase() === lowerTarget) {
-        return assoc;
-      }
+  /**
+   * Score every class feature a target could refer to, best first. An exact name scores
+   * highest, then a normalized name, then a substring; an entry at the level the target
+   * names ("the 6th-level hex") outranks every entry at other levels.
+   * @param {string} target - The parsed replacement target
+   * @param {Array} associations - Resolved classAssociations
+   * @returns {Array<object>} [{ association, pass: 'exact'|'normalized'|'partial', score }]
+   */
+  static scoreCandidates(target, associations) {
+    if (!target || !associations || associations.length === 0) return [];
+
+    const { name, level } = this.parseTargetLevel(target);
+    const searchName = level !== null ? name : target;
+    const scored = [];
+    for (const association of associations) {
+      const pass = this._matchPass(searchName, association);
+      if (!pass) continue;
+      const levelBonus = level !== null && association.level === level ? 1 : 0;
+      scored.push({ association, pass, score: this.MATCH_CONFIDENCE[pass] + levelBonus });
     }
 
-    // Pass 2: Normalized exact match (strips tiers/parentheticals for fuzzy matching)
-    for (const assoc of associations) {
-      if (!assoc.resolvedName) continue;
-      if (this.normalizeName(assoc.resolvedName) === normalizedTarget) {
-        return assoc;
-      }
+    // Stable sort keeps classAssociations order among equal scores
+    return scored.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Match a target as matchTarget() does and report how the match was made.
+   * Equally scored candidates are narrowed to the one at the feature's own level; if
+   * several remain (and they are not entries of one scalable series), the match is ambiguous.
+   * @param {string} target - The parsed replacement target
+   * @param {Array} associations - Resolved classAssociations
+   * @param {object} [options]
+   * @param {number} [options.level] - Level of the archetype feature, used to break ties
+   * @param {string} [options.className] - Class name, so tiers of one series are not a tie
+   * @returns {object} { association, pass: 'exact'|'normalized'|'partial'|null, confidence (0-1),
+   *   candidates, ties } where candidates are other class features whose names also resemble
+   *   the target and ties are the equally good associations when the match is ambiguous
+   */
+  static explainMatch(target, associations, options = {}) {
+    const none = { association: null, pass: null, confidence: 0, candidates: [], ties: [] };
+    const scored = this.scoreCandidates(target, associations);
+    if (scored.length === 0) return none;
+
+    let ties = scored.filter(c => c.score === scored[0].score);
+    if (ties.length > 1 && options.level) {
+      const atLevel = ties.filter(c => c.association.level === options.level);
+      if (atLevel.length > 0) ties = atLevel;
     }
+    const chosen = ties[0];
+    const seriesOf = c => options.className
+      ? ScalableFeatures.getSeriesBaseName(c.association.resolvedName, options.className)
+      : null;
+    const ambiguous = ties.length > 1 && !(seriesOf(chosen) && ties.every(c => seriesOf(c) === seriesOf(chosen)));
 
-    // Pass 3: Partial match (target contained in name or vice versa)
-    for (const assoc of associations) {
-      if (!assoc.resolvedName) continue;
-      const normalizedName = this.normalizeName(assoc.resolvedName);
-      if (!normalizedName) continue;
-      if (normalizedName.includes(normalizedTarget) || normalizedTarget.includes(normalizedName)) {
-        return assoc;
+    // Other features with a similar name (not other levels of the chosen one)
+    const seen = new Set([this.normalizeName(chosen.association.resolvedName)]);
+    const candidates = scored.map(c => c.association).filter(a => {
+      const normalized = this.normalizeName(a.resolvedName);
+      if (seen.has(normalized)) return false;
+      seen.add(normalized);
+      return true;
+    });
+
+    let confidence = this.MATCH_CONFIDENCE[chosen.pass];
+    if (candidates.length > 0 && chosen.pass !== 'exact') confidence *= this.AMBIGUOUS_MATCH_FACTOR;
+    if (ambiguous) confidence = Math.min(confidence, 0.5);
+    return {
+      association: chosen.association,
+      pass: chosen.pass,
+      confidence,
+      candidates,
+      ties: ambiguous ? ties.map(c => c.association) : []
+    };
+  }
+
+  /**
+   * How a feature name matches one classAssociations entry: exact, normalized or partial
+   * @returns {string|null} 'exact', 'normalized', 'partial', or null if it does not match
+   * @private
+   */
+  static _matchPass(target, association) {
+    if (!target || !association?.resolvedName) return null;
+
+    const normalizedTarget = this.normalizeName(target);
+    const normalizedName = this.normalizeName(association.resolvedName);
+    if (!normalizedTarget || !normalizedName) return null;
+
+    // Exact case-insensitive match (preserves numbers/tiers)
+    if (association.resolvedName.trim().toLowerCase() === target.trim().toLowerCase()) return 'exact';
+
+    // Normalized exact match (strips tiers/parentheticals for fuzzy matching)
+    if (normalizedName === normalizedTarget) return 'normalized';
+
+    // Partial match (target contained in name or vice versa)
+    if (normalizedName.includes(normalizedTarget) || normalizedTarget.includes(normalizedName)) return 'partial';
+
+    return null;
+  }
+
+  /**
+   * Score how reliable a parsed feature's classification is, and explain it: which rule
+   * fired, which text it captured, which class feature each target matched and which
+   * others were close.
+   * @param {object} classification - { type, target, rule } from classifyFeature(); a
+   *   replacement without a rule came from the CompatibilityDB
+   * @param {Array<string>} targets - The feature's split targets
+   * @param {Array} associations - Resolved classAssociations
+   * @param {object} [options] - { level, className } used to break ties (see explainMatch)
+   * @returns {object} { confidence (0-1), explanation }
+   */
+  static assessFeature(classification, targets, associations, options = {}) {
+    const { type, target, rule } = classification;
+    if (type === 'unknown') {
+      return { confidence: 0, explanation: 'No level or replacement wording found in the description.' };
+    }
+    if (type === 'additive') {
+      return { confidence: 0.8, explanation: 'No replacement or modification wording found; treated as an additive feature.' };
+    }
+
+    const ruleDef = rule ? this.getRecognitionRules().find(r => r.id === rule) : null;
+    const ruleWeight = !rule ? 0.8
+      : (!ruleDef || ruleDef.requiresMatch || ruleDef.source !== 'built-in') ? 0.9 : 1;
+    const parts = [!rule
+      ? `The compatibility database lists "${target}" for this feature.`
+      : `Rule "${ruleDef?.label ?? rule}" matched "${target}".`];
+
+    const describe = a => `${a.resolvedName} (Lv ${a.level ?? '?'})`;
+    let matchConfidence = 1;
+    for (const t of (targets.length > 0 ? targets : [target])) {
+      const match = this.explainMatch(t, associations, options);
+      matchConfidence = Math.min(matchConfidence, match.confidence);
+      if (!match.association) {
+        parts.push(`"${t}" matched no class feature.`);
+        continue;
       }
+      if (match.ties.length > 0) {
+        parts.push(`"${t}" matches ${match.ties.map(describe).join(', ')} equally well.`);
+        continue;
+      }
+      const close = match.candidates.length > 0 ? `; also close: ${match.candidates.map(describe).join(', ')}` : '';
+      parts.push(`"${t}" chose ${describe(match.association)} by ${match.pass} name${close}.`);
     }
 
-    return null;
+    return {
+      confidence: Math.round(ruleWeight * matchConfidence * 100) / 100,
+      explanation: parts.join(' ')
+    };
+  }
+
+  /**
+   * Check whether a parsed feature was matched to a class feature with low confidence
+   * @param {object} feature - Parsed archetype feature
+   * @returns {boolean}
+   */
+  static isLowConfidence(feature) {
+    return typeof feature?.confidence === 'number' && feature.confidence < this.LOW_CONFIDENCE &&
+      !feature.needsUserInput && !!feature.matchedAssociation;
   }
 
   /**
    * Parse a full archetype, merging JE fixes over auto-parse results.
-   * Priority chain: JE fixes > CompatibilityDB > Regex auto-parse > User prompt
+   * Priority chain: fixes (session > actor > world) > CompatibilityDB > Regex auto-parse > User prompt
    * @param {object} archetype - The archetype document
    * @param {Array} features - The archetype's features
    * @param {Array} baseAssociations - The base class classAssociations
    * @param {string} [className] - Class name for CompatibilityDB lookup
+   * @param {object} [options]
+   * @param {Actor} [options.actor] - Actor whose own fixes apply over the world's (see readFixes)
    * @returns {object} Parsed archetype data with all features classified
    */
-  static async parseArchetype(archetype, features, baseAssociations, className) {
+  static async parseArchetype(archetype, features, baseAssociations, className, options = {}) {
     const slug = archetype.name.slugify();
     const source = this.getCompendiumSource();
 
     // Check JE for fixes first
     const jeFix = await JournalEntryDB.getArchetype(slug);
+    if (!this._journalRulesLoaded) await this.loadJournalRules();
+
+    // A fix from this session wins over the actor's, which wins over the world's
+    const fixScopes = [
+      ['session', this._sessionFixes[this._sessionKey(options.actor)]?.[slug]],
+      ['actor', options.actor?.getFlag?.(MODULE_ID, 'fixes')?.[slug]],
+      ['world', jeFix]
+    ];
+    const fixSources = { world: 'the JE fixes entry', actor: "this actor's fixes", session: 'a fix made this session' };
 
     const parsed = {
       name: archetype.name,
@@ -280,20 +1143,46 @@ export class CompendiumParser {
       const desc = feature.system?.description?.value || '';
       const featureSlug = feature.name.slugify();
 
-      // Priority 1: JE fix for this specific feature
-      if (jeFix?.features?.[featureSlug]) {
+      // Priority 1: fix for this specific feature. Fixes saved by the fix dialog only
+      // hold { level, replaces }, so the type and matched class features are derived here.
+      const [fixScope, fixEntry] = fixScopes.find(([, entry]) => entry?.features?.[featureSlug]) ?? [];
+      if (fixEntry) {
+        const fix = fixEntry.features[featureSlug];
+        const replaces = Array.isArray(fix.replaces) && fix.replaces.length === 0 ? null : (fix.replaces || null);
+        const { targets, matchedAssociations, matchedAssociation } = replaces
+          ? this.resolveTargets(replaces, resolvedAssociations, { level: fix.level, className })
+          : { targets: [], matchedAssociations: [], matchedAssociation: null };
+        // A fix written against older compendium text still applies, but is flagged for review
+        const fixCheck = this.checkFix(fix, desc);
+        const staleFix = fixCheck.status === 'stale' ? fixCheck : null;
+        if (staleFix) {
+          debugLog(`${MODULE_ID} | JE fix for "${feature.name}" in "${archetype.name}" was written for a different description`);
+        }
         parsed.features.push({
           name: feature.name,
-          ...jeFix.features[featureSlug],
+          type: replaces ? 'replacement' : 'additive',
+          ...fix,
+          target: Array.isArray(replaces) ? (targets[0] ?? null) : replaces,
+          targets,
+          matchedAssociation,
+          matchedAssociations,
           uuid: feature.uuid || `Compendium.${source}.pf-arch-features.Item.${feature.id}`,
-          source: 'je-fix'
+          source: fixScope === 'world' ? 'je-fix' : `${fixScope}-fix`,
+          fixScope,
+          sourceDescription: desc,
+          staleFix,
+          confidence: 1,
+          explanation: staleFix
+            ? `Taken from ${fixSources[fixScope]} for this feature. The compendium description has changed since the fix was saved${staleFix.savedVersion ? ` (module version ${staleFix.savedVersion})` : ''}; check that it still applies.`
+            : `Taken from ${fixSources[fixScope]} for this feature.`
         });
         continue;
       }
 
       // Priority 2+3: Regex auto-parse, then CompatibilityDB reclassification
-      const level = this.parseLevel(desc);
-      let classification = this.classifyFeature(desc);
+      const levels = this.parseLevels(desc);
+      const level = levels[0] ?? null;
+      let classification = this.classifyFeature(desc, resolvedAssociations);
 
       // Priority 2: If regex missed (additive/unknown) but DB knows this archetype touches
       // base features, try to match the feature name against touchedRaw entries
@@ -309,27 +1198,65 @@ export class CompendiumParser {
         }
       }
 
-      let matchedAssociation = null;
-      if (classification.target) {
-        matchedAssociation = this.matchTarget(classification.target, resolvedAssociations);
-      }
+      // "replaces bravery and armor training 1" removes both features
+      // The feature's own level picks between equally good matches ("bonus feat" at 1st, 2nd, 4th...)
+      const matchOptions = { level, className };
+      const { targets, matchedAssociations, matchedAssociation, ambiguities } = classification.target
+        ? this.resolveTargets(classification.target, resolvedAssociations, matchOptions)
+        : { targets: [], matchedAssociations: [], matchedAssociation: null, ambiguities: [] };
 
       const featureSource = (dbTouchedRaw && classification.target) ? 'db-assisted' : 'auto-parse';
+      const assessment = this.assessFeature(classification, targets, resolvedAssociations, matchOptions);
+      const { confidence } = assessment;
+      const explanation = (level !== null && !this.LEVEL_REGEX.test(desc))
+        ? `${assessment.explanation} Level read from the description text.`
+        : assessment.explanation;
 
-      parsed.features.push({
+      const entry = {
         name: feature.name,
         level,
+        levels,
         type: classification.type,
         target: classification.target,
+        targets,
         matchedAssociation,
+        matchedAssociations,
         uuid: feature.uuid || `Compendium.${source}.pf-arch-features.Item.${feature.id}`,
         description: desc,
         source: featureSource,
+        recognitionRule: classification.rule ?? null,
+        confidence,
+        explanation,
+        ambiguity: ambiguities[0] ?? null,
         needsUserInput: classification.type === 'unknown' ||
           (classification.type === 'replacement' && !matchedAssociation)
-      });
+      };
+      parsed.features.push(entry);
+
+      // A feature gained at several levels gets one entry per level. Each entry keeps the
+      // replacement and matches at its own level, so "weapon training" loses a tier per level;
+      // the diff never removes a base feature twice. Only the first entry asks for input.
+      for (const repeatLevel of levels.slice(1)) {
+        const repeat = classification.target
+          ? this.resolveTargets(classification.target, resolvedAssociations, { level: repeatLevel, className })
+          : { matchedAssociations: [], matchedAssociation: null };
+        parsed.features.push({
+          ...entry,
+          level: repeatLevel,
+          matchedAssociation: repeat.matchedAssociation,
+          matchedAssociations: repeat.matchedAssociations,
+          ambiguity: null,
+          needsUserInput: false,
+          explanation: `Gained again at level ${repeatLevel}; see the level ${level} entry.`
+        });
+      }
     }
 
+    // Class skill, proficiency, spellcasting and chassis edits can only be declared in JE data
+    if (jeFix?.classEdits) parsed.classEdits = foundry.utils.deepClone(jeFix.classEdits);
+    if (jeFix?.spellcasting) parsed.spellcasting = foundry.utils.deepClone(jeFix.spellcasting);
+    if (jeFix?.chassis) parsed.chassis = foundry.utils.deepClone(jeFix.chassis);
+
     return parsed;
   }
 
@@ -340,7 +1267,8 @@ export class CompendiumParser {
    *   e.g., "Tribal Weapon Training" contains "Weapon Training"
    *
    * Strategy 2: Level-based correlation — if the feature has a known level,
-   *   check if any touchedRaw entry maps to a scalable feature tier at that level.
+   *   check if any touchedRaw entry names that level ("4th-level bonus feat") or
+   *   maps to a scalable feature tier at that level.
    *   Covers renamed features like "Shattering Strike" (lv2) → "Bravery" (lv2).
    *
    * @param {string} featureName - Full feature name (may include archetype in parens)
@@ -361,9 +1289,12 @@ export class CompendiumParser {
     // Normalize for comparison
     const normalizedClean = this.normalizeName(cleanName);
 
-    // Strategy 1: Substring/exact match
+    // Strategy 1: Substring/exact match ("2nd-level bonus feat" compares as "bonus feat",
+    // and only for a feature gained at 2nd level when the feature's level is known)
     for (const rawTarget of touchedRaw) {
-      const normalizedTarget = this.normalizeName(rawTarget);
+      const { name: rawName, level: rawLevel } = this.parseTargetLevel(rawTarget);
+      if (rawLevel !== null && options.level && rawLevel !== options.level) continue;
+      const normalizedTarget = this.normalizeName(rawName);
       if (!normalizedTarget) continue;
 
       // Check if the DB target name is contained within the feature name
@@ -380,6 +1311,13 @@ export class CompendiumParser {
 
     // Strategy 2: Level-based correlation for renamed replacement features
     const { level, className, baseAssociations } = options;
+
+    // An entry naming the level it is gained at ("6th-level hex") correlates directly
+    if (level) {
+      const atLevel = touchedRaw.find(rawTarget => this.parseTargetLevel(rawTarget).level === level);
+      if (atLevel) return atLevel;
+    }
+
     if (level && className) {
       for (const rawTarget of touchedRaw) {
         // Check if this touchedRaw entry is a scalable feature with a tier at this level
@@ -408,13 +1346,75 @@ export class CompendiumParser {
     return null;
   }
 
+  /**
+   * Check whether a parsed feature should be put to the user: unresolved features, features
+   * whose target matched several class features equally well, and optionally low-confidence matches
+   * @param {object} feature - Parsed feature
+   * @param {object} [options]
+   * @param {boolean} [options.lowConfidence=false] - Include low-confidence matches
+   * @returns {boolean}
+   */
+  static needsReview(feature, options = {}) {
+    return !!feature && (!!feature.needsUserInput || !!feature.ambiguity ||
+      (!!options.lowConfidence && this.isLowConfidence(feature)));
+  }
+
+  /**
+   * Check whether a parsed feature is unresolved: it still needs user input, or it is a
+   * replacement whose target matched no class feature. Neither is applied as parsed.
+   * @param {object} feature - Parsed feature
+   * @returns {boolean}
+   */
+  static isUnresolved(feature) {
+    return !!feature && (!!feature.needsUserInput || (feature.type === 'replacement' && !feature.matchedAssociation));
+  }
+
+  /**
+   * Record the user's decision to apply an unresolved feature as additive (strict mode).
+   * The feature is replaced by an additive copy, and the decision is added to
+   * parsed.unresolvedDecisions so it is stored with the applied archetype data.
+   * @param {object} parsed - Parsed archetype data, changed in place
+   * @param {number} index - Index of the feature in parsed.features
+   * @param {object} [decision] - A decision already made for the same feature elsewhere (e.g. in a combined preview)
+   * @returns {object|null} { feature, level, decision: 'additive', originalType, originalTarget,
+   *   decidedBy, decidedAt }, or null if there is no such feature
+   */
+  static markAdditive(parsed, index, decision = null) {
+    const feature = parsed?.features?.[index];
+    if (!feature) return null;
+
+    decision ??= {
+      feature: feature.name,
+      level: feature.level ?? null,
+      decision: 'additive',
+      originalType: feature.type ?? null,
+      originalTarget: feature.target ?? null,
+      decidedBy: game.user?.name ?? null,
+      decidedAt: new Date().toISOString()
+    };
+    parsed.features[index] = {
+      ...feature,
+      type: 'additive',
+      target: null,
+      targets: [],
+      matchedAssociation: null,
+      matchedAssociations: [],
+      needsUserInput: false,
+      ambiguity: null,
+      unresolvedDecision: decision
+    };
+    parsed.unresolvedDecisions = [...(parsed.unresolvedDecisions || []), decision];
+    return decision;
+  }
+
   /**
    * Parse an archetype and prompt user for any unparseable features
    *
-   * After auto-parsing, iterates over features flagged with needsUserInput=true.
-   * For each, triggers a user prompt dialog (via the provided callback) to ask
-   * the user to specify what the feature replaces (or mark it as additive).
-   * If the user provides a fix, updates the feature data and saves to JE fixes.
+   * After auto-parsing, collects the features that need review (see needsReview; with
+   * promptLowConfidence, low-confidence matches too) and asks the user to specify what
+   * each replaces (or mark it as additive). With reviewCallback they are all shown at once;
+   * otherwise promptCallback is called for each in turn.
+   * If the user provides a fix, updates the feature data (the callback saves it to JE fixes).
    * If the user cancels, the feature remains flagged as needsUserInput.
    *
    * @param {object} archetype - The archetype document
@@ -422,20 +1422,46 @@ export class CompendiumParser {
    * @param {Array} baseAssociations - The base class classAssociations
    * @param {object} options - Options
    * @param {Function} options.promptCallback - Async function(feature, baseFeatures) => user result or null
-   *   Called for each feature that needs user input. Receives the feature data and
+   *   Called for each feature that needs user input. Receives the feature data (with
+   *   ambiguity: { target, candidates: [{ name, level, uuid }] } for an ambiguous match) and
    *   a list of base class features (name, level, uuid). Should return an object
    *   with { level, replaces, isAdditive } or null if cancelled.
+   * @param {Function} [options.reviewCallback] - Async function(features, expandedFeatures) => results or null.
+   *   Called once with every feature that needs review and the class feature list with scalable
+   *   series expanded to tiers (ScalableFeatures.getExpandedFeatureList). Should return an array
+   *   with one result (or null for a feature left as is) per feature, or null if cancelled.
+   *   Takes precedence over promptCallback.
    * @param {string} options.className - The class name (for JE fix entry)
+   * @param {boolean} [options.promptLowConfidence=false] - Also prompt for features that were
+   *   matched with low confidence (see isLowConfidence)
+   * @param {Actor} [options.actor] - Actor whose own fixes apply (see parseArchetype)
    * @returns {object} Parsed archetype data with all features resolved where possible
    */
   static async parseArchetypeWithPrompts(archetype, features, baseAssociations, options = {}) {
-    const { promptCallback, className } = options;
-    const parsed = await this.parseArchetype(archetype, features, baseAssociations, className);
+    const { promptCallback, reviewCallback, className, promptLowConfidence = false, actor = null } = options;
+    const parsed = await this.parseArchetype(archetype, features, baseAssociations, className, { actor });
 
-    if (!promptCallback) return parsed;
+    if (!promptCallback && !reviewCallback) return parsed;
 
-    // Build base features list for dropdown (from resolved associations)
     const resolvedAssociations = await this.resolveAssociations(baseAssociations);
+    const pending = parsed.features
+      .map((feature, index) => ({ feature, index }))
+      .filter(({ feature }) => this.needsReview(feature, { lowConfidence: promptLowConfidence }));
+    if (pending.length === 0) return parsed;
+
+    // One review dialog for every feature at once
+    if (reviewCallback) {
+      const results = await reviewCallback(
+        pending.map(({ feature }) => this._promptFeature(feature, parsed, className)),
+        ScalableFeatures.getExpandedFeatureList(resolvedAssociations, className || '')
+      );
+      pending.forEach(({ feature, index }, i) => {
+        if (results?.[i]) parsed.features[index] = this._applyUserFix(feature, results[i], resolvedAssociations, className);
+      });
+      return parsed;
+    }
+
+    // Build base features list for dropdown (from resolved associations)
     const baseFeatures = resolvedAssociations
       .filter(a => a.resolvedName)
       .map(a => ({
@@ -444,47 +1470,65 @@ export class CompendiumParser {
         uuid: a.uuid || a.id
       }));
 
-    // Iterate over features needing user input
-    for (let i = 0; i < parsed.features.length; i++) {
-      const feature = parsed.features[i];
-      if (!feature.needsUserInput) continue;
-
-      // Build prompt data
-      const promptFeature = {
-        name: feature.name,
-        description: feature.description || '',
-        level: feature.level,
-        archetypeSlug: parsed.slug,
-        archetypeName: parsed.name,
-        className: className || ''
-      };
-
+    for (const { feature, index } of pending) {
       // Call the prompt callback (e.g., UIManager.showFixDialog)
-      const result = await promptCallback(promptFeature, baseFeatures);
-
-      if (result) {
-        // User provided a fix - update the feature
-        parsed.features[i] = {
-          ...feature,
-          level: result.level ?? feature.level,
-          type: result.isAdditive ? 'additive' : 'replacement',
-          target: result.replaces || null,
-          needsUserInput: false,
-          source: 'user-fix',
-          userFixApplied: true
-        };
+      const result = await promptCallback(this._promptFeature(feature, parsed, className), baseFeatures);
 
-        // If the user selected a replacement, try to match it
-        if (result.replaces && !result.isAdditive) {
-          const matched = this.matchTarget(result.replaces, resolvedAssociations);
-          if (matched) {
-            parsed.features[i].matchedAssociation = matched;
-          }
-        }
-      }
-      // If result is null (cancelled), feature stays as needsUserInput=true
+      // If result is null (cancelled), the feature keeps its parse (and needsUserInput flag)
+      if (result) parsed.features[index] = this._applyUserFix(feature, result, resolvedAssociations, className);
     }
 
     return parsed;
   }
+
+  /**
+   * Build the prompt data for a feature that needs review
+   * @private
+   */
+  static _promptFeature(feature, parsed, className) {
+    return {
+      name: feature.name,
+      description: feature.description || '',
+      level: feature.level,
+      archetypeSlug: parsed.slug,
+      archetypeName: parsed.name,
+      className: className || '',
+      target: feature.target ?? null,
+      confidence: feature.confidence,
+      explanation: feature.explanation,
+      needsUserInput: !!feature.needsUserInput,
+      ambiguity: feature.ambiguity ? {
+        target: feature.ambiguity.target,
+        candidates: feature.ambiguity.candidates.map(a => ({ name: a.resolvedName, level: a.level, uuid: a.uuid || a.id }))
+      } : null
+    };
+  }
+
+  /**
+   * Update a parsed feature with the user's fix. A fix naming several tiers
+   * ("weapon training 2-4") replaces each of them.
+   * @private
+   */
+  static _applyUserFix(feature, result, resolvedAssociations, className) {
+    const replaces = result.isAdditive ? null : (result.replaces || null);
+    const { targets, matchedAssociations, matchedAssociation } = replaces
+      ? this.resolveTargets(Array.isArray(replaces) ? replaces : [replaces], resolvedAssociations,
+        { level: result.level ?? feature.level, className })
+      : { targets: [], matchedAssociations: [], matchedAssociation: null };
+    return {
+      ...feature,
+      level: result.level ?? feature.level,
+      type: result.isAdditive ? 'additive' : 'replacement',
+      target: Array.isArray(replaces) ? (targets[0] ?? null) : replaces,
+      targets,
+      matchedAssociation,
+      matchedAssociations,
+      needsUserInput: false,
+      source: 'user-fix',
+      confidence: 1,
+      explanation: 'Chosen in the fix dialog.',
+      ambiguity: null,
+      userFixApplied: true
+    };
+  }
 }
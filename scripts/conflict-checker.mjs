@@ -7,6 +7,7 @@
  * - Stacking validation per PF1e rules
  * - Cumulative replacement tracking
  * - Pre-computed conflict index for real-time UI feedback
+ * - Registry of custom conflict rules (house rules) added by modules or world scripts
  */
 
 import { MODULE_ID, debugLog } from './module.mjs';
@@ -16,6 +17,88 @@ import { ScalableFeatures } from './scalable-features.mjs';
 import { CompatibilityDB } from './compatibility-db.mjs';
 
 export class ConflictChecker {
+  // Custom conflict rules, keyed by rule id. Each rule is { label, check(archetypes, context) }.
+  static _rules = new Map();
+
+  /**
+   * Register a named conflict rule. Rules run after the built-in checks in
+   * validateStacking(), checkAgainstApplied() and getIncompatibleArchetypes().
+   *
+   * check(archetypes, context) receives the archetypes being stacked on one class and
+   * returns the conflicts it finds as [{ archetypes: [slug, ...], reason }]. Each archetype is
+   * { slug, name, features?, touched? }: full parsed data (with features) during validation,
+   * and the list entry plus the touched feature series (from the conflict index) while
+   * greying out the selection list. context is { className, phase: 'validate' | 'select' }.
+   *
+   * @param {string} id - Unique rule id (re-registering an id replaces the rule)
+   * @param {Function|object} rule - check function, or { label, check }
+   */
+  static registerRule(id, rule) {
+    const check = typeof rule === 'function' ? rule : rule?.check;
+    if (!id || typeof id !== 'string') throw new Error('Conflict rule id must be a non-empty string');
+    if (typeof check !== 'function') throw new Error(`Conflict rule "${id}" must provide a check function`);
+
+    this._rules.set(id, { id, label: rule.label || id, check });
+    debugLog(`${MODULE_ID} | ConflictChecker: registered rule "${id}"`);
+  }
+
+  /**
+   * Remove a registered conflict rule
+   * @param {string} id - Rule id
+   * @returns {boolean} Whether a rule was removed
+   */
+  static unregisterRule(id) {
+    return this._rules.delete(id);
+  }
+
+  /**
+   * List the registered conflict rules
+   * @returns {Array<{ id: string, label: string }>}
+   */
+  static getRules() {
+    return [...this._rules.values()].map(({ id, label }) => ({ id, label }));
+  }
+
+  /**
+   * Run every registered rule over a stack of archetypes.
+   * A rule that throws or returns malformed results is skipped with a warning.
+   * @param {Array<object>} archetypes - Archetypes on one class
+   * @param {object} context - { className, phase }
+   * @returns {Array<object>} Conflicts in the built-in shape, plus { rule, reason, slugs, isRuleConflict }
+   * @private
+   */
+  static _runRules(archetypes, context) {
+    const conflicts = [];
+    for (const rule of this._rules.values()) {
+      let results;
+      try {
+        results = rule.check(archetypes, context) || [];
+      } catch (e) {
+        console.warn(`${MODULE_ID} | Conflict rule "${rule.id}" failed, skipping:`, e);
+        continue;
+      }
+
+      for (const result of (Array.isArray(results) ? results : [])) {
+        const involved = (result?.archetypes || [])
+          .map(ref => archetypes.find(a => a.slug === ref || a.name === ref))
+          .filter(Boolean);
+        if (involved.length === 0) continue;
+
+        const reason = result.reason || rule.label;
+        conflicts.push({
+          featureName: reason,
+          archetypeA: involved[0].name,
+          archetypeB: (involved[1] || involved[0]).name,
+          rule: rule.id,
+          reason,
+          slugs: involved.map(a => a.slug),
+          isRuleConflict: true
+        });
+      }
+    }
+    return conflicts;
+  }
+
   /**
    * Check conflicts between a new archetype and already-applied archetypes.
    * Includes both direct target conflicts AND series-level conflicts.
@@ -36,6 +119,12 @@ export class ConflictChecker {
       }
     }
 
+    // Custom rules: only conflicts involving the new archetype
+    if (this._rules.size > 0) {
+      const ruleConflicts = this._runRules([...appliedArchetypes, newArchetype], { className, phase: 'validate' });
+      conflicts.push(...ruleConflicts.filter(c => c.slugs.includes(newArchetype.slug)));
+    }
+
     // Deduplicate conflicts
     return this._deduplicateConflicts(conflicts);
   }
@@ -50,22 +139,24 @@ export class ConflictChecker {
     const conflicts = [];
     const checkedPairs = new Set();
 
-    for (const featureA of (archetypeA.features || [])) {
-      if (!featureA.target) continue;
-      for (const featureB of (archetypeB.features || [])) {
-        if (!featureB.target) continue;
+    // Each target of a compound "replaces X and Y" feature is checked on its own
+    const targetsOf = archetype => (archetype.features || []).flatMap(feature =>
+      CompendiumParser.getTargets(feature).map(target => ({ feature, target }))
+    );
 
+    for (const { feature: featureA, target: targetA } of targetsOf(archetypeA)) {
+      for (const { feature: featureB, target: targetB } of targetsOf(archetypeB)) {
         // Skip if already covered by direct conflict detection
-        const normalA = CompendiumParser.normalizeName(featureA.target);
-        const normalB = CompendiumParser.normalizeName(featureB.target);
-        if (normalA === normalB) continue;
+        const keyA = CompendiumParser.targetKey(targetA);
+        const keyB = CompendiumParser.targetKey(targetB);
+        if (CompendiumParser.keysOverlap(keyA, keyB)) continue;
 
-        const pairKey = [normalA, normalB].sort().join('|');
+        const pairKey = [keyA, keyB].sort().join('|');
         if (checkedPairs.has(pairKey)) continue;
         checkedPairs.add(pairKey);
 
         const seriesCheck = ScalableFeatures.checkSeriesConflict(
-          featureA.target, featureB.target, className
+          CompendiumParser.parseTargetLevel(targetA).name, CompendiumParser.parseTargetLevel(targetB).name, className
         );
 
         if (seriesCheck.conflict) {
@@ -153,6 +244,11 @@ export class ConflictChecker {
       }
     }
 
+    // Custom rules see the whole stack at once (e.g., "at most two archetypes per class")
+    if (this._rules.size > 0) {
+      allRawConflicts.push(...this._runRules(archetypeDataList, { className, phase: 'validate' }));
+    }
+
     // Deduplicate
     const allConflicts = this._deduplicateConflicts(allRawConflicts);
     const conflictPairs = [];
@@ -184,12 +280,12 @@ export class ConflictChecker {
 
     for (const archetype of archetypeDataList) {
       for (const feature of (archetype.features || [])) {
-        if (feature.target) {
+        for (const target of CompendiumParser.getTargets(feature)) {
           // Use series base name as key when available (groups all tiers together)
           const seriesBase = className
-            ? ScalableFeatures.getSeriesBaseName(feature.target, className)
+            ? ScalableFeatures.getSeriesBaseName(CompendiumParser.parseTargetLevel(target).name, className)
             : null;
-          const key = seriesBase || CompendiumParser.normalizeName(feature.target);
+          const key = seriesBase || CompendiumParser.targetKey(target);
 
           if (!replacements.has(key)) {
             replacements.set(key, []);
@@ -198,7 +294,7 @@ export class ConflictChecker {
             archetypeName: archetype.name,
             featureName: feature.name,
             type: feature.type,
-            target: feature.target,
+            target,
             isSeriesTarget: !!seriesBase
           });
           totalReplaced++;
@@ -266,6 +362,8 @@ export class ConflictChecker {
   /**
    * Build a pre-computed conflict index for all archetypes of a class.
    * Maps each archetype slug to the set of base feature series it touches.
+   * Features named by the level they are gained at ("6th-level hex") are keyed
+   * as "hex@6" so that conflicts are detected per tier.
    * Used for real-time incompatibility display in the selection UI.
    *
    * Prefers CompatibilityDB data over regex scanning when available.
@@ -273,12 +371,12 @@ export class ConflictChecker {
    * @param {Array} archetypeFeatures - All features from pf-arch-features pack (cached)
    * @param {Array} archetypeDataList - The filtered archetype list for the current class
    * @param {string} className - The class name
+   * @param {Array} [associations] - The class's resolved classAssociations; loose wording
+   *   ("loses X", "changes X") only counts when X names one of them
    * @returns {Map<string, Set<string>>} archetype slug -> Set of touched feature series/names
    */
-  static buildConflictIndex(archetypeFeatures, archetypeDataList, className) {
+  static buildConflictIndex(archetypeFeatures, archetypeDataList, className, associations = []) {
     const index = new Map();
-    const replaceRegex = /replaces?\s+(.+?)\./i;
-    const modifyRegex = /modif(?:y|ies|ying)\s+(.+?)\./i;
     let dbHits = 0;
     let regexFallbacks = 0;
 
@@ -294,7 +392,8 @@ export class ConflictChecker {
       }
       if (dbTouched && dbTouched.length > 0) {
         for (const feature of dbTouched) {
-          touched.add(feature);
+          const hasLevel = CompendiumParser.parseTargetLevel(feature).level !== null;
+          touched.add(hasLevel ? this._touchedKey(feature, className) : feature);
         }
         dbHits++;
       } else {
@@ -310,13 +409,11 @@ export class ConflictChecker {
         for (const feature of matchingFeatures) {
           const desc = feature.system?.description?.value || '';
 
-          const replaceMatch = desc.match(replaceRegex);
-          const modifyMatch = desc.match(modifyRegex);
-          const target = replaceMatch?.[1]?.trim() || modifyMatch?.[1]?.trim();
+          // Same recognition rules as parsing (replaces, instead of, alters, ...)
+          const targetText = CompendiumParser.classifyFeature(desc, associations).target;
 
-          if (target) {
-            const seriesBase = ScalableFeatures.getSeriesBaseName(target, className);
-            touched.add(seriesBase || CompendiumParser.normalizeName(target));
+          for (const target of CompendiumParser.splitTargets(targetText, associations)) {
+            touched.add(this._touchedKey(target, className));
           }
         }
         if (touched.size > 0) regexFallbacks++;
@@ -331,6 +428,16 @@ export class ConflictChecker {
     return index;
   }
 
+  /**
+   * Key a touched feature for the conflict index: its series base name if it belongs to a
+   * scalable series, otherwise CompendiumParser.targetKey() ("hex@6" for "the 6th-level hex")
+   * @private
+   */
+  static _touchedKey(target, className) {
+    const seriesBase = ScalableFeatures.getSeriesBaseName(CompendiumParser.parseTargetLevel(target).name, className);
+    return seriesBase || CompendiumParser.targetKey(target);
+  }
+
   /**
    * Given a conflict index and a set of selected archetype slugs,
    * determine which other archetypes are incompatible.
@@ -342,9 +449,10 @@ export class ConflictChecker {
    * @param {Set<string>} selectedSlugs - Currently selected archetype slugs
    * @param {Array<string>} appliedSlugs - Already applied archetype slugs
    * @param {string} [className] - Class name for DB pair lookup
+   * @param {Array<object>} [archetypeDataList] - Known archetype data ({ slug, name, ... }) passed to custom rules
    * @returns {Map<string, string>} slug -> conflict reason (for graying out)
    */
-  static getIncompatibleArchetypes(conflictIndex, selectedSlugs, appliedSlugs = [], className) {
+  static getIncompatibleArchetypes(conflictIndex, selectedSlugs, appliedSlugs = [], className, archetypeDataList = []) {
     const incompatible = new Map();
     const activeSet = new Set([...selectedSlugs, ...appliedSlugs]);
     const useDb = className && CompatibilityDB.isLoaded();
@@ -394,17 +502,42 @@ export class ConflictChecker {
         if (dbIncompatible || dbCompatible) continue;
       }
 
-      // Fallback: Feature-intersection logic
+      // Fallback: Feature-intersection logic ("hex@6" overlaps "hex" but not "hex@2")
       for (const feature of touched) {
-        if (activeTouched.has(feature)) {
-          const conflictWith = activeTouched.get(feature);
-          const displayFeature = feature.replace(/\b\w/g, l => l.toUpperCase());
+        const activeKey = activeTouched.has(feature)
+          ? feature
+          : [...activeTouched.keys()].find(key => CompendiumParser.keysOverlap(key, feature));
+        if (activeKey !== undefined) {
+          const conflictWith = activeTouched.get(activeKey);
+          const displayFeature = feature
+            .replace(/\b\w/g, l => l.toUpperCase())
+            .replace(/@(\d+)$/, ' (level $1)');
           incompatible.set(slug, `Conflicts with ${conflictWith} over ${displayFeature}`);
           break;
         }
       }
     }
 
+    // Custom rules: try each remaining archetype on top of the active stack
+    if (this._rules.size > 0) {
+      const known = new Map(archetypeDataList.map(a => [a.slug, a]));
+      const describe = (slug) => ({
+        name: slug.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
+        ...known.get(slug),
+        slug,
+        touched: [...(conflictIndex.get(slug) || [])]
+      });
+      const active = [...activeSet].map(describe);
+      const candidates = new Set([...conflictIndex.keys(), ...known.keys()]);
+
+      for (const slug of candidates) {
+        if (activeSet.has(slug) || incompatible.has(slug)) continue;
+        const conflict = this._runRules([...active, describe(slug)], { className, phase: 'select' })
+          .find(c => c.slugs.includes(slug));
+        if (conflict) incompatible.set(slug, conflict.reason);
+      }
+    }
+
     return incompatible;
   }
 }
@@ -47,12 +47,18 @@ export class DiffEngine {
     // falling back to UUID+level for non-scalable features.
     const matchedBaseIndices = new Set();
 
+    // A feature with several targets ("replaces bravery and armor training 1") removes each of them.
     for (const feature of parsedArchetype.features) {
       if ((feature.type === 'replacement' || feature.type === 'modification') && feature.matchedAssociation) {
-        const baseIndex = this._findBaseIndex(feature, expandedBase, matchedBaseIndices);
-        if (baseIndex >= 0) {
-          replacedIndices.add(baseIndex);
-          matchedBaseIndices.add(baseIndex);
+        // A feature gained at several levels replaces the tier gained at each of its levels
+        const repeatLevel = feature.levels?.length > 1 ? feature.level : null;
+        for (const match of CompendiumParser.getTargetMatches(feature)) {
+          if (!match.matchedAssociation) continue;
+          const baseIndex = this._findBaseIndex({ ...match, repeatLevel }, expandedBase, matchedBaseIndices);
+          if (baseIndex >= 0) {
+            replacedIndices.add(baseIndex);
+            matchedBaseIndices.add(baseIndex);
+          }
         }
         addedFeatures.push(feature);
       } else if (feature.type === 'additive') {
@@ -117,8 +123,8 @@ export class DiffEngine {
     // Determine which scalable series are targeted by the archetype
     const targetedSeries = new Set();
     for (const feature of (parsedArchetype.features || [])) {
-      if (feature.target) {
-        const baseName = ScalableFeatures.getSeriesBaseName(feature.target, className);
+      for (const target of CompendiumParser.getTargets(feature)) {
+        const baseName = ScalableFeatures.getSeriesBaseName(CompendiumParser.parseTargetLevel(target).name, className);
         if (baseName) targetedSeries.add(baseName);
       }
     }
@@ -157,18 +163,51 @@ export class DiffEngine {
   /**
    * Find the best matching base association index for an archetype feature.
    * Tries multiple strategies in priority order:
-   *   1. Exact case-insensitive name match (feature.target vs resolvedName)
-   *   2. Normalized name match (strips tier numbers for fuzzy matching)
-   *   3. UUID+level fallback (original strategy for non-scalable features)
+   *   0. Name and level match for level-specific targets ("the 6th-level hex")
+   *   1. The matched entry itself, when entries share a name (one of several "Bonus Feat"s),
+   *      or for a repeating feature the split tier gained at its repeatLevel
+   *   2. Exact case-insensitive name match (feature.target vs resolvedName)
+   *   3. Normalized name match (strips tier numbers for fuzzy matching)
+   *   4. UUID+level fallback (original strategy for non-scalable features)
    *
-   * @param {object} feature - Archetype feature with target and matchedAssociation
+   * @param {object} feature - Archetype feature (or one of its target matches) with target, matchedAssociation
+   *   and an optional repeatLevel
    * @param {Array} expandedBase - Expanded base associations
    * @param {Set} matchedBaseIndices - Already-matched indices to skip
    * @returns {number} Index into expandedBase, or -1 if no match
    * @private
    */
   static _findBaseIndex(feature, expandedBase, matchedBaseIndices) {
-    // Strategy 1: Exact case-insensitive name match
+    // Strategy 0: The entry (or split tier) gained at the level the target names
+    const { name, level } = CompendiumParser.parseTargetLevel(feature.target);
+    if (level !== null) {
+      const normalizedName = CompendiumParser.normalizeName(name);
+      const idx = expandedBase.findIndex((a, i) => {
+        if (matchedBaseIndices.has(i) || a.level !== level) return false;
+        const normalizedBase = CompendiumParser.normalizeName(a.resolvedName || '');
+        return normalizedBase && (normalizedBase === normalizedName ||
+          normalizedBase.includes(normalizedName) || normalizedName.includes(normalizedBase));
+      });
+      if (idx >= 0) return idx;
+    }
+
+    // Strategy 1: The entry matching chose (by the feature's level or the user's pick);
+    // split tiers share the condensed entry's UUID and level, so they are left to the name strategies
+    const chosen = feature.matchedAssociation;
+    if (chosen && chosen.level !== undefined) {
+      const idx = expandedBase.findIndex((a, i) => !matchedBaseIndices.has(i) && !a._isSplitTier &&
+        a.level === chosen.level && ((chosen.uuid && a.uuid === chosen.uuid) || (chosen.id && a.id === chosen.id)));
+      if (idx >= 0) return idx;
+    }
+
+    // Strategy 1b: For a feature gained at several levels, the split tier gained at this entry's level
+    if (chosen && feature.repeatLevel != null) {
+      const idx = expandedBase.findIndex((a, i) => !matchedBaseIndices.has(i) && a._isSplitTier &&
+        a.level === feature.repeatLevel && ((chosen.uuid && a.uuid === chosen.uuid) || (chosen.id && a.id === chosen.id)));
+      if (idx >= 0) return idx;
+    }
+
+    // Strategy 2: Exact case-insensitive name match
     if (feature.target) {
       const lowerTarget = feature.target.trim().toLowerCase();
       const idx = expandedBase.findIndex((a, i) => {
@@ -178,7 +217,7 @@ export class DiffEngine {
       if (idx >= 0) return idx;
     }
 
-    // Strategy 2: Normalized name match (strips tier numbers, parentheticals)
+    // Strategy 3: Normalized name match (strips tier numbers, parentheticals)
     if (feature.target) {
       const normalizedTarget = CompendiumParser.normalizeName(feature.target);
       const idx = expandedBase.findIndex((a, i) => {
@@ -188,7 +227,7 @@ export class DiffEngine {
       if (idx >= 0) return idx;
     }
 
-    // Strategy 3: UUID+level fallback (for non-scalable features or when name match fails)
+    // Strategy 4: UUID+level fallback (for non-scalable features or when name match fails)
     if (feature.matchedAssociation) {
       const matchUuid = feature.matchedAssociation.uuid;
       const matchId = feature.matchedAssociation.id;
@@ -217,22 +256,24 @@ export class DiffEngine {
   static detectConflicts(archetypeA, archetypeB) {
     const conflicts = [];
 
+    // Keys carry the level for level-specific targets, so "the 2nd-level bonus feat" and
+    // "the 4th-level bonus feat" do not conflict while "bonus feats" conflicts with both
     const aTargets = new Map();
     for (const f of archetypeA.features) {
-      if (f.target) {
-        const normalized = CompendiumParser.normalizeName(f.target);
-        aTargets.set(normalized, f);
+      for (const target of CompendiumParser.getTargets(f)) {
+        aTargets.set(CompendiumParser.targetKey(target), f);
       }
     }
 
     for (const f of archetypeB.features) {
-      if (f.target) {
-        const normalized = CompendiumParser.normalizeName(f.target);
-        if (aTargets.has(normalized)) {
+      for (const target of CompendiumParser.getTargets(f)) {
+        const key = CompendiumParser.targetKey(target);
+        const matchKey = [...aTargets.keys()].find(aKey => CompendiumParser.keysOverlap(aKey, key));
+        if (matchKey !== undefined) {
           conflicts.push({
-            featureName: f.target,
+            featureName: target,
             archetypeA: archetypeA.name,
-            featureA: aTargets.get(normalized).name,
+            featureA: aTargets.get(matchKey).name,
             archetypeB: archetypeB.name,
             featureB: f.name
           });
@@ -0,0 +1,111 @@
+/**
+ * FixMaintenance - GM view of JE fixes written against outdated compendium text
+ *
+ * Handles:
+ * - Comparing each fix's description stamp with the current pf-arch-features text
+ * - Listing stale and unstamped fixes for review
+ * - Keeping, updating (re-stamping) or dropping each fix in a single JE write
+ */
+
+import { MODULE_ID, MODULE_TITLE, debugLog } from './module.mjs';
+import { CompendiumParser } from './compendium-parser.mjs';
+import { JournalEntryDB } from './journal-db.mjs';
+import { UIManager } from './ui-manager.mjs';
+
+export class FixMaintenance {
+  static ACTIONS = ['keep', 'update', 'drop'];
+
+  /**
+   * Scan the fixes and show the maintenance view (GM only)
+   * @returns {Promise<object|null>} { keep, update, drop } counts, or null if nothing was applied
+   */
+  static async open() {
+    const entries = await this.scan();
+    if (!entries) return null;
+
+    const actions = await UIManager.showFixMaintenanceDialog(entries);
+    if (!actions) return null;
+    return this.applyActions(entries, actions);
+  }
+
+  /**
+   * Find the JE fixes whose compendium feature text no longer matches their stamp (GM only).
+   * Fixes for features missing from the compendium cannot be checked and are left out.
+   * @returns {Promise<Array|null>} [{ archetypeSlug, featureSlug, featureName, fix, currentDescription,
+   *   status: 'stale'|'unstamped', savedHash, currentHash, savedVersion, currentVersion }], or null
+   */
+  static async scan() {
+    if (!game.user.isGM) {
+      ui.notifications.error(`${MODULE_TITLE} | Only the GM can maintain the JE fixes.`);
+      return null;
+    }
+
+    const fixes = await JournalEntryDB.readSection('fixes');
+    const docs = await CompendiumParser.loadArchetypeFeatures();
+
+    // Fixes are keyed by either slug form (parser and fix dialog), so index both
+    const bySlug = new Map();
+    for (const doc of docs) {
+      if (!doc?.name) continue;
+      for (const key of [doc.name.slugify(), UIManager._slugify(doc.name)]) {
+        if (!bySlug.has(key)) bySlug.set(key, doc);
+      }
+    }
+
+    const entries = [];
+    for (const [archetypeSlug, archetype] of Object.entries(fixes)) {
+      for (const [featureSlug, fix] of Object.entries(archetype?.features || {})) {
+        const doc = bySlug.get(featureSlug);
+        if (!doc) continue;
+
+        const currentDescription = doc.system?.description?.value || '';
+        const check = CompendiumParser.checkFix(fix, currentDescription);
+        if (check.status === 'current') continue;
+
+        entries.push({ archetypeSlug, featureSlug, featureName: doc.name, fix, currentDescription, ...check });
+      }
+    }
+
+    debugLog(`${MODULE_ID} | Fix maintenance: ${entries.filter(e => e.status === 'stale').length} stale, ${entries.filter(e => e.status === 'unstamped').length} unstamped`);
+    return entries;
+  }
+
+  /**
+   * Apply the chosen action to each entry: 'keep' leaves the fix as is, 'update' stamps it
+   * with the current description, 'drop' deletes it (and its archetype once nothing is left)
+   * @param {Array} entries - From scan()
+   * @param {Array<string>} actions - One action per entry; anything else counts as 'keep'
+   * @returns {Promise<object|null>} { keep, update, drop } counts, or null if the write failed
+   */
+  static async applyActions(entries, actions) {
+    const data = await JournalEntryDB.readSection('fixes');
+    const counts = Object.fromEntries(this.ACTIONS.map(action => [action, 0]));
+
+    entries.forEach((entry, i) => {
+      const action = this.ACTIONS.includes(actions[i]) ? actions[i] : 'keep';
+      const archetype = data[entry.archetypeSlug];
+      const fix = archetype?.features?.[entry.featureSlug];
+      if (!fix) return;
+
+      if (action === 'update') {
+        archetype.features[entry.featureSlug] = { ...fix, ...CompendiumParser.fixStamp(entry.currentDescription) };
+      } else if (action === 'drop') {
+        delete archetype.features[entry.featureSlug];
+        const hasOtherData = archetype.classEdits || archetype.spellcasting || archetype.chassis;
+        if (Object.keys(archetype.features).length === 0 && !hasOtherData) delete data[entry.archetypeSlug];
+      }
+      counts[action]++;
+    });
+
+    if (counts.update === 0 && counts.drop === 0) return counts;
+
+    const success = await JournalEntryDB.writeSection('fixes', data);
+    if (!success) {
+      ui.notifications.error(`${MODULE_TITLE} | Failed to save the fix changes.`);
+      return null;
+    }
+
+    ui.notifications.info(`${MODULE_TITLE} | JE fixes updated: ${counts.update}, dropped: ${counts.drop}.`);
+    return counts;
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * FixSuggestions - GM review of the fixes players suggest
+ *
+ * Handles:
+ * - Listing the suggestions players queued from the fix and review dialogs
+ * - Accepting (merging into the JE fixes section), editing or rejecting each suggestion
+ * - Telling the GM on login when suggestions are waiting
+ *
+ * Players cannot write the fixes section, so their corrections are queued on the JE
+ * database's suggestions page (see JournalEntryDB.addSuggestions) until the GM decides.
+ */
+
+import { MODULE_ID, MODULE_TITLE, debugLog } from './module.mjs';
+import { CompendiumParser } from './compendium-parser.mjs';
+import { JournalEntryDB } from './journal-db.mjs';
+import { UIManager } from './ui-manager.mjs';
+
+export class FixSuggestions {
+  static ACTIONS = ['later', 'accept', 'reject'];
+
+  /**
+   * Show the waiting suggestions and apply the GM's decisions (GM only)
+   * @returns {Promise<object|null>} { later, accept, reject } counts, or null if nothing was decided
+   */
+  static async open() {
+    if (!game.user.isGM) {
+      ui.notifications.error(`${MODULE_TITLE} | Only the GM can review fix suggestions.`);
+      return null;
+    }
+
+    const suggestions = await this.list();
+    if (suggestions.length === 0) {
+      ui.notifications.info(`${MODULE_TITLE} | No fix suggestions are waiting.`);
+      return null;
+    }
+
+    const decisions = await UIManager.showSuggestionReviewDialog(suggestions);
+    if (!decisions) return null;
+    return this.applyDecisions(suggestions, decisions);
+  }
+
+  /**
+   * List the waiting suggestions, oldest first
+   * @returns {Promise<Array>} [{ id, archetypeSlug, archetypeName, className, featureSlug, featureName,
+   *   fix, proposer: { id, name }, createdAt }]
+   */
+  static async list() {
+    const data = await JournalEntryDB.readSuggestions();
+    return Object.values(data).sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  }
+
+  /**
+   * Apply one decision per suggestion (GM only). Accepted suggestions are merged into the
+   * fixes section, with the GM's edits over the suggested fix; accepted and rejected ones
+   * leave the queue, and the rest stay for later.
+   * @param {Array} suggestions - From list()
+   * @param {Array} decisions - [{ action: 'later'|'accept'|'reject', fix?: { level, replaces } }]
+   * @returns {Promise<object|null>} { later, accept, reject } counts, or null if the fixes could not be written
+   */
+  static async applyDecisions(suggestions, decisions) {
+    if (!game.user.isGM) {
+      ui.notifications.error(`${MODULE_TITLE} | Only the GM can review fix suggestions.`);
+      return null;
+    }
+
+    const counts = Object.fromEntries(this.ACTIONS.map(action => [action, 0]));
+    const accepted = [];
+    const settled = new Set();
+
+    suggestions.forEach((suggestion, i) => {
+      const decision = decisions[i] ?? {};
+      const action = this.ACTIONS.includes(decision.action) ? decision.action : 'later';
+      counts[action]++;
+      if (action === 'later') return;
+
+      settled.add(suggestion.id);
+      if (action === 'accept') {
+        accepted.push({
+          archetypeSlug: suggestion.archetypeSlug,
+          className: suggestion.className,
+          featureSlug: suggestion.featureSlug,
+          fix: { ...suggestion.fix, ...(decision.fix || {}) }
+        });
+      }
+    });
+
+    if (accepted.length > 0) {
+      const fixes = await JournalEntryDB.readSection('fixes');
+      CompendiumParser.mergeFixes(fixes, accepted);
+      if (!await JournalEntryDB.writeSection('fixes', fixes)) {
+        ui.notifications.error(`${MODULE_TITLE} | Failed to save the accepted fixes.`);
+        return null;
+      }
+    }
+
+    // Only the decided suggestions are removed; players may have queued more while the dialog was open
+    await JournalEntryDB.removeSuggestions([...settled]);
+
+    debugLog(`${MODULE_ID} | Fix suggestions: ${counts.accept} accepted, ${counts.reject} rejected, ${counts.later} left`);
+    if (settled.size > 0) {
+      ui.notifications.info(`${MODULE_TITLE} | Fix suggestions accepted: ${counts.accept}, rejected: ${counts.reject}.`);
+    }
+    return counts;
+  }
+
+  /**
+   * Tell the GM how many suggestions are waiting (called on login)
+   * @returns {Promise<number>} The number of waiting suggestions (0 for players)
+   */
+  static async notifyGM() {
+    if (!game.user.isGM) return 0;
+
+    const count = (await this.list()).length;
+    if (count > 0) {
+      ui.notifications.info(`${MODULE_TITLE} | ${count} fix suggestion${count === 1 ? ' is' : 's are'} waiting for review. Open them with game.modules.get('${MODULE_ID}').api.reviewSuggestions().`);
+    }
+    return count;
+  }
+}
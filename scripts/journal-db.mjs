@@ -6,13 +6,29 @@
  * - missing: Official archetypes not in the pf1e-archetypes module
  * - custom: Homebrew/world-specific archetypes
  *
- * Data is stored as JSON in JournalEntry pages.
+ * Data is stored as JSON in JournalEntry pages. An optional "config" page holds
+ * world configuration for the parser (e.g. extra recognition rules); it is created
+ * the first time configuration is written. A "suggestions" page, created by the GM,
+ * queues fixes proposed by players for the GM to review. Players cannot write it; their
+ * suggestions are sent over the module socket and written by the active GM. Each
+ * suggestion is its own flag on that page, keyed by id, so writes from several users
+ * never overwrite each other.
  */
 
 import { MODULE_ID, JE_DB_NAME, debugLog } from './module.mjs';
 
 export class JournalEntryDB {
   static SECTIONS = ['fixes', 'missing', 'custom'];
+  static CONFIG_PAGE = 'config';
+  static SUGGESTIONS_PAGE = 'suggestions';
+
+  /**
+   * The module socket players' suggestions are sent on (a getter, as MODULE_ID is not
+   * yet initialized while module.mjs imports this file)
+   */
+  static get SOCKET() {
+    return `module.${MODULE_ID}`;
+  }
 
   /**
    * Ensure the database JournalEntry exists, creating it if needed
@@ -102,6 +118,151 @@ export class JournalEntryDB {
     return true;
   }
 
+  /**
+   * Read the configuration page
+   * @returns {object} The parsed JSON configuration ({} if the page is missing or invalid)
+   */
+  static async readConfig() {
+    const page = this.getDatabase()?.pages.getName(this.CONFIG_PAGE);
+    if (!page) return {};
+
+    try {
+      const parsed = JSON.parse(page.text.content || '{}');
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+    } catch (e) {
+      // Unlike the data sections, configuration is never reset automatically
+    }
+    console.warn(`${MODULE_ID} | Invalid JSON in ${this.CONFIG_PAGE} page, ignoring it`);
+    return {};
+  }
+
+  /**
+   * Write the configuration page, creating it if needed (GM only)
+   * @param {object} data - The configuration to write
+   * @returns {boolean} Whether the configuration was written
+   */
+  static async writeConfig(data) {
+    if (!game.user.isGM) {
+      ui.notifications.error('Only the GM can modify the Archetype Manager configuration.');
+      return false;
+    }
+
+    const je = this.getDatabase() ?? await this.ensureDatabase();
+    const content = JSON.stringify(data, null, 2);
+    const page = je.pages.getName(this.CONFIG_PAGE);
+    if (page) {
+      await page.update({ 'text.content': content });
+    } else {
+      await je.createEmbeddedDocuments('JournalEntryPage', [{ name: this.CONFIG_PAGE, type: 'text', text: { content } }]);
+    }
+    return true;
+  }
+
+  /**
+   * Ensure the suggestions page exists, creating it with the database's own permissions
+   * (GM only; nothing is created if the database does not exist). A page left owned by
+   * every player by an earlier version is taken back.
+   * @returns {Promise<JournalEntryPage|null>} The page, or null
+   */
+  static async ensureSuggestionsPage() {
+    const je = this.getDatabase();
+    if (!je) return null;
+
+    const page = je.pages.getName(this.SUGGESTIONS_PAGE);
+    if (!game.user.isGM) return page;
+    if (page) {
+      const { INHERIT, OWNER } = CONST.DOCUMENT_OWNERSHIP_LEVELS;
+      if (page.ownership?.default === OWNER) await page.update({ ownership: { default: INHERIT } });
+      return page;
+    }
+
+    debugLog(`${MODULE_ID} | Creating ${this.SUGGESTIONS_PAGE} page`);
+    const [created] = await je.createEmbeddedDocuments('JournalEntryPage', [{
+      name: this.SUGGESTIONS_PAGE,
+      type: 'text',
+      flags: { [MODULE_ID]: { suggestions: {} } }
+    }]);
+    return created ?? je.pages.getName(this.SUGGESTIONS_PAGE);
+  }
+
+  /**
+   * Read the queued fix suggestions
+   * @returns {Promise<object>} { [id]: suggestion } ({} if the page is missing)
+   */
+  static async readSuggestions() {
+    const page = this.getDatabase()?.pages.getName(this.SUGGESTIONS_PAGE);
+    const suggestions = page?.getFlag(MODULE_ID, 'suggestions');
+    return suggestions && typeof suggestions === 'object' ? foundry.utils.deepClone(suggestions) : {};
+  }
+
+  /**
+   * Queue fix suggestions, recording who proposed them and when. The GM writes them
+   * directly; a player's are sent to the active GM over the module socket.
+   * @param {Array} records - [{ archetypeSlug, archetypeName, className, featureSlug, featureName, fix }]
+   * @returns {Promise<boolean>} Whether the suggestions were saved or sent
+   */
+  static async addSuggestions(records) {
+    if (game.user.isGM) return this._writeSuggestions(records, game.user);
+
+    if (!game.users.activeGM) {
+      ui.notifications.error('Archetype Manager: A GM needs to be logged in to receive fix suggestions.');
+      return false;
+    }
+    game.socket.emit(this.SOCKET, { action: 'addSuggestions', userId: game.user.id, records });
+    return true;
+  }
+
+  /**
+   * Handle a message on the module socket. Only the active GM writes, so a suggestion
+   * is queued once however many GMs are logged in.
+   * @param {object} message - { action: 'addSuggestions', userId, records }
+   * @returns {Promise<boolean>} Whether suggestions were written
+   */
+  static async handleSocketMessage(message) {
+    if (message?.action !== 'addSuggestions' || !game.user.isGM || game.users.activeGM?.id !== game.user.id) return false;
+    const proposer = game.users.get(message.userId);
+    if (!proposer || !Array.isArray(message.records)) return false;
+    return this._writeSuggestions(message.records, proposer);
+  }
+
+  /**
+   * Write suggestions to the page. Only the new suggestions' flags are written.
+   * @param {Array} records - See addSuggestions
+   * @param {User} proposer - The user who suggested them
+   * @returns {Promise<boolean>} Whether the suggestions were saved
+   * @private
+   */
+  static async _writeSuggestions(records, proposer) {
+    const page = await this.ensureSuggestionsPage();
+    if (!page) {
+      ui.notifications.error('Archetype Manager: The suggestions page does not exist yet. The GM needs to load the world once.');
+      return false;
+    }
+
+    const createdAt = new Date().toISOString();
+    const update = {};
+    for (const record of records) {
+      const id = foundry.utils.randomID();
+      update[`flags.${MODULE_ID}.suggestions.${id}`] = { ...record, id, proposer: { id: proposer.id, name: proposer.name }, createdAt };
+    }
+    await page.update(update);
+    return true;
+  }
+
+  /**
+   * Remove suggestions from the queue, leaving any others untouched
+   * @param {Array<string>} ids - Suggestion ids
+   * @returns {Promise<boolean>} Whether the suggestions were removed
+   */
+  static async removeSuggestions(ids) {
+    const page = this.getDatabase()?.pages.getName(this.SUGGESTIONS_PAGE);
+    if (!page) return false;
+    if (ids.length === 0) return true;
+
+    await page.update(Object.fromEntries(ids.map(id => [`flags.${MODULE_ID}.suggestions.-=${id}`, null])));
+    return true;
+  }
+
   /**
    * Get a specific archetype entry from the database
    * @param {string} slug - The archetype slug
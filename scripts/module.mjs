@@ -12,6 +12,11 @@ import { DiffEngine } from './diff-engine.mjs';
 import { Applicator } from './applicator.mjs';
 import { UIManager } from './ui-manager.mjs';
 import { CompatibilityDB } from './compatibility-db.mjs';
+import { ConflictChecker } from './conflict-checker.mjs';
+import { ArchetypeAPI } from './archetype-api.mjs';
+import { ParseAudit } from './parse-audit.mjs';
+import { FixMaintenance } from './fix-maintenance.mjs';
+import { FixSuggestions } from './fix-suggestions.mjs';
 
 const MODULE_ID = 'archetype-manager';
 const MODULE_TITLE = 'PF1e Archetype Manager';
@@ -42,6 +47,15 @@ Hooks.once('init', () => {
     default: true
   });
 
+  game.settings.register(MODULE_ID, 'strictMode', {
+    name: 'Strict Mode',
+    hint: 'Block applying an archetype until every unresolved feature is fixed or marked as additive',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
   game.settings.register(MODULE_ID, 'autoCreateJEDB', {
     name: 'Auto-Create Journal Database',
     hint: 'When enabled, the module automatically creates the Archetype Manager DB JournalEntry on startup. Disable if you manage the journal manually or do not want automatic journal creation.',
@@ -94,19 +108,73 @@ Hooks.once('ready', async () => {
     debugLog(`${MODULE_TITLE} | Auto-create JournalEntry database is disabled, skipping database creation`);
   }
 
+  // Load world recognition rules from the JE config page (non-blocking)
+  CompendiumParser.loadJournalRules().catch(e => debugLog(`${MODULE_TITLE} | Recognition rules not loaded:`, e));
+
   // Preload CompatibilityDB (non-blocking, graceful fallback)
   CompatibilityDB.load().catch(e => debugLog(`${MODULE_TITLE} | CompatibilityDB not available:`, e));
 
   // Make the module API available globally for macro access
   game.modules.get(MODULE_ID).api = {
     open: (actor) => ArchetypeManager.open(actor),
+    undo: (actor) => Applicator.undo(actor),
+    redo: (actor) => Applicator.redo(actor),
+    // Headless calls for macros: structured results, no dialogs or notifications
+    apply: (actor, classRef, archetypeRef, options) => ArchetypeAPI.apply(actor, classRef, archetypeRef, options),
+    remove: (actor, classRef, archetypeRef, options) => ArchetypeAPI.remove(actor, classRef, archetypeRef, options),
+    listAvailable: (actor, classRef) => ArchetypeAPI.listAvailable(actor, classRef),
+    listApplied: (actor) => ArchetypeAPI.listApplied(actor),
+    preview: (actor, classRef, archetypeRef) => ArchetypeAPI.preview(actor, classRef, archetypeRef),
+    checkCompatibility: (actor, classRef, archetypeRefs) => ArchetypeAPI.checkCompatibility(actor, classRef, archetypeRefs),
+    // House-rule conflict checks (see ConflictChecker.registerRule)
+    registerConflictRule: (id, rule) => ConflictChecker.registerRule(id, rule),
+    unregisterConflictRule: (id) => ConflictChecker.unregisterRule(id),
+    // Wording that marks a feature as a replacement or modification (see CompendiumParser.registerRecognitionRule)
+    registerRecognitionRule: (rule) => CompendiumParser.registerRecognitionRule(rule),
+    unregisterRecognitionRule: (id) => CompendiumParser.unregisterRecognitionRule(id),
+    getRecognitionRules: () => CompendiumParser.getRecognitionRules(),
+    // GM report on how every archetype of a class parses, with a JE fixes skeleton export
+    parseAudit: (classRefs) => ParseAudit.open(classRefs),
+    // GM view of JE fixes written against older compendium text: keep, update or drop each
+    maintainFixes: () => FixMaintenance.open(),
+    // GM review of the fixes players suggested: accept, edit or reject each
+    reviewSuggestions: () => FixSuggestions.open(),
     MODULE_ID,
     JE_DB_NAME
   };
 
+  // Let modules and world scripts register conflict rules once the API exists
+  Hooks.callAll('archetypeManager.ready', game.modules.get(MODULE_ID).api);
+
+  // Players' fix suggestions arrive over the socket; the active GM writes them and is told
+  game.socket.on(JournalEntryDB.SOCKET, (message) => {
+    JournalEntryDB.handleSocketMessage(message)
+      .then(written => written && FixSuggestions.notifyGM())
+      .catch(e => console.error(`${MODULE_ID} | Failed to queue fix suggestions:`, e));
+  });
+
+  // Create the page fix suggestions are queued on, and tell the GM when some are waiting (non-blocking)
+  JournalEntryDB.ensureSuggestionsPage()
+    .then(() => FixSuggestions.notifyGM())
+    .catch(e => console.error(`${MODULE_ID} | Failed to check fix suggestions:`, e));
+
+  // Offer to recover archetype operations interrupted by a crash or disconnect (non-blocking)
+  UIManager.promptUnfinishedOperations().catch(e => console.error(`${MODULE_ID} | Failed to check for unfinished operations:`, e));
+
   debugLog(`${MODULE_TITLE} | Module fully loaded and ready`);
 });
 
+/**
+ * Reload the world recognition rules when the JE config page is created, changed or deleted.
+ * Parsing uses the rules loaded on ready instead of re-reading the page for every archetype.
+ */
+for (const hook of ['createJournalEntryPage', 'updateJournalEntryPage', 'deleteJournalEntryPage']) {
+  Hooks.on(hook, (page) => {
+    if (page?.name !== JournalEntryDB.CONFIG_PAGE || page.parent !== JournalEntryDB.getDatabase()) return;
+    CompendiumParser.loadJournalRules().catch(e => debugLog(`${MODULE_TITLE} | Recognition rules not reloaded:`, e));
+  });
+}
+
 /**
  * Add "Archetypes" icon button to actor sheet window title bar.
  *
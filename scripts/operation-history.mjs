@@ -0,0 +1,209 @@
+/**
+ * OperationHistory - Per-actor undo/redo history for archetype operations
+ *
+ * Handles:
+ * - Recording the class item's state before and after every apply, remove and restore
+ * - Keeping separate, bounded undo and redo stacks on the actor
+ * - Moving entries between the stacks as operations are undone and redone
+ *
+ * Each entry holds the full "after" state (classAssociations, module flags and the actor's
+ * appliedArchetypes lookup) and only the changes that turn it back into the "before" state.
+ * Archetype-created item copies are tracked by ID; item data is kept only for the copies
+ * that are currently deleted, so the other side of the entry can recreate them.
+ * Entries are stored in flags.archetype-manager.undoHistory / redoHistory on the actor.
+ */
+
+import { MODULE_ID, debugLog } from './module.mjs';
+
+export class OperationHistory {
+  static UNDO_FLAG = 'undoHistory';
+  static REDO_FLAG = 'redoHistory';
+
+  // Maximum entries kept per stack; the oldest entries are dropped first
+  static MAX_ENTRIES = 10;
+
+  /**
+   * Get the undo stack for an actor
+   * @param {Actor} actor - The actor document
+   * @returns {Array<object>} History entries (oldest first)
+   */
+  static getUndoStack(actor) {
+    return this._read(actor, this.UNDO_FLAG);
+  }
+
+  /**
+   * Get the redo stack for an actor
+   * @param {Actor} actor - The actor document
+   * @returns {Array<object>} History entries (oldest first)
+   */
+  static getRedoStack(actor) {
+    return this._read(actor, this.REDO_FLAG);
+  }
+
+  /**
+   * Get the entry that the next undo would revert
+   * @param {Actor} actor - The actor document
+   * @returns {object|null}
+   */
+  static peekUndo(actor) {
+    return this.getUndoStack(actor).at(-1) ?? null;
+  }
+
+  /**
+   * Get the entry that the next redo would re-apply
+   * @param {Actor} actor - The actor document
+   * @returns {object|null}
+   */
+  static peekRedo(actor) {
+    return this.getRedoStack(actor).at(-1) ?? null;
+  }
+
+  /**
+   * Get the full class states on either side of an entry
+   * @param {object} entry - History entry
+   * @returns {{before: object, after: object}}
+   */
+  static getStates(entry) {
+    return {
+      before: this._patch(entry.after.state, entry.before.changes),
+      after: foundry.utils.deepClone(entry.after.state)
+    };
+  }
+
+  /**
+   * Record a completed operation. Any new operation invalidates the redo stack.
+   * @param {Actor} actor - The actor document
+   * @param {object} data - { type, label, classItemId, before: { state, copies }, after: { state, copies } }
+   * @returns {object} The stored entry
+   */
+  static async push(actor, { before, after, ...data }) {
+    const afterIds = after.copies.map(c => c._id);
+    const entry = {
+      ...foundry.utils.deepClone(data),
+      id: foundry.utils.randomID(),
+      timestamp: new Date().toISOString(),
+      before: { changes: this._diff(after.state, before.state), copyIds: before.copies.map(c => c._id) },
+      after: { state: foundry.utils.deepClone(after.state), copyIds: afterIds },
+      // The copies the operation deleted are the only ones not on the actor now
+      items: foundry.utils.deepClone(before.copies.filter(c => !afterIds.includes(c._id)))
+    };
+
+    const undo = [...this.getUndoStack(actor), entry].slice(-this.MAX_ENTRIES);
+    await actor.setFlag(MODULE_ID, this.UNDO_FLAG, undo);
+    if (this.getRedoStack(actor).length > 0) {
+      await actor.setFlag(MODULE_ID, this.REDO_FLAG, null);
+    }
+
+    debugLog(`${MODULE_ID} | History: recorded "${entry.label}" on ${actor.name}`);
+    return entry;
+  }
+
+  /**
+   * Move an entry from the undo stack to the redo stack
+   * @param {Actor} actor - The actor document
+   * @param {string} id - History entry id
+   * @param {Array<object>} [items] - Data of the tracked copies the undo deleted
+   */
+  static async markUndone(actor, id, items) {
+    await this._move(actor, this.UNDO_FLAG, this.REDO_FLAG, id, items);
+  }
+
+  /**
+   * Move an entry from the redo stack back to the undo stack
+   * @param {Actor} actor - The actor document
+   * @param {string} id - History entry id
+   * @param {Array<object>} [items] - Data of the tracked copies the redo deleted
+   */
+  static async markRedone(actor, id, items) {
+    await this._move(actor, this.REDO_FLAG, this.UNDO_FLAG, id, items);
+  }
+
+  /**
+   * Remove an entry from both stacks (e.g., its class item no longer exists)
+   * @param {Actor} actor - The actor document
+   * @param {string} id - History entry id
+   */
+  static async drop(actor, id) {
+    for (const flag of [this.UNDO_FLAG, this.REDO_FLAG]) {
+      const entries = this._read(actor, flag);
+      if (!entries.some(e => e.id === id)) continue;
+      const remaining = entries.filter(e => e.id !== id);
+      await actor.setFlag(MODULE_ID, flag, remaining.length > 0 ? remaining : null);
+    }
+  }
+
+  /**
+   * Clear all history for an actor
+   * @param {Actor} actor - The actor document
+   */
+  static async clear(actor) {
+    await actor.setFlag(MODULE_ID, this.UNDO_FLAG, null);
+    await actor.setFlag(MODULE_ID, this.REDO_FLAG, null);
+  }
+
+  /**
+   * @private
+   */
+  static _read(actor, flag) {
+    const entries = actor?.getFlag?.(MODULE_ID, flag);
+    return Array.isArray(entries) ? entries : [];
+  }
+
+  /**
+   * @private
+   */
+  static async _move(actor, fromFlag, toFlag, id, items) {
+    const from = this._read(actor, fromFlag);
+    const entry = from.find(e => e.id === id);
+    if (!entry) return;
+
+    const remaining = from.filter(e => e.id !== id);
+    const moved = items ? { ...entry, items: foundry.utils.deepClone(items) } : entry;
+    const to = [...this._read(actor, toFlag), moved].slice(-this.MAX_ENTRIES);
+    await actor.setFlag(MODULE_ID, fromFlag, remaining.length > 0 ? remaining : null);
+    await actor.setFlag(MODULE_ID, toFlag, to);
+  }
+
+  /**
+   * Compute the changes that turn one state into another. Nested objects are compared
+   * key by key; removed keys use Foundry's "-=key" deletion syntax.
+   * @private
+   */
+  static _diff(base, target) {
+    const changes = {};
+    for (const key of Object.keys(base ?? {})) {
+      if (!(key in target)) changes[`-=${key}`] = null;
+    }
+    for (const [key, value] of Object.entries(target)) {
+      const from = base?.[key];
+      if (JSON.stringify(from) === JSON.stringify(value)) continue;
+      changes[key] = this._isObject(from) && this._isObject(value) ? this._diff(from, value) : foundry.utils.deepClone(value);
+    }
+    return changes;
+  }
+
+  /**
+   * Apply changes from _diff() to a copy of the state they were computed against
+   * @private
+   */
+  static _patch(base, changes) {
+    const result = foundry.utils.deepClone(base);
+    for (const [key, value] of Object.entries(changes ?? {})) {
+      if (key.startsWith('-=')) {
+        delete result[key.slice(2)];
+      } else if (this._isObject(value) && this._isObject(result[key])) {
+        result[key] = this._patch(result[key], value);
+      } else {
+        result[key] = foundry.utils.deepClone(value);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * @private
+   */
+  static _isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * OperationJournal - Write-ahead journal for archetype operations
+ *
+ * Handles:
+ * - Recording each apply/remove/restore on the actor before any document is modified
+ * - Tracking item copies created or deleted while an operation is in flight
+ * - Dropping entries once every write has landed
+ * - Finding unfinished entries left behind by a crash or disconnect
+ *
+ * Entries are stored as an array in flags.archetype-manager.operationJournal on the actor.
+ * Each entry carries the full "before" and "after" state of the class item, so an
+ * interrupted operation can be rolled back or forward without re-parsing anything.
+ * Only operations still in flight are kept; a finished operation has nothing left to recover.
+ */
+
+import { MODULE_ID, debugLog } from './module.mjs';
+
+export class OperationJournal {
+  static FLAG = 'operationJournal';
+
+  static STATUS = {
+    PENDING: 'pending'
+  };
+
+  /**
+   * Get all journal entries for an actor
+   * @param {Actor} actor - The actor document
+   * @returns {Array<object>} Journal entries (oldest first)
+   */
+  static getEntries(actor) {
+    const entries = actor?.getFlag?.(MODULE_ID, this.FLAG);
+    return Array.isArray(entries) ? entries : [];
+  }
+
+  /**
+   * Get the unfinished journal entries for an actor
+   * @param {Actor} actor - The actor document
+   * @returns {Array<object>} Entries still marked pending
+   */
+  static getPending(actor) {
+    return this.getEntries(actor).filter(e => e.status === this.STATUS.PENDING);
+  }
+
+  /**
+   * Write a new pending entry before an operation touches any document
+   * @param {Actor} actor - The actor document
+   * @param {object} data - Entry payload { type, classItemId, slug, before, after, ... }
+   * @returns {object} The stored entry (including its generated id)
+   */
+  static async begin(actor, data) {
+    const entry = {
+      ...foundry.utils.deepClone(data),
+      id: foundry.utils.randomID(),
+      status: this.STATUS.PENDING,
+      startedAt: new Date().toISOString(),
+      createdItemIds: []
+    };
+
+    await actor.setFlag(MODULE_ID, this.FLAG, [...this.getEntries(actor), entry]);
+
+    debugLog(`${MODULE_ID} | Journal: began ${entry.type} "${entry.slug}" on ${actor.name} (${entry.id})`);
+    return entry;
+  }
+
+  /**
+   * Record progress on a pending entry (e.g., the IDs of item copies just created)
+   * @param {Actor} actor - The actor document
+   * @param {string} id - Journal entry id
+   * @param {object} changes - Fields to merge into the entry
+   */
+  static async record(actor, id, changes) {
+    const entries = this.getEntries(actor).map(e => e.id === id ? { ...e, ...changes } : e);
+    await actor.setFlag(MODULE_ID, this.FLAG, entries);
+  }
+
+  /**
+   * Drop an entry once all of its writes have landed
+   * @param {Actor} actor - The actor document
+   * @param {string} id - Journal entry id
+   */
+  static async complete(actor, id) {
+    await this.discard(actor, id);
+    debugLog(`${MODULE_ID} | Journal: completed ${id}`);
+  }
+
+  /**
+   * Drop an entry entirely (used after a successful rollback)
+   * @param {Actor} actor - The actor document
+   * @param {string} id - Journal entry id
+   */
+  static async discard(actor, id) {
+    const entries = this.getEntries(actor).filter(e => e.id !== id);
+    await actor.setFlag(MODULE_ID, this.FLAG, entries.length > 0 ? entries : null);
+  }
+
+  /**
+   * Scan world actors for unfinished journal entries.
+   * GMs see every actor; players only see actors they own, and only when no GM is
+   * connected (so two clients never try to recover the same operation).
+   * @returns {Array<{actor: Actor, entry: object}>}
+   */
+  static findUnfinished() {
+    if (!game.user.isGM && game.users?.activeGM) return [];
+
+    const unfinished = [];
+    for (const actor of (game.actors ?? [])) {
+      if (!game.user.isGM && !actor.isOwner) continue;
+      for (const entry of this.getPending(actor)) {
+        unfinished.push({ actor, entry });
+      }
+    }
+    return unfinished;
+  }
+}
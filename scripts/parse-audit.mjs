@@ -0,0 +1,274 @@
+/**
+ * ParseAudit - GM report on how well the archetypes of a class parse
+ *
+ * Handles:
+ * - Parsing every compendium, missing and custom archetype of a class against a reference class item
+ * - Counting features by type and listing unmatched targets and archetypes with no features
+ * - Comparing the regex results with the CompatibilityDB touched list
+ * - Building a skeleton of JE fixes for the failures
+ *
+ * Nothing is written: the report is returned and shown, and the skeleton is exported as a
+ * JSON file to be filled in and merged into the fixes section.
+ */
+
+import { MODULE_ID, MODULE_TITLE, debugLog } from './module.mjs';
+import { CompendiumParser } from './compendium-parser.mjs';
+import { CompatibilityDB } from './compatibility-db.mjs';
+import { ScalableFeatures } from './scalable-features.mjs';
+import { UIManager } from './ui-manager.mjs';
+
+export class ParseAudit {
+  static FEATURE_TYPES = ['replacement', 'modification', 'additive', 'unknown'];
+
+  /**
+   * Run the audit and show the report (GM only)
+   * @param {Item|string|Array<Item|string>|null} [classRefs] - Reference class items, or class names
+   *   or tags of world class items; all world class items when omitted
+   * @returns {Promise<object|null>} The report (see run), or null if it could not be run
+   */
+  static async open(classRefs = null) {
+    const report = await this.run(classRefs);
+    if (report) UIManager.showParseAuditDialog(report, this.buildFixSkeleton(report));
+    return report;
+  }
+
+  /**
+   * Parse every archetype of each reference class and collect the results (GM only)
+   * @param {Item|string|Array<Item|string>|null} [classRefs] - See open()
+   * @returns {Promise<object|null>} { generatedAt, classes: Array<classReport>, totals }, or null
+   */
+  static async run(classRefs = null) {
+    if (!game.user.isGM) {
+      ui.notifications.error(`${MODULE_TITLE} | Only the GM can run the parse audit.`);
+      return null;
+    }
+
+    const classItems = this.getReferenceClasses(classRefs);
+    if (classItems.length === 0) {
+      ui.notifications.warn(`${MODULE_TITLE} | No class item to audit against. Pass a class item or create one in the world.`);
+      return null;
+    }
+
+    await CompatibilityDB.load();
+
+    const classes = [];
+    for (const classItem of classItems) {
+      classes.push(await this.auditClass(classItem));
+    }
+
+    const totals = this._sumTotals(classes.map(c => c.totals));
+    debugLog(`${MODULE_ID} | Parse audit: ${totals.archetypes} archetypes, ${totals.features} features, ${totals.unmatched} unmatched targets, ${totals.disagreements} DB disagreements, ${totals.noFeatures} without features`);
+    return { generatedAt: new Date().toISOString(), classes, totals };
+  }
+
+  /**
+   * Resolve the reference class items
+   * @param {Item|string|Array<Item|string>|null} classRefs - See open()
+   * @returns {Array<Item>} Class items (one per class name when taken from the world)
+   */
+  static getReferenceClasses(classRefs) {
+    const worldClasses = game.items?.filter?.(i => i.type === 'class') ?? [];
+
+    if (classRefs === null || classRefs === undefined) {
+      const seen = new Set();
+      return worldClasses.filter(item => {
+        const key = item.name.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    }
+
+    const refs = Array.isArray(classRefs) ? classRefs : [classRefs];
+    return refs
+      .map(ref => {
+        if (typeof ref !== 'string') return ref?.type === 'class' ? ref : null;
+        const key = ref.toLowerCase().trim();
+        return worldClasses.find(i => i.name.toLowerCase() === key || (i.system?.tag || '').toLowerCase() === key) ?? null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Parse every archetype available to a class
+   * @param {Item} classItem - Reference class item
+   * @returns {Promise<object>} { className, classItem: { id, name }, archetypes, totals }
+   */
+  static async auditClass(classItem) {
+    const className = classItem.name.toLowerCase();
+    const baseAssociations = classItem.system?.links?.classAssociations || [];
+    const list = await CompendiumParser.loadClassArchetypes(classItem);
+
+    const archetypes = [];
+    for (const archData of list) {
+      try {
+        const parsed = await CompendiumParser.parseArchetypeOnDemand(archData, baseAssociations, className);
+        archetypes.push(this.auditArchetype(parsed, archData, className));
+      } catch (e) {
+        console.error(`${MODULE_ID} | Parse audit failed for "${archData.name}":`, e);
+        archetypes.push({ ...this.auditArchetype({ features: [] }, archData, className), error: e.message });
+      }
+    }
+
+    return {
+      className,
+      classItem: { id: classItem.id, name: classItem.name },
+      archetypes,
+      totals: this._sumTotals(archetypes.map(a => this._archetypeTotals(a)))
+    };
+  }
+
+  /**
+   * Summarize one parsed archetype
+   * @param {object} parsed - Parsed archetype data
+   * @param {object} archData - The archetype list entry { name, slug, source }
+   * @param {string} className - Class name
+   * @returns {object} { slug, name, source, featureCount, counts, unmatched, unknown,
+   *   disagreements, noFeatures } where unmatched lists { feature, level, target } for targets
+   *   matching no class feature, unknown lists { feature, level } for features with no
+   *   recognizable wording, and disagreements is { regexOnly, dbOnly } (null without DB data)
+   */
+  static auditArchetype(parsed, archData, className) {
+    const features = parsed.features || [];
+    const counts = Object.fromEntries(this.FEATURE_TYPES.map(type => [type, 0]));
+    const unmatched = [];
+    const unknown = [];
+
+    for (const feature of features) {
+      const type = this.FEATURE_TYPES.includes(feature.type) ? feature.type : 'unknown';
+      counts[type]++;
+
+      if (type === 'unknown') {
+        unknown.push({ feature: feature.name, level: feature.level ?? null });
+        continue;
+      }
+      for (const match of CompendiumParser.getTargetMatches(feature)) {
+        if (!match.matchedAssociation) unmatched.push({ feature: feature.name, level: feature.level ?? null, target: match.target });
+      }
+    }
+
+    return {
+      slug: archData.slug,
+      name: archData.name,
+      source: archData.source,
+      featureCount: features.length,
+      counts,
+      unmatched,
+      unknown,
+      disagreements: archData.source === 'compendium' ? this.compareWithDB(features, archData.slug, className) : null,
+      noFeatures: features.length === 0
+    };
+  }
+
+  /**
+   * Compare the features the regex rules found with the CompatibilityDB touched list.
+   * Features classified by a JE fix or reclassified by the DB itself are left out, and so
+   * are unmatched targets (they are listed separately).
+   * Names are compared without levels or tiers ("2nd-level bonus feat" is "bonus feat").
+   * @param {Array} features - Parsed features
+   * @param {string} slug - Archetype slug
+   * @param {string} className - Class name
+   * @returns {object|null} { regexOnly, dbOnly }, or null if the DB has no entry
+   */
+  static compareWithDB(features, slug, className) {
+    const dbTouched = CompatibilityDB.getTouched(className, slug);
+    if (!dbTouched) return null;
+
+    const regexKeys = new Set(features
+      .filter(f => f.recognitionRule)
+      .flatMap(f => CompendiumParser.getTargetMatches(f))
+      .filter(m => m.matchedAssociation)
+      .map(m => this._compareKey(m.matchedAssociation.resolvedName || m.target, className)));
+    const dbKeys = new Set(dbTouched.map(t => this._compareKey(t, className)));
+
+    return {
+      regexOnly: [...regexKeys].filter(k => k && !dbKeys.has(k)),
+      dbOnly: [...dbKeys].filter(k => k && !regexKeys.has(k))
+    };
+  }
+
+  /**
+   * Build a JE fixes skeleton for every failure in a report: features with unmatched targets or
+   * no recognizable wording get an entry to fill in, archetypes with no features get a note
+   * @param {object} report - From run()
+   * @returns {object} { [archetypeSlug]: { class, features: { [featureSlug]: { level, replaces, description, _audit } } } }
+   */
+  static buildFixSkeleton(report) {
+    const skeleton = {};
+
+    for (const classReport of report?.classes || []) {
+      for (const archetype of classReport.archetypes) {
+        const failures = [
+          ...archetype.unknown.map(u => ({ ...u, note: 'No replacement or level wording was recognized.' })),
+          ...archetype.unmatched.map(u => ({ ...u, note: `"${u.target}" matches no ${classReport.className} feature.` }))
+        ];
+        if (failures.length === 0 && !archetype.noFeatures) continue;
+
+        const entry = skeleton[archetype.slug] ?? { class: classReport.className, features: {} };
+        if (archetype.noFeatures) {
+          entry._audit = archetype.source === 'compendium'
+            ? 'No features were found; add this archetype to the missing section instead.'
+            : 'The JE entry has no features.';
+        }
+        for (const failure of failures) {
+          const featureSlug = failure.feature.slugify();
+          const existing = entry.features[featureSlug];
+          entry.features[featureSlug] = {
+            level: failure.level,
+            replaces: null,
+            description: '',
+            _audit: existing ? `${existing._audit} ${failure.note}` : failure.note
+          };
+        }
+        skeleton[archetype.slug] = entry;
+      }
+    }
+
+    return skeleton;
+  }
+
+  /**
+   * Key a feature name for the DB comparison: its series base name if it belongs to a
+   * scalable series, otherwise its normalized name without a level
+   * @private
+   */
+  static _compareKey(name, className) {
+    const { name: baseName } = CompendiumParser.parseTargetLevel(name);
+    return ScalableFeatures.getSeriesBaseName(baseName, className) || CompendiumParser.normalizeName(baseName);
+  }
+
+  /**
+   * @private
+   */
+  static _archetypeTotals(archetype) {
+    return {
+      archetypes: 1,
+      features: archetype.featureCount,
+      byType: archetype.counts,
+      unmatched: archetype.unmatched.length,
+      unknown: archetype.unknown.length,
+      disagreements: archetype.disagreements && (archetype.disagreements.regexOnly.length > 0 || archetype.disagreements.dbOnly.length > 0) ? 1 : 0,
+      noFeatures: archetype.noFeatures ? 1 : 0
+    };
+  }
+
+  /**
+   * @private
+   */
+  static _sumTotals(totalsList) {
+    const sum = {
+      archetypes: 0,
+      features: 0,
+      byType: Object.fromEntries(this.FEATURE_TYPES.map(type => [type, 0])),
+      unmatched: 0,
+      unknown: 0,
+      disagreements: 0,
+      noFeatures: 0
+    };
+    for (const totals of totalsList) {
+      for (const key of ['archetypes', 'features', 'unmatched', 'unknown', 'disagreements', 'noFeatures']) sum[key] += totals[key];
+      for (const type of this.FEATURE_TYPES) sum.byType[type] += totals.byType[type];
+    }
+    return sum;
+  }
+}
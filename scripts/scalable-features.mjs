@@ -206,14 +206,98 @@ export class ScalableFeatures {
     }
   };
 
+  static ROMAN_NUMERALS = { i: 1, ii: 2, iii: 3, iv: 4, v: 5, vi: 6, vii: 7, viii: 8, ix: 9, x: 10 };
+
+  /**
+   * Read a tier number written as digits or a Roman numeral ("3", "III")
+   * @param {string} text - Tier text
+   * @returns {number|null}
+   */
+  static parseTierNumber(text) {
+    const token = String(text ?? '').trim().toLowerCase();
+    if (/^\d+$/.test(token)) return parseInt(token);
+    return this.ROMAN_NUMERALS[token] ?? null;
+  }
+
+  /**
+   * Read the tiers named by a tier range, tier list or level list of a series.
+   * Tiers: "2-4", "2 through 4", "II-IV", "2, 3 and 4". Levels: "at 3rd, 7th and 11th level",
+   * "3rd through 11th levels" (every tier gained in that span).
+   *
+   * @param {string} spec - The tier or level text following the series name
+   * @param {object} series - Series data from the registry
+   * @returns {Array<number>|null} Sorted tier numbers, or null if any part does not name a tier
+   */
+  static parseTierSpec(spec, series) {
+    const text = String(spec ?? '').trim().toLowerCase()
+      .replace(/^(?:(?:gained|granted|received)\s+)?(?:at\s+)?/, '')
+      .trim();
+    if (!text || !series) return null;
+
+    const tiers = new Set();
+    const parts = text.split(/\s*,\s*(?:and\s+)?|\s+and\s+/).filter(Boolean);
+    const rangeRegex = /^(\w+)\s*(?:-|\u2013|\u2014|through|to)\s*(\w+)$/;
+
+    if (/\blevels?\b/.test(text)) {
+      const levelOf = part => parseInt(part.match(/\d+/)?.[0]);
+      for (const part of parts.map(p => p.replace(/\blevels?\b/, '').trim())) {
+        const range = part.match(/^(\d+)(?:st|nd|rd|th)?\s*(?:-|\u2013|\u2014|through|to)\s*(\d+)(?:st|nd|rd|th)?$/);
+        const matching = range
+          ? series.tiers.filter(t => t.level >= parseInt(range[1]) && t.level <= parseInt(range[2]))
+          : series.tiers.filter(t => t.level === levelOf(part));
+        if (matching.length === 0) return null;
+        matching.forEach(t => tiers.add(t.tier));
+      }
+    } else {
+      for (const part of parts) {
+        const range = part.match(rangeRegex);
+        const from = this.parseTierNumber(range ? range[1] : part);
+        const to = range ? this.parseTierNumber(range[2]) : from;
+        if (!from || !to || from > to || to > series.tiers.length) return null;
+        for (let tier = from; tier <= to; tier++) tiers.add(tier);
+      }
+    }
+
+    return [...tiers].sort((a, b) => a - b);
+  }
+
+  /**
+   * Format a level as an ordinal ("1st", "2nd", "11th")
+   * @param {number} n
+   * @returns {string}
+   */
+  static ordinal(n) {
+    const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] ?? 'th');
+    return `${n}${suffix}`;
+  }
+
+  /**
+   * Build one replacement target per tier, named by the level the tier is gained at
+   * ("Weapon Training at 9th level"), so each removes exactly its own split tier.
+   *
+   * @param {string} baseName - Series base name (registry key)
+   * @param {Array<number>} tiers - Tier numbers
+   * @param {string} className - The class name
+   * @returns {Array<string>} Targets (empty if the series is unknown)
+   */
+  static getTierTargets(baseName, tiers, className) {
+    const series = this.getSeries(baseName, className);
+    if (!series) return [];
+    return series.tiers
+      .filter(t => tiers.includes(t.tier))
+      .map(t => `${series.baseName} at ${this.ordinal(t.level)} level`);
+  }
+
   /**
    * Parse a feature target to detect if it references a scalable feature series.
    * Handles formats: "weapon training", "weapon training 3", "weapon training III",
-   * "armor training 1", "bravery", etc.
+   * "armor training 1", "bravery", and ranges or lists of tiers ("weapon training 2-4",
+   * "weapon training 2, 3 and 4", "sneak attack at 3rd, 7th and 11th level").
    *
    * @param {string} target - The target text from "replaces X" parsing
    * @param {string} className - The class name
-   * @returns {object|null} { baseName, tier (number|null), series } or null if not scalable
+   * @returns {object|null} { baseName, tier (number|null), tiers (Array<number>|null), series }
+   *   or null if not scalable. tier is the first named tier; tiers is null for the entire series.
    */
   static parseTarget(target, className) {
     if (!target || !className) return null;
@@ -224,7 +308,7 @@ export class ScalableFeatures {
 
     // Exact match: "weapon training", "bravery", etc.
     if (classRegistry[normalized]) {
-      return { baseName: normalized, tier: null, series: classRegistry[normalized] };
+      return { baseName: normalized, tier: null, tiers: null, series: classRegistry[normalized] };
     }
 
     // Try to extract tier number: "weapon training 3", "armor training 1"
@@ -235,29 +319,35 @@ export class ScalableFeatures {
       if (classRegistry[baseName]) {
         const series = classRegistry[baseName];
         if (tierNum >= 1 && tierNum <= series.tiers.length) {
-          return { baseName, tier: tierNum, series };
+          return { baseName, tier: tierNum, tiers: [tierNum], series };
         }
       }
     }
 
     // Try Roman numerals: "weapon training III"
-    const romanMap = { 'i': 1, 'ii': 2, 'iii': 3, 'iv': 4, 'v': 5, 'vi': 6, 'vii': 7, 'viii': 8, 'ix': 9, 'x': 10 };
     const romanMatch = normalized.match(/^(.+?)\s+(i{1,3}|iv|vi{0,3}|ix|x)$/i);
     if (romanMatch) {
       const baseName = romanMatch[1].trim();
-      const tierNum = romanMap[romanMatch[2].toLowerCase()];
+      const tierNum = this.parseTierNumber(romanMatch[2]);
       if (tierNum && classRegistry[baseName]) {
         const series = classRegistry[baseName];
         if (tierNum >= 1 && tierNum <= series.tiers.length) {
-          return { baseName, tier: tierNum, series };
+          return { baseName, tier: tierNum, tiers: [tierNum], series };
         }
       }
     }
 
+    // Tier ranges and lists: "weapon training 2-4", "sneak attack at 3rd, 7th and 11th level"
+    for (const [key, data] of Object.entries(classRegistry)) {
+      if (!normalized.startsWith(`${key} `)) continue;
+      const tiers = this.parseTierSpec(normalized.slice(key.length), data);
+      if (tiers?.length) return { baseName: key, tier: tiers[0], tiers, series: data };
+    }
+
     // Partial/fuzzy match: "armor training" inside "armor training (heavy armor)"
     for (const [key, data] of Object.entries(classRegistry)) {
       if (normalized.startsWith(key) || key.startsWith(normalized)) {
-        return { baseName: key, tier: null, series: data };
+        return { baseName: key, tier: null, tiers: null, series: data };
       }
     }
 
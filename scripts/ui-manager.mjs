@@ -6,22 +6,31 @@
  * - Preview/diff dialog
  * - Confirmation dialogs
  * - On-the-fly fix dialog
+ * - Review dialog for all unresolved and low-confidence features
  * - Description verification dialog
  * - Manual archetype entry dialog
+ * - Recovery prompt for interrupted operations
+ * - Parse audit report
  */
 
 import { MODULE_ID, MODULE_TITLE, debugLog } from './module.mjs';
 import { CompendiumParser } from './compendium-parser.mjs';
 import { DiffEngine } from './diff-engine.mjs';
 import { ConflictChecker } from './conflict-checker.mjs';
+import { ClassEdits } from './class-edits.mjs';
 import { Applicator } from './applicator.mjs';
 import { JournalEntryDB } from './journal-db.mjs';
 import { ScalableFeatures } from './scalable-features.mjs';
 import { CompatibilityDB } from './compatibility-db.mjs';
+import { OperationJournal } from './operation-journal.mjs';
+import { OperationHistory } from './operation-history.mjs';
 
 export class UIManager {
   static _processing = false;
 
+  // Characters of each feature's description shown in the review dialog
+  static REVIEW_EXCERPT_LENGTH = 200;
+
   /**
    * Show the main archetype selection dialog
    * @param {Actor} actor - The actor
@@ -79,6 +88,11 @@ export class UIManager {
           <h4 style="margin: 4px 0;"><i class="fas fa-check-circle" style="color: #080;"></i> Applied Archetypes</h4>
           <div class="applied-list" style="font-style: italic; color: #666;">None</div>
         </div>
+
+        <div class="history-controls" style="display: flex; gap: 4px; margin-top: 4px;">
+          <button type="button" class="undo-btn" disabled><i class="fas fa-undo"></i> Undo</button>
+          <button type="button" class="redo-btn" disabled><i class="fas fa-redo"></i> Redo</button>
+        </div>
       </div>
     `;
 
@@ -112,7 +126,7 @@ export class UIManager {
               const arch = dialogArchetypeData.find(a => a.slug === slug);
               if (!arch) continue;
               const currentClassName = dialogCurrentClassItem?.name?.toLowerCase() || '';
-              const parsed = await UIManager._parseArchetypeOnDemand(arch, baseAssociations, currentClassName);
+              const parsed = await CompendiumParser.parseArchetypeOnDemand(arch, baseAssociations, currentClassName, actor);
               selectedParsedList.push(parsed);
             }
 
@@ -121,7 +135,7 @@ export class UIManager {
             const validationClassName = dialogCurrentClassItem?.name || '';
             const validation = ConflictChecker.validateStacking(fullStack, validationClassName);
             if (!validation.valid) {
-              const conflictMsg = validation.conflicts.map(c => c.featureName).join(', ');
+              const conflictMsg = validation.conflicts.map(c => c.reason || c.featureName).join(', ');
               ui.notifications.error(`${MODULE_TITLE} | Cannot apply: conflicts detected over ${conflictMsg}`);
               return;
             }
@@ -132,7 +146,10 @@ export class UIManager {
               name: selectedNames,
               slug: [...dialogSelectedArchetypes].join('+'),
               class: selectedParsedList[0]?.class || '',
-              features: selectedParsedList.flatMap(a => a.features || [])
+              // Each feature remembers its archetype so a fix from the preview is saved to the right entry
+              features: selectedParsedList.flatMap(a => (a.features || []).map(f => ({
+                ...f, archetypeSlug: a.slug, archetypeName: a.name
+              })))
             };
 
             const diffClassName = dialogCurrentClassItem?.name || '';
@@ -153,14 +170,13 @@ export class UIManager {
             );
 
             if (result === 'applied') {
-              // Apply each archetype sequentially
-              for (const parsed of selectedParsedList) {
-                // Re-get current associations (they change after each apply) and resolve
-                const currentAssociations = dialogCurrentClassItem?.system?.links?.classAssociations || [];
-                const resolvedCurrent = await CompendiumParser.resolveAssociations(currentAssociations);
-                const diff = DiffEngine.generateDiff(resolvedCurrent, parsed, diffClassName);
-                await Applicator.apply(actor, dialogCurrentClassItem, parsed, diff);
-              }
+              // Strict-mode decisions were made on the combined preview; record each with its own archetype
+              UIManager._copyAdditiveDecisions(combinedParsed, selectedParsedList);
+
+              // Apply the whole selection as one operation - all or nothing
+              const stackResult = await Applicator.applyStack(actor, dialogCurrentClassItem, selectedParsedList);
+              debugLog(`${MODULE_ID} | Stack apply ${stackResult.success ? 'succeeded' : 'failed'}:`,
+                stackResult.results.map(r => `${r.slug}=${r.success}`).join(', '));
             }
           }
         },
@@ -191,6 +207,8 @@ export class UIManager {
         const archetypeListEl = element.querySelector('.archetype-list');
         const appliedListEl = element.querySelector('.applied-list');
         const loadingIndicator = element.querySelector('.loading-indicator');
+        const undoBtn = element.querySelector('.undo-btn');
+        const redoBtn = element.querySelector('.redo-btn');
 
         // State - local variables synced to dialog scope for button callback access
         let archetypeData = [];
@@ -233,82 +251,22 @@ export class UIManager {
               console.warn(`${MODULE_ID} | CompatibilityDB load failed, continuing without DB:`, e);
             }
 
-            // Load archetypes from compendium
-            const compendiumArchetypes = await CompendiumParser.loadArchetypeList();
-
-            // Filter by class if possible (archetypes that match current class)
+            // Load archetypes available to this class (compendium + JE missing + JE custom)
+            archetypeData = await CompendiumParser.loadClassArchetypes(currentClassItem);
             const className = currentClassItem.name.toLowerCase();
-            const classTag2 = classTag.toLowerCase();
-
-            // Build combined list: compendium + JE missing + JE custom
-            archetypeData = [];
-
-            // Compendium archetypes (filtered by class)
-            for (const arch of compendiumArchetypes) {
-              // Archetype items in the compendium source module may have class info in flags or system
-              const compendiumSource = CompendiumParser.getCompendiumSource();
-              let archClass = (arch.system?.class || arch.flags?.[compendiumSource]?.class || '').toLowerCase();
-              // Extract class from archetype name format "Class (ArchetypeName)" if not in system data
-              if (!archClass && arch.name) {
-                const nameMatch = arch.name.match(/^(.+?)\s*\(/);
-                if (nameMatch) {
-                  archClass = nameMatch[1].trim().toLowerCase();
-                }
-              }
-              // Only include archetypes that match the selected class
-              if (archClass === className || archClass === classTag2) {
-                archetypeData.push({
-                  name: arch.name,
-                  slug: arch.name.slugify?.() || arch.name.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
-                  source: 'compendium',
-                  class: archClass,
-                  _doc: arch
-                });
-              }
-            }
-
-            // JE missing archetypes
-            const missingData = await JournalEntryDB.readSection('missing');
-            for (const [slug, entry] of Object.entries(missingData)) {
-              if ((entry.class || '').toLowerCase() === className ||
-                  (entry.class || '').toLowerCase() === classTag2) {
-                archetypeData.push({
-                  name: entry.name || slug.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
-                  slug,
-                  source: 'missing',
-                  class: entry.class
-                });
-              }
-            }
-
-            // JE custom archetypes
-            const customData = await JournalEntryDB.readSection('custom');
-            for (const [slug, entry] of Object.entries(customData)) {
-              if ((entry.class || '').toLowerCase() === className ||
-                  (entry.class || '').toLowerCase() === classTag2) {
-                archetypeData.push({
-                  name: entry.name || slug.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
-                  slug,
-                  source: 'custom',
-                  class: entry.class
-                });
-              }
-            }
-
-            // Sort alphabetically
-            archetypeData.sort((a, b) => a.name.localeCompare(b.name));
 
             // Build parsed data for already-applied archetypes (for conflict checking)
-            appliedArchetypeDataList = this._buildAppliedArchetypeData(currentClassItem, archetypeData);
+            appliedArchetypeDataList = Applicator.getAppliedArchetypeData(currentClassItem);
 
             // Build conflict index for real-time incompatibility display
             // Uses cached pf-arch-features to pre-compute which features each archetype touches
-            if (!UIManager._archFeaturesCache) {
-              UIManager._archFeaturesCache = await CompendiumParser.loadArchetypeFeatures();
-            }
-            if (UIManager._archFeaturesCache.length > 0) {
+            const archFeatures = await CompendiumParser.getArchetypeFeatures();
+            if (archFeatures.length > 0) {
+              const resolvedAssociations = await CompendiumParser.resolveAssociations(
+                currentClassItem.system?.links?.classAssociations || []
+              );
               conflictIndex = ConflictChecker.buildConflictIndex(
-                UIManager._archFeaturesCache, archetypeData, className
+                archFeatures, archetypeData, className, resolvedAssociations
               );
               debugLog(`${MODULE_ID} | Built conflict index for ${conflictIndex.size} archetypes`);
             }
@@ -328,6 +286,7 @@ export class UIManager {
 
           // Show applied archetypes
           updateAppliedList();
+          updateHistoryButtons();
 
           // Render list
           renderArchetypeList();
@@ -363,6 +322,7 @@ export class UIManager {
                 if (removed) {
                   // Refresh the applied list and archetype list after removal
                   updateAppliedList();
+                  updateHistoryButtons();
                   renderArchetypeList();
                 }
               });
@@ -370,6 +330,22 @@ export class UIManager {
           }
         };
 
+        /**
+         * Enable the undo/redo buttons when the actor has history, labelled with what they will do
+         */
+        const updateHistoryButtons = () => {
+          const undoEntry = OperationHistory.peekUndo(actor);
+          const redoEntry = OperationHistory.peekRedo(actor);
+          if (undoBtn) {
+            undoBtn.disabled = !undoEntry;
+            undoBtn.title = undoEntry ? `Undo: ${undoEntry.label}` : 'Nothing to undo';
+          }
+          if (redoBtn) {
+            redoBtn.disabled = !redoEntry;
+            redoBtn.title = redoEntry ? `Redo: ${redoEntry.label}` : 'Nothing to redo';
+          }
+        };
+
         /**
          * Render the archetype list with optional search filter
          */
@@ -395,8 +371,11 @@ export class UIManager {
 
           // Use conflict index for real-time incompatibility display
           const currentClassName = currentClassItem?.name?.toLowerCase() || '';
-          const incompatible = conflictIndex.size > 0
-            ? ConflictChecker.getIncompatibleArchetypes(conflictIndex, selectedArchetypes, applied, currentClassName)
+          const incompatible = (conflictIndex.size > 0 || ConflictChecker.getRules().length > 0)
+            ? ConflictChecker.getIncompatibleArchetypes(
+              conflictIndex, selectedArchetypes, applied, currentClassName,
+              [...archetypeData, ...appliedArchetypeDataList]
+            )
             : new Map();
 
           // Hide incompatible archetypes when toggle is checked
@@ -515,6 +494,21 @@ export class UIManager {
           });
         }
 
+        // Undo/redo reload the class so the applied list and conflict state are rebuilt
+        for (const [btn, step] of [[undoBtn, 'undo'], [redoBtn, 'redo']]) {
+          if (!btn) continue;
+          btn.addEventListener('click', async (e) => {
+            e.preventDefault();
+            const changed = await (step === 'undo' ? Applicator.undo(actor) : Applicator.redo(actor));
+            if (changed) {
+              await loadArchetypes();
+            } else {
+              updateHistoryButtons();
+            }
+          });
+        }
+        updateHistoryButtons();
+
         const hideIncompatCheckbox = html[0].querySelector('[name="hide-incompatible"]');
         if (hideIncompatCheckbox) {
           hideIncompatCheckbox.addEventListener('change', () => {
@@ -546,7 +540,7 @@ export class UIManager {
    * @returns {Promise<string>} 'apply' to proceed, 'back' to go back, null if cancelled
    */
   static async showPreviewDialog(actor, classItem, parsedArchetype, diff) {
-    const content = this._buildPreviewHTML(parsedArchetype, diff);
+    const content = this._buildPreviewHTML(parsedArchetype, diff, classItem);
 
     return new Promise(resolve => {
       const dialog = new Dialog({
@@ -556,7 +550,17 @@ export class UIManager {
           apply: {
             icon: '<i class="fas fa-check"></i>',
             label: 'Apply',
-            callback: () => resolve('apply')
+            callback: (html) => {
+              const element = html?.[0] || html;
+              // Strict mode: Apply is disabled while features are unresolved; refuse if it was clicked anyway
+              if (UIManager._strictModeBlockers(parsedArchetype, element).length > 0) {
+                ui.notifications.warn(`${MODULE_TITLE} | Strict mode: fix every unresolved feature or mark it as additive before applying.`);
+                resolve('back');
+                return;
+              }
+              UIManager._recordAdditiveDecisions(parsedArchetype, element);
+              resolve('apply');
+            }
           },
           back: {
             icon: '<i class="fas fa-arrow-left"></i>',
@@ -623,7 +627,9 @@ export class UIManager {
                       </h3>
                       <p style="font-size: 0.85em; color: #666; margin: 0 0 8px;">
                         Source: ${sourceLabel} | Level: ${feature.level || '?'} | Type: ${feature.type || 'unknown'}
+                        ${typeof feature.confidence === 'number' ? ` | Confidence: ${Math.round(feature.confidence * 100)}%` : ''}
                       </p>
+                      ${feature.explanation ? `<p class="feature-explanation" style="font-size: 0.85em; color: #666; margin: 0 0 8px;">${foundry.utils.escapeHTML(feature.explanation)}</p>` : ''}
                       <div style="max-height: 250px; overflow-y: auto; padding: 8px; border: 1px solid #ddd; border-radius: 3px; background: rgba(0,0,0,0.03); font-size: 0.9em;">
                         ${description}
                       </div>
@@ -641,6 +647,53 @@ export class UIManager {
               });
             });
           }
+
+          // Correct a low-confidence match; the saved fix is used the next time the archetype is parsed
+          element.querySelectorAll('.fix-feature-btn').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+              e.preventDefault();
+              const feature = parsedArchetype.features?.[parseInt(btn.dataset.featureIndex)];
+              if (!feature) return;
+
+              const result = await UIManager.showFixDialog(
+                UIManager._fixPromptFeature(feature, parsedArchetype, classItem),
+                diff.filter(d => d.original?.resolvedName).map(d => ({ name: d.original.resolvedName, level: d.level, uuid: d.original.uuid })),
+                { actor }
+              );
+              if (result) {
+                ui.notifications.info(`${MODULE_TITLE} | Apply the archetype again to preview it with the fix.`);
+                resolve('back');
+                dialog.close();
+              }
+            });
+          });
+
+          // Strict mode: keep Apply disabled until every unresolved feature is fixed or marked additive
+          const applyBtn = element.querySelector('[data-button="apply"]');
+          const updateApply = () => {
+            if (applyBtn) applyBtn.disabled = UIManager._strictModeBlockers(parsedArchetype, element).length > 0;
+          };
+          element.querySelectorAll('.strict-additive-checkbox').forEach(box => box.addEventListener('change', updateApply));
+          updateApply();
+
+          // Resolve every flagged feature in one dialog
+          element.querySelector('.review-all-btn')?.addEventListener('click', async (e) => {
+            e.preventDefault();
+            const features = (parsedArchetype.features || [])
+              .filter(feature => CompendiumParser.needsReview(feature, { lowConfidence: true }))
+              .map(feature => UIManager._fixPromptFeature(feature, parsedArchetype, classItem));
+            if (features.length === 0) return;
+
+            const className = classItem?.name?.toLowerCase() || parsedArchetype.class || '';
+            const results = await UIManager.showReviewDialog(features,
+              ScalableFeatures.getExpandedFeatureList(diff.filter(d => d.original?.resolvedName).map(d => d.original), className),
+              { actor });
+            if (results) {
+              ui.notifications.info(`${MODULE_TITLE} | Apply the archetype again to preview it with the fixes.`);
+              resolve('back');
+              dialog.close();
+            }
+          });
         }
       }, {
         width: Math.min(550, (typeof window !== 'undefined' ? window.innerWidth : 1920) - 100),
@@ -657,9 +710,10 @@ export class UIManager {
    * Build HTML content for the preview/diff dialog
    * @param {object} parsedArchetype - Parsed archetype data
    * @param {Array} diff - The generated diff
+   * @param {Item} [classItem] - The target class item, for the chassis before/after values
    * @returns {string} HTML content
    */
-  static _buildPreviewHTML(parsedArchetype, diff) {
+  static _buildPreviewHTML(parsedArchetype, diff, classItem = null) {
     const statusIcons = {
       unchanged: { icon: 'fa-check', color: '#080', label: 'Unchanged' },
       removed: { icon: 'fa-times', color: '#c00', label: 'Removed' },
@@ -667,10 +721,15 @@ export class UIManager {
       modified: { icon: 'fa-pen', color: '#f80', label: 'Modified' }
     };
 
+    // Matches the parser is unsure of are flagged, and each can be corrected in the fix dialog
+    const showWarnings = game.settings.get(MODULE_ID, 'showParseWarnings');
+    const isLowConfidence = feature => showWarnings && CompendiumParser.isLowConfidence(feature);
+
     const rows = (diff || []).map((entry, idx) => {
       const info = statusIcons[entry.status] || statusIcons.unchanged;
       const levelEditable = entry.status === 'added' || entry.status === 'modified';
       const hasDescription = entry.archetypeFeature && (entry.status === 'added' || entry.status === 'modified');
+      const lowConfidence = isLowConfidence(entry.archetypeFeature);
 
       return `<tr class="preview-row preview-${entry.status}">
         <td style="text-align:center;">
@@ -690,11 +749,106 @@ export class UIManager {
             ? `<button class="info-btn" data-index="${idx}" title="Show description" style="border:none;background:none;cursor:pointer;color:#08f;padding:0 4px;"><i class="fas fa-info-circle"></i></button>`
             : ''
           }
+          ${lowConfidence
+            ? `<i class="fas fa-exclamation-triangle low-confidence-icon" title="Low confidence (${Math.round(entry.archetypeFeature.confidence * 100)}%): ${foundry.utils.escapeHTML(entry.archetypeFeature.explanation || '')}" style="color:#f80;"></i>`
+            : ''
+          }
         </td>
         <td style="font-size:0.85em;color:${info.color};">${info.label}</td>
       </tr>`;
     }).join('');
 
+    const lowConfidenceFeatures = (parsedArchetype.features || [])
+      .map((feature, index) => ({ feature, index }))
+      .filter(({ feature }) => isLowConfidence(feature));
+    const lowConfidenceHTML = lowConfidenceFeatures.length > 0
+      ? `<h4 style="margin:10px 0 4px;"><i class="fas fa-exclamation-triangle" style="color:#f80;"></i> Low-Confidence Matches</h4>
+        <ul class="preview-low-confidence" style="margin:0;padding-left:20px;font-size:0.9em;">
+          ${lowConfidenceFeatures.map(({ feature, index }) => `<li>
+            <strong>${feature.name}</strong> (${Math.round(feature.confidence * 100)}%): ${foundry.utils.escapeHTML(feature.explanation || '')}
+            <button type="button" class="fix-feature-btn" data-feature-index="${index}" title="Correct this match" style="width:auto;padding:0 6px;line-height:1.4;"><i class="fas fa-wrench"></i> Fix</button>
+          </li>`).join('')}
+        </ul>`
+      : '';
+
+    // Features the parser could not resolve are not in the diff; list them so they can be fixed.
+    // Strict mode lists every unresolved feature, warnings or not, and each must be fixed or
+    // explicitly marked as additive before Apply is enabled.
+    const strictMode = game.settings.get(MODULE_ID, 'strictMode');
+    const unresolvedFeatures = (parsedArchetype.features || [])
+      .map((feature, index) => ({ feature, index }))
+      .filter(({ feature }) => strictMode ? CompendiumParser.isUnresolved(feature) : showWarnings && feature.needsUserInput);
+    const unresolvedHTML = unresolvedFeatures.length > 0
+      ? `<h4 style="margin:10px 0 4px;"><i class="fas fa-question-circle" style="color:#c00;"></i> Unresolved Features</h4>
+        ${strictMode ? `<p class="strict-mode-notice" style="font-size:0.85em;color:#c00;margin:0 0 4px;">
+          Strict mode: Apply is disabled until each feature is fixed or marked as additive.
+        </p>` : ''}
+        <ul class="preview-unresolved" style="margin:0;padding-left:20px;font-size:0.9em;">
+          ${unresolvedFeatures.map(({ feature, index }) => `<li>
+            <strong>${feature.name}</strong>${feature.level ? ` (Lv ${feature.level})` : ''}: ${feature.needsUserInput ? 'not applied until it is resolved' : `"${feature.target || ''}" matched no class feature`}
+            <button type="button" class="fix-feature-btn" data-feature-index="${index}" title="Resolve this feature" style="width:auto;padding:0 6px;line-height:1.4;"><i class="fas fa-wrench"></i> Fix</button>
+            ${strictMode ? `<label style="white-space:nowrap;"><input type="checkbox" class="strict-additive-checkbox" data-feature-index="${index}" /> Add without replacing anything</label>` : ''}
+          </li>`).join('')}
+        </ul>`
+      : '';
+
+    // JE fixes written against older compendium text still apply, but may no longer be needed
+    const staleFixFeatures = (parsedArchetype.features || [])
+      .map((feature, index) => ({ feature, index }))
+      .filter(({ feature }) => showWarnings && feature.staleFix);
+    const staleFixHTML = staleFixFeatures.length > 0
+      ? `<h4 style="margin:10px 0 4px;"><i class="fas fa-history" style="color:#f80;"></i> Outdated Fixes</h4>
+        <ul class="preview-stale-fixes" style="margin:0;padding-left:20px;font-size:0.9em;">
+          ${staleFixFeatures.map(({ feature, index }) => `<li>
+            <strong>${feature.name}</strong>: the compendium description changed since this fix was saved${feature.staleFix.savedVersion ? ` (module version ${feature.staleFix.savedVersion})` : ''}
+            <button type="button" class="fix-feature-btn" data-feature-index="${index}" title="Correct this fix" style="width:auto;padding:0 6px;line-height:1.4;"><i class="fas fa-wrench"></i> Fix</button>
+          </li>`).join('')}
+        </ul>`
+      : '';
+
+    const reviewCount = lowConfidenceFeatures.length +
+      unresolvedFeatures.filter(({ feature }) => CompendiumParser.needsReview(feature)).length;
+    const reviewAllHTML = reviewCount > 1
+      ? `<button type="button" class="review-all-btn" style="margin-top:6px;"><i class="fas fa-list-check"></i> Review All (${reviewCount})</button>`
+      : '';
+
+    const classEditLines = ClassEdits.describe(parsedArchetype.classEdits);
+    const classEditsHTML = classEditLines.length > 0
+      ? `<h4 style="margin:10px 0 4px;"><i class="fas fa-user-shield"></i> Class Changes</h4>
+        <ul class="preview-class-edits" style="margin:0;padding-left:20px;font-size:0.9em;">
+          ${classEditLines.map(line => `<li>${line}</li>`).join('')}
+        </ul>`
+      : '';
+
+    const spellcastingLines = ClassEdits.describeSpellcasting(parsedArchetype.spellcasting);
+    const spellcastingHTML = spellcastingLines.length > 0
+      ? `<h4 style="margin:10px 0 4px;"><i class="fas fa-hat-wizard"></i> Spellcasting</h4>
+        <ul class="preview-spellcasting" style="margin:0;padding-left:20px;font-size:0.9em;">
+          ${spellcastingLines.map(line => `<li>${line}</li>`).join('')}
+        </ul>`
+      : '';
+
+    const chassisRows = ClassEdits.describeChassis(parsedArchetype.chassis, classItem ? ClassEdits.capture(classItem) : null);
+    const chassisHTML = chassisRows.length > 0
+      ? `<h4 style="margin:10px 0 4px;"><i class="fas fa-dice-d20"></i> Class Chassis</h4>
+        <table class="preview-chassis-table" style="width:100%;border-collapse:collapse;font-size:0.9em;">
+          <thead>
+            <tr style="border-bottom:2px solid #ccc;">
+              <th></th>
+              <th style="width:90px;">Before</th>
+              <th style="width:90px;">After</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${chassisRows.map(row => `<tr>
+              <td>${row.label}</td>
+              <td style="text-align:center;">${row.before}</td>
+              <td style="text-align:center;font-weight:bold;">${row.after}</td>
+            </tr>`).join('')}
+          </tbody>
+        </table>`
+      : '';
+
     return `
       <div class="archetype-preview-content">
         <h3 style="margin:0 0 8px;">
@@ -718,10 +872,102 @@ export class UIManager {
             ${rows || '<tr><td colspan="4" style="text-align:center;color:#666;padding:12px;">No changes detected</td></tr>'}
           </tbody>
         </table>
+        ${lowConfidenceHTML}
+        ${unresolvedHTML}
+        ${staleFixHTML}
+        ${reviewAllHTML}
+        ${classEditsHTML}
+        ${spellcastingHTML}
+        ${chassisHTML}
       </div>
     `;
   }
 
+  /**
+   * List the unresolved features that still block Apply in strict mode: those not marked
+   * as additive in the preview (see CompendiumParser.isUnresolved)
+   * @param {object} parsedArchetype - Parsed archetype data shown in the preview
+   * @param {HTMLElement} [element] - The preview dialog element
+   * @returns {Array<number>} Indexes into parsedArchetype.features (empty when strict mode is off)
+   * @private
+   */
+  static _strictModeBlockers(parsedArchetype, element) {
+    if (!game.settings.get(MODULE_ID, 'strictMode')) return [];
+
+    const marked = new Set(Array.from(element?.querySelectorAll?.('.strict-additive-checkbox:checked') || [],
+      box => parseInt(box.dataset.featureIndex)));
+    return (parsedArchetype.features || [])
+      .map((feature, index) => ({ feature, index }))
+      .filter(({ feature, index }) => CompendiumParser.isUnresolved(feature) && !marked.has(index))
+      .map(({ index }) => index);
+  }
+
+  /**
+   * Record the features marked as additive in the strict-mode preview on the parsed archetype
+   * @param {object} parsedArchetype - Parsed archetype data, changed in place
+   * @param {HTMLElement} [element] - The preview dialog element
+   * @returns {Array<object>} The decisions recorded (see CompendiumParser.markAdditive)
+   * @private
+   */
+  static _recordAdditiveDecisions(parsedArchetype, element) {
+    const decisions = [];
+    for (const box of element?.querySelectorAll?.('.strict-additive-checkbox:checked') || []) {
+      const index = parseInt(box.dataset.featureIndex);
+      if (!CompendiumParser.isUnresolved(parsedArchetype.features?.[index])) continue;
+      const decision = CompendiumParser.markAdditive(parsedArchetype, index);
+      if (decision) decisions.push(decision);
+    }
+    return decisions;
+  }
+
+  /**
+   * Copy the additive decisions made on a combined preview back to the parsed archetypes it
+   * was built from, whose features it lists in order
+   * @param {object} combinedParsed - The combined parsed archetype shown in the preview
+   * @param {Array} parsedList - The parsed archetypes, changed in place
+   * @private
+   */
+  static _copyAdditiveDecisions(combinedParsed, parsedList) {
+    let offset = 0;
+    for (const parsed of parsedList) {
+      const features = parsed.features || [];
+      features.forEach((feature, i) => {
+        const decision = combinedParsed.features?.[offset + i]?.unresolvedDecision;
+        if (decision && !feature.unresolvedDecision) CompendiumParser.markAdditive(parsed, i, decision);
+      });
+      offset += features.length;
+    }
+  }
+
+  /**
+   * Build the fix dialog data for a parsed feature shown in the preview
+   * @param {object} feature - Parsed archetype feature
+   * @param {object} parsedArchetype - The (possibly combined) parsed archetype it belongs to
+   * @param {Item} [classItem] - The target class item
+   * @returns {object} { name, description, level, archetypeSlug, archetypeName, className, target,
+   *   confidence, explanation, needsUserInput, ambiguity }
+   * @private
+   */
+  static _fixPromptFeature(feature, parsedArchetype, classItem = null) {
+    return {
+      name: feature.name,
+      description: feature.description || '',
+      sourceDescription: feature.sourceDescription,
+      level: feature.level,
+      archetypeSlug: feature.archetypeSlug || parsedArchetype.slug,
+      archetypeName: feature.archetypeName || parsedArchetype.name,
+      className: classItem?.name?.toLowerCase() || parsedArchetype.class || '',
+      target: feature.target ?? null,
+      confidence: feature.confidence,
+      explanation: feature.explanation,
+      needsUserInput: !!feature.needsUserInput,
+      ambiguity: feature.ambiguity ? {
+        target: feature.ambiguity.target,
+        candidates: feature.ambiguity.candidates.map(a => ({ name: a.resolvedName, level: a.level, uuid: a.uuid || a.id }))
+      } : null
+    };
+  }
+
   /**
    * Orchestrate the preview → confirm → apply flow with back navigation
    * @param {Actor} actor - The actor
@@ -792,13 +1038,17 @@ export class UIManager {
   }
 
   /**
-   * Show the on-the-fly fix dialog for unresolved features
+   * Show the on-the-fly fix dialog for unresolved features. The fix can be saved for the
+   * world (GM only), for the actor, or for this session only (see CompendiumParser.FIX_SCOPES).
    * @param {object} feature - The unresolved feature { name, description, level, archetypeSlug }
    * @param {Array} baseFeatures - Available base class features [{ name, level, uuid }]
-   * @returns {Promise<object|null>} The user's selection or null if cancelled
+   * @param {object} [options]
+   * @param {Actor} [options.actor] - The actor the fix is made for; offers the actor scope
+   * @returns {Promise<object|null>} The user's selection (with its scope) or null if cancelled
    */
-  static async showFixDialog(feature, baseFeatures) {
-    const content = this._buildFixDialogHTML(feature, baseFeatures);
+  static async showFixDialog(feature, baseFeatures, options = {}) {
+    const { actor = null } = options;
+    const content = this._buildFixDialogHTML(feature, baseFeatures, actor);
 
     return new Promise(resolve => {
       const dialog = new Dialog({
@@ -813,34 +1063,18 @@ export class UIManager {
               const result = this._parseFixDialogResult(element, feature);
 
               if (!result) {
-                ui.notifications.error('Please select what this feature replaces, or mark it as additive.');
+                ui.notifications.error('Please select what this feature replaces (with tiers or levels the series has), or mark it as additive.');
                 resolve(null);
                 return;
               }
 
-              // Save to JE fixes section
-              const fixEntry = {
-                level: result.level,
-                replaces: result.replaces,
-                description: feature.description || ''
-              };
-
-              const archetypeSlug = feature.archetypeSlug || this._slugify(feature.archetypeName || feature.name);
-
-              // Read existing fix data for this archetype, or create new
-              const existingFix = await JournalEntryDB.getArchetype(archetypeSlug);
-              const fixData = existingFix && existingFix._section === 'fixes'
-                ? { class: existingFix.class || '', features: { ...existingFix.features } }
-                : { class: feature.className || '', features: {} };
-
-              const featureSlug = this._slugify(feature.name);
-              fixData.features[featureSlug] = fixEntry;
-
-              const success = await JournalEntryDB.setArchetype('fixes', archetypeSlug, fixData);
+              const scope = this._parseFixScope(element, actor);
+              const success = await this._saveFixes([{ feature, result }], scope, actor);
 
               if (success) {
-                ui.notifications.info(`${MODULE_TITLE} | Saved fix for "${feature.name}" to fixes database.`);
-                resolve(result);
+                ui.notifications.info(`${MODULE_TITLE} | Saved fix for "${feature.name}" to ${this._fixScopeLabel(scope, actor)}.`);
+                await this._suggestFromDialog(element, [{ feature, result }]);
+                resolve({ ...result, scope });
               } else {
                 ui.notifications.error('Failed to save fix entry.');
                 resolve(null);
@@ -861,12 +1095,15 @@ export class UIManager {
           // Wire up the additive checkbox to disable/enable dropdown
           const additiveCheckbox = element.querySelector('.fix-additive-checkbox');
           const replacesSelect = element.querySelector('.fix-replaces-select');
+          const tiersInput = element.querySelector('.fix-tiers-input');
 
           if (additiveCheckbox && replacesSelect) {
             additiveCheckbox.addEventListener('change', () => {
               replacesSelect.disabled = additiveCheckbox.checked;
+              if (tiersInput) tiersInput.disabled = additiveCheckbox.checked;
               if (additiveCheckbox.checked) {
                 replacesSelect.value = '';
+                if (tiersInput) tiersInput.value = '';
               }
             });
           }
@@ -881,9 +1118,10 @@ export class UIManager {
    * Build the HTML content for the fix dialog
    * @param {object} feature - The unresolved feature
    * @param {Array} baseFeatures - Available base class features
+   * @param {Actor} [actor] - The actor the fix is made for (see _fixScopeHTML)
    * @returns {string} HTML content
    */
-  static _buildFixDialogHTML(feature, baseFeatures) {
+  static _buildFixDialogHTML(feature, baseFeatures, actor = null) {
     const featureName = feature.name || 'Unknown Feature';
     const featureDesc = feature.description || '<em>No description available</em>';
     const featureLevel = feature.level || '';
@@ -897,6 +1135,34 @@ export class UIManager {
       })
       .join('');
 
+    // An ambiguous match offers its equally good candidates first, with the best guess selected;
+    // each names its level so the fix picks that entry
+    const candidates = feature.ambiguity?.candidates || [];
+    const candidateOptions = candidates
+      .map((c, i) => {
+        const value = c.level ? `${c.name} at ${ScalableFeatures.ordinal(c.level)} level` : c.name;
+        return `<option value="${value}" ${i === 0 ? 'selected' : ''}>${c.name}${c.level ? ` (Lv ${c.level})` : ''}</option>`;
+      })
+      .join('');
+    const replacesOptions = candidates.length > 0
+      ? `<optgroup label="Candidates">${candidateOptions}</optgroup><optgroup label="All features">${baseOptions}</optgroup>`
+      : baseOptions;
+
+    const intro = candidates.length > 0
+      ? `<p class="fix-ambiguity" style="font-size: 0.9em; color: #a60; margin-bottom: 8px;">
+          "${foundry.utils.escapeHTML(feature.ambiguity.target)}" matches several class features equally well. Choose the one this feature
+          replaces, or mark it as an additive feature.
+        </p>`
+      : feature.explanation && feature.confidence > 0
+        ? `<p class="fix-low-confidence" style="font-size: 0.9em; color: #a60; margin-bottom: 8px;">
+          This feature was matched with low confidence (${Math.round(feature.confidence * 100)}%): ${foundry.utils.escapeHTML(feature.explanation)}
+          Please confirm what base class feature it replaces, or mark it as an additive feature.
+        </p>`
+        : `<p style="font-size: 0.9em; color: #666; margin-bottom: 8px;">
+          This feature could not be automatically parsed. Please specify what base class feature it replaces,
+          or mark it as an additive feature (grants something new without replacing anything).
+        </p>`;
+
     return `
       <div class="archetype-fix-dialog-content">
         <div class="fix-feature-info" style="margin-bottom: 12px; padding: 8px; background: rgba(0,0,0,0.05); border-radius: 4px;">
@@ -906,10 +1172,7 @@ export class UIManager {
           </div>
         </div>
 
-        <p style="font-size: 0.9em; color: #666; margin-bottom: 8px;">
-          This feature could not be automatically parsed. Please specify what base class feature it replaces,
-          or mark it as an additive feature (grants something new without replacing anything).
-        </p>
+        ${intro}
 
         <div class="form-group" style="margin-bottom: 8px;">
           <label>Level:</label>
@@ -920,16 +1183,23 @@ export class UIManager {
           <label>Replaces:</label>
           <select class="fix-replaces-select" name="fix-replaces" style="width: 100%;">
             <option value="">-- Select base feature --</option>
-            ${baseOptions}
+            ${replacesOptions}
           </select>
         </div>
 
+        <div class="form-group" style="margin-bottom: 8px;">
+          <label>Tiers or levels:</label>
+          <input type="text" class="fix-tiers-input" name="fix-tiers" placeholder="Optional, e.g. 2-4 or at 3rd, 7th and 11th level" style="width: 100%;" />
+        </div>
+
         <div class="form-group" style="margin-bottom: 8px;">
           <label style="display: flex; align-items: center; gap: 6px; cursor: pointer;">
             <input type="checkbox" class="fix-additive-checkbox" name="fix-additive" />
             <span>This is an <strong>additive</strong> feature (does not replace anything)</span>
           </label>
         </div>
+
+        ${this._fixScopeHTML(actor)}
       </div>
     `;
   }
@@ -944,9 +1214,11 @@ export class UIManager {
     const levelInput = element.querySelector('.fix-level-input');
     const replacesSelect = element.querySelector('.fix-replaces-select');
     const additiveCheckbox = element.querySelector('.fix-additive-checkbox');
+    const tiersInput = element.querySelector('.fix-tiers-input');
 
     const isAdditive = additiveCheckbox?.checked || false;
-    const replaces = isAdditive ? null : (replacesSelect?.value || null);
+    let replaces = isAdditive ? null : (replacesSelect?.value || null);
+    const tiersSpec = isAdditive ? '' : (tiersInput?.value?.trim() || '');
     const levelStr = levelInput?.value;
     const level = levelStr ? parseInt(levelStr) : (feature.level || null);
 
@@ -955,6 +1227,13 @@ export class UIManager {
       return null;
     }
 
+    // "2-4" or "at 3rd, 7th and 11th level" narrows the replacement to those tiers
+    if (replaces && tiersSpec) {
+      const resolved = this._resolveTierSpec(replaces, tiersSpec, feature.className);
+      if (!resolved) return null;
+      replaces = resolved.replaces;
+    }
+
     return {
       level: level,
       replaces: replaces,
@@ -963,6 +1242,399 @@ export class UIManager {
     };
   }
 
+  /**
+   * Turn a feature plus a tier range or level list into replacement targets.
+   * For a known scalable series each named tier becomes one target; for other features
+   * "2-4" numbers the feature and "at 2nd and 4th level" names the levels it is gained at.
+   * @param {string} name - The selected base feature (or series) name
+   * @param {string} spec - Tier or level text, e.g. "2-4", "II, III and IV", "at 3rd and 7th level"
+   * @param {string} className - Class name for the scalable feature registry
+   * @returns {object|null} { replaces: string|Array<string>, scalable: object|null }, or null
+   *   if the text names no tier of the feature
+   * @private
+   */
+  static _resolveTierSpec(name, spec, className) {
+    const baseName = ScalableFeatures.getSeriesBaseName(name, className || '');
+    if (baseName) {
+      const tiers = ScalableFeatures.parseTierSpec(spec, ScalableFeatures.getSeries(baseName, className));
+      if (!tiers?.length) return null;
+      const targets = ScalableFeatures.getTierTargets(baseName, tiers, className);
+      return {
+        replaces: targets.length === 1 ? targets[0] : targets,
+        scalable: { type: 'tiers', baseName, tiers }
+      };
+    }
+
+    const isLevelSpec = /\blevels?\b/i.test(spec);
+    const joined = isLevelSpec && !/^(?:gained\s+)?at\b/i.test(spec) ? `${name} at ${spec}` : `${name} ${spec}`;
+    const targets = CompendiumParser.expandTarget(joined);
+    const understood = targets.length > 1 || (isLevelSpec
+      ? CompendiumParser.parseTargetLevel(targets[0]).level !== null
+      : ScalableFeatures.parseTierNumber(spec) !== null);
+    if (!understood) return null;
+    return { replaces: targets.length === 1 ? targets[0] : targets, scalable: null };
+  }
+
+  /**
+   * Show one review dialog listing every unresolved, ambiguous or low-confidence feature,
+   * each with a description excerpt, a target dropdown, a level field and an additive toggle.
+   * All fixes are saved in one write, to the scope chosen in the dialog (see showFixDialog).
+   * @param {Array} features - Features to review (see _fixPromptFeature)
+   * @param {Array} expandedFeatures - Class features with scalable series expanded to tiers
+   *   (ScalableFeatures.getExpandedFeatureList)
+   * @param {object} [options]
+   * @param {Actor} [options.actor] - The actor the fixes are made for; offers the actor scope
+   * @returns {Promise<Array|null>} One result ({ level, replaces, isAdditive }, or null for a
+   *   feature left as is) per feature, or null if cancelled or nothing was saved
+   */
+  static async showReviewDialog(features, expandedFeatures, options = {}) {
+    const { actor = null } = options;
+    const content = this._buildReviewDialogHTML(features, expandedFeatures, actor);
+
+    return new Promise(resolve => {
+      const dialog = new Dialog({
+        title: `${MODULE_TITLE} - Review Features`,
+        content,
+        buttons: {
+          confirm: {
+            icon: '<i class="fas fa-check"></i>',
+            label: 'Save Fixes',
+            callback: async (html) => {
+              const element = html[0] || html;
+              const results = this._parseReviewDialogResult(element, features);
+              const entries = features
+                .map((feature, i) => ({ feature, result: results[i] }))
+                .filter(({ result }) => result);
+
+              if (entries.length === 0) {
+                ui.notifications.warn(`${MODULE_TITLE} | No features were resolved; nothing was saved.`);
+                resolve(null);
+                return;
+              }
+
+              const scope = this._parseFixScope(element, actor);
+              const success = await this._saveFixes(entries, scope, actor);
+              if (success) {
+                ui.notifications.info(`${MODULE_TITLE} | Saved ${entries.length} fix${entries.length === 1 ? '' : 'es'} to ${this._fixScopeLabel(scope, actor)}.`);
+                await this._suggestFromDialog(element, entries);
+                resolve(results);
+              } else {
+                ui.notifications.error('Failed to save fix entries.');
+                resolve(null);
+              }
+            }
+          },
+          cancel: {
+            icon: '<i class="fas fa-times"></i>',
+            label: 'Cancel',
+            callback: () => resolve(null)
+          }
+        },
+        default: 'cancel',
+        close: () => resolve(null),
+        render: (html) => {
+          const element = html[0] || html;
+
+          // An additive feature replaces nothing
+          element.querySelectorAll('.review-feature-row').forEach(row => {
+            const additiveCheckbox = row.querySelector('.review-additive-checkbox');
+            const replacesSelect = row.querySelector('.review-replaces-select');
+            if (!additiveCheckbox || !replacesSelect) return;
+            additiveCheckbox.addEventListener('change', () => {
+              replacesSelect.disabled = additiveCheckbox.checked;
+              if (additiveCheckbox.checked) replacesSelect.value = '';
+            });
+          });
+        }
+      }, { width: 600, height: 'auto', resizable: true, classes: ['archetype-manager', 'archetype-review-dialog'] });
+
+      dialog.render(true);
+    });
+  }
+
+  /**
+   * Build the HTML content for the review dialog
+   * @param {Array} features - Features to review
+   * @param {Array} expandedFeatures - Class features with scalable series expanded to tiers
+   * @param {Actor} [actor] - The actor the fixes are made for (see _fixScopeHTML)
+   * @returns {string} HTML content
+   */
+  static _buildReviewDialogHTML(features, expandedFeatures, actor = null) {
+    const replacesOptions = this._replacesOptionsHTML(expandedFeatures || []);
+
+    const rows = (features || []).map((feature, i) => {
+      const excerpt = this._excerpt(feature.description);
+
+      const status = feature.needsUserInput
+        ? 'Unresolved'
+        : feature.ambiguity
+          ? `"${foundry.utils.escapeHTML(feature.ambiguity.target)}" matches several features`
+          : `Low confidence (${Math.round((feature.confidence ?? 0) * 100)}%)`;
+
+      // Ambiguous matches offer their candidates first, with the best guess selected
+      const candidates = feature.ambiguity?.candidates || [];
+      const candidateOptions = candidates.length > 0
+        ? `<optgroup label="Candidates">${candidates.map((c, j) => {
+          const value = c.level ? `${c.name} at ${ScalableFeatures.ordinal(c.level)} level` : c.name;
+          return `<option value="${value}" ${j === 0 ? 'selected' : ''}>${c.name}${c.level ? ` (Lv ${c.level})` : ''}</option>`;
+        }).join('')}</optgroup><optgroup label="All features">${replacesOptions}</optgroup>`
+        : replacesOptions;
+
+      return `
+        <div class="review-feature-row" data-index="${i}" style="margin-bottom: 8px; padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+          <div style="display: flex; justify-content: space-between; gap: 6px;">
+            <strong>${feature.name || 'Unknown Feature'}</strong>
+            <span class="review-status" style="font-size: 0.85em; color: #a60;">${status}</span>
+          </div>
+          ${feature.archetypeName ? `<div style="font-size: 0.8em; color: #666;">${feature.archetypeName}</div>` : ''}
+          <p class="review-excerpt" style="font-size: 0.85em; color: #555; margin: 4px 0;">${excerpt}</p>
+          <div style="display: flex; gap: 6px; align-items: center;">
+            <input type="number" class="review-level-input" name="review-level-${i}" value="${feature.level || ''}" min="1" max="20" title="Level" style="flex: 0 0 50px; text-align: center;" />
+            <select class="review-replaces-select" name="review-replaces-${i}" style="flex: 1;">
+              <option value="">${feature.needsUserInput ? '-- Leave unresolved --' : '-- Keep current match --'}</option>
+              ${candidateOptions}
+            </select>
+            <label style="flex: 0 0 auto; display: flex; align-items: center; gap: 4px; cursor: pointer;">
+              <input type="checkbox" class="review-additive-checkbox" name="review-additive-${i}" />
+              <span>Additive</span>
+            </label>
+          </div>
+        </div>`;
+    }).join('');
+
+    return `
+      <div class="archetype-review-dialog-content">
+        <p style="font-size: 0.9em; color: #666; margin-bottom: 8px;">
+          These features could not be parsed with confidence. Choose what each replaces, or mark it as
+          additive (grants something new without replacing anything). Features left unchanged are not saved.
+        </p>
+        <div class="review-feature-rows" style="max-height: 450px; overflow-y: auto;">
+          ${rows}
+        </div>
+        ${this._fixScopeHTML(actor)}
+      </div>
+    `;
+  }
+
+  /**
+   * Parse the results from the review dialog
+   * @param {HTMLElement} element - The dialog element
+   * @param {Array} features - The reviewed features
+   * @returns {Array<object|null>} One { level, replaces, isAdditive, featureName } per feature,
+   *   or null where the feature was left as is
+   */
+  static _parseReviewDialogResult(element, features) {
+    return features.map((feature, i) => {
+      const row = element.querySelector(`.review-feature-row[data-index="${i}"]`);
+      if (!row) return null;
+
+      const isAdditive = row.querySelector('.review-additive-checkbox')?.checked || false;
+      const value = isAdditive ? '' : (row.querySelector('.review-replaces-select')?.value || '');
+      if (!isAdditive && !value) return null;
+
+      const levelStr = row.querySelector('.review-level-input')?.value;
+      const validation = levelStr ? this._validatePreviewLevel(levelStr) : null;
+
+      return {
+        level: validation?.valid ? validation.level : (feature.level || null),
+        replaces: isAdditive ? null : this._parseReplacesValue(value).replaces,
+        isAdditive,
+        featureName: feature.name
+      };
+    });
+  }
+
+  /**
+   * Shorten a description to a plain-text excerpt for review rows
+   * @param {string} description - HTML description text
+   * @returns {string} Plain text of at most REVIEW_EXCERPT_LENGTH characters
+   * @private
+   */
+  static _excerpt(description) {
+    const text = this._stripHTML(description).replace(/\s+/g, ' ').trim();
+    return text.length > this.REVIEW_EXCERPT_LENGTH
+      ? `${text.slice(0, this.REVIEW_EXCERPT_LENGTH).trim()}…`
+      : text || 'No description available';
+  }
+
+  /**
+   * Save fixes to one scope in a single write. Each fix is stamped with the
+   * compendium description it was written against (see CompendiumParser.fixStamp).
+   * @param {Array} entries - [{ feature, result }] where feature carries name, description,
+   *   archetypeSlug/archetypeName and className, and result { level, replaces }
+   * @param {string} [scope='world'] - 'world', 'actor' or 'session' (see CompendiumParser.readFixes)
+   * @param {Actor} [actor] - The actor, for the 'actor' and 'session' scopes
+   * @returns {Promise<boolean>} Whether the fixes were saved
+   * @private
+   */
+  static async _saveFixes(entries, scope = 'world', actor = null) {
+    const data = await CompendiumParser.readFixes(scope, actor);
+    CompendiumParser.mergeFixes(data, entries.map(({ feature, result }) => this._buildFixRecord(feature, result)));
+    return CompendiumParser.writeFixes(scope, data, actor);
+  }
+
+  /**
+   * Queue fixes as suggestions for the GM to review (see FixSuggestions)
+   * @param {Array} entries - [{ feature, result }] as for _saveFixes
+   * @returns {Promise<boolean>} Whether the suggestions were saved
+   * @private
+   */
+  static async _suggestFixes(entries) {
+    return JournalEntryDB.addSuggestions(entries.map(({ feature, result }) => ({
+      ...this._buildFixRecord(feature, result),
+      archetypeName: feature.archetypeName || '',
+      featureName: feature.name
+    })));
+  }
+
+  /**
+   * Queue the fixes saved in a dialog as suggestions when a player ticked "suggest to the GM"
+   * @param {HTMLElement} element - The dialog element
+   * @param {Array} entries - [{ feature, result }] as for _saveFixes
+   * @returns {Promise<boolean>} Whether suggestions were queued
+   * @private
+   */
+  static async _suggestFromDialog(element, entries) {
+    if (game.user.isGM || !element.querySelector('.fix-suggest-checkbox')?.checked) return false;
+
+    const suggested = await this._suggestFixes(entries);
+    if (suggested) {
+      ui.notifications.info(`${MODULE_TITLE} | Sent ${entries.length} fix suggestion${entries.length === 1 ? '' : 's'} to the GM for review.`);
+    }
+    return suggested;
+  }
+
+  /**
+   * Build the fix record for a dialog result
+   * @param {object} feature - The feature (see _saveFixes)
+   * @param {object} result - { level, replaces }
+   * @returns {object} { archetypeSlug, className, featureSlug, fix }
+   * @private
+   */
+  static _buildFixRecord(feature, result) {
+    return {
+      archetypeSlug: feature.archetypeSlug || this._slugify(feature.archetypeName || feature.name),
+      className: feature.className || '',
+      featureSlug: this._slugify(feature.name),
+      fix: {
+        level: result.level,
+        replaces: result.replaces,
+        description: feature.description || '',
+        ...CompendiumParser.fixStamp(feature.sourceDescription ?? feature.description)
+      }
+    };
+  }
+
+  /**
+   * The scope a fix is saved to unless the user picks another: the world for the GM,
+   * otherwise the actor, or this session when there is no actor
+   * @param {Actor} [actor] - The actor the fix is made for
+   * @returns {string} 'world', 'actor' or 'session'
+   * @private
+   */
+  static _defaultFixScope(actor = null) {
+    if (game.user.isGM) return 'world';
+    return actor ? 'actor' : 'session';
+  }
+
+  /**
+   * Build the "Save fix for" choice shared by the fix and review dialogs. World fixes
+   * are GM only, and actor fixes need an actor. Players can also suggest the fix to the GM.
+   * @param {Actor} [actor] - The actor the fix is made for
+   * @returns {string} HTML content
+   * @private
+   */
+  static _fixScopeHTML(actor = null) {
+    const selected = this._defaultFixScope(actor);
+    const choices = [
+      { scope: 'world', label: 'The world (shared with everyone)', disabled: !game.user.isGM },
+      { scope: 'actor', label: actor ? `This actor only (${actor.name})` : 'This actor only', disabled: !actor },
+      { scope: 'session', label: actor ? `This session only, for ${actor.name} (not saved)` : 'This session only (not saved)', disabled: false }
+    ];
+
+    return `
+        <div class="form-group fix-scope-group" style="margin-bottom: 8px;">
+          <label>Save fix for:</label>
+          ${choices.map(c => `<label style="display: flex; align-items: center; gap: 6px;${c.disabled ? ' color: #999;' : ' cursor: pointer;'}">
+            <input type="radio" class="fix-scope-radio" name="fix-scope" value="${c.scope}" ${c.scope === selected ? 'checked' : ''} ${c.disabled ? 'disabled' : ''} />
+            <span>${c.label}</span>
+          </label>`).join('')}
+          ${game.user.isGM ? '' : `<label style="display: flex; align-items: center; gap: 6px; cursor: pointer; margin-top: 4px;">
+            <input type="checkbox" class="fix-suggest-checkbox" name="fix-suggest" checked />
+            <span>Also suggest this fix to the GM</span>
+          </label>`}
+        </div>`;
+  }
+
+  /**
+   * Read the chosen fix scope, falling back to the default if the choice is not allowed
+   * @param {HTMLElement} element - The dialog element
+   * @param {Actor} [actor] - The actor the fix is made for
+   * @returns {string} 'world', 'actor' or 'session'
+   * @private
+   */
+  static _parseFixScope(element, actor = null) {
+    const scope = element.querySelector('.fix-scope-radio:checked')?.value;
+    if (scope === 'world' && game.user.isGM) return scope;
+    if (scope === 'actor' && actor) return scope;
+    if (scope === 'session') return scope;
+    return this._defaultFixScope(actor);
+  }
+
+  /**
+   * Describe where a fix was saved, for notifications
+   * @private
+   */
+  static _fixScopeLabel(scope, actor = null) {
+    if (scope === 'actor') return `${actor?.name ?? 'the actor'}'s fixes`;
+    if (scope === 'session') return 'this session';
+    return 'the fixes database';
+  }
+
+  /**
+   * Build the "Replaces" dropdown options from an expanded feature list. Series headers
+   * and tiers are encoded as "series:<base>" and "tier:<base>:<n>" (see _parseReplacesValue).
+   * @param {Array} expandedFeatures - From ScalableFeatures.getExpandedFeatureList
+   * @returns {string} HTML options
+   * @private
+   */
+  static _replacesOptionsHTML(expandedFeatures) {
+    return expandedFeatures.map(f => {
+      const val = f._isSeriesHeader
+        ? `series:${f._baseName}`
+        : f._isTier
+          ? `tier:${f._baseName}:${f._tier}`
+          : f.resolvedName || f.uuid;
+      const label = f.displayName || f.resolvedName || f.uuid;
+      const isHeader = f._isSeriesHeader;
+      return `<option value="${val}" ${isHeader ? 'style="font-weight:bold;"' : ''}>${label}</option>`;
+    }).join('\n              ');
+  }
+
+  /**
+   * Decode a "Replaces" dropdown value
+   * @param {string} value - Dropdown value (see _replacesOptionsHTML)
+   * @returns {object} { replaces: string|null, scalable: object|null }
+   * @private
+   */
+  static _parseReplacesValue(value) {
+    if (!value) return { replaces: null, scalable: null };
+    if (value.startsWith('series:')) {
+      // Replacing entire scalable series (e.g., "series:weapon training")
+      const baseName = value.substring(7);
+      return { replaces: baseName, scalable: { type: 'series', baseName } };
+    }
+    if (value.startsWith('tier:')) {
+      // Replacing specific tier (e.g., "tier:weapon training:3")
+      const parts = value.substring(5).split(':');
+      return {
+        replaces: `${parts[0]} ${parts[1]}`,
+        scalable: { type: 'tier', baseName: parts[0], tier: parseInt(parts[1]) }
+      };
+    }
+    return { replaces: value, scalable: null };
+  }
+
   /**
    * Show the description verification dialog
    * Shows raw module description, allows corrections with auto-strip formatting
@@ -1001,15 +1673,18 @@ export class UIManager {
                 ? { class: existingFix.class || '', features: { ...existingFix.features } }
                 : { class: feature.className || '', features: {} };
 
-              // Update or create the feature fix entry with corrected description
+              // Update or create the feature fix entry with corrected description,
+              // stamped with the module description it corrects
+              const stamp = CompendiumParser.fixStamp(feature.sourceDescription ?? feature.description);
               if (!fixData.features[featureSlug]) {
                 fixData.features[featureSlug] = {
                   level: feature.level || null,
                   replaces: feature.replaces || null,
-                  description: correctedDescription
+                  description: correctedDescription,
+                  ...stamp
                 };
               } else {
-                fixData.features[featureSlug].description = correctedDescription;
+                fixData.features[featureSlug] = { ...fixData.features[featureSlug], description: correctedDescription, ...stamp };
               }
 
               const success = await JournalEntryDB.setArchetype('fixes', archetypeSlug, fixData);
@@ -1170,18 +1845,7 @@ export class UIManager {
    */
   static _buildManualEntryHTML(defaultType = 'custom', expandedFeatures = []) {
     // Build the "Replaces" dropdown options
-    const replacesOptions = expandedFeatures.length > 0
-      ? expandedFeatures.map(f => {
-        const val = f._isSeriesHeader
-          ? `series:${f._baseName}`
-          : f._isTier
-            ? `tier:${f._baseName}:${f._tier}`
-            : f.resolvedName || f.uuid;
-        const label = f.displayName || f.resolvedName || f.uuid;
-        const isHeader = f._isSeriesHeader;
-        return `<option value="${val}" ${isHeader ? 'style="font-weight:bold;"' : ''}>${label}</option>`;
-      }).join('\n              ')
-      : '';
+    const replacesOptions = this._replacesOptionsHTML(expandedFeatures);
 
     const replacesField = expandedFeatures.length > 0
       ? `<select name="feat-replaces-0" style="flex:2">
@@ -1211,13 +1875,15 @@ export class UIManager {
         <h3 style="margin: 8px 0 4px;">Features</h3>
         <p style="font-size: 0.85em; color: #666; margin-bottom: 8px;">
           Add each feature this archetype grants. Use the "Replaces" dropdown to select which base class feature it replaces.
-          For scalable features (Weapon Training, Armor Training, etc.), you can target a specific tier.
+          For scalable features (Weapon Training, Armor Training, etc.), you can target a specific tier,
+          or enter a range or list of tiers ("2-4") or levels ("3rd, 7th, 11th level").
         </p>
         <div class="feature-rows">
           <div class="feature-row" data-index="0">
             <input type="text" name="feat-name-0" placeholder="Feature name" style="flex:2" />
             <input type="number" name="feat-level-0" placeholder="Lvl" min="1" max="20" style="flex:0 0 50px; text-align:center" />
             ${replacesField}
+            <input type="text" name="feat-tiers-0" placeholder="Tiers" title="Tiers (2-4) or levels (3rd, 7th, 11th level)" style="flex:1" />
             <button type="button" class="remove-feature-btn" data-index="0" title="Remove" style="flex:0 0 30px; cursor:pointer;">✕</button>
           </div>
         </div>
@@ -1254,9 +1920,10 @@ export class UIManager {
       const name = html.querySelector(`[name="feat-name-${idx}"]`)?.value?.trim();
       const levelStr = html.querySelector(`[name="feat-level-${idx}"]`)?.value;
       const replaces = html.querySelector(`[name="feat-replaces-${idx}"]`)?.value?.trim();
+      const tiersSpec = html.querySelector(`[name="feat-tiers-${idx}"]`)?.value?.trim();
 
       // Skip completely empty rows
-      if (!name && !levelStr && !replaces) continue;
+      if (!name && !levelStr && !replaces && !tiersSpec) continue;
 
       if (!name) {
         errors.push(`Feature row ${parseInt(idx) + 1}: Name is required.`);
@@ -1280,19 +1947,24 @@ export class UIManager {
       const slug = this._slugify(name);
 
       // Parse the replaces value - may be a dropdown value with special prefixes
-      let replacesValue = replaces || null;
-      let replacesScalable = null;
-      if (replaces) {
-        if (replaces.startsWith('series:')) {
-          // Replacing entire scalable series (e.g., "series:weapon training")
-          replacesValue = replaces.substring(7); // strip prefix
-          replacesScalable = { type: 'series', baseName: replacesValue };
-        } else if (replaces.startsWith('tier:')) {
-          // Replacing specific tier (e.g., "tier:weapon training:3")
-          const parts = replaces.substring(5).split(':');
-          replacesValue = `${parts[0]} ${parts[1]}`;
-          replacesScalable = { type: 'tier', baseName: parts[0], tier: parseInt(parts[1]) };
+      const parsedReplaces = this._parseReplacesValue(replaces);
+      let replacesValue = parsedReplaces.replaces;
+      let replacesScalable = parsedReplaces.scalable;
+
+      // A tier range or level list replaces several tiers of the selected feature
+      if (tiersSpec) {
+        if (!replacesValue) {
+          errors.push(`Feature "${name}": Select the feature whose tiers it replaces.`);
+          continue;
+        }
+        const baseName = replacesScalable?.baseName ?? replacesValue;
+        const resolved = this._resolveTierSpec(baseName, tiersSpec, archetypeClass);
+        if (!resolved) {
+          errors.push(`Feature "${name}": "${tiersSpec}" does not name tiers or levels of ${baseName}.`);
+          continue;
         }
+        replacesValue = resolved.replaces;
+        replacesScalable = resolved.scalable;
       }
 
       features[slug] = {
@@ -1420,11 +2092,7 @@ export class UIManager {
               const replacesField = expandedFeatures.length > 0
                 ? `<select name="feat-replaces-${idx}" style="flex:2">
                     <option value="">-- None (Additive) --</option>
-                    ${expandedFeatures.map(f => {
-                      const val = f._isSeriesHeader ? `series:${f._baseName}` : f._isTier ? `tier:${f._baseName}:${f._tier}` : f.resolvedName || f.uuid;
-                      const label = f.displayName || f.resolvedName || f.uuid;
-                      return `<option value="${val}" ${f._isSeriesHeader ? 'style="font-weight:bold;"' : ''}>${label}</option>`;
-                    }).join('')}
+                    ${UIManager._replacesOptionsHTML(expandedFeatures)}
                   </select>`
                 : `<input type="text" name="feat-replaces-${idx}" placeholder="Replaces (or blank)" style="flex:2" />`;
 
@@ -1432,6 +2100,7 @@ export class UIManager {
                 <input type="text" name="feat-name-${idx}" placeholder="Feature name" style="flex:2" />
                 <input type="number" name="feat-level-${idx}" placeholder="Lvl" min="1" max="20" style="flex:0 0 50px; text-align:center" />
                 ${replacesField}
+                <input type="text" name="feat-tiers-${idx}" placeholder="Tiers" title="Tiers (2-4) or levels (3rd, 7th, 11th level)" style="flex:1" />
                 <button type="button" class="remove-feature-btn" data-index="${idx}" title="Remove" style="flex:0 0 30px; cursor:pointer;">✕</button>
               `;
               rowsContainer.appendChild(newRow);
@@ -1476,152 +2145,369 @@ export class UIManager {
     });
   }
 
-  // Cache for pf-arch-features pack (loaded once per session, shared across archetypes)
-  static _archFeaturesCache = null;
-
   /**
-   * Parse an archetype on demand - loads features from compendium or JE and returns parsed data
-   * @param {object} archData - The archetype data from the list { name, slug, source, class, _doc }
-   * @param {Array} baseAssociations - The base class classAssociations (raw, unresolved)
-   * @param {string} [className] - Class name for CompatibilityDB lookup
-   * @returns {Promise<object>} Parsed archetype data with features
+   * Show confirmation dialog before removing an archetype, then perform the removal
+   * @param {Actor} actor - The actor document
+   * @param {Item} classItem - The class item document
+   * @param {string} slug - The archetype slug to remove
+   * @returns {Promise<boolean>} Whether the removal was performed
    */
-  static async _parseArchetypeOnDemand(archData, baseAssociations, className) {
-    if (archData.source === 'compendium' && archData._doc) {
-      const archetypeDoc = archData._doc;
-
-      // Strategy 1: Try classAssociations on the archetype doc (some modules use this)
-      const archAssociations = archetypeDoc.system?.links?.classAssociations || [];
-      let features = [];
-      for (const assoc of archAssociations) {
-        try {
-          const doc = await fromUuid(assoc.uuid || assoc.id);
-          if (doc) features.push(doc);
-        } catch (e) {
-          // Feature couldn't be resolved - skip silently
-        }
-      }
+  static async showRemoveConfirmation(actor, classItem, slug) {
+    const displayName = slug.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+    const confirmed = await this.showConfirmation(
+      'Remove Archetype',
+      `<p>Are you sure you want to remove <strong>${displayName}</strong> from <strong>${classItem.name}</strong>?</p>
+       <p>The original class features will be restored from backup.</p>`
+    );
 
-      // Strategy 2: If no features found via classAssociations, search pf-arch-features by name
-      // pf1e-archetypes stores features separately with names like "FeatureName (ArchetypeName)"
-      if (features.length === 0) {
-        // Extract short archetype name from "Class (ArchetypeName)" format
-        const shortNameMatch = archData.name.match(/\((.+?)\)\s*$/);
-        const shortName = shortNameMatch ? shortNameMatch[1].trim() : archData.name;
+    if (!confirmed) {
+      return false;
+    }
 
-        debugLog(`${MODULE_ID} | No classAssociations on archetype doc, searching pf-arch-features for "${shortName}"`);
+    return Applicator.remove(actor, classItem, slug);
+  }
 
-        // Load and cache the features pack
-        if (!UIManager._archFeaturesCache) {
-          UIManager._archFeaturesCache = await CompendiumParser.loadArchetypeFeatures();
-          debugLog(`${MODULE_ID} | Cached ${UIManager._archFeaturesCache.length} archetype features`);
-        }
+  /**
+   * Offer to recover archetype operations that were interrupted (browser closed,
+   * server dropped) before their journal entry was marked complete.
+   * @returns {Promise<number>} Number of operations recovered
+   */
+  static async promptUnfinishedOperations() {
+    const unfinished = OperationJournal.findUnfinished();
+    if (unfinished.length === 0) return 0;
 
-        // Match features by archetype short name in parentheses at end of feature name
-        const namePattern = `(${shortName})`;
-        features = UIManager._archFeaturesCache.filter(f =>
-          f.name && f.name.includes(namePattern)
-        );
+    debugLog(`${MODULE_ID} | Found ${unfinished.length} unfinished archetype operation(s)`);
 
-        debugLog(`${MODULE_ID} | Found ${features.length} features for "${shortName}" via name matching`);
-      }
+    let recovered = 0;
+    for (const { actor, entry } of unfinished) {
+      const direction = await this.showRecoveryDialog(actor, entry);
+      if (!direction) continue; // Decide later - entry stays pending until next startup
 
-      const parsed = await CompendiumParser.parseArchetype(archetypeDoc, features, baseAssociations, className);
-      parsed.class = archData.class || '';
-      debugLog(`${MODULE_ID} | Parsed "${archData.name}": ${parsed.features.length} features (${parsed.features.filter(f => f.type === 'replacement').length} replacements, ${parsed.features.filter(f => f.type === 'additive').length} additive, ${parsed.features.filter(f => f.source === 'db-assisted').length} DB-assisted)`);
-      return parsed;
-    } else {
-      // JE-based archetype (missing/custom) - build from JE data
-      const jeData = await JournalEntryDB.getArchetype(archData.slug);
-      if (!jeData || !jeData.features) {
-        return {
-          name: archData.name,
-          slug: archData.slug,
-          class: archData.class || '',
-          features: []
-        };
+      if (await Applicator.recoverOperation(actor, entry, direction)) {
+        recovered++;
       }
+    }
+    return recovered;
+  }
 
-      const resolvedAssociations = await CompendiumParser.resolveAssociations(baseAssociations);
-      const features = [];
-      for (const [featureSlug, featureData] of Object.entries(jeData.features)) {
-        const featureName = featureSlug.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
-        let matchedAssociation = null;
-        if (featureData.replaces) {
-          matchedAssociation = CompendiumParser.matchTarget(featureData.replaces, resolvedAssociations);
+  /**
+   * Ask the user whether to finish or undo an interrupted operation
+   * @param {Actor} actor - The actor the operation was running on
+   * @param {object} entry - The pending OperationJournal entry
+   * @returns {Promise<string|null>} 'forward', 'back', or null to decide later
+   */
+  static async showRecoveryDialog(actor, entry) {
+    const classItem = actor.items.get(entry.classItemId);
+    const operationLabels = { apply: 'Apply', applyStack: 'Apply stack', remove: 'Remove', restore: 'Restore from backup', undo: 'Undo', redo: 'Redo' };
+    const archetypeLabel = entry.archetypeName || entry.slug || 'unknown archetype';
+    const startedAt = entry.startedAt ? new Date(entry.startedAt).toLocaleString() : 'unknown time';
+
+    return new Promise(resolve => {
+      new Dialog({
+        title: `${MODULE_TITLE} - Unfinished Operation`,
+        content: `
+          <div class="archetype-recovery-content">
+            <p><i class="fas fa-exclamation-triangle" style="color: #f80;"></i>
+              An archetype operation on <strong>${actor.name}</strong> was interrupted before it finished.</p>
+            <p style="font-size: 0.9em; color: #666;">
+              Operation: ${operationLabels[entry.type] || entry.type}<br>
+              Archetype: ${archetypeLabel}<br>
+              Class: ${classItem?.name || '<em>missing</em>'}<br>
+              Started: ${startedAt}
+            </p>
+            <p>Finish the operation, or undo it and return the class to its previous state?</p>
+          </div>
+        `,
+        buttons: {
+          forward: {
+            icon: '<i class="fas fa-forward"></i>',
+            label: 'Finish',
+            callback: () => resolve('forward')
+          },
+          back: {
+            icon: '<i class="fas fa-undo"></i>',
+            label: 'Undo',
+            callback: () => resolve('back')
+          },
+          later: {
+            icon: '<i class="fas fa-clock"></i>',
+            label: 'Decide Later',
+            callback: () => resolve(null)
+          }
+        },
+        default: 'back',
+        close: () => resolve(null)
+      }, { width: 420, classes: ['archetype-manager', 'archetype-recovery-dialog'] }).render(true);
+    });
+  }
+
+  /**
+   * Show the parse audit report (see ParseAudit) with an export of the JE fixes skeleton
+   * @param {object} report - From ParseAudit.run()
+   * @param {object} skeleton - From ParseAudit.buildFixSkeleton()
+   * @returns {Promise<void>} Resolves when the dialog is closed
+   */
+  static async showParseAuditDialog(report, skeleton) {
+    const failureCount = Object.keys(skeleton || {}).length;
+
+    return new Promise(resolve => {
+      new Dialog({
+        title: `${MODULE_TITLE} - Parse Audit`,
+        content: this._buildParseAuditHTML(report, failureCount),
+        buttons: {
+          close: {
+            icon: '<i class="fas fa-check"></i>',
+            label: 'Close',
+            callback: () => resolve()
+          }
+        },
+        default: 'close',
+        close: () => resolve(),
+        render: (html) => {
+          const element = html[0] || html;
+          element.querySelector('.export-fixes-btn')?.addEventListener('click', (e) => {
+            e.preventDefault();
+            foundry.utils.saveDataToFile(JSON.stringify(skeleton, null, 2), 'application/json', 'archetype-manager-fixes-skeleton.json');
+            ui.notifications.info(`${MODULE_TITLE} | Exported a fixes skeleton for ${failureCount} archetype${failureCount === 1 ? '' : 's'}.`);
+          });
         }
-        features.push({
-          name: featureName,
-          level: featureData.level,
-          type: featureData.replaces ? 'replacement' : 'additive',
-          target: featureData.replaces || null,
-          matchedAssociation,
-          description: featureData.description || '',
-          source: 'je-entry'
-        });
-      }
+      }, { width: 640, height: 'auto', resizable: true, classes: ['archetype-manager', 'archetype-audit-dialog'] }).render(true);
+    });
+  }
 
-      return {
-        name: archData.name || jeData.name || archData.slug,
-        slug: archData.slug,
-        class: archData.class || jeData.class || '',
-        features
-      };
-    }
+  /**
+   * Build the HTML content for the parse audit report
+   * @param {object} report - From ParseAudit.run()
+   * @param {number} failureCount - Archetypes in the fixes skeleton
+   * @returns {string} HTML content
+   */
+  static _buildParseAuditHTML(report, failureCount = 0) {
+    const typeLabels = [['replacement', 'Replacements'], ['modification', 'Modifications'], ['additive', 'Additive'], ['unknown', 'Unknown']];
+    const list = (items, render) => items.length > 0
+      ? `<ul style="margin:0 0 6px;padding-left:20px;font-size:0.85em;">${items.map(item => `<li>${render(item)}</li>`).join('')}</ul>`
+      : '';
+
+    const classSections = (report.classes || []).map(classReport => {
+      const { totals } = classReport;
+      const unmatched = classReport.archetypes.flatMap(a => a.unmatched.map(u => ({ ...u, archetype: a.name })));
+      const unknown = classReport.archetypes.flatMap(a => a.unknown.map(u => ({ ...u, archetype: a.name })));
+      const disagreements = classReport.archetypes.filter(a =>
+        a.disagreements && (a.disagreements.regexOnly.length > 0 || a.disagreements.dbOnly.length > 0));
+      const empty = classReport.archetypes.filter(a => a.noFeatures);
+
+      return `
+        <details class="audit-class" data-class="${classReport.className}" open>
+          <summary><strong>${classReport.classItem.name}</strong>: ${totals.archetypes} archetypes, ${totals.features} features</summary>
+          <p class="audit-counts" style="font-size:0.85em;margin:4px 0;">
+            ${typeLabels.map(([type, label]) => `${label}: ${totals.byType[type]}`).join(' | ')}
+          </p>
+          ${unmatched.length > 0 ? `<h4 style="margin:6px 0 2px;">Unmatched Targets (${unmatched.length})</h4>` : ''}
+          ${list(unmatched, u => `${u.archetype}: <strong>${u.feature}</strong>${u.level ? ` (Lv ${u.level})` : ''} replaces "${u.target}"`)}
+          ${unknown.length > 0 ? `<h4 style="margin:6px 0 2px;">Unrecognized Features (${unknown.length})</h4>` : ''}
+          ${list(unknown, u => `${u.archetype}: <strong>${u.feature}</strong>${u.level ? ` (Lv ${u.level})` : ''}`)}
+          ${disagreements.length > 0 ? `<h4 style="margin:6px 0 2px;">Disagreements with CompatibilityDB (${disagreements.length})</h4>` : ''}
+          ${list(disagreements, a => `${a.name}: ${[
+            a.disagreements.regexOnly.length > 0 ? `regex only: ${a.disagreements.regexOnly.join(', ')}` : '',
+            a.disagreements.dbOnly.length > 0 ? `DB only: ${a.disagreements.dbOnly.join(', ')}` : ''
+          ].filter(Boolean).join('; ')}`)}
+          ${empty.length > 0 ? `<h4 style="margin:6px 0 2px;">No Features Found (${empty.length})</h4>` : ''}
+          ${list(empty, a => `${a.name} (${a.source})`)}
+        </details>`;
+    }).join('');
+
+    const { totals } = report;
+    return `
+      <div class="archetype-audit-content">
+        <p class="audit-summary" style="font-size:0.9em;margin-bottom:8px;">
+          ${totals.archetypes} archetypes and ${totals.features} features parsed:
+          ${totals.unmatched} unmatched targets, ${totals.unknown} unrecognized features,
+          ${totals.disagreements} disagreements with the CompatibilityDB and ${totals.noFeatures} archetypes without features.
+        </p>
+        <div style="max-height:450px;overflow-y:auto;">
+          ${classSections || '<p style="color:#666;">No archetypes found.</p>'}
+        </div>
+        ${failureCount > 0
+          ? `<button type="button" class="export-fixes-btn" style="margin-top:8px;"><i class="fas fa-file-export"></i> Export Fixes Skeleton (${failureCount})</button>`
+          : ''}
+      </div>
+    `;
   }
 
   /**
-   * Build parsed archetype data for already-applied archetypes (for conflict checking)
-   * Uses the archetype data list to find matching entries and build feature data.
-   * @param {Item} classItem - The class item with applied archetype flags
-   * @param {Array} archetypeDataList - The loaded archetype data list
-   * @returns {Array<object>} Array of parsed archetype data objects
+   * Show the JE fix maintenance view (see FixMaintenance): one row per stale or unstamped
+   * fix with a keep/update/drop choice
+   * @param {Array} entries - From FixMaintenance.scan()
+   * @returns {Promise<Array<string>|null>} One action per entry, or null if cancelled or nothing to review
    */
-  static _buildAppliedArchetypeData(classItem, archetypeDataList) {
-    const applied = classItem?.getFlag?.(MODULE_ID, 'archetypes') || [];
-    if (applied.length === 0) return [];
-
-    // Try to use stored parsed data from flags (set during apply)
-    const storedData = classItem?.getFlag?.(MODULE_ID, 'appliedArchetypeData') || {};
-
-    const result = [];
-    for (const slug of applied) {
-      // First check stored parsed data from flags
-      if (storedData[slug]) {
-        result.push(storedData[slug]);
-      } else {
-        // Build minimal data from slug as fallback
-        const displayName = slug.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
-        result.push({
-          name: displayName,
-          slug,
-          features: []
-        });
-      }
+  static async showFixMaintenanceDialog(entries) {
+    if (!entries?.length) {
+      ui.notifications.info(`${MODULE_TITLE} | All JE fixes match the current compendium text.`);
+      return null;
     }
-    return result;
+
+    return new Promise(resolve => {
+      new Dialog({
+        title: `${MODULE_TITLE} - Maintain Fixes`,
+        content: this._buildFixMaintenanceHTML(entries),
+        buttons: {
+          apply: {
+            icon: '<i class="fas fa-check"></i>',
+            label: 'Apply',
+            callback: (html) => {
+              const element = html[0] || html;
+              resolve(entries.map((entry, i) =>
+                element.querySelector(`.maintenance-row[data-index="${i}"] .maintenance-action-select`)?.value || 'keep'));
+            }
+          },
+          cancel: {
+            icon: '<i class="fas fa-times"></i>',
+            label: 'Cancel',
+            callback: () => resolve(null)
+          }
+        },
+        default: 'cancel',
+        close: () => resolve(null)
+      }, { width: 560, height: 'auto', resizable: true, classes: ['archetype-manager', 'archetype-maintenance-dialog'] }).render(true);
+    });
   }
 
   /**
-   * Show confirmation dialog before removing an archetype, then perform the removal
-   * @param {Actor} actor - The actor document
-   * @param {Item} classItem - The class item document
-   * @param {string} slug - The archetype slug to remove
-   * @returns {Promise<boolean>} Whether the removal was performed
+   * Build the HTML content for the fix maintenance view
+   * @param {Array} entries - From FixMaintenance.scan()
+   * @returns {string} HTML content
    */
-  static async showRemoveConfirmation(actor, classItem, slug) {
-    const displayName = slug.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
-    const confirmed = await this.showConfirmation(
-      'Remove Archetype',
-      `<p>Are you sure you want to remove <strong>${displayName}</strong> from <strong>${classItem.name}</strong>?</p>
-       <p>The original class features will be restored from backup.</p>`
-    );
+  static _buildFixMaintenanceHTML(entries) {
+    const rows = entries.map((entry, i) => {
+      const status = entry.status === 'stale'
+        ? `Description changed${entry.savedVersion ? ` since ${entry.savedVersion}` : ''}${entry.currentVersion ? ` (now ${entry.currentVersion})` : ''}`
+        : 'Saved before fixes were stamped';
+      const replaces = entry.fix.replaces
+        ? `replaces ${[].concat(entry.fix.replaces).join(', ')}`
+        : 'additive';
+
+      return `
+        <div class="maintenance-row" data-index="${i}" data-status="${entry.status}" style="margin-bottom: 8px; padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+          <div style="display: flex; justify-content: space-between; gap: 6px;">
+            <strong>${entry.featureName}</strong>
+            <span class="maintenance-status" style="font-size: 0.85em; color: ${entry.status === 'stale' ? '#c60' : '#666'};">${status}</span>
+          </div>
+          <div style="font-size: 0.8em; color: #666;">${entry.archetypeSlug}: ${entry.fix.level ? `Lv ${entry.fix.level}, ` : ''}${replaces}</div>
+          <p class="maintenance-excerpt" style="font-size: 0.85em; color: #555; margin: 4px 0;">${this._excerpt(entry.currentDescription)}</p>
+          <select class="maintenance-action-select" name="maintenance-action-${i}">
+            <option value="keep" selected>Keep (leave flagged)</option>
+            <option value="update">Update (still applies to the new text)</option>
+            <option value="drop">Drop (use the compendium text)</option>
+          </select>
+        </div>`;
+    }).join('');
 
-    if (!confirmed) {
-      return false;
-    }
+    return `
+      <div class="archetype-maintenance-content">
+        <p style="font-size: 0.9em; margin-bottom: 8px;">
+          These JE fixes were written for a different compendium description, or saved before
+          fixes recorded one. Keep them as they are, mark them as checked against the current text, or drop them.
+        </p>
+        <div style="max-height: 450px; overflow-y: auto;">${rows}</div>
+      </div>
+    `;
+  }
 
-    return Applicator.remove(actor, classItem, slug);
+  /**
+   * Show the fix suggestions players queued (see FixSuggestions): one row per suggestion with
+   * its level and targets editable and an accept/reject/later choice
+   * @param {Array} suggestions - From FixSuggestions.list()
+   * @returns {Promise<Array|null>} One { action, fix: { level, replaces } } per suggestion, or null if cancelled
+   */
+  static async showSuggestionReviewDialog(suggestions) {
+    return new Promise(resolve => {
+      new Dialog({
+        title: `${MODULE_TITLE} - Fix Suggestions`,
+        content: this._buildSuggestionReviewHTML(suggestions),
+        buttons: {
+          apply: {
+            icon: '<i class="fas fa-check"></i>',
+            label: 'Apply',
+            callback: (html) => resolve(this._parseSuggestionReviewResult(html[0] || html, suggestions))
+          },
+          cancel: {
+            icon: '<i class="fas fa-times"></i>',
+            label: 'Cancel',
+            callback: () => resolve(null)
+          }
+        },
+        default: 'cancel',
+        close: () => resolve(null)
+      }, { width: 560, height: 'auto', resizable: true, classes: ['archetype-manager', 'archetype-suggestions-dialog'] }).render(true);
+    });
+  }
+
+  /**
+   * Build the HTML content for the suggestion review dialog
+   * @param {Array} suggestions - From FixSuggestions.list()
+   * @returns {string} HTML content
+   */
+  static _buildSuggestionReviewHTML(suggestions) {
+    const rows = suggestions.map((suggestion, i) => {
+      const { fix } = suggestion;
+      const replaces = fix.replaces ? [].concat(fix.replaces).join(', ') : '';
+      const createdAt = suggestion.createdAt ? new Date(suggestion.createdAt).toLocaleString() : '';
+
+      return `
+        <div class="suggestion-row" data-index="${i}" style="margin-bottom: 8px; padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+          <div style="display: flex; justify-content: space-between; gap: 6px;">
+            <strong>${suggestion.featureName || suggestion.featureSlug}</strong>
+            <span class="suggestion-proposer" style="font-size: 0.85em; color: #666;">${suggestion.proposer?.name || 'Unknown player'}${createdAt ? `, ${createdAt}` : ''}</span>
+          </div>
+          <div style="font-size: 0.8em; color: #666;">${suggestion.archetypeName || suggestion.archetypeSlug}${suggestion.className ? ` (${suggestion.className})` : ''}</div>
+          <p class="suggestion-excerpt" style="font-size: 0.85em; color: #555; margin: 4px 0;">${this._excerpt(fix.description)}</p>
+          <div style="display: flex; gap: 6px; align-items: center;">
+            <input type="number" class="suggestion-level-input" name="suggestion-level-${i}" value="${fix.level || ''}" min="1" max="20" title="Level" style="flex: 0 0 50px; text-align: center;" />
+            <input type="text" class="suggestion-replaces-input" name="suggestion-replaces-${i}" value="${replaces}" placeholder="Additive (replaces nothing)" title="Replaces (comma-separated)" style="flex: 1;" />
+            <select class="suggestion-action-select" name="suggestion-action-${i}" style="flex: 0 0 auto;">
+              <option value="later" selected>Decide later</option>
+              <option value="accept">Accept</option>
+              <option value="reject">Reject</option>
+            </select>
+          </div>
+        </div>`;
+    }).join('');
+
+    return `
+      <div class="archetype-suggestions-content">
+        <p style="font-size: 0.9em; margin-bottom: 8px;">
+          Players suggested these fixes. Accepted fixes are saved to the fixes section with any edits
+          made here; rejected ones are discarded.
+        </p>
+        <div style="max-height: 450px; overflow-y: auto;">${rows}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Parse the decisions from the suggestion review dialog
+   * @param {HTMLElement} element - The dialog element
+   * @param {Array} suggestions - The reviewed suggestions
+   * @returns {Array} One { action, fix: { level, replaces } } per suggestion
+   */
+  static _parseSuggestionReviewResult(element, suggestions) {
+    return suggestions.map((suggestion, i) => {
+      const row = element.querySelector(`.suggestion-row[data-index="${i}"]`);
+      if (!row) return { action: 'later' };
+
+      const validation = this._validatePreviewLevel(row.querySelector('.suggestion-level-input')?.value);
+      const targets = (row.querySelector('.suggestion-replaces-input')?.value || '')
+        .split(',')
+        .map(t => t.trim())
+        .filter(Boolean);
+
+      return {
+        action: row.querySelector('.suggestion-action-select')?.value || 'later',
+        fix: {
+          level: validation.valid ? validation.level : (suggestion.fix.level ?? null),
+          replaces: targets.length === 0 ? null : targets.length === 1 ? targets[0] : targets
+        }
+      };
+    });
   }
 
   /**
@@ -47,12 +47,29 @@ class MockJournalEntryPage {
     this.name = data.name;
     this.type = data.type || 'text';
     this.text = { content: data.text?.content || '{}' };
+    this.flags = JSON.parse(JSON.stringify(data.flags || {}));
+    this.ownership = JSON.parse(JSON.stringify(data.ownership || { default: -1 }));
+  }
+
+  getFlag(scope, key) {
+    return key.split('.').reduce((obj, k) => obj?.[k], this.flags[scope]);
   }
 
   async update(updateData) {
     if (updateData['text.content'] !== undefined) {
       this.text.content = updateData['text.content'];
     }
+    if (updateData.ownership) Object.assign(this.ownership, updateData.ownership);
+    // Dotted flag paths, with Foundry's "-=key" deletion syntax on the last part
+    for (const [path, value] of Object.entries(updateData)) {
+      if (!path.startsWith('flags.')) continue;
+      const parts = path.split('.').slice(1);
+      const last = parts.pop();
+      let target = this.flags;
+      for (const part of parts) target = target[part] ??= {};
+      if (last.startsWith('-=')) delete target[last.slice(2)];
+      else target[last] = JSON.parse(JSON.stringify(value));
+    }
     return this;
   }
 }
@@ -96,6 +113,12 @@ class MockJournalEntry {
     );
   }
 
+  async createEmbeddedDocuments(type, data) {
+    const pages = data.map(p => new MockJournalEntryPage(p));
+    this.pages._items.push(...pages);
+    return pages;
+  }
+
   static async create(data) {
     const je = new MockJournalEntry(data);
     storage.journals.set(je.name, je);
@@ -121,6 +144,14 @@ class MockHooks {
     this._onceHooks.get(event).push(fn);
   }
 
+  // Like Foundry's Hooks.call: stops and returns false as soon as a listener returns false
+  call(event, ...args) {
+    for (const fn of this._hooks.get(event) || []) {
+      if (fn(...args) === false) return false;
+    }
+    return true;
+  }
+
   async callAll(event, ...args) {
     const fns = this._hooks.get(event) || [];
     const onceFns = this._onceHooks.get(event) || [];
@@ -178,6 +209,20 @@ class MockUI {
   }
 }
 
+/**
+ * Drop FoundryVTT "-=key" deletion markers from an update value.
+ * Real Foundry merges object updates; the mock replaces them, so removing the
+ * markers yields the same end state.
+ */
+function stripDeletionKeys(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+  const result = {};
+  for (const [k, v] of Object.entries(value)) {
+    if (!k.startsWith('-=')) result[k] = stripDeletionKeys(v);
+  }
+  return result;
+}
+
 /**
  * Create a mock class item (PF1e class)
  */
@@ -218,7 +263,13 @@ export function createMockClassItem(name, level, tag = null) {
           if (!current[parts[i]]) current[parts[i]] = {};
           current = current[parts[i]];
         }
-        current[parts[parts.length - 1]] = value;
+        const key = parts[parts.length - 1];
+        // FoundryVTT deletion syntax: "-=key" removes the key
+        if (key.startsWith('-=')) {
+          delete current[key.slice(2)];
+        } else {
+          current[key] = stripDeletionKeys(value);
+        }
       }
     }
   };
@@ -294,9 +345,12 @@ export function setupMockEnvironment() {
     journal: new MockCollection([]),
     settings,
     user: { isGM: true },
+    users: { activeGM: null, get: () => null },
+    socket: { on() {}, emit() {} },
     packs: new Map()
   };
 
+  globalThis.CONST = { DOCUMENT_OWNERSHIP_LEVELS: { INHERIT: -1, NONE: 0, LIMITED: 1, OBSERVER: 2, OWNER: 3 } };
   globalThis.ui = new MockUI();
   globalThis.ChatMessage = { create: async (data) => data };
   globalThis.canvas = { tokens: { controlled: [] } };
@@ -304,6 +358,7 @@ export function setupMockEnvironment() {
   // Register default module settings so tests don't fail on settings.get()
   settings.register('archetype-manager', 'lastSelectedClass', { default: '' });
   settings.register('archetype-manager', 'showParseWarnings', { default: true });
+  settings.register('archetype-manager', 'strictMode', { default: false });
   settings.register('archetype-manager', 'autoCreateJEDB', { default: true });
   settings.register('archetype-manager', 'chatNotifications', { default: true });
   settings.register('archetype-manager', 'defaultCompendiumSource', { default: 'pf1e-archetypes' });
@@ -312,7 +367,9 @@ export function setupMockEnvironment() {
   // foundry utils
   globalThis.foundry = {
     utils: {
-      deepClone: (obj) => JSON.parse(JSON.stringify(obj))
+      deepClone: (obj) => obj === undefined ? undefined : JSON.parse(JSON.stringify(obj)),
+      randomID: () => Math.random().toString(36).slice(2, 18),
+      escapeHTML: (text) => String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#x27;' })[c])
     }
   };
 
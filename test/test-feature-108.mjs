@@ -4,7 +4,7 @@
  * Verifies that a new module setting 'chatNotifications' (boolean, default true,
  * world-scoped, config: true) toggles whether chat messages are posted when
  * archetypes are applied or removed. When disabled, the applicator skips
- * ChatMessage.create() calls in _postApplyMessage and _postRemoveMessage but
+ * the ChatMessage.create() call for the planned apply and remove messages but
  * still performs the actual archetype operations. ui.notifications (toasts) are
  * NOT affected by this setting.
  */
@@ -51,6 +51,26 @@ async function asyncTest(name, fn) {
   }
 }
 
+// Apply through the plan path on a fresh actor holding the class item
+async function applyThroughPlan(Applicator, parsedArchetype, diff) {
+  const classItem = createMockClassItem('Fighter', 5);
+  const actor = createMockActor('TestActor', [classItem]);
+  const plan = await Applicator.planApply(actor, classItem, parsedArchetype, diff);
+  await Applicator.apply(actor, classItem, parsedArchetype, diff, { plan });
+  return plan;
+}
+
+// Remove a recorded archetype through the plan path on a fresh actor
+async function removeThroughPlan(Applicator, slug) {
+  const classItem = createMockClassItem('Fighter', 5);
+  await classItem.setFlag('archetype-manager', 'archetypes', [slug]);
+  await classItem.setFlag('archetype-manager', 'originalAssociations', []);
+  const actor = createMockActor('TestActor', [classItem]);
+  const plan = await Applicator.planRemove(actor, classItem, slug);
+  await Applicator.remove(actor, classItem, slug, { plan });
+  return plan;
+}
+
 console.log('\n=== Feature #108: Register chat notifications toggle setting ===\n');
 
 // =====================================================
@@ -110,12 +130,12 @@ test('chatNotifications default value returns true via game.settings.get', () =>
 });
 
 // =====================================================
-// Section 2: _postApplyMessage respects chatNotifications
+// Section 2: Apply message respects chatNotifications
 // =====================================================
 
-console.log('\n--- Section 2: _postApplyMessage respects chatNotifications ---');
+console.log('\n--- Section 2: Apply message respects chatNotifications ---');
 
-await asyncTest('With chatNotifications=true (default), _postApplyMessage creates a chat message', async () => {
+await asyncTest('With chatNotifications=true (default), applying posts a chat message', async () => {
   const freshEnv = setupMockEnvironment();
 
   // Register the setting
@@ -140,19 +160,17 @@ await asyncTest('With chatNotifications=true (default), _postApplyMessage create
   // Import the Applicator
   const { Applicator } = await import('../scripts/applicator.mjs');
 
-  const actor = createMockActor('TestActor');
-  const classItem = createMockClassItem('Fighter', 5);
   const parsedArchetype = { name: 'Weapon Master', slug: 'weapon-master' };
   const diff = [
-    { status: 'removed', name: 'Armor Training' },
-    { status: 'added', name: 'Weapon Training (Enhanced)' }
+    { status: 'removed', name: 'Armor Training', level: 3, original: { resolvedName: 'Armor Training', level: 3, uuid: 'Compendium.pf1.class-abilities.ArmorTraining1' } },
+    { status: 'added', name: 'Weapon Training (Enhanced)', level: 3, archetypeFeature: { name: 'Weapon Training (Enhanced)', level: 3 } }
   ];
 
-  await Applicator._postApplyMessage(actor, classItem, parsedArchetype, diff);
+  await applyThroughPlan(Applicator, parsedArchetype, diff);
   assert(chatCreated, 'ChatMessage.create should be called when chatNotifications is enabled');
 });
 
-await asyncTest('With chatNotifications=false, _postApplyMessage does NOT create a chat message', async () => {
+await asyncTest('With chatNotifications=false, applying does NOT post a chat message', async () => {
   const freshEnv = setupMockEnvironment();
 
   // Register the setting
@@ -179,19 +197,17 @@ await asyncTest('With chatNotifications=false, _postApplyMessage does NOT create
 
   const { Applicator } = await import('../scripts/applicator.mjs');
 
-  const actor = createMockActor('TestActor');
-  const classItem = createMockClassItem('Fighter', 5);
   const parsedArchetype = { name: 'Weapon Master', slug: 'weapon-master' };
   const diff = [
-    { status: 'removed', name: 'Armor Training' },
-    { status: 'added', name: 'Weapon Training (Enhanced)' }
+    { status: 'removed', name: 'Armor Training', level: 3, original: { resolvedName: 'Armor Training', level: 3, uuid: 'Compendium.pf1.class-abilities.ArmorTraining1' } },
+    { status: 'added', name: 'Weapon Training (Enhanced)', level: 3, archetypeFeature: { name: 'Weapon Training (Enhanced)', level: 3 } }
   ];
 
-  await Applicator._postApplyMessage(actor, classItem, parsedArchetype, diff);
+  await applyThroughPlan(Applicator, parsedArchetype, diff);
   assert(!chatCreated, 'ChatMessage.create should NOT be called when chatNotifications is disabled');
 });
 
-await asyncTest('_postApplyMessage returns early (no error) when chatNotifications=false', async () => {
+await asyncTest('Applying plans no message (no error) when chatNotifications=false', async () => {
   const freshEnv = setupMockEnvironment();
 
   game.settings.register('archetype-manager', 'chatNotifications', {
@@ -206,23 +222,21 @@ await asyncTest('_postApplyMessage returns early (no error) when chatNotificatio
 
   const { Applicator } = await import('../scripts/applicator.mjs');
 
-  const actor = createMockActor('TestActor');
-  const classItem = createMockClassItem('Fighter', 5);
   const parsedArchetype = { name: 'Weapon Master', slug: 'weapon-master' };
   const diff = [];
 
   // Should not throw
-  const result = await Applicator._postApplyMessage(actor, classItem, parsedArchetype, diff);
-  assertEqual(result, undefined, 'Should return undefined (early return)');
+  const plan = await applyThroughPlan(Applicator, parsedArchetype, diff);
+  assertEqual(plan.chatMessage, null, 'Should plan no message');
 });
 
 // =====================================================
-// Section 3: _postRemoveMessage respects chatNotifications
+// Section 3: Remove message respects chatNotifications
 // =====================================================
 
-console.log('\n--- Section 3: _postRemoveMessage respects chatNotifications ---');
+console.log('\n--- Section 3: Remove message respects chatNotifications ---');
 
-await asyncTest('With chatNotifications=true, _postRemoveMessage creates a chat message', async () => {
+await asyncTest('With chatNotifications=true, removing posts a chat message', async () => {
   const freshEnv = setupMockEnvironment();
 
   game.settings.register('archetype-manager', 'chatNotifications', {
@@ -244,14 +258,12 @@ await asyncTest('With chatNotifications=true, _postRemoveMessage creates a chat
 
   const { Applicator } = await import('../scripts/applicator.mjs');
 
-  const actor = createMockActor('TestActor');
-  const classItem = createMockClassItem('Fighter', 5);
 
-  await Applicator._postRemoveMessage(actor, classItem, 'weapon-master');
+  await removeThroughPlan(Applicator, 'weapon-master');
   assert(chatCreated, 'ChatMessage.create should be called when chatNotifications is enabled');
 });
 
-await asyncTest('With chatNotifications=false, _postRemoveMessage does NOT create a chat message', async () => {
+await asyncTest('With chatNotifications=false, removing does NOT post a chat message', async () => {
   const freshEnv = setupMockEnvironment();
 
   game.settings.register('archetype-manager', 'chatNotifications', {
@@ -274,14 +286,12 @@ await asyncTest('With chatNotifications=false, _postRemoveMessage does NOT creat
 
   const { Applicator } = await import('../scripts/applicator.mjs');
 
-  const actor = createMockActor('TestActor');
-  const classItem = createMockClassItem('Fighter', 5);
 
-  await Applicator._postRemoveMessage(actor, classItem, 'weapon-master');
+  await removeThroughPlan(Applicator, 'weapon-master');
   assert(!chatCreated, 'ChatMessage.create should NOT be called when chatNotifications is disabled');
 });
 
-await asyncTest('_postRemoveMessage returns early (no error) when chatNotifications=false', async () => {
+await asyncTest('Removing plans no message (no error) when chatNotifications=false', async () => {
   const freshEnv = setupMockEnvironment();
 
   game.settings.register('archetype-manager', 'chatNotifications', {
@@ -296,11 +306,9 @@ await asyncTest('_postRemoveMessage returns early (no error) when chatNotificati
 
   const { Applicator } = await import('../scripts/applicator.mjs');
 
-  const actor = createMockActor('TestActor');
-  const classItem = createMockClassItem('Fighter', 5);
 
-  const result = await Applicator._postRemoveMessage(actor, classItem, 'weapon-master');
-  assertEqual(result, undefined, 'Should return undefined (early return)');
+  const plan = await removeThroughPlan(Applicator, 'weapon-master');
+  assertEqual(plan.chatMessage, null, 'Should plan no message');
 });
 
 // =====================================================
@@ -426,36 +434,36 @@ await asyncTest('module.mjs registers chatNotifications with config: true', asyn
   assert(regBlock.includes('config: true'), 'Registration should have config: true');
 });
 
-await asyncTest('applicator.mjs _postApplyMessage checks chatNotifications setting', async () => {
+await asyncTest('applicator.mjs _buildApplyMessage checks chatNotifications setting', async () => {
   const fs = await import('fs');
   const source = fs.readFileSync(new URL('../scripts/applicator.mjs', import.meta.url), 'utf8');
 
-  // Find the _postApplyMessage method definition (static async _postApplyMessage)
-  const methodStart = source.indexOf('static async _postApplyMessage');
-  assert(methodStart !== -1, 'Should find _postApplyMessage method definition');
-  const methodBlock = source.substring(methodStart, source.indexOf('static async _postRemoveMessage', methodStart));
+  // Find the _buildApplyMessage method definition (static _buildApplyMessage)
+  const methodStart = source.indexOf('static _buildApplyMessage');
+  assert(methodStart !== -1, 'Should find _buildApplyMessage method definition');
+  const methodBlock = source.substring(methodStart, source.indexOf('static _buildStackMessage', methodStart));
 
   // Should check chatNotifications setting
   assert(methodBlock.includes('chatNotifications'),
-    '_postApplyMessage should reference chatNotifications setting');
+    '_buildApplyMessage should reference chatNotifications setting');
   assert(methodBlock.includes('game.settings.get'),
-    '_postApplyMessage should call game.settings.get');
+    '_buildApplyMessage should call game.settings.get');
 });
 
-await asyncTest('applicator.mjs _postRemoveMessage checks chatNotifications setting', async () => {
+await asyncTest('applicator.mjs _buildRemoveMessage checks chatNotifications setting', async () => {
   const fs = await import('fs');
   const source = fs.readFileSync(new URL('../scripts/applicator.mjs', import.meta.url), 'utf8');
 
-  // Find the _postRemoveMessage method
-  const methodStart = source.indexOf('_postRemoveMessage');
-  assert(methodStart !== -1, 'Should find _postRemoveMessage method');
+  // Find the _buildRemoveMessage method
+  const methodStart = source.indexOf('static _buildRemoveMessage');
+  assert(methodStart !== -1, 'Should find _buildRemoveMessage method');
   const methodBlock = source.substring(methodStart);
 
   // Should check chatNotifications setting
   assert(methodBlock.includes('chatNotifications'),
-    '_postRemoveMessage should reference chatNotifications setting');
+    '_buildRemoveMessage should reference chatNotifications setting');
   assert(methodBlock.includes('game.settings.get'),
-    '_postRemoveMessage should call game.settings.get');
+    '_buildRemoveMessage should call game.settings.get');
 });
 
 // =====================================================
@@ -568,21 +576,19 @@ await asyncTest('Chat messages resume when chatNotifications is toggled back to
   };
 
   const { Applicator } = await import('../scripts/applicator.mjs');
-  const actor = createMockActor('TestActor');
-  const classItem = createMockClassItem('Fighter', 5);
 
   // Disable - no messages
   game.settings.set('archetype-manager', 'chatNotifications', false);
-  await Applicator._postRemoveMessage(actor, classItem, 'test-slug');
+  await removeThroughPlan(Applicator, 'test-slug');
   assertEqual(chatCreateCount, 0, 'No chat messages when disabled');
 
   // Re-enable - messages should resume
   game.settings.set('archetype-manager', 'chatNotifications', true);
-  await Applicator._postRemoveMessage(actor, classItem, 'test-slug');
+  await removeThroughPlan(Applicator, 'test-slug');
   assertEqual(chatCreateCount, 1, 'Chat messages should resume when re-enabled');
 });
 
-await asyncTest('_postApplyMessage with empty diff and chatNotifications=true still posts', async () => {
+await asyncTest('Applying with empty diff and chatNotifications=true still posts', async () => {
   const freshEnv = setupMockEnvironment();
 
   game.settings.register('archetype-manager', 'chatNotifications', {
@@ -603,15 +609,13 @@ await asyncTest('_postApplyMessage with empty diff and chatNotifications=true st
   };
 
   const { Applicator } = await import('../scripts/applicator.mjs');
-  const actor = createMockActor('TestActor');
-  const classItem = createMockClassItem('Fighter', 5);
   const parsedArchetype = { name: 'Simple Archetype', slug: 'simple' };
 
-  await Applicator._postApplyMessage(actor, classItem, parsedArchetype, []);
+  await applyThroughPlan(Applicator, parsedArchetype, []);
   assert(chatCreated, 'Chat message should still be posted for empty diff when enabled');
 });
 
-await asyncTest('_postApplyMessage with empty diff and chatNotifications=false does NOT post', async () => {
+await asyncTest('Applying with empty diff and chatNotifications=false does NOT post', async () => {
   const freshEnv = setupMockEnvironment();
 
   game.settings.register('archetype-manager', 'chatNotifications', {
@@ -633,11 +637,9 @@ await asyncTest('_postApplyMessage with empty diff and chatNotifications=false d
   };
 
   const { Applicator } = await import('../scripts/applicator.mjs');
-  const actor = createMockActor('TestActor');
-  const classItem = createMockClassItem('Fighter', 5);
   const parsedArchetype = { name: 'Simple Archetype', slug: 'simple' };
 
-  await Applicator._postApplyMessage(actor, classItem, parsedArchetype, []);
+  await applyThroughPlan(Applicator, parsedArchetype, []);
   assert(!chatCreated, 'Chat message should NOT be posted even for empty diff when disabled');
 });
 
@@ -0,0 +1,474 @@
+/**
+ * Test Suite for Feature #111: Transactional apply with operation journal and crash recovery
+ *
+ * Verifies that apply/remove/restore compute their full target state up front,
+ * write a pending journal entry to the actor before touching any document, commit
+ * classAssociations and tracking flags in a single batched class item update, and
+ * mark the entry complete afterwards. Unfinished entries found on `ready` can be
+ * rolled forward or back.
+ */
+
+import { setupMockEnvironment, createMockClassItem, createMockActor } from './foundry-mock.mjs';
+
+let passed = 0;
+let failed = 0;
+let totalTests = 0;
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${message || 'Deep equality failed'}: expected ${e}, got ${a}`);
+  }
+}
+
+function test(name, fn) {
+  totalTests++;
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+async function asyncTest(name, fn) {
+  totalTests++;
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+const env = setupMockEnvironment();
+
+const { Applicator } = await import('../scripts/applicator.mjs');
+const { OperationJournal } = await import('../scripts/operation-journal.mjs');
+const { UIManager } = await import('../scripts/ui-manager.mjs');
+
+console.log('\n=== Feature #111: Transactional apply with operation journal and crash recovery ===\n');
+
+// =====================================================
+// Helpers
+// =====================================================
+
+/**
+ * Actor whose embedded items collection reflects create/delete calls
+ */
+function createTrackingActor(name, classItems = []) {
+  const actor = createMockActor(name, []);
+  const items = [...classItems];
+  actor.items = {
+    filter: (fn) => items.filter(fn),
+    find: (fn) => items.find(fn),
+    get: (id) => items.find(i => i.id === id),
+    map: (fn) => items.map(fn),
+    get size() { return items.length; },
+    [Symbol.iterator]: () => items[Symbol.iterator]()
+  };
+  actor.createEmbeddedDocuments = async (type, data, options = {}) => {
+    const created = data.map(d => {
+      const item = {
+        ...JSON.parse(JSON.stringify(d)),
+        id: (options.keepId && d._id) || Math.random().toString(36).slice(2),
+        getFlag(scope, key) { return this.flags?.[scope]?.[key] ?? null; },
+        toObject() {
+          const { getFlag, toObject, ...data } = this;
+          return { ...JSON.parse(JSON.stringify(data)), _id: this.id };
+        }
+      };
+      items.push(item);
+      return item;
+    });
+    return created;
+  };
+  actor.deleteEmbeddedDocuments = async (type, ids) => {
+    for (const id of ids) {
+      const idx = items.findIndex(i => i.id === id);
+      if (idx >= 0) items.splice(idx, 1);
+    }
+    return ids;
+  };
+  return actor;
+}
+
+const baseAssociations = [
+  { uuid: 'Compendium.pf1.class-abilities.BonusFeat1', level: 1 },
+  { uuid: 'Compendium.pf1.class-abilities.Bravery', level: 2 },
+  { uuid: 'Compendium.pf1.class-abilities.ArmorTraining1', level: 3 }
+];
+
+const parsed = {
+  name: 'Two-Handed Fighter',
+  slug: 'two-handed-fighter',
+  features: []
+};
+
+const diff = [
+  { status: 'unchanged', level: 1, name: 'Bonus Feat', original: { uuid: 'Compendium.pf1.class-abilities.BonusFeat1', level: 1, resolvedName: 'Bonus Feat' } },
+  { status: 'removed', level: 2, name: 'Bravery', original: { uuid: 'Compendium.pf1.class-abilities.Bravery', level: 2 } },
+  { status: 'added', level: 2, name: 'Shattering Strike', archetypeFeature: { name: 'Shattering Strike', uuid: 'Compendium.pf1e-archetypes.pf-arch-features.ShatteringStrike' } },
+  { status: 'modified', level: 3, name: 'Overhand Chop', archetypeFeature: { name: 'Overhand Chop', uuid: 'Compendium.pf1e-archetypes.pf-arch-features.OverhandChop', description: 'Chop.' } }
+];
+
+function makeFixture() {
+  const classItem = createMockClassItem('Fighter', 5, 'fighter');
+  classItem.system.links.classAssociations = JSON.parse(JSON.stringify(baseAssociations));
+  const actor = createTrackingActor('Valeros', [classItem]);
+  return { actor, classItem };
+}
+
+// Collect every journal entry written to the actor, since finished entries are dropped
+function watchJournal(actor) {
+  const seen = new Map();
+  const origSetFlag = actor.setFlag.bind(actor);
+  actor.setFlag = async (scope, key, value) => {
+    if (key === 'operationJournal') for (const e of value ?? []) seen.set(e.id, e);
+    return origSetFlag(scope, key, value);
+  };
+  return () => [...seen.values()];
+}
+
+// =====================================================
+// Section 1: OperationJournal basics
+// =====================================================
+console.log('--- Section 1: OperationJournal ---');
+
+await asyncTest('begin() stores a pending entry with id and createdItemIds', async () => {
+  const { actor } = makeFixture();
+  const entry = await OperationJournal.begin(actor, { type: 'apply', slug: 'x' });
+  assert(entry.id, 'Entry should have an id');
+  assertEqual(entry.status, 'pending', 'Entry should be pending');
+  assertDeepEqual(entry.createdItemIds, [], 'createdItemIds should start empty');
+  assertEqual(OperationJournal.getPending(actor).length, 1, 'Actor should have one pending entry');
+});
+
+await asyncTest('complete() drops the entry and clears the flag when empty', async () => {
+  const { actor } = makeFixture();
+  const entry = await OperationJournal.begin(actor, { type: 'apply', slug: 'x' });
+  await OperationJournal.complete(actor, entry.id);
+  assertEqual(OperationJournal.getPending(actor).length, 0, 'No pending entries after complete');
+  assertEqual(actor.getFlag('archetype-manager', 'operationJournal'), null, 'Flag should be cleared');
+});
+
+await asyncTest('discard() removes the entry and clears the flag when empty', async () => {
+  const { actor } = makeFixture();
+  const entry = await OperationJournal.begin(actor, { type: 'apply', slug: 'x' });
+  await OperationJournal.discard(actor, entry.id);
+  assertEqual(actor.getFlag('archetype-manager', 'operationJournal'), null, 'Flag should be cleared');
+});
+
+await asyncTest('Completed entries are pruned when marked complete, pending entries are kept', async () => {
+  const { actor } = makeFixture();
+  const pending = await OperationJournal.begin(actor, { type: 'apply', slug: 'pending' });
+  for (let i = 0; i < 8; i++) {
+    const e = await OperationJournal.begin(actor, { type: 'apply', slug: `done-${i}` });
+    await OperationJournal.complete(actor, e.id);
+  }
+  const entries = OperationJournal.getEntries(actor);
+  assertEqual(entries.length, 1, 'Only the pending entry is left');
+  assertEqual(entries[0].id, pending.id, 'Pending entry must survive pruning');
+});
+
+// =====================================================
+// Section 2: Apply is journaled and batched
+// =====================================================
+console.log('\n--- Section 2: Journaled apply ---');
+
+await asyncTest('Apply writes the journal entry before the class item is modified', async () => {
+  const { actor, classItem } = makeFixture();
+  let journalAtFirstUpdate = null;
+  const origUpdate = classItem.update.bind(classItem);
+  classItem.update = async (data) => {
+    if (journalAtFirstUpdate === null) journalAtFirstUpdate = OperationJournal.getPending(actor).length;
+    return origUpdate(data);
+  };
+  const result = await Applicator.apply(actor, classItem, parsed, diff);
+  assertEqual(result, true, 'Apply should succeed');
+  assertEqual(journalAtFirstUpdate, 1, 'A pending entry should exist when the class item is first updated');
+});
+
+await asyncTest('Apply commits associations and flags in one class item update', async () => {
+  const { actor, classItem } = makeFixture();
+  const updates = [];
+  const origUpdate = classItem.update.bind(classItem);
+  classItem.update = async (data) => { updates.push(Object.keys(data)); return origUpdate(data); };
+  let setFlagCalls = 0;
+  const origSetFlag = classItem.setFlag.bind(classItem);
+  classItem.setFlag = async (...args) => { setFlagCalls++; return origSetFlag(...args); };
+
+  await Applicator.apply(actor, classItem, parsed, diff);
+
+  assertEqual(updates.length, 1, 'Exactly one class item update');
+  assert(updates[0].includes('system.links.classAssociations'), 'Update includes classAssociations');
+  assert(updates[0].includes('flags.archetype-manager.archetypes'), 'Update includes archetypes flag');
+  assert(updates[0].includes('flags.archetype-manager.originalAssociations'), 'Update includes backup');
+  assertEqual(setFlagCalls, 0, 'No separate setFlag calls on the class item');
+});
+
+await asyncTest('Apply journals one entry, drops it when done and leaves the expected state', async () => {
+  const { actor, classItem } = makeFixture();
+  const journaled = watchJournal(actor);
+  await Applicator.apply(actor, classItem, parsed, diff);
+  const entries = journaled();
+  assertEqual(entries.length, 1, 'One journal entry');
+  assertEqual(entries[0].type, 'apply', 'Entry type is apply');
+  assertEqual(OperationJournal.getEntries(actor).length, 0, 'Entry dropped once complete');
+  assertDeepEqual(classItem.getFlag('archetype-manager', 'archetypes'), ['two-handed-fighter'], 'Archetype tracked');
+  assertDeepEqual(classItem.getFlag('archetype-manager', 'originalAssociations'), baseAssociations, 'Backup stored');
+  assertDeepEqual(actor.getFlag('archetype-manager', 'appliedArchetypes'), { fighter: ['two-handed-fighter'] }, 'Actor lookup updated');
+  assertEqual(classItem.system.links.classAssociations.length, 3, 'New associations written');
+});
+
+await asyncTest('Created copies are journaled with their IDs before they exist', async () => {
+  const { actor, classItem } = makeFixture();
+  const journaled = watchJournal(actor);
+  await Applicator.apply(actor, classItem, parsed, diff);
+  const entry = journaled()[0];
+  const copies = actor.items.filter(i => i.flags?.['archetype-manager']?.isModifiedCopy);
+  assertEqual(copies.length, 1, 'One modified copy created');
+  assertDeepEqual(entry.itemsToCreate.map(d => d._id), [copies[0].id], 'Copy id journaled up front');
+  assertDeepEqual(entry.createdItemIds, [copies[0].id], 'Copy id recorded');
+});
+
+await asyncTest('Failed apply rolls back from the journal and discards the entry', async () => {
+  const { actor, classItem } = makeFixture();
+  const origSetFlag = actor.setFlag.bind(actor);
+  actor.setFlag = async (scope, key, value) => {
+    if (key === 'appliedArchetypes' && value) throw new Error('Simulated disconnect');
+    return origSetFlag(scope, key, value);
+  };
+  const origError = console.error;
+  console.error = () => {};
+  const result = await Applicator.apply(actor, classItem, parsed, diff);
+  console.error = origError;
+
+  assertEqual(result, false, 'Apply should fail');
+  assertDeepEqual(classItem.system.links.classAssociations, baseAssociations, 'Associations restored');
+  assertEqual(classItem.getFlag('archetype-manager', 'archetypes'), null, 'Archetypes flag cleared');
+  assertEqual(classItem.getFlag('archetype-manager', 'originalAssociations'), null, 'Backup cleared');
+  assertEqual(actor.items.filter(i => i.flags?.['archetype-manager']?.isModifiedCopy).length, 0, 'Copies deleted');
+  assertEqual(OperationJournal.getEntries(actor).length, 0, 'Journal entry discarded');
+});
+
+// =====================================================
+// Section 3: Remove and restore are journaled
+// =====================================================
+console.log('\n--- Section 3: Journaled remove/restore ---');
+
+await asyncTest('Remove restores the backup in one update and completes its entry', async () => {
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, parsed, diff);
+  const journaled = watchJournal(actor);
+  let updateCount = 0;
+  const origUpdate = classItem.update.bind(classItem);
+  classItem.update = async (data) => { updateCount++; return origUpdate(data); };
+
+  const result = await Applicator.remove(actor, classItem, 'two-handed-fighter');
+  assertEqual(result, true, 'Remove should succeed');
+  assertEqual(updateCount, 1, 'Exactly one class item update');
+  assertDeepEqual(classItem.system.links.classAssociations, baseAssociations, 'Associations restored');
+  assertEqual(classItem.getFlag('archetype-manager', 'archetypes'), null, 'Archetypes flag cleared');
+  const last = journaled().at(-1);
+  assertEqual(last.type, 'remove', 'Remove was journaled');
+  assertEqual(OperationJournal.getEntries(actor).length, 0, 'Remove entry completed');
+  assertEqual(last.deletedItems.length, 1, 'Deleted copy recorded for rollback');
+});
+
+await asyncTest('Failed remove recreates deleted copies and restores the applied state', async () => {
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, parsed, diff);
+  const appliedAssociations = JSON.parse(JSON.stringify(classItem.system.links.classAssociations));
+  const origChat = globalThis.ChatMessage;
+  globalThis.ChatMessage = { create: async () => { throw new Error('Chat failed'); } };
+  const origError = console.error;
+  console.error = () => {};
+  const result = await Applicator.remove(actor, classItem, 'two-handed-fighter');
+  console.error = origError;
+  globalThis.ChatMessage = origChat;
+
+  assertEqual(result, false, 'Remove should fail');
+  assertDeepEqual(classItem.system.links.classAssociations, appliedAssociations, 'Applied associations restored');
+  assertDeepEqual(classItem.getFlag('archetype-manager', 'archetypes'), ['two-handed-fighter'], 'Archetype still tracked');
+  assertEqual(actor.items.filter(i => i.flags?.['archetype-manager']?.isModifiedCopy).length, 1, 'Copy recreated');
+});
+
+await asyncTest('restoreFromBackup is journaled', async () => {
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, parsed, diff);
+  const journaled = watchJournal(actor);
+  await Applicator.restoreFromBackup(actor, classItem);
+  const last = journaled().at(-1);
+  assertEqual(last.type, 'restore', 'Restore was journaled');
+  assertEqual(OperationJournal.getEntries(actor).length, 0, 'Restore entry completed');
+  assertDeepEqual(classItem.system.links.classAssociations, baseAssociations, 'Associations restored');
+});
+
+// =====================================================
+// Section 4: Recovery of unfinished operations
+// =====================================================
+console.log('\n--- Section 4: Recovery ---');
+
+/**
+ * Simulate a crash after the journal entry and item copies were written,
+ * but before the class item update landed
+ */
+async function crashMidApply() {
+  const { actor, classItem } = makeFixture();
+  const origUpdate = classItem.update.bind(classItem);
+  classItem.update = async () => { throw new Error('Connection lost'); };
+  const origRollback = Applicator._rollbackOperation;
+  Applicator._rollbackOperation = async () => false; // the client never got to roll back
+  const origError = console.error;
+  console.error = () => {};
+  await Applicator.apply(actor, classItem, parsed, diff);
+  console.error = origError;
+  Applicator._rollbackOperation = origRollback;
+  classItem.update = origUpdate;
+  return { actor, classItem };
+}
+
+await asyncTest('Interrupted apply leaves a pending entry', async () => {
+  const { actor } = await crashMidApply();
+  assertEqual(OperationJournal.getPending(actor).length, 1, 'Entry should still be pending');
+});
+
+await asyncTest('findUnfinished() reports pending entries for a GM', async () => {
+  const { actor } = await crashMidApply();
+  game.actors = [actor];
+  const found = OperationJournal.findUnfinished();
+  assertEqual(found.length, 1, 'One unfinished operation');
+  assertEqual(found[0].actor, actor, 'Reports the actor');
+});
+
+await asyncTest('findUnfinished() defers to an active GM on player clients', async () => {
+  const { actor } = await crashMidApply();
+  actor.isOwner = true;
+  game.actors = [actor];
+  game.user.isGM = false;
+  game.users = { activeGM: { id: 'gm' } };
+  const withGM = OperationJournal.findUnfinished().length;
+  game.users = { activeGM: null };
+  const withoutGM = OperationJournal.findUnfinished().length;
+  game.user.isGM = true;
+  delete game.users;
+  assertEqual(withGM, 0, 'Players skip recovery while a GM is connected');
+  assertEqual(withoutGM, 1, 'Owners recover when no GM is connected');
+});
+
+await asyncTest('recoverOperation forward finishes the apply', async () => {
+  const { actor, classItem } = await crashMidApply();
+  const entry = OperationJournal.getPending(actor)[0];
+  const result = await Applicator.recoverOperation(actor, entry, 'forward');
+  assertEqual(result, true, 'Recovery should succeed');
+  assertDeepEqual(classItem.getFlag('archetype-manager', 'archetypes'), ['two-handed-fighter'], 'Archetype applied');
+  assertDeepEqual(actor.getFlag('archetype-manager', 'appliedArchetypes'), { fighter: ['two-handed-fighter'] }, 'Actor lookup written');
+  assertEqual(actor.items.filter(i => i.flags?.['archetype-manager']?.isModifiedCopy).length, 1, 'Copy not duplicated');
+  assertEqual(OperationJournal.getPending(actor).length, 0, 'No pending entries remain');
+});
+
+await asyncTest('recoverOperation back undoes the partial apply', async () => {
+  const { actor, classItem } = await crashMidApply();
+  const entry = OperationJournal.getPending(actor)[0];
+  const result = await Applicator.recoverOperation(actor, entry, 'back');
+  assertEqual(result, true, 'Recovery should succeed');
+  assertDeepEqual(classItem.system.links.classAssociations, baseAssociations, 'Associations untouched');
+  assertEqual(classItem.getFlag('archetype-manager', 'archetypes'), null, 'No archetype tracked');
+  assertEqual(actor.items.filter(i => i.flags?.['archetype-manager']?.isModifiedCopy).length, 0, 'Orphaned copy deleted');
+  assertEqual(OperationJournal.getEntries(actor).length, 0, 'Entry discarded');
+});
+
+await asyncTest('recoverOperation discards entries whose class item is gone', async () => {
+  const { actor } = await crashMidApply();
+  const entry = { ...OperationJournal.getPending(actor)[0], classItemId: 'missing' };
+  await OperationJournal.record(actor, entry.id, { classItemId: 'missing' });
+  const result = await Applicator.recoverOperation(actor, entry, 'forward');
+  assertEqual(result, false, 'Recovery should report failure');
+  assertEqual(OperationJournal.getEntries(actor).length, 0, 'Entry discarded');
+});
+
+// =====================================================
+// Section 5: Startup prompt
+// =====================================================
+await asyncTest('A restore waits for an apply in progress on the same actor', async () => {
+  const { actor, classItem } = makeFixture();
+  const origUpdate = classItem.update.bind(classItem);
+  classItem.update = async (data) => {
+    await new Promise(r => setTimeout(r, 20));
+    return origUpdate(data);
+  };
+  const applying = Applicator.apply(actor, classItem, parsed, diff);
+  await new Promise(r => setTimeout(r, 0));
+  const restoring = Applicator.restoreFromBackup(actor, classItem);
+  assertEqual(await applying, true, 'Applied');
+  const restored = await restoring;
+  assertEqual(restored.success, true, 'Restored after the apply committed');
+  assertEqual(classItem.getFlag('archetype-manager', 'archetypes'), null, 'Archetype cleared');
+  assertDeepEqual(classItem.system.links.classAssociations, baseAssociations, 'Original associations back');
+});
+
+console.log('\n--- Section 5: Startup prompt ---');
+
+await asyncTest('promptUnfinishedOperations shows a dialog and applies the chosen direction', async () => {
+  const { actor, classItem } = await crashMidApply();
+  game.actors = [actor];
+  const pending = UIManager.promptUnfinishedOperations();
+  await new Promise(r => setTimeout(r, 0));
+  const dialog = Dialog._lastInstance;
+  assert(dialog.data.content.includes('Valeros'), 'Dialog names the actor');
+  assert(dialog.data.content.includes('Two-Handed Fighter'), 'Dialog names the archetype');
+  assert(dialog.data.buttons.forward && dialog.data.buttons.back && dialog.data.buttons.later, 'Offers forward, back and later');
+  dialog.data.buttons.back.callback();
+  const recovered = await pending;
+  assertEqual(recovered, 1, 'One operation recovered');
+  assertEqual(classItem.getFlag('archetype-manager', 'archetypes'), null, 'Rolled back');
+});
+
+await asyncTest('Choosing "later" keeps the entry pending', async () => {
+  const { actor } = await crashMidApply();
+  game.actors = [actor];
+  const pending = UIManager.promptUnfinishedOperations();
+  await new Promise(r => setTimeout(r, 0));
+  Dialog._lastInstance.data.buttons.later.callback();
+  assertEqual(await pending, 0, 'Nothing recovered');
+  assertEqual(OperationJournal.getPending(actor).length, 1, 'Entry still pending');
+});
+
+await asyncTest('ready hook checks for unfinished operations', async () => {
+  game.actors = [];
+  let called = false;
+  const orig = UIManager.promptUnfinishedOperations;
+  UIManager.promptUnfinishedOperations = async () => { called = true; return 0; };
+  await import('../scripts/module.mjs');
+  await env.hooks.callAll('init');
+  await env.hooks.callAll('ready');
+  UIManager.promptUnfinishedOperations = orig;
+  assert(called, 'promptUnfinishedOperations should be called on ready');
+});
+
+// =====================================================
+// Summary
+// =====================================================
+console.log(`\n${'='.repeat(50)}`);
+console.log(`Feature #111 Results: ${passed}/${totalTests} passed, ${failed} failed`);
+console.log(`${'='.repeat(50)}\n`);
+
+if (failed > 0) process.exit(1);
@@ -0,0 +1,349 @@
+/**
+ * Test Suite for Feature #112: Apply multi-archetype stacks as one atomic operation
+ *
+ * Verifies that Applicator.applyStack() validates every selected archetype up front,
+ * applies them in order against the evolving class state, commits the combined result
+ * in one locked, journaled write, posts a single summary chat message, rolls the
+ * whole stack back on failure, and returns a per-archetype result.
+ */
+
+import { setupMockEnvironment, createMockClassItem, createMockActor } from './foundry-mock.mjs';
+import * as fs from 'fs';
+
+let passed = 0;
+let failed = 0;
+let totalTests = 0;
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${message || 'Deep equality failed'}: expected ${e}, got ${a}`);
+  }
+}
+
+function test(name, fn) {
+  totalTests++;
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+async function asyncTest(name, fn) {
+  totalTests++;
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+
+setupMockEnvironment();
+
+const uuidMap = {
+  'Compendium.pf1.class-abilities.BonusFeat1': { name: 'Bonus Feat' },
+  'Compendium.pf1.class-abilities.Bravery': { name: 'Bravery' },
+  'Compendium.pf1.class-abilities.ArmorTraining1': { name: 'Armor Training 1' },
+  'Compendium.pf1.class-abilities.WeaponTraining1': { name: 'Weapon Training 1' },
+  'Compendium.pf1.class-abilities.ArmorTraining2': { name: 'Armor Training 2' },
+  'Compendium.pf1e-archetypes.pf-arch-features.ShatteringStrike': { name: 'Shattering Strike' },
+  'Compendium.pf1e-archetypes.pf-arch-features.OverhandChop': { name: 'Overhand Chop' },
+  'Compendium.pf1e-archetypes.pf-arch-features.SteadfastPike': { name: 'Steadfast Pike' },
+  'Compendium.pf1e-archetypes.pf-arch-features.PolearmTraining': { name: 'Polearm Training' }
+};
+globalThis.fromUuid = async (uuid) => uuidMap[uuid] || null;
+
+const { Applicator } = await import('../scripts/applicator.mjs');
+const { OperationJournal } = await import('../scripts/operation-journal.mjs');
+const { CompendiumParser } = await import('../scripts/compendium-parser.mjs');
+
+console.log('\n=== Feature #112: Apply multi-archetype stacks as one atomic operation ===\n');
+
+// =====================================================
+// Fixtures
+// =====================================================
+
+const baseAssociations = [
+  { uuid: 'Compendium.pf1.class-abilities.BonusFeat1', level: 1 },
+  { uuid: 'Compendium.pf1.class-abilities.Bravery', level: 2 },
+  { uuid: 'Compendium.pf1.class-abilities.ArmorTraining1', level: 3 },
+  { uuid: 'Compendium.pf1.class-abilities.WeaponTraining1', level: 5 },
+  { uuid: 'Compendium.pf1.class-abilities.ArmorTraining2', level: 7 }
+];
+const resolvedBase = await CompendiumParser.resolveAssociations(baseAssociations);
+
+const twoHandedFighter = {
+  name: 'Two-Handed Fighter',
+  slug: 'two-handed-fighter',
+  class: 'Fighter',
+  features: [
+    { name: 'Shattering Strike', level: 2, type: 'replacement', target: 'bravery',
+      matchedAssociation: resolvedBase[1], uuid: 'Compendium.pf1e-archetypes.pf-arch-features.ShatteringStrike' },
+    { name: 'Overhand Chop', level: 3, type: 'replacement', target: 'armor training 1',
+      matchedAssociation: resolvedBase[2], uuid: 'Compendium.pf1e-archetypes.pf-arch-features.OverhandChop' }
+  ]
+};
+
+const polearmMaster = {
+  name: 'Polearm Master',
+  slug: 'polearm-master',
+  class: 'Fighter',
+  features: [
+    { name: 'Steadfast Pike', level: 7, type: 'replacement', target: 'armor training 2',
+      matchedAssociation: resolvedBase[4], uuid: 'Compendium.pf1e-archetypes.pf-arch-features.SteadfastPike' },
+    { name: 'Polearm Training', level: 5, type: 'modification', target: 'weapon training 1',
+      matchedAssociation: resolvedBase[3], uuid: 'Compendium.pf1e-archetypes.pf-arch-features.PolearmTraining',
+      description: 'Weapon training with polearms and spears.' }
+  ]
+};
+
+function createStackEnv() {
+  const classItem = createMockClassItem('Fighter', 10, 'fighter');
+  classItem.system.links.classAssociations = JSON.parse(JSON.stringify(baseAssociations));
+  const actor = createMockActor('Seelah', [classItem]);
+  actor.isOwner = true;
+
+  const created = [];
+  actor.createEmbeddedDocuments = async (type, data) => {
+    const docs = data.map(d => ({ ...d, id: Math.random().toString(36).slice(2) }));
+    created.push(...docs);
+    return docs;
+  };
+
+  const notifications = { info: [], warn: [], error: [] };
+  ui.notifications.info = (msg) => notifications.info.push(msg);
+  ui.notifications.warn = (msg) => notifications.warn.push(msg);
+  ui.notifications.error = (msg) => notifications.error.push(msg);
+
+  const chatMessages = [];
+  globalThis.ChatMessage = { create: async (data) => { chatMessages.push(data); return data; } };
+
+  return { actor, classItem, created, notifications, chatMessages };
+}
+
+const uuids = (classItem) => classItem.system.links.classAssociations.map(a => a.uuid);
+
+// =====================================================
+// Section 1: Successful stack
+// =====================================================
+console.log('--- Section 1: Successful stack ---');
+
+await asyncTest('applyStack applies every archetype and reports per-archetype success', async () => {
+  const { actor, classItem } = createStackEnv();
+  const result = await Applicator.applyStack(actor, classItem, [twoHandedFighter, polearmMaster]);
+  assertEqual(result.success, true, 'Stack should succeed');
+  assertEqual(result.results.length, 2, 'One result per archetype');
+  assertDeepEqual(result.results.map(r => [r.slug, r.success]), [['two-handed-fighter', true], ['polearm-master', true]], 'Per-archetype results');
+  assertDeepEqual(classItem.getFlag('archetype-manager', 'archetypes'), ['two-handed-fighter', 'polearm-master'], 'Both archetypes tracked in order');
+});
+
+await asyncTest('Combined classAssociations reflect both archetypes', async () => {
+  const { actor, classItem } = createStackEnv();
+  await Applicator.applyStack(actor, classItem, [twoHandedFighter, polearmMaster]);
+  const list = uuids(classItem);
+  const assocs = classItem.system.links.classAssociations;
+  assert(!assocs.some(a => a.uuid === 'Compendium.pf1.class-abilities.Bravery' && a.level === 2), 'Bravery (2nd level) replaced');
+  assert(!list.includes('Compendium.pf1.class-abilities.ArmorTraining2'), 'Armor Training 2 replaced');
+  assert(list.includes('Compendium.pf1e-archetypes.pf-arch-features.ShatteringStrike'), 'Shattering Strike added');
+  assert(list.includes('Compendium.pf1e-archetypes.pf-arch-features.SteadfastPike'), 'Steadfast Pike added');
+  assert(list.includes('Compendium.pf1.class-abilities.BonusFeat1'), 'Untouched feature kept');
+});
+
+await asyncTest('Backup is the pre-stack classAssociations', async () => {
+  const { actor, classItem } = createStackEnv();
+  await Applicator.applyStack(actor, classItem, [twoHandedFighter, polearmMaster]);
+  assertDeepEqual(classItem.getFlag('archetype-manager', 'originalAssociations'), baseAssociations, 'Backup should be the original base');
+});
+
+await asyncTest('Stack is committed in one class item update', async () => {
+  const { actor, classItem } = createStackEnv();
+  let updates = 0;
+  const origUpdate = classItem.update.bind(classItem);
+  classItem.update = async (data) => { updates++; return origUpdate(data); };
+  await Applicator.applyStack(actor, classItem, [twoHandedFighter, polearmMaster]);
+  assertEqual(updates, 1, 'Exactly one class item update');
+});
+
+await asyncTest('One summary chat message names every archetype', async () => {
+  const { actor, classItem, chatMessages } = createStackEnv();
+  await Applicator.applyStack(actor, classItem, [twoHandedFighter, polearmMaster]);
+  assertEqual(chatMessages.length, 1, 'Exactly one chat message');
+  assert(chatMessages[0].content.includes('Two-Handed Fighter'), 'Mentions first archetype');
+  assert(chatMessages[0].content.includes('Polearm Master'), 'Mentions second archetype');
+  assert(chatMessages[0].content.includes('Bravery'), 'Lists replaced features');
+});
+
+await asyncTest('Actor lookup and stored archetype data cover the whole stack', async () => {
+  const { actor, classItem } = createStackEnv();
+  await Applicator.applyStack(actor, classItem, [twoHandedFighter, polearmMaster]);
+  assertDeepEqual(actor.getFlag('archetype-manager', 'appliedArchetypes'), { fighter: ['two-handed-fighter', 'polearm-master'] }, 'Actor lookup');
+  const stored = classItem.getFlag('archetype-manager', 'appliedArchetypeData');
+  assert(stored['two-handed-fighter'] && stored['polearm-master'], 'Both archetypes stored for later removal');
+});
+
+await asyncTest('Modified feature copies are created for the stack', async () => {
+  const { actor, classItem, created } = createStackEnv();
+  await Applicator.applyStack(actor, classItem, [twoHandedFighter, polearmMaster]);
+  const copies = created.filter(i => i.flags['archetype-manager'].isModifiedCopy);
+  assertEqual(copies.length, 1, 'One copy for the modified weapon training');
+  assertEqual(copies[0].flags['archetype-manager'].createdByArchetype, 'polearm-master', 'Copy tagged with its archetype');
+});
+
+await asyncTest('Stack is journaled as a single completed operation', async () => {
+  const { actor, classItem } = createStackEnv();
+  const journaled = new Map();
+  const origSetFlag = actor.setFlag.bind(actor);
+  actor.setFlag = async (scope, key, value) => {
+    if (key === 'operationJournal') for (const e of value ?? []) journaled.set(e.id, e);
+    return origSetFlag(scope, key, value);
+  };
+  await Applicator.applyStack(actor, classItem, [twoHandedFighter, polearmMaster]);
+  const entries = [...journaled.values()];
+  assertEqual(entries.length, 1, 'One journal entry');
+  assertEqual(entries[0].type, 'applyStack', 'Entry type');
+  assertEqual(OperationJournal.getEntries(actor).length, 0, 'Entry completed');
+});
+
+await asyncTest('A stacked archetype can later be removed on its own', async () => {
+  const { actor, classItem } = createStackEnv();
+  await Applicator.applyStack(actor, classItem, [twoHandedFighter, polearmMaster]);
+  const removed = await Applicator.remove(actor, classItem, 'polearm-master');
+  assertEqual(removed, true, 'Remove should succeed');
+  assertDeepEqual(classItem.getFlag('archetype-manager', 'archetypes'), ['two-handed-fighter'], 'First archetype remains');
+  assert(uuids(classItem).includes('Compendium.pf1.class-abilities.ArmorTraining2'), 'Armor Training 2 restored');
+});
+
+// =====================================================
+// Section 2: Validation failures abort the whole stack
+// =====================================================
+console.log('\n--- Section 2: Validation ---');
+
+await asyncTest('An already-applied archetype aborts the stack with no writes', async () => {
+  const { actor, classItem, notifications } = createStackEnv();
+  await Applicator.applyStack(actor, classItem, [twoHandedFighter]);
+  const before = JSON.stringify(classItem.system.links.classAssociations);
+  const result = await Applicator.applyStack(actor, classItem, [polearmMaster, twoHandedFighter]);
+  assertEqual(result.success, false, 'Stack should fail');
+  assert(result.results[1].error.includes('already applied'), 'Failing archetype explains why');
+  assertEqual(result.results[0].success, false, 'Other archetypes are not applied');
+  assert(result.results[0].error, 'Other archetypes carry an error too');
+  assertEqual(JSON.stringify(classItem.system.links.classAssociations), before, 'No changes written');
+  assertDeepEqual(classItem.getFlag('archetype-manager', 'archetypes'), ['two-handed-fighter'], 'Tracking unchanged');
+  assert(notifications.error.length > 0, 'User is told why');
+});
+
+await asyncTest('A duplicate selection aborts the stack', async () => {
+  const { actor, classItem } = createStackEnv();
+  const result = await Applicator.applyStack(actor, classItem, [twoHandedFighter, twoHandedFighter]);
+  assertEqual(result.success, false, 'Stack should fail');
+  assert(result.results[1].error.includes('more than once'), 'Duplicate explained');
+  assertEqual(classItem.getFlag('archetype-manager', 'archetypes'), null, 'Nothing applied');
+});
+
+await asyncTest('A wrong-class archetype aborts the stack', async () => {
+  const { actor, classItem } = createStackEnv();
+  const rogueArchetype = { name: 'Knife Master', slug: 'knife-master', class: 'Rogue', features: [] };
+  const result = await Applicator.applyStack(actor, classItem, [twoHandedFighter, rogueArchetype]);
+  assertEqual(result.success, false, 'Stack should fail');
+  assert(result.results[1].error.includes('Rogue'), 'Class mismatch explained');
+  assertEqual(classItem.getFlag('archetype-manager', 'archetypes'), null, 'Nothing applied');
+});
+
+await asyncTest('Players cannot apply stacks to characters they do not own', async () => {
+  const { actor, classItem } = createStackEnv();
+  actor.isOwner = false;
+  game.user.isGM = false;
+  const result = await Applicator.applyStack(actor, classItem, [twoHandedFighter]);
+  game.user.isGM = true;
+  assertEqual(result.success, false, 'Stack should fail');
+  assertEqual(result.error, 'Permission denied', 'Permission error reported');
+});
+
+await asyncTest('An empty list is rejected', async () => {
+  const { actor, classItem } = createStackEnv();
+  const result = await Applicator.applyStack(actor, classItem, []);
+  assertEqual(result.success, false, 'Empty stack should fail');
+  assertDeepEqual(result.results, [], 'No per-archetype results');
+});
+
+// =====================================================
+// Section 3: Failure mid-apply rolls back the whole stack
+// =====================================================
+console.log('\n--- Section 3: Rollback ---');
+
+await asyncTest('A failing write rolls back every archetype in the stack', async () => {
+  const { actor, classItem } = createStackEnv();
+  const deleted = [];
+  actor.deleteEmbeddedDocuments = async (type, ids) => { deleted.push(...ids); return ids; };
+  const origSetFlag = actor.setFlag.bind(actor);
+  actor.setFlag = async (scope, key, value) => {
+    if (key === 'appliedArchetypes' && value) throw new Error('Simulated failure');
+    return origSetFlag(scope, key, value);
+  };
+  const origError = console.error;
+  console.error = () => {};
+  const result = await Applicator.applyStack(actor, classItem, [twoHandedFighter, polearmMaster]);
+  console.error = origError;
+
+  assertEqual(result.success, false, 'Stack should fail');
+  assert(result.results.every(r => !r.success && r.error === 'Simulated failure'), 'Every archetype reports the failure');
+  assertDeepEqual(classItem.system.links.classAssociations, baseAssociations, 'Associations restored');
+  assertEqual(classItem.getFlag('archetype-manager', 'archetypes'), null, 'No archetype tracked');
+  assertEqual(classItem.getFlag('archetype-manager', 'originalAssociations'), null, 'No stray backup');
+  assertEqual(OperationJournal.getEntries(actor).length, 0, 'Journal entry discarded');
+});
+
+await asyncTest('A second concurrent stack is rejected while one is in progress', async () => {
+  const { actor, classItem } = createStackEnv();
+  const [first, second] = await Promise.all([
+    Applicator.applyStack(actor, classItem, [twoHandedFighter]),
+    Applicator.applyStack(actor, classItem, [polearmMaster])
+  ]);
+  assertEqual(first.success, true, 'First stack applies');
+  assertEqual(second.success, false, 'Second stack is rejected');
+  assertDeepEqual(classItem.getFlag('archetype-manager', 'archetypes'), ['two-handed-fighter'], 'Only the first applied');
+});
+
+// =====================================================
+// Section 4: UI uses applyStack
+// =====================================================
+console.log('\n--- Section 4: Apply Selected ---');
+
+test('Apply Selected commits through Applicator.applyStack', () => {
+  const source = fs.readFileSync(new URL('../scripts/ui-manager.mjs', import.meta.url), 'utf8');
+  const start = source.indexOf('applySelected:');
+  const end = source.indexOf('addCustom:', start);
+  const block = source.slice(start, end);
+  assert(block.includes('Applicator.applyStack('), 'applySelected should call applyStack');
+  assert(!block.includes('Applicator.apply('), 'applySelected should no longer loop over Applicator.apply');
+});
+
+// =====================================================
+// Summary
+// =====================================================
+console.log(`\n${'='.repeat(50)}`);
+console.log(`Feature #112 Results: ${passed}/${totalTests} passed, ${failed} failed`);
+console.log(`${'='.repeat(50)}\n`);
+
+if (failed > 0) process.exit(1);
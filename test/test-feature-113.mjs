@@ -0,0 +1,454 @@
+/**
+ * Test Suite for Feature #113: Per-actor undo/redo history for archetype operations
+ *
+ * Verifies that every apply, remove and restore pushes a before/after snapshot of
+ * the class item (classAssociations, module flags, created copy IDs) onto a bounded
+ * per-actor history, that undo/redo restore those snapshots exactly (including
+ * recreating deleted copies with their original IDs), and that the main dialog and
+ * the macro API expose undo/redo.
+ */
+
+import { setupMockEnvironment, createMockClassItem, createMockActor } from './foundry-mock.mjs';
+
+let passed = 0;
+let failed = 0;
+let totalTests = 0;
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${message || 'Deep equality failed'}: expected ${e}, got ${a}`);
+  }
+}
+
+function test(name, fn) {
+  totalTests++;
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+async function asyncTest(name, fn) {
+  totalTests++;
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+const env = setupMockEnvironment();
+
+const { Applicator } = await import('../scripts/applicator.mjs');
+const { OperationHistory } = await import('../scripts/operation-history.mjs');
+const { OperationJournal } = await import('../scripts/operation-journal.mjs');
+const { UIManager } = await import('../scripts/ui-manager.mjs');
+
+console.log('\n=== Feature #113: Per-actor undo/redo history for archetype operations ===\n');
+
+// =====================================================
+// Fixtures
+// =====================================================
+
+/**
+ * Actor whose embedded items collection reflects create/delete calls
+ */
+function createTrackingActor(name, classItems = []) {
+  const actor = createMockActor(name, []);
+  const items = [...classItems];
+  actor.items = {
+    filter: (fn) => items.filter(fn),
+    find: (fn) => items.find(fn),
+    get: (id) => items.find(i => i.id === id),
+    map: (fn) => items.map(fn),
+    get size() { return items.length; },
+    [Symbol.iterator]: () => items[Symbol.iterator]()
+  };
+  actor.createEmbeddedDocuments = async (type, data, options = {}) => {
+    const created = data.map(d => {
+      const item = {
+        ...JSON.parse(JSON.stringify(d)),
+        id: (options.keepId && d._id) || Math.random().toString(36).slice(2),
+        getFlag(scope, key) { return this.flags?.[scope]?.[key] ?? null; },
+        toObject() {
+          const { getFlag, toObject, ...data } = this;
+          return { ...JSON.parse(JSON.stringify(data)), _id: this.id };
+        }
+      };
+      items.push(item);
+      return item;
+    });
+    return created;
+  };
+  actor.deleteEmbeddedDocuments = async (type, ids) => {
+    for (const id of ids) {
+      const idx = items.findIndex(i => i.id === id);
+      if (idx >= 0) items.splice(idx, 1);
+    }
+    return ids;
+  };
+  return actor;
+}
+
+const baseAssociations = [
+  { uuid: 'Compendium.pf1.class-abilities.BonusFeat1', level: 1 },
+  { uuid: 'Compendium.pf1.class-abilities.Bravery', level: 2 },
+  { uuid: 'Compendium.pf1.class-abilities.ArmorTraining1', level: 3 }
+];
+
+function archetype(name, slug, replacedUuid, level, featureName, featureUuid) {
+  return {
+    parsed: { name, slug, class: 'Fighter', features: [] },
+    diff: baseAssociations.map(a => a.uuid === replacedUuid
+      ? { status: 'modified', level, name: featureName, archetypeFeature: { name: featureName, uuid: featureUuid, description: `${featureName} text.` } }
+      : { status: 'unchanged', level: a.level, name: a.uuid, original: { ...a } })
+  };
+}
+
+const thf = archetype('Two-Handed Fighter', 'two-handed-fighter',
+  'Compendium.pf1.class-abilities.Bravery', 2, 'Shattering Strike', 'Compendium.pf1e-archetypes.pf-arch-features.ShatteringStrike');
+const archer = archetype('Archer', 'archer',
+  'Compendium.pf1.class-abilities.ArmorTraining1', 3, 'Hawkeye', 'Compendium.pf1e-archetypes.pf-arch-features.Hawkeye');
+
+function makeFixture() {
+  const classItem = createMockClassItem('Fighter', 5, 'fighter');
+  classItem.system.links.classAssociations = JSON.parse(JSON.stringify(baseAssociations));
+  const actor = createTrackingActor('Amiri', [classItem]);
+  actor.isOwner = true;
+  return { actor, classItem };
+}
+
+/**
+ * Render the main dialog into a detached element (Foundry passes a jQuery-like array)
+ */
+function renderMainDialog(actor, classItem) {
+  UIManager.showMainDialog(actor, [classItem]);
+  const dialog = Dialog._lastInstance;
+  const container = document.createElement('div');
+  container.innerHTML = dialog.data.content;
+  dialog.data.render([container]);
+  return container;
+}
+
+const copiesOf = (actor) => actor.items.filter(i => i.flags?.['archetype-manager']?.createdByArchetype);
+const archetypesOf = (classItem) => classItem.getFlag('archetype-manager', 'archetypes');
+
+// =====================================================
+// Section 1: Operations push history
+// =====================================================
+console.log('--- Section 1: Recording history ---');
+
+await asyncTest('Apply pushes a history entry with before/after snapshots', async () => {
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, thf.parsed, thf.diff);
+  const entry = OperationHistory.peekUndo(actor);
+  assert(entry, 'Undo entry recorded');
+  assertEqual(entry.type, 'apply', 'Entry type');
+  assertEqual(entry.label, 'Apply Two-Handed Fighter to Fighter', 'Entry label');
+  assertEqual(entry.classItemId, classItem.id, 'Entry targets the class item');
+  const states = OperationHistory.getStates(entry);
+  assertDeepEqual(states.before.classAssociations, baseAssociations, 'Before state has original associations');
+  assertDeepEqual(states.after.classFlags.archetypes, ['two-handed-fighter'], 'After state has the archetype');
+  assertEqual(entry.before.state, undefined, 'Before state stored as changes only');
+  assertEqual(entry.before.changes.classFlags.archetypes, null, 'Changes hold the flags to revert');
+  assertDeepEqual(entry.before.copyIds, [], 'No copies before');
+  assertDeepEqual(entry.after.copyIds, [copiesOf(actor)[0].id], 'Records the copy ID');
+  assertDeepEqual(entry.items, [], 'No item data while the copy exists');
+
+  await Applicator.apply(actor, classItem, archer.parsed, archer.diff);
+  const changes = OperationHistory.peekUndo(actor).before.changes;
+  assertDeepEqual(changes.classFlags.appliedArchetypeData, { '-=archer': null }, 'Earlier archetype data is not repeated');
+  assertDeepEqual(OperationHistory.getStates(OperationHistory.peekUndo(actor)).before.classFlags.archetypes, ['two-handed-fighter'], 'Before state rebuilt');
+});
+
+await asyncTest('Item data is kept only for the copies an entry has deleted', async () => {
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, thf.parsed, thf.diff);
+  const copyId = copiesOf(actor)[0].id;
+  await Applicator.remove(actor, classItem, 'two-handed-fighter');
+  assertDeepEqual(OperationHistory.peekUndo(actor).items.map(c => c._id), [copyId], 'Remove keeps the deleted copy');
+
+  await Applicator.undo(actor);
+  assertDeepEqual(OperationHistory.peekRedo(actor).items, [], 'Undo recreated it');
+  await Applicator.undo(actor);
+  assertDeepEqual(OperationHistory.peekRedo(actor).items.map(c => c._id), [copyId], 'Undoing the apply keeps the copy it deleted');
+  await Applicator.redo(actor);
+  assertDeepEqual(OperationHistory.peekUndo(actor).items, [], 'Redo recreated it');
+});
+
+await asyncTest('Remove and restore push history entries', async () => {
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, thf.parsed, thf.diff);
+  await Applicator.remove(actor, classItem, 'two-handed-fighter');
+  assertEqual(OperationHistory.peekUndo(actor).type, 'remove', 'Remove recorded');
+  await Applicator.apply(actor, classItem, archer.parsed, archer.diff);
+  await Applicator.restoreFromBackup(actor, classItem);
+  assertEqual(OperationHistory.peekUndo(actor).type, 'restore', 'Restore recorded');
+  assertEqual(OperationHistory.getUndoStack(actor).length, 4, 'Four operations recorded');
+});
+
+await asyncTest('applyStack pushes one history entry', async () => {
+  const { actor, classItem } = makeFixture();
+  globalThis.fromUuid = async () => null;
+  await Applicator.applyStack(actor, classItem, [{ name: 'Empty', slug: 'empty', class: 'Fighter', features: [] }]);
+  assertEqual(OperationHistory.getUndoStack(actor).length, 1, 'One entry');
+  assertEqual(OperationHistory.peekUndo(actor).type, 'applyStack', 'Stack entry type');
+});
+
+await asyncTest('History is bounded to MAX_ENTRIES', async () => {
+  const { actor } = makeFixture();
+  for (let i = 0; i < OperationHistory.MAX_ENTRIES + 4; i++) {
+    await OperationHistory.push(actor, { type: 'apply', label: `op ${i}`, classItemId: 'x', before: { state: {}, copies: [] }, after: { state: {}, copies: [] } });
+  }
+  const stack = OperationHistory.getUndoStack(actor);
+  assertEqual(stack.length, OperationHistory.MAX_ENTRIES, 'Stack capped');
+  assertEqual(stack.at(-1).label, `op ${OperationHistory.MAX_ENTRIES + 3}`, 'Newest entry kept');
+});
+
+// =====================================================
+// Section 2: Undo / redo
+// =====================================================
+console.log('\n--- Section 2: Undo / redo ---');
+
+await asyncTest('Undo apply restores the original class and deletes the copy', async () => {
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, thf.parsed, thf.diff);
+  const result = await Applicator.undo(actor);
+  assertEqual(result, true, 'Undo should succeed');
+  assertDeepEqual(classItem.system.links.classAssociations, baseAssociations, 'Associations restored');
+  assertEqual(archetypesOf(classItem), null, 'Archetype flag cleared');
+  assertEqual(classItem.getFlag('archetype-manager', 'originalAssociations'), null, 'Backup cleared');
+  assertEqual(actor.getFlag('archetype-manager', 'appliedArchetypes'), null, 'Actor lookup cleared');
+  assertEqual(copiesOf(actor).length, 0, 'Copy deleted');
+  assertEqual(OperationHistory.getUndoStack(actor).length, 0, 'Undo stack empty');
+  assertEqual(OperationHistory.getRedoStack(actor).length, 1, 'Entry moved to redo');
+});
+
+await asyncTest('Redo re-applies the archetype with the same copy ID', async () => {
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, thf.parsed, thf.diff);
+  const copyId = copiesOf(actor)[0].id;
+  const appliedAssociations = JSON.parse(JSON.stringify(classItem.system.links.classAssociations));
+  await Applicator.undo(actor);
+  const result = await Applicator.redo(actor);
+  assertEqual(result, true, 'Redo should succeed');
+  assertDeepEqual(classItem.system.links.classAssociations, appliedAssociations, 'Applied associations back');
+  assertDeepEqual(archetypesOf(classItem), ['two-handed-fighter'], 'Archetype tracked again');
+  assertEqual(copiesOf(actor).length, 1, 'Copy recreated');
+  assertEqual(copiesOf(actor)[0].id, copyId, 'Copy keeps its original ID');
+  assertEqual(OperationHistory.getRedoStack(actor).length, 0, 'Redo stack empty');
+});
+
+await asyncTest('Wrong archetype after a removal: two undos bring back the removed one', async () => {
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, thf.parsed, thf.diff);
+  const thfCopyId = copiesOf(actor)[0].id;
+  await Applicator.remove(actor, classItem, 'two-handed-fighter');
+  await Applicator.apply(actor, classItem, archer.parsed, archer.diff);
+
+  await Applicator.undo(actor); // undo the wrong apply
+  assertEqual(archetypesOf(classItem), null, 'Wrong archetype gone');
+  await Applicator.undo(actor); // undo the removal
+  assertDeepEqual(archetypesOf(classItem), ['two-handed-fighter'], 'Removed archetype is back');
+  assertDeepEqual(classItem.getFlag('archetype-manager', 'originalAssociations'), baseAssociations, 'Backup is back');
+  assertEqual(copiesOf(actor).length, 1, 'Only the original copy exists');
+  assertEqual(copiesOf(actor)[0].id, thfCopyId, 'Original copy recreated with its ID');
+});
+
+await asyncTest('Undo restore brings back every archetype', async () => {
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, thf.parsed, thf.diff);
+  const applied = JSON.parse(JSON.stringify(classItem.system.links.classAssociations));
+  await Applicator.restoreFromBackup(actor, classItem);
+  await Applicator.undo(actor);
+  assertDeepEqual(classItem.system.links.classAssociations, applied, 'Associations back');
+  assertDeepEqual(archetypesOf(classItem), ['two-handed-fighter'], 'Archetype back');
+  assertDeepEqual(actor.getFlag('archetype-manager', 'appliedArchetypes'), { fighter: ['two-handed-fighter'] }, 'Actor lookup back');
+});
+
+await asyncTest('A new operation clears the redo stack', async () => {
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, thf.parsed, thf.diff);
+  await Applicator.undo(actor);
+  assertEqual(OperationHistory.getRedoStack(actor).length, 1, 'Redo available');
+  await Applicator.apply(actor, classItem, archer.parsed, archer.diff);
+  assertEqual(OperationHistory.getRedoStack(actor).length, 0, 'Redo cleared by new operation');
+});
+
+await asyncTest('Undo/redo are journaled', async () => {
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, thf.parsed, thf.diff);
+  const journaled = [];
+  const origSetFlag = actor.setFlag.bind(actor);
+  actor.setFlag = async (scope, key, value) => {
+    if (key === 'operationJournal') journaled.push(...(value ?? []));
+    return origSetFlag(scope, key, value);
+  };
+  await Applicator.undo(actor);
+  assertEqual(journaled.at(-1).type, 'undo', 'Undo journaled');
+  assertEqual(OperationJournal.getEntries(actor).length, 0, 'Undo completed');
+});
+
+await asyncTest('Undo and redo do not add history entries of their own', async () => {
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, thf.parsed, thf.diff);
+  await Applicator.undo(actor);
+  await Applicator.redo(actor);
+  assertEqual(OperationHistory.getUndoStack(actor).length, 1, 'Still one entry');
+});
+
+// =====================================================
+// Section 3: Refusals and failures
+// =====================================================
+console.log('\n--- Section 3: Refusals and failures ---');
+
+await asyncTest('Nothing to undo returns false with a warning', async () => {
+  const { actor } = makeFixture();
+  const warnings = [];
+  const origWarn = ui.notifications.warn;
+  ui.notifications.warn = (msg) => warnings.push(msg);
+  const result = await Applicator.undo(actor);
+  ui.notifications.warn = origWarn;
+  assertEqual(result, false, 'Undo should fail');
+  assert(warnings.some(w => w.includes('Nothing to undo')), 'User told there is nothing to undo');
+});
+
+await asyncTest('Undo refuses when the class changed outside the history', async () => {
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, thf.parsed, thf.diff);
+  await classItem.setFlag('archetype-manager', 'archetypes', ['something-else']);
+  const result = await Applicator.undo(actor);
+  assertEqual(result, false, 'Undo should be refused');
+  assertDeepEqual(archetypesOf(classItem), ['something-else'], 'External change left alone');
+  assertEqual(OperationHistory.getUndoStack(actor).length, 1, 'Entry kept');
+});
+
+await asyncTest('Undo refuses when other class state changed, even with the same archetypes', async () => {
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, thf.parsed, thf.diff);
+  classItem.system.links.classAssociations.push({ uuid: 'Compendium.pf1.class-abilities.WeaponTraining1', level: 5 });
+  const edited = JSON.parse(JSON.stringify(classItem.system.links.classAssociations));
+  const result = await Applicator.undo(actor);
+  assertEqual(result, false, 'Undo should be refused');
+  assertDeepEqual(classItem.system.links.classAssociations, edited, 'Manual edit left alone');
+  assertEqual(OperationHistory.getUndoStack(actor).length, 1, 'Entry kept');
+});
+
+await asyncTest('Entries for a deleted class item are dropped', async () => {
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, thf.parsed, thf.diff);
+  const entry = OperationHistory.peekUndo(actor);
+  await actor.setFlag('archetype-manager', 'undoHistory', [{ ...entry, classItemId: 'gone' }]);
+  const result = await Applicator.undo(actor);
+  assertEqual(result, false, 'Undo should fail');
+  assertEqual(OperationHistory.getUndoStack(actor).length, 0, 'Entry dropped');
+});
+
+await asyncTest('A failing undo rolls back and keeps the entry on the undo stack', async () => {
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, thf.parsed, thf.diff);
+  const applied = JSON.parse(JSON.stringify(classItem.system.links.classAssociations));
+  const origSetFlag = actor.setFlag.bind(actor);
+  actor.setFlag = async (scope, key, value) => {
+    if (key === 'appliedArchetypes' && value === null) throw new Error('Simulated failure');
+    return origSetFlag(scope, key, value);
+  };
+  const origError = console.error;
+  console.error = () => {};
+  const result = await Applicator.undo(actor);
+  console.error = origError;
+  actor.setFlag = origSetFlag;
+  assertEqual(result, false, 'Undo should fail');
+  assertDeepEqual(classItem.system.links.classAssociations, applied, 'Applied state kept');
+  assertEqual(copiesOf(actor).length, 1, 'Copy recreated by rollback');
+  assertEqual(OperationHistory.getUndoStack(actor).length, 1, 'Entry still undoable');
+});
+
+await asyncTest('Players cannot undo on characters they do not own', async () => {
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, thf.parsed, thf.diff);
+  actor.isOwner = false;
+  game.user.isGM = false;
+  const result = await Applicator.undo(actor);
+  game.user.isGM = true;
+  assertEqual(result, false, 'Undo should be denied');
+  assertDeepEqual(archetypesOf(classItem), ['two-handed-fighter'], 'Nothing changed');
+});
+
+// =====================================================
+// Section 4: Main dialog and macro API
+// =====================================================
+console.log('\n--- Section 4: UI and API ---');
+
+await asyncTest('Main dialog shows disabled undo/redo buttons without history', async () => {
+  const { actor, classItem } = makeFixture();
+  const el = renderMainDialog(actor, classItem);
+  const undoBtn = el.querySelector('.undo-btn');
+  const redoBtn = el.querySelector('.redo-btn');
+  assert(undoBtn && redoBtn, 'Buttons rendered');
+  assertEqual(undoBtn.disabled, true, 'Undo disabled');
+  assertEqual(redoBtn.disabled, true, 'Redo disabled');
+});
+
+await asyncTest('Main dialog undo button is labelled with the operation and calls Applicator.undo', async () => {
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, thf.parsed, thf.diff);
+  const undoBtn = renderMainDialog(actor, classItem).querySelector('.undo-btn');
+  assertEqual(undoBtn.disabled, false, 'Undo enabled');
+  assert(undoBtn.title.includes('Apply Two-Handed Fighter to Fighter'), 'Tooltip names the operation');
+
+  let called = null;
+  const origUndo = Applicator.undo;
+  Applicator.undo = async (a) => { called = a; return false; };
+  undoBtn.click();
+  await new Promise(r => setTimeout(r, 0));
+  Applicator.undo = origUndo;
+  assertEqual(called, actor, 'Applicator.undo called with the actor');
+});
+
+await asyncTest('Macro API exposes undo and redo', async () => {
+  await import('../scripts/module.mjs');
+  await env.hooks.callAll('init');
+  game.actors = [];
+  await env.hooks.callAll('ready');
+  const api = game.modules.get('archetype-manager').api;
+  assertEqual(typeof api.undo, 'function', 'api.undo exists');
+  assertEqual(typeof api.redo, 'function', 'api.redo exists');
+
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, thf.parsed, thf.diff);
+  assertEqual(await api.undo(actor), true, 'api.undo works');
+  assertEqual(archetypesOf(classItem), null, 'Undone via API');
+  assertEqual(await api.redo(actor), true, 'api.redo works');
+  assertDeepEqual(archetypesOf(classItem), ['two-handed-fighter'], 'Redone via API');
+});
+
+// =====================================================
+// Summary
+// =====================================================
+console.log(`\n${'='.repeat(50)}`);
+console.log(`Feature #113 Results: ${passed}/${totalTests} passed, ${failed} failed`);
+console.log(`${'='.repeat(50)}\n`);
+
+if (failed > 0) process.exit(1);
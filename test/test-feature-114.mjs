@@ -0,0 +1,386 @@
+/**
+ * Test Suite for Feature #114: Dry-run plans for apply and remove
+ *
+ * Verifies that Applicator can compute a plan describing exactly what an apply or
+ * remove would do (new classAssociations, class item update, flag sets/unsets on the
+ * class item and actor, items to create/delete, chat message) without touching any
+ * document, that the real operation executes that same plan, and that a previously
+ * computed plan can be executed later if the class has not changed in between.
+ */
+
+import { setupMockEnvironment, createMockClassItem, createMockActor } from './foundry-mock.mjs';
+
+let passed = 0;
+let failed = 0;
+let totalTests = 0;
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${message || 'Deep equality failed'}: expected ${e}, got ${a}`);
+  }
+}
+
+function test(name, fn) {
+  totalTests++;
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+async function asyncTest(name, fn) {
+  totalTests++;
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+setupMockEnvironment();
+
+const { Applicator } = await import('../scripts/applicator.mjs');
+const { OperationJournal } = await import('../scripts/operation-journal.mjs');
+
+console.log('\n=== Feature #114: Dry-run plans for apply and remove ===\n');
+
+// =====================================================
+// Fixtures
+// =====================================================
+
+/**
+ * Actor whose embedded items collection reflects create/delete calls
+ */
+function createTrackingActor(name, classItems = []) {
+  const actor = createMockActor(name, []);
+  const items = [...classItems];
+  actor.items = {
+    filter: (fn) => items.filter(fn),
+    find: (fn) => items.find(fn),
+    get: (id) => items.find(i => i.id === id),
+    map: (fn) => items.map(fn),
+    get size() { return items.length; },
+    [Symbol.iterator]: () => items[Symbol.iterator]()
+  };
+  actor.createEmbeddedDocuments = async (type, data, options = {}) => {
+    const created = data.map(d => {
+      const item = {
+        ...JSON.parse(JSON.stringify(d)),
+        id: (options.keepId && d._id) || Math.random().toString(36).slice(2),
+        getFlag(scope, key) { return this.flags?.[scope]?.[key] ?? null; },
+        toObject() {
+          const { getFlag, toObject, ...data } = this;
+          return { ...JSON.parse(JSON.stringify(data)), _id: this.id };
+        }
+      };
+      items.push(item);
+      return item;
+    });
+    return created;
+  };
+  actor.deleteEmbeddedDocuments = async (type, ids) => {
+    for (const id of ids) {
+      const idx = items.findIndex(i => i.id === id);
+      if (idx >= 0) items.splice(idx, 1);
+    }
+    return ids;
+  };
+  return actor;
+}
+
+const baseAssociations = [
+  { uuid: 'Compendium.pf1.class-abilities.BonusFeat1', level: 1 },
+  { uuid: 'Compendium.pf1.class-abilities.Bravery', level: 2 },
+  { uuid: 'Compendium.pf1.class-abilities.ArmorTraining1', level: 3 }
+];
+
+function archetype(name, slug, replacedUuid, level, featureName, featureUuid) {
+  return {
+    parsed: { name, slug, class: 'Fighter', features: [] },
+    diff: baseAssociations.map(a => a.uuid === replacedUuid
+      ? { status: 'modified', level, name: featureName, archetypeFeature: { name: featureName, uuid: featureUuid, description: `${featureName} text.` } }
+      : { status: 'unchanged', level: a.level, name: a.uuid, original: { ...a } })
+  };
+}
+
+const thf = archetype('Two-Handed Fighter', 'two-handed-fighter',
+  'Compendium.pf1.class-abilities.Bravery', 2, 'Shattering Strike', 'Compendium.pf1e-archetypes.pf-arch-features.ShatteringStrike');
+const archer = archetype('Archer', 'archer',
+  'Compendium.pf1.class-abilities.ArmorTraining1', 3, 'Hawkeye', 'Compendium.pf1e-archetypes.pf-arch-features.Hawkeye');
+
+function makeFixture() {
+  const classItem = createMockClassItem('Fighter', 5, 'fighter');
+  classItem.system.links.classAssociations = JSON.parse(JSON.stringify(baseAssociations));
+  const actor = createTrackingActor('Amiri', [classItem]);
+  actor.isOwner = true;
+  return { actor, classItem };
+}
+
+/**
+ * Record every write made to the world during fn()
+ */
+async function recordWrites(actor, classItem, fn) {
+  const writes = [];
+  const origUpdate = classItem.update.bind(classItem);
+  const origClassSetFlag = classItem.setFlag.bind(classItem);
+  const origActorSetFlag = actor.setFlag.bind(actor);
+  const origCreate = actor.createEmbeddedDocuments;
+  const origDelete = actor.deleteEmbeddedDocuments;
+  const origChat = globalThis.ChatMessage;
+  classItem.update = async (data) => { writes.push(['update', data]); return origUpdate(data); };
+  classItem.setFlag = async (...args) => { writes.push(['classItem.setFlag', args]); return origClassSetFlag(...args); };
+  actor.setFlag = async (...args) => { writes.push(['actor.setFlag', args]); return origActorSetFlag(...args); };
+  actor.createEmbeddedDocuments = async (...args) => { writes.push(['create', args]); return origCreate(...args); };
+  actor.deleteEmbeddedDocuments = async (...args) => { writes.push(['delete', args]); return origDelete(...args); };
+  globalThis.ChatMessage = { create: async (data) => { writes.push(['chat', data]); return data; } };
+  try {
+    return { result: await fn(), writes };
+  } finally {
+    classItem.update = origUpdate;
+    classItem.setFlag = origClassSetFlag;
+    actor.setFlag = origActorSetFlag;
+    actor.createEmbeddedDocuments = origCreate;
+    actor.deleteEmbeddedDocuments = origDelete;
+    globalThis.ChatMessage = origChat;
+  }
+}
+
+// =====================================================
+// Section 1: Apply plans
+// =====================================================
+console.log('--- Section 1: Apply plans ---');
+
+await asyncTest('apply({ dryRun: true }) returns a plan and writes nothing', async () => {
+  const { actor, classItem } = makeFixture();
+  const { result: plan, writes } = await recordWrites(actor, classItem,
+    () => Applicator.apply(actor, classItem, thf.parsed, thf.diff, { dryRun: true }));
+  assertEqual(plan.valid, true, 'Plan should be valid');
+  assertEqual(plan.type, 'apply', 'Plan type');
+  assertEqual(writes.length, 0, 'No writes during a dry run');
+  assertEqual(classItem.getFlag('archetype-manager', 'archetypes'), null, 'Class untouched');
+});
+
+await asyncTest('Plan lists the new classAssociations', async () => {
+  const { actor, classItem } = makeFixture();
+  const plan = await Applicator.planApply(actor, classItem, thf.parsed, thf.diff);
+  assertDeepEqual(plan.classAssociations.map(a => a.uuid), [
+    'Compendium.pf1.class-abilities.BonusFeat1',
+    'Compendium.pf1e-archetypes.pf-arch-features.ShatteringStrike',
+    'Compendium.pf1.class-abilities.ArmorTraining1'
+  ], 'New associations');
+});
+
+await asyncTest('Plan lists flags set on the class item and actor', async () => {
+  const { actor, classItem } = makeFixture();
+  const plan = await Applicator.planApply(actor, classItem, thf.parsed, thf.diff);
+  const classSet = plan.flags.classItem.set;
+  assertDeepEqual(classSet.archetypes, ['two-handed-fighter'], 'archetypes flag set');
+  assertDeepEqual(classSet.originalAssociations, baseAssociations, 'Backup flag set');
+  assert(classSet.appliedAt, 'appliedAt flag set');
+  assert(classSet.appliedArchetypeData['two-handed-fighter'], 'Archetype data flag set');
+  assertDeepEqual(plan.flags.classItem.unset, [], 'Nothing unset on first apply');
+  assertDeepEqual(plan.flags.actor.set, { appliedArchetypes: { fighter: ['two-handed-fighter'] } }, 'Actor flag set');
+});
+
+await asyncTest('Plan lists items to create and the chat message', async () => {
+  const { actor, classItem } = makeFixture();
+  const plan = await Applicator.planApply(actor, classItem, thf.parsed, thf.diff);
+  assertEqual(plan.itemsToCreate.length, 1, 'One item to create');
+  assertEqual(plan.itemsToCreate[0].name, 'Shattering Strike (Two-Handed Fighter)', 'Copy name');
+  assertDeepEqual(plan.itemsToDelete, [], 'Nothing to delete');
+  assert(plan.chatMessage.content.includes('Two-Handed Fighter'), 'Chat message content');
+});
+
+await asyncTest('Executing apply performs exactly the planned mutations', async () => {
+  const { actor, classItem } = makeFixture();
+  const plan = await Applicator.planApply(actor, classItem, thf.parsed, thf.diff);
+  // appliedAt is a timestamp, so execute the plan itself rather than re-planning
+  const { result, writes } = await recordWrites(actor, classItem,
+    () => Applicator.apply(actor, classItem, thf.parsed, thf.diff, { plan }));
+  assertEqual(result, true, 'Apply should succeed');
+
+  const updates = writes.filter(w => w[0] === 'update');
+  assertEqual(updates.length, 1, 'One class item update');
+  assertDeepEqual(updates[0][1], plan.classItemUpdate, 'Update data matches the plan');
+  const created = writes.filter(w => w[0] === 'create');
+  assertEqual(created.length, 1, 'One create call');
+  assertEqual(created[0][1][1][0].name, plan.itemsToCreate[0].name, 'Created the planned item');
+  const chats = writes.filter(w => w[0] === 'chat');
+  assertDeepEqual(chats.map(c => c[1]), [plan.chatMessage], 'Posted the planned chat message');
+  assertDeepEqual(classItem.system.links.classAssociations, plan.classAssociations, 'Associations match the plan');
+  assertDeepEqual(actor.getFlag('archetype-manager', 'appliedArchetypes'), plan.flags.actor.set.appliedArchetypes, 'Actor flag matches');
+});
+
+await asyncTest('A normal apply produces the state its dry run predicted', async () => {
+  const { actor, classItem } = makeFixture();
+  const plan = await Applicator.apply(actor, classItem, thf.parsed, thf.diff, { dryRun: true });
+  await Applicator.apply(actor, classItem, thf.parsed, thf.diff);
+  assertDeepEqual(classItem.system.links.classAssociations, plan.classAssociations, 'Associations');
+  assertDeepEqual(classItem.getFlag('archetype-manager', 'archetypes'), plan.after.classFlags.archetypes, 'Archetypes flag');
+  assertDeepEqual(classItem.getFlag('archetype-manager', 'appliedArchetypeData'), plan.after.classFlags.appliedArchetypeData, 'Stored data');
+});
+
+await asyncTest('A stale plan is refused', async () => {
+  const { actor, classItem } = makeFixture();
+  const plan = await Applicator.planApply(actor, classItem, thf.parsed, thf.diff);
+  await Applicator.apply(actor, classItem, archer.parsed, archer.diff);
+  const warnings = [];
+  const origWarn = ui.notifications.warn;
+  ui.notifications.warn = (msg) => warnings.push(msg);
+  const result = await Applicator.apply(actor, classItem, thf.parsed, thf.diff, { plan });
+  ui.notifications.warn = origWarn;
+  assertEqual(result, false, 'Stale plan should not run');
+  assert(warnings.some(w => w.includes('changed since this plan')), 'User told the plan is stale');
+  assertDeepEqual(classItem.getFlag('archetype-manager', 'archetypes'), ['archer'], 'Only the other archetype applied');
+});
+
+await asyncTest('A plan for another class item is refused', async () => {
+  const { actor, classItem } = makeFixture();
+  const other = makeFixture();
+  const plan = await Applicator.planApply(other.actor, other.classItem, thf.parsed, thf.diff);
+  const origWarn = ui.notifications.warn;
+  ui.notifications.warn = () => {};
+  const result = await Applicator.apply(actor, classItem, thf.parsed, thf.diff, { plan });
+  ui.notifications.warn = origWarn;
+  assertEqual(result, false, 'Mismatched plan should not run');
+});
+
+await asyncTest('Duplicate apply yields an invalid plan explaining why', async () => {
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, thf.parsed, thf.diff);
+  const plan = await Applicator.apply(actor, classItem, thf.parsed, thf.diff, { dryRun: true });
+  assertEqual(plan.valid, false, 'Plan invalid');
+  assertEqual(plan.error.level, 'warn', 'Warning level');
+  assert(plan.error.message.includes('already applied'), 'Reason given');
+});
+
+await asyncTest('Wrong-class apply yields an invalid plan', async () => {
+  const { actor, classItem } = makeFixture();
+  const rogue = { name: 'Knife Master', slug: 'knife-master', class: 'Rogue', features: [] };
+  const plan = await Applicator.planApply(actor, classItem, rogue, []);
+  assertEqual(plan.valid, false, 'Plan invalid');
+  assertEqual(plan.error.level, 'error', 'Error level');
+  assert(plan.error.message.includes('cannot be applied to Fighter'), 'Reason given');
+});
+
+await asyncTest('chatMessage is null when chat notifications are off', async () => {
+  const { actor, classItem } = makeFixture();
+  game.settings.set('archetype-manager', 'chatNotifications', false);
+  const plan = await Applicator.planApply(actor, classItem, thf.parsed, thf.diff);
+  game.settings.set('archetype-manager', 'chatNotifications', true);
+  assertEqual(plan.chatMessage, null, 'No chat message planned');
+});
+
+// =====================================================
+// Section 2: Remove plans
+// =====================================================
+console.log('\n--- Section 2: Remove plans ---');
+
+await asyncTest('remove({ dryRun: true }) lists unset flags and items to delete, writes nothing', async () => {
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, thf.parsed, thf.diff);
+  const copyId = actor.items.find(i => i.flags?.['archetype-manager']?.createdByArchetype).id;
+  const { result: plan, writes } = await recordWrites(actor, classItem,
+    () => Applicator.remove(actor, classItem, 'two-handed-fighter', { dryRun: true }));
+  assertEqual(writes.length, 0, 'No writes during a dry run');
+  assertEqual(plan.type, 'remove', 'Plan type');
+  assertDeepEqual(plan.classAssociations, baseAssociations, 'Backup restored in the plan');
+  assertDeepEqual(plan.flags.classItem.unset.sort(), ['appliedArchetypeData', 'appliedAt', 'archetypes', 'originalAssociations', 'originalClassFields'], 'All class flags unset');
+  assertDeepEqual(plan.flags.actor.unset, ['appliedArchetypes'], 'Actor flag unset');
+  assertDeepEqual(plan.itemsToDelete.map(i => i._id), [copyId], 'Copy to delete');
+  assert(plan.chatMessage.content.includes('removed'), 'Removal chat message');
+  assert(plan.classItemUpdate['flags.archetype-manager.-=archetypes'] === null, 'Update uses deletion keys');
+});
+
+await asyncTest('remove executes a precomputed plan', async () => {
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, thf.parsed, thf.diff);
+  const plan = await Applicator.planRemove(actor, classItem, 'two-handed-fighter');
+  const { result, writes } = await recordWrites(actor, classItem,
+    () => Applicator.remove(actor, classItem, 'two-handed-fighter', { plan }));
+  assertEqual(result, true, 'Remove should succeed');
+  assertDeepEqual(writes.find(w => w[0] === 'update')[1], plan.classItemUpdate, 'Update data matches');
+  assertDeepEqual(writes.find(w => w[0] === 'delete')[1][1], plan.itemsToDelete.map(i => i._id), 'Deleted the planned items');
+});
+
+await asyncTest('Removing an archetype that is not applied yields an invalid plan', async () => {
+  const { actor, classItem } = makeFixture();
+  const plan = await Applicator.remove(actor, classItem, 'nope', { dryRun: true });
+  assertEqual(plan.valid, false, 'Plan invalid');
+  assert(plan.error.message.includes('not applied'), 'Reason given');
+});
+
+// =====================================================
+// Section 3: Stack and restore plans
+// =====================================================
+console.log('\n--- Section 3: Stack and restore plans ---');
+
+await asyncTest('applyStack({ dryRun: true }) returns a plan with per-archetype results', async () => {
+  const { actor, classItem } = makeFixture();
+  globalThis.fromUuid = async () => null;
+  const list = [{ name: 'Empty', slug: 'empty', class: 'Fighter', features: [] }];
+  const { result: plan, writes } = await recordWrites(actor, classItem,
+    () => Applicator.applyStack(actor, classItem, list, { dryRun: true }));
+  assertEqual(writes.length, 0, 'No writes');
+  assertEqual(plan.type, 'applyStack', 'Plan type');
+  assertDeepEqual(plan.results.map(r => r.slug), ['empty'], 'Per-archetype results');
+  assertDeepEqual(plan.flags.classItem.set.archetypes, ['empty'], 'Archetypes flag planned');
+
+  const result = await Applicator.applyStack(actor, classItem, list, { plan });
+  assertEqual(result.success, true, 'Stack executes the plan');
+});
+
+await asyncTest('restoreFromBackup executes a restore plan', async () => {
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, thf.parsed, thf.diff);
+  const plan = await Applicator.planRestore(actor, classItem);
+  assertDeepEqual(plan.classAssociations, baseAssociations, 'Plan restores the backup');
+  assertEqual(plan.itemsToDelete.length, 1, 'Plan deletes the copy');
+  const journaled = [];
+  const origBegin = OperationJournal.begin;
+  OperationJournal.begin = async function (...args) {
+    const entry = await origBegin.apply(this, args);
+    journaled.push(entry);
+    return entry;
+  };
+  let result;
+  try {
+    result = await Applicator.restoreFromBackup(actor, classItem);
+  } finally {
+    OperationJournal.begin = origBegin;
+  }
+  assertEqual(result.success, true, 'Restore succeeds');
+  assertDeepEqual(classItem.system.links.classAssociations, plan.classAssociations, 'Restored as planned');
+  assertEqual(journaled.at(-1).type, 'restore', 'Restore journaled');
+  assertEqual(OperationJournal.getEntries(actor).length, 0, 'Restore completed');
+});
+
+// =====================================================
+// Summary
+// =====================================================
+console.log(`\n${'='.repeat(50)}`);
+console.log(`Feature #114 Results: ${passed}/${totalTests} passed, ${failed} failed`);
+console.log(`${'='.repeat(50)}\n`);
+
+if (failed > 0) process.exit(1);
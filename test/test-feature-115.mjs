@@ -0,0 +1,465 @@
+/**
+ * Test Suite for Feature #115: Headless scripting API
+ *
+ * Verifies that the module API can list, preview, check, apply and remove archetypes
+ * without opening a dialog or showing a notification, that actors, classes and
+ * archetypes are resolved from documents, IDs, names, slugs and class tags, and that
+ * every failure is returned as a structured { success: false, error: { code, message } }.
+ */
+
+import { readFileSync } from 'fs';
+import { setupMockEnvironment, createMockClassItem, createMockActor } from './foundry-mock.mjs';
+
+let passed = 0;
+let failed = 0;
+let totalTests = 0;
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${message || 'Deep equality failed'}: expected ${e}, got ${a}`);
+  }
+}
+
+function test(name, fn) {
+  totalTests++;
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+async function asyncTest(name, fn) {
+  totalTests++;
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+
+setupMockEnvironment();
+
+const { ArchetypeAPI } = await import('../scripts/archetype-api.mjs');
+const { JournalEntryDB } = await import('../scripts/journal-db.mjs');
+const { Applicator } = await import('../scripts/applicator.mjs');
+
+console.log('\n=== Feature #115: Headless scripting API ===\n');
+
+// =====================================================
+// Fixtures
+// =====================================================
+
+const featureNames = {
+  'Compendium.pf1.class-abilities.BonusFeat1': 'Bonus Feat',
+  'Compendium.pf1.class-abilities.Bravery': 'Bravery',
+  'Compendium.pf1.class-abilities.ArmorTraining1': 'Armor Training 1',
+  'Compendium.pf1.class-abilities.SneakAttack': 'Sneak Attack'
+};
+globalThis.fromUuid = async (uuid) => featureNames[uuid] ? { name: featureNames[uuid] } : null;
+
+await JournalEntryDB.ensureDatabase();
+await JournalEntryDB.writeSection('custom', {
+  'two-handed-fighter': {
+    name: 'Two-Handed Fighter',
+    class: 'fighter',
+    features: { 'shattering-strike': { level: 2, replaces: 'Bravery', description: 'Shattering Strike text.' } }
+  },
+  'brute': {
+    name: 'Brute',
+    class: 'fighter',
+    features: { 'thick-skull': { level: 2, replaces: 'Bravery', description: 'Thick Skull text.' } }
+  },
+  'archer': {
+    name: 'Archer',
+    class: 'fighter',
+    features: { 'hawkeye': { level: 3, replaces: 'Armor Training 1', description: 'Hawkeye text.' } }
+  },
+  'knife-master': {
+    name: 'Knife Master',
+    class: 'rogue',
+    features: { 'hidden-blade': { level: 1, replaces: 'Sneak Attack', description: 'Hidden Blade text.' } }
+  }
+});
+
+/**
+ * Actor whose embedded items collection reflects create/delete calls
+ */
+function createTrackingActor(name, classItems = []) {
+  const actor = createMockActor(name, []);
+  const items = [...classItems];
+  actor.items = {
+    filter: (fn) => items.filter(fn),
+    find: (fn) => items.find(fn),
+    get: (id) => items.find(i => i.id === id),
+    map: (fn) => items.map(fn),
+    get size() { return items.length; },
+    [Symbol.iterator]: () => items[Symbol.iterator]()
+  };
+  actor.createEmbeddedDocuments = async (type, data) => {
+    const created = data.map(d => {
+      const item = {
+        ...JSON.parse(JSON.stringify(d)),
+        id: Math.random().toString(36).slice(2),
+        getFlag(scope, key) { return this.flags?.[scope]?.[key] ?? null; }
+      };
+      items.push(item);
+      return item;
+    });
+    return created;
+  };
+  actor.deleteEmbeddedDocuments = async (type, ids) => {
+    for (const id of ids) {
+      const idx = items.findIndex(i => i.id === id);
+      if (idx >= 0) items.splice(idx, 1);
+    }
+    return ids;
+  };
+  return actor;
+}
+
+function makeFixture({ withRogue = false } = {}) {
+  const fighter = createMockClassItem('Fighter', 5, 'fighter');
+  fighter.system.links.classAssociations = [
+    { uuid: 'Compendium.pf1.class-abilities.BonusFeat1', level: 1 },
+    { uuid: 'Compendium.pf1.class-abilities.Bravery', level: 2 },
+    { uuid: 'Compendium.pf1.class-abilities.ArmorTraining1', level: 3 }
+  ];
+  const classItems = [fighter];
+  let rogue = null;
+  if (withRogue) {
+    rogue = createMockClassItem('Rogue', 3, 'rogue');
+    rogue.system.links.classAssociations = [{ uuid: 'Compendium.pf1.class-abilities.SneakAttack', level: 1 }];
+    classItems.push(rogue);
+  }
+  const actor = createTrackingActor('Valeros', classItems);
+  actor.isOwner = true;
+  game.actors = [actor];
+  return { actor, fighter, rogue };
+}
+
+/**
+ * Run fn() and collect every notification shown while it runs
+ */
+async function captureNotifications(fn) {
+  const shown = [];
+  const original = ui.notifications;
+  ui.notifications = {
+    info: (msg) => shown.push(['info', msg]),
+    warn: (msg) => shown.push(['warn', msg]),
+    error: (msg) => shown.push(['error', msg])
+  };
+  try {
+    return { result: await fn(), shown };
+  } finally {
+    ui.notifications = original;
+  }
+}
+
+// =====================================================
+// Section 1: Identifier resolution
+// =====================================================
+console.log('--- Section 1: Identifier resolution ---');
+
+await asyncTest('Actors resolve from a document, an ID or a name', async () => {
+  const { actor } = makeFixture();
+  assertEqual(ArchetypeAPI._resolveActor(actor), actor, 'Document');
+  assertEqual(ArchetypeAPI._resolveActor(actor.id), actor, 'ID');
+  assertEqual(ArchetypeAPI._resolveActor('Valeros'), actor, 'Name');
+  assertEqual(ArchetypeAPI._resolveActor('valeros'), actor, 'Name, any case');
+  assertEqual(ArchetypeAPI._resolveActor('Nobody'), null, 'Unknown name');
+});
+
+await asyncTest('Classes resolve from an item, an ID, a name or a tag', async () => {
+  const { actor, fighter } = makeFixture({ withRogue: true });
+  assertEqual(ArchetypeAPI._resolveClass(actor, fighter).classItem, fighter, 'Item');
+  assertEqual(ArchetypeAPI._resolveClass(actor, fighter.id).classItem, fighter, 'ID');
+  assertEqual(ArchetypeAPI._resolveClass(actor, 'Fighter').classItem, fighter, 'Name');
+  assertEqual(ArchetypeAPI._resolveClass(actor, 'fighter').classItem, fighter, 'Tag');
+});
+
+await asyncTest('An omitted class uses the only class; several classes are ambiguous', async () => {
+  const single = makeFixture();
+  assertEqual(ArchetypeAPI._resolveClass(single.actor, null).classItem, single.fighter, 'Only class');
+
+  const multi = makeFixture({ withRogue: true });
+  const result = ArchetypeAPI._resolveClass(multi.actor, null);
+  assertEqual(result.error.code, 'AMBIGUOUS', 'Ambiguous code');
+  assertDeepEqual(result.candidates.map(c => c.name), ['Fighter', 'Rogue'], 'Candidates listed');
+});
+
+await asyncTest('Archetypes match by slug, full name or short name in parentheses', async () => {
+  const list = [
+    { slug: 'fighter-two-handed-fighter', name: 'Fighter (Two-Handed Fighter)' },
+    { slug: 'archer', name: 'Archer' }
+  ];
+  assertEqual(ArchetypeAPI._matchArchetypes(list, 'archer')[0].slug, 'archer', 'Slug');
+  assertEqual(ArchetypeAPI._matchArchetypes(list, 'Fighter (Two-Handed Fighter)')[0].slug, 'fighter-two-handed-fighter', 'Full name');
+  assertEqual(ArchetypeAPI._matchArchetypes(list, 'two-handed fighter')[0].slug, 'fighter-two-handed-fighter', 'Short name');
+  assertEqual(ArchetypeAPI._matchArchetypes(list, 'Weapon Master').length, 0, 'No match');
+});
+
+// =====================================================
+// Section 2: Listing
+// =====================================================
+console.log('\n--- Section 2: Listing ---');
+
+await asyncTest('listAvailable returns the class archetypes with their applied state', async () => {
+  makeFixture();
+  const result = await ArchetypeAPI.listAvailable('Valeros', 'fighter');
+  assertEqual(result.success, true, 'Success');
+  assertEqual(result.classItem.name, 'Fighter', 'Class described');
+  assertDeepEqual(result.archetypes.map(a => a.slug), ['archer', 'brute', 'two-handed-fighter'], 'Only fighter archetypes, sorted');
+  assert(result.archetypes.every(a => a.applied === false), 'Nothing applied yet');
+});
+
+await asyncTest('listApplied reports every class with its applied archetypes', async () => {
+  const { actor } = makeFixture({ withRogue: true });
+  await ArchetypeAPI.apply(actor, 'fighter', 'Two-Handed Fighter');
+  const result = await ArchetypeAPI.listApplied(actor);
+  assertEqual(result.success, true, 'Success');
+  assertDeepEqual(result.classes.map(c => c.tag), ['fighter', 'rogue'], 'Both classes listed');
+  assertDeepEqual(result.classes[0].archetypes, [{ slug: 'two-handed-fighter', name: 'Two-Handed Fighter' }], 'Applied archetype');
+  assertDeepEqual(result.classes[1].archetypes, [], 'Rogue has none');
+});
+
+// =====================================================
+// Section 3: Preview and compatibility
+// =====================================================
+console.log('\n--- Section 3: Preview and compatibility ---');
+
+await asyncTest('preview returns the DiffEngine diff and writes nothing', async () => {
+  const { actor, fighter } = makeFixture();
+  const result = await ArchetypeAPI.preview(actor, 'Fighter', 'two-handed-fighter');
+  assertEqual(result.success, true, 'Success');
+  assertDeepEqual(result.archetype, { slug: 'two-handed-fighter', name: 'Two-Handed Fighter' }, 'Archetype described');
+  assert(Array.isArray(result.diff), 'Diff is an array');
+  assert(result.diff.some(d => d.status === 'removed' && d.name === 'Bravery'), 'Bravery removed in diff');
+  assert(result.diff.some(d => d.status === 'added' && d.name === 'Shattering Strike'), 'Shattering Strike added in diff');
+  assertEqual(fighter.getFlag('archetype-manager', 'archetypes'), null, 'Class untouched');
+});
+
+await asyncTest('checkCompatibility reports conflicting archetypes', async () => {
+  const { actor } = makeFixture();
+  const ok = await ArchetypeAPI.checkCompatibility(actor, 'fighter', ['two-handed-fighter', 'archer']);
+  assertEqual(ok.compatible, true, 'Different features are compatible');
+
+  const bad = await ArchetypeAPI.checkCompatibility(actor, 'fighter', ['Two-Handed Fighter', 'Brute']);
+  assertEqual(bad.success, true, 'The check itself succeeds');
+  assertEqual(bad.compatible, false, 'Both replace Bravery');
+  assert(bad.conflicts.length > 0, 'Conflicts listed');
+});
+
+await asyncTest('checkCompatibility includes archetypes already applied', async () => {
+  const { actor } = makeFixture();
+  await ArchetypeAPI.apply(actor, 'fighter', 'two-handed-fighter');
+  const result = await ArchetypeAPI.checkCompatibility(actor, 'fighter', 'brute');
+  assertEqual(result.compatible, false, 'Conflicts with the applied archetype');
+});
+
+// =====================================================
+// Section 4: Apply and remove
+// =====================================================
+console.log('\n--- Section 4: Apply and remove ---');
+
+await asyncTest('apply applies the archetype without any notification', async () => {
+  const { actor, fighter } = makeFixture();
+  const { result, shown } = await captureNotifications(() => ArchetypeAPI.apply('Valeros', 'Fighter', 'Two-Handed Fighter'));
+  assertEqual(result.success, true, 'Success');
+  assertDeepEqual(result.classItem, { id: fighter.id, name: 'Fighter', tag: 'fighter' }, 'Class described');
+  assert(Array.isArray(result.diff), 'Diff returned');
+  assertDeepEqual(fighter.getFlag('archetype-manager', 'archetypes'), ['two-handed-fighter'], 'Archetype tracked');
+  assertDeepEqual(actor.getFlag('archetype-manager', 'appliedArchetypes'), { fighter: ['two-handed-fighter'] }, 'Actor lookup updated');
+  assertEqual(shown.length, 0, 'No notifications');
+});
+
+await asyncTest('apply({ dryRun: true }) returns the plan and writes nothing', async () => {
+  const { fighter, actor } = makeFixture();
+  const result = await ArchetypeAPI.apply(actor, fighter, 'archer', { dryRun: true });
+  assertEqual(result.success, true, 'Success');
+  assertEqual(result.plan.type, 'apply', 'Plan returned');
+  assertEqual(fighter.getFlag('archetype-manager', 'archetypes'), null, 'Class untouched');
+});
+
+await asyncTest('apply refuses a conflicting archetype unless forced', async () => {
+  const { actor, fighter } = makeFixture();
+  await ArchetypeAPI.apply(actor, 'fighter', 'two-handed-fighter');
+  const { result, shown } = await captureNotifications(() => ArchetypeAPI.apply(actor, 'fighter', 'brute'));
+  assertEqual(result.success, false, 'Refused');
+  assertEqual(result.error.code, 'CONFLICT', 'Conflict code');
+  assert(result.conflicts.length > 0, 'Conflicts returned');
+  assertEqual(shown.length, 0, 'No notifications');
+  assertDeepEqual(fighter.getFlag('archetype-manager', 'archetypes'), ['two-handed-fighter'], 'Brute not applied');
+
+  const forced = await ArchetypeAPI.apply(actor, 'fighter', 'brute', { force: true });
+  assertEqual(forced.success, true, 'Forced apply succeeds');
+});
+
+await asyncTest('apply of an archetype already applied returns INVALID quietly', async () => {
+  const { actor } = makeFixture();
+  await ArchetypeAPI.apply(actor, 'fighter', 'archer');
+  const { result, shown } = await captureNotifications(() => ArchetypeAPI.apply(actor, 'fighter', 'archer'));
+  assertEqual(result.error.code, 'INVALID', 'Invalid code');
+  assert(result.error.message.includes('already applied'), 'Reason given');
+  assertEqual(shown.length, 0, 'No notifications');
+});
+
+await asyncTest('apply accepts already-parsed archetype data', async () => {
+  const { actor, fighter } = makeFixture();
+  const preview = await ArchetypeAPI.preview(actor, 'fighter', 'archer');
+  const result = await ArchetypeAPI.apply(actor, 'fighter', preview.parsed);
+  assertEqual(result.success, true, 'Success');
+  assertDeepEqual(fighter.getFlag('archetype-manager', 'archetypes'), ['archer'], 'Applied');
+});
+
+await asyncTest('remove resolves the applied archetype by name and class by default', async () => {
+  const { actor, fighter } = makeFixture({ withRogue: true });
+  await ArchetypeAPI.apply(actor, 'fighter', 'two-handed-fighter');
+  const { result, shown } = await captureNotifications(() => ArchetypeAPI.remove(actor, null, 'Two-Handed Fighter'));
+  assertEqual(result.success, true, 'Success');
+  assertEqual(result.classItem.name, 'Fighter', 'Only class with archetypes used');
+  assertEqual(fighter.getFlag('archetype-manager', 'archetypes'), null, 'Archetype removed');
+  assertEqual(shown.length, 0, 'No notifications');
+});
+
+await asyncTest('remove of an archetype that is not applied returns ARCHETYPE_NOT_FOUND', async () => {
+  const { actor } = makeFixture();
+  await ArchetypeAPI.apply(actor, 'fighter', 'archer');
+  const result = await ArchetypeAPI.remove(actor, 'fighter', 'brute');
+  assertEqual(result.error.code, 'ARCHETYPE_NOT_FOUND', 'Not found code');
+});
+
+// =====================================================
+// Section 5: Structured errors
+// =====================================================
+console.log('\n--- Section 5: Structured errors ---');
+
+await asyncTest('Unknown actor, class and archetype return error codes', async () => {
+  makeFixture();
+  assertEqual((await ArchetypeAPI.apply('Nobody', 'fighter', 'archer')).error.code, 'ACTOR_NOT_FOUND', 'Actor');
+  assertEqual((await ArchetypeAPI.apply('Valeros', 'wizard', 'archer')).error.code, 'CLASS_NOT_FOUND', 'Class');
+  assertEqual((await ArchetypeAPI.apply('Valeros', 'fighter', 'weapon-master')).error.code, 'ARCHETYPE_NOT_FOUND', 'Archetype');
+});
+
+await asyncTest('Archetypes of another class are not found', async () => {
+  makeFixture();
+  const result = await ArchetypeAPI.preview('Valeros', 'fighter', 'knife-master');
+  assertEqual(result.error.code, 'ARCHETYPE_NOT_FOUND', 'Rogue archetype not offered for fighter');
+});
+
+await asyncTest('Players without ownership get PERMISSION_DENIED and nothing changes', async () => {
+  const { actor, fighter } = makeFixture();
+  actor.isOwner = false;
+  game.user.isGM = false;
+  try {
+    const { result, shown } = await captureNotifications(() => ArchetypeAPI.apply(actor, 'fighter', 'archer'));
+    assertEqual(result.error.code, 'PERMISSION_DENIED', 'Permission code');
+    assertEqual(shown.length, 0, 'No notifications');
+    assertEqual(fighter.getFlag('archetype-manager', 'archetypes'), null, 'Class untouched');
+  } finally {
+    game.user.isGM = true;
+  }
+});
+
+await asyncTest('A failed write is rolled back and reported as FAILED', async () => {
+  const { actor, fighter } = makeFixture();
+  const originalUpdate = fighter.update.bind(fighter);
+  let calls = 0;
+  fighter.update = async (data) => {
+    calls++;
+    if (calls === 1) throw new Error('Simulated write failure');
+    return originalUpdate(data);
+  };
+  const { result, shown } = await captureNotifications(() => ArchetypeAPI.apply(actor, 'fighter', 'archer'));
+  fighter.update = originalUpdate;
+  assertEqual(result.error.code, 'FAILED', 'Failed code');
+  assert(result.error.message.includes('Simulated write failure'), 'Error message passed through');
+  assertEqual(shown.length, 0, 'No notifications');
+  assertEqual(fighter.getFlag('archetype-manager', 'archetypes'), null, 'Nothing left applied');
+});
+
+await asyncTest('A stale plan is rejected with STALE_PLAN', async () => {
+  const { actor, fighter } = makeFixture();
+  const dry = await ArchetypeAPI.apply(actor, 'fighter', 'archer', { dryRun: true });
+  await ArchetypeAPI.apply(actor, 'fighter', 'two-handed-fighter');
+  const result = await Applicator.executePlan(actor, fighter, dry.plan);
+  assertEqual(result.error.code, 'STALE_PLAN', 'Stale code');
+});
+
+await asyncTest('A broken compendium is reported as PARSE_FAILED without notifications', async () => {
+  const { actor } = makeFixture();
+  game.modules.set('pf1e-archetypes', { id: 'pf1e-archetypes', active: true });
+  game.packs.set('pf1e-archetypes.pf-archetypes', { getDocuments: async () => { throw new Error('Pack unreadable'); } });
+  const origError = console.error;
+  console.error = () => {};
+  try {
+    const { result, shown } = await captureNotifications(() => ArchetypeAPI.apply(actor, 'fighter', 'archer'));
+    assertEqual(result.error?.code, 'PARSE_FAILED', 'Parse failure code');
+    assert(result.error.message.includes('Pack unreadable'), 'Error message passed through');
+    assertEqual(shown.length, 0, 'No notifications');
+    assertEqual((await ArchetypeAPI.listAvailable(actor, 'fighter')).error?.code, 'PARSE_FAILED', 'Listing reports it too');
+  } finally {
+    console.error = origError;
+    game.modules.delete('pf1e-archetypes');
+    game.packs.delete('pf1e-archetypes.pf-archetypes');
+  }
+});
+
+await asyncTest('A parse exception resolves to PARSE_FAILED instead of rejecting', async () => {
+  const { actor } = makeFixture();
+  const { DiffEngine } = await import('../scripts/diff-engine.mjs');
+  const origGenerate = DiffEngine.generateDiff;
+  const origError = console.error;
+  DiffEngine.generateDiff = () => { throw new Error('Diff exploded'); };
+  console.error = () => {};
+  try {
+    const result = await ArchetypeAPI.preview(actor, 'fighter', 'archer');
+    assertEqual(result.error?.code, 'PARSE_FAILED', 'Parse failure code');
+    assert(result.error.message.includes('Diff exploded'), 'Error message passed through');
+  } finally {
+    DiffEngine.generateDiff = origGenerate;
+    console.error = origError;
+  }
+});
+
+// =====================================================
+// Section 6: Module API wiring
+// =====================================================
+console.log('\n--- Section 6: Module API wiring ---');
+
+test('module.mjs exposes the headless API functions', () => {
+  const source = readFileSync(new URL('../scripts/module.mjs', import.meta.url), 'utf8');
+  for (const name of ['apply', 'remove', 'listAvailable', 'listApplied', 'preview', 'checkCompatibility']) {
+    assert(source.includes(`${name}: (`), `api.${name} is exposed`);
+  }
+});
+
+// =====================================================
+// Summary
+// =====================================================
+console.log(`\n${'='.repeat(50)}`);
+console.log(`Feature #115 Results: ${passed}/${totalTests} passed, ${failed} failed`);
+console.log(`${'='.repeat(50)}\n`);
+
+if (failed > 0) process.exit(1);
@@ -0,0 +1,455 @@
+/**
+ * Test Suite for Feature #116: Lifecycle hooks
+ *
+ * Verifies that Applicator fires archetypeManager.preApply/apply, preRemove/remove and
+ * preRestore/restore with (actor, classItem, parsedArchetype, diff), that post-hooks only
+ * fire once the change is committed, and that a pre-hook returning false cancels the
+ * operation before anything is written, without rollback or error notifications.
+ */
+
+
+import { setupMockEnvironment, createMockClassItem, createMockActor } from './foundry-mock.mjs';
+
+let passed = 0;
+let failed = 0;
+let totalTests = 0;
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${message || 'Deep equality failed'}: expected ${e}, got ${a}`);
+  }
+}
+
+function test(name, fn) {
+  totalTests++;
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+async function asyncTest(name, fn) {
+  totalTests++;
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+
+setupMockEnvironment();
+
+const { Applicator } = await import('../scripts/applicator.mjs');
+const { OperationJournal } = await import('../scripts/operation-journal.mjs');
+
+console.log('\n=== Feature #116: Lifecycle hooks ===\n');
+
+
+// =====================================================
+// Fixtures
+// =====================================================
+
+/**
+ * Actor whose embedded items collection reflects create/delete calls
+ */
+function createTrackingActor(name, classItems = []) {
+  const actor = createMockActor(name, []);
+  const items = [...classItems];
+  actor.items = {
+    filter: (fn) => items.filter(fn),
+    find: (fn) => items.find(fn),
+    get: (id) => items.find(i => i.id === id),
+    map: (fn) => items.map(fn),
+    get size() { return items.length; },
+    [Symbol.iterator]: () => items[Symbol.iterator]()
+  };
+  actor.createEmbeddedDocuments = async (type, data, options = {}) => {
+    const created = data.map(d => {
+      const item = {
+        ...JSON.parse(JSON.stringify(d)),
+        id: (options.keepId && d._id) || Math.random().toString(36).slice(2),
+        getFlag(scope, key) { return this.flags?.[scope]?.[key] ?? null; },
+        toObject() {
+          const { getFlag, toObject, ...data } = this;
+          return { ...JSON.parse(JSON.stringify(data)), _id: this.id };
+        }
+      };
+      items.push(item);
+      return item;
+    });
+    return created;
+  };
+  actor.deleteEmbeddedDocuments = async (type, ids) => {
+    for (const id of ids) {
+      const idx = items.findIndex(i => i.id === id);
+      if (idx >= 0) items.splice(idx, 1);
+    }
+    return ids;
+  };
+  return actor;
+}
+
+const baseAssociations = [
+  { uuid: 'Compendium.pf1.class-abilities.BonusFeat1', level: 1 },
+  { uuid: 'Compendium.pf1.class-abilities.Bravery', level: 2 },
+  { uuid: 'Compendium.pf1.class-abilities.ArmorTraining1', level: 3 }
+];
+
+function archetype(name, slug, replacedUuid, level, featureName, featureUuid) {
+  return {
+    parsed: { name, slug, class: 'Fighter', features: [] },
+    diff: baseAssociations.map(a => a.uuid === replacedUuid
+      ? { status: 'modified', level, name: featureName, archetypeFeature: { name: featureName, uuid: featureUuid, description: `${featureName} text.` } }
+      : { status: 'unchanged', level: a.level, name: a.uuid, original: { ...a } })
+  };
+}
+
+const thf = archetype('Two-Handed Fighter', 'two-handed-fighter',
+  'Compendium.pf1.class-abilities.Bravery', 2, 'Shattering Strike', 'Compendium.pf1e-archetypes.pf-arch-features.ShatteringStrike');
+const archer = archetype('Archer', 'archer',
+  'Compendium.pf1.class-abilities.ArmorTraining1', 3, 'Hawkeye', 'Compendium.pf1e-archetypes.pf-arch-features.Hawkeye');
+
+function makeFixture() {
+  const classItem = createMockClassItem('Fighter', 5, 'fighter');
+  classItem.system.links.classAssociations = JSON.parse(JSON.stringify(baseAssociations));
+  const actor = createTrackingActor('Amiri', [classItem]);
+  actor.isOwner = true;
+  return { actor, classItem };
+}
+
+
+/**
+ * Register a hook listener that records its calls; returns the call log
+ */
+function listen(event, result) {
+  const calls = [];
+  Hooks.on(event, (...args) => {
+    calls.push(JSON.parse(JSON.stringify({
+      actor: args[0]?.name,
+      classItem: args[1]?.name,
+      archetypes: args[1]?.getFlag?.('archetype-manager', 'archetypes') ?? null,
+      parsed: args[2],
+      diff: args[3]
+    })));
+    return result;
+  });
+  return calls;
+}
+
+function clearHooks() {
+  for (const event of Object.values(Applicator.HOOKS).flat()) Hooks._hooks.delete(event);
+}
+
+/**
+ * Run fn() and collect notifications, console errors and rollback calls
+ */
+async function captureNoise(fn) {
+  const noise = { notifications: [], errors: [], rollbacks: 0 };
+  const origNotifications = ui.notifications;
+  const origError = console.error;
+  const origRollback = Applicator._rollbackOperation;
+  ui.notifications = {
+    info: (msg) => noise.notifications.push(['info', msg]),
+    warn: (msg) => noise.notifications.push(['warn', msg]),
+    error: (msg) => noise.notifications.push(['error', msg])
+  };
+  console.error = (...args) => noise.errors.push(args.join(' '));
+  Applicator._rollbackOperation = async function (...args) {
+    noise.rollbacks++;
+    return origRollback.apply(this, args);
+  };
+  try {
+    return { result: await fn(), noise };
+  } finally {
+    ui.notifications = origNotifications;
+    console.error = origError;
+    Applicator._rollbackOperation = origRollback;
+  }
+}
+
+// =====================================================
+// Section 1: Apply hooks
+// =====================================================
+console.log('--- Section 1: Apply hooks ---');
+
+await asyncTest('preApply receives actor, class item, parsed archetype and diff before any write', async () => {
+  clearHooks();
+  const { actor, classItem } = makeFixture();
+  const calls = listen('archetypeManager.preApply');
+  await Applicator.apply(actor, classItem, thf.parsed, thf.diff);
+  assertEqual(calls.length, 1, 'Fired once');
+  assertEqual(calls[0].actor, 'Amiri', 'Actor passed');
+  assertEqual(calls[0].classItem, 'Fighter', 'Class item passed');
+  assertEqual(calls[0].parsed.slug, 'two-handed-fighter', 'Parsed archetype passed');
+  assertDeepEqual(calls[0].diff, thf.diff, 'Diff passed');
+  assertEqual(calls[0].archetypes, null, 'Nothing written yet');
+});
+
+await asyncTest('apply fires after the change is committed', async () => {
+  clearHooks();
+  const { actor, classItem } = makeFixture();
+  const calls = listen('archetypeManager.apply');
+  await Applicator.apply(actor, classItem, thf.parsed, thf.diff);
+  assertEqual(calls.length, 1, 'Fired once');
+  assertDeepEqual(calls[0].archetypes, ['two-handed-fighter'], 'Archetype already applied');
+  assertEqual(calls[0].parsed.name, 'Two-Handed Fighter', 'Parsed archetype passed');
+  assertDeepEqual(calls[0].diff, thf.diff, 'Diff passed');
+});
+
+await asyncTest('preApply returning false cancels cleanly', async () => {
+  clearHooks();
+  const { actor, classItem } = makeFixture();
+  listen('archetypeManager.preApply', false);
+  const applied = listen('archetypeManager.apply');
+  const { result, noise } = await captureNoise(() => Applicator.apply(actor, classItem, thf.parsed, thf.diff));
+  assertEqual(result, false, 'Apply reports it did not run');
+  assertEqual(classItem.getFlag('archetype-manager', 'archetypes'), null, 'Class untouched');
+  assertDeepEqual(classItem.system.links.classAssociations, baseAssociations, 'Associations untouched');
+  assertEqual(actor.items.filter(i => i.type !== 'class').length, 0, 'No copies created');
+  assertEqual(OperationJournal.getEntries(actor).length, 0, 'Nothing journaled');
+  assertEqual(noise.rollbacks, 0, 'No rollback');
+  assertEqual(noise.errors.length, 0, 'No console errors');
+  assertEqual(noise.notifications.filter(n => n[0] !== 'info').length, 0, 'No warnings or errors shown');
+  assertEqual(applied.length, 0, 'Post-hook not fired');
+});
+
+await asyncTest('Dry runs fire no hooks', async () => {
+  clearHooks();
+  const { actor, classItem } = makeFixture();
+  const pre = listen('archetypeManager.preApply');
+  await Applicator.apply(actor, classItem, thf.parsed, thf.diff, { dryRun: true });
+  assertEqual(pre.length, 0, 'No hook on a dry run');
+});
+
+await asyncTest('A failed apply fires preApply but not apply', async () => {
+  clearHooks();
+  const { actor, classItem } = makeFixture();
+  const pre = listen('archetypeManager.preApply');
+  const post = listen('archetypeManager.apply');
+  const origUpdate = classItem.update.bind(classItem);
+  let calls = 0;
+  classItem.update = async (data) => {
+    if (++calls === 1) throw new Error('Simulated write failure');
+    return origUpdate(data);
+  };
+  const { result } = await captureNoise(() => Applicator.apply(actor, classItem, thf.parsed, thf.diff));
+  classItem.update = origUpdate;
+  assertEqual(result, false, 'Apply failed');
+  assertEqual(pre.length, 1, 'preApply fired');
+  assertEqual(post.length, 0, 'apply not fired');
+});
+
+// =====================================================
+// Section 2: Stack hooks
+// =====================================================
+console.log('\n--- Section 2: Stack hooks ---');
+
+await asyncTest('applyStack fires preApply and apply once per archetype', async () => {
+  clearHooks();
+  const { actor, classItem } = makeFixture();
+  const pre = listen('archetypeManager.preApply');
+  const post = listen('archetypeManager.apply');
+  const result = await Applicator.applyStack(actor, classItem, [thf.parsed, archer.parsed]);
+  assertEqual(result.success, true, 'Stack applied');
+  assertDeepEqual(pre.map(c => c.parsed.slug), ['two-handed-fighter', 'archer'], 'preApply per archetype');
+  assertDeepEqual(post.map(c => c.parsed.slug), ['two-handed-fighter', 'archer'], 'apply per archetype');
+  assert(pre.every(c => Array.isArray(c.diff)), 'Each call has its own diff');
+  assertDeepEqual(post[0].archetypes, ['two-handed-fighter', 'archer'], 'Whole stack committed before apply fires');
+});
+
+await asyncTest('Cancelling one archetype cancels the whole stack', async () => {
+  clearHooks();
+  const { actor, classItem } = makeFixture();
+  Hooks.on('archetypeManager.preApply', (a, c, parsed) => parsed.slug !== 'archer');
+  const { result, noise } = await captureNoise(() => Applicator.applyStack(actor, classItem, [thf.parsed, archer.parsed]));
+  assertEqual(result.success, false, 'Stack not applied');
+  assert(result.results.every(r => !r.success && r.error), 'Every archetype reports the cancellation');
+  assertEqual(classItem.getFlag('archetype-manager', 'archetypes'), null, 'Nothing applied');
+  assertEqual(noise.rollbacks, 0, 'No rollback');
+  assertEqual(noise.errors.length, 0, 'No console errors');
+});
+
+// =====================================================
+// Section 3: Remove and restore hooks
+// =====================================================
+console.log('\n--- Section 3: Remove and restore hooks ---');
+
+await asyncTest('preRemove and remove receive the stored archetype data', async () => {
+  clearHooks();
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, thf.parsed, thf.diff);
+  const pre = listen('archetypeManager.preRemove');
+  const post = listen('archetypeManager.remove');
+  await Applicator.remove(actor, classItem, 'two-handed-fighter');
+  assertEqual(pre.length, 1, 'preRemove fired');
+  assertEqual(pre[0].parsed.name, 'Two-Handed Fighter', 'Stored parsed data passed');
+  assertEqual(pre[0].diff, null, 'No diff for removals');
+  assertDeepEqual(pre[0].archetypes, ['two-handed-fighter'], 'preRemove fires before the write');
+  assertEqual(post.length, 1, 'remove fired');
+  assertEqual(post[0].archetypes, null, 'remove fires after the write');
+});
+
+await asyncTest('preRemove returning false keeps the archetype', async () => {
+  clearHooks();
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, thf.parsed, thf.diff);
+  listen('archetypeManager.preRemove', false);
+  const post = listen('archetypeManager.remove');
+  const { result, noise } = await captureNoise(() => Applicator.remove(actor, classItem, 'two-handed-fighter'));
+  assertEqual(result, false, 'Remove did not run');
+  assertDeepEqual(classItem.getFlag('archetype-manager', 'archetypes'), ['two-handed-fighter'], 'Still applied');
+  assertEqual(noise.rollbacks, 0, 'No rollback');
+  assertEqual(post.length, 0, 'Post-hook not fired');
+});
+
+await asyncTest('restore hooks receive the list of archetypes cleared', async () => {
+  clearHooks();
+  const { actor, classItem } = makeFixture();
+  await Applicator.applyStack(actor, classItem, [thf.parsed, archer.parsed]);
+  const pre = listen('archetypeManager.preRestore');
+  const post = listen('archetypeManager.restore');
+  const result = await Applicator.restoreFromBackup(actor, classItem);
+  assertEqual(result.success, true, 'Restored');
+  assertEqual(pre.length, 1, 'preRestore fired once');
+  assertDeepEqual(pre[0].parsed.map(p => p.slug), ['two-handed-fighter', 'archer'], 'Cleared archetypes listed');
+  assertEqual(post.length, 1, 'restore fired once');
+  assertEqual(post[0].archetypes, null, 'Fired after the restore');
+});
+
+await asyncTest('preRestore returning false cancels the restore', async () => {
+  clearHooks();
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, thf.parsed, thf.diff);
+  listen('archetypeManager.preRestore', false);
+  const { result, noise } = await captureNoise(() => Applicator.restoreFromBackup(actor, classItem));
+  assertEqual(result.success, false, 'Not restored');
+  assertDeepEqual(classItem.getFlag('archetype-manager', 'archetypes'), ['two-handed-fighter'], 'Still applied');
+  assertEqual(noise.rollbacks, 0, 'No rollback');
+  assertEqual(noise.errors.length, 0, 'No console errors');
+});
+
+// =====================================================
+// Section 4: Headless execution
+// =====================================================
+console.log('\n--- Section 4: Headless execution ---');
+
+await asyncTest('executePlan reports a cancelled plan as CANCELLED', async () => {
+  clearHooks();
+  const { actor, classItem } = makeFixture();
+  listen('archetypeManager.preApply', false);
+  const plan = await Applicator.planApply(actor, classItem, thf.parsed, thf.diff);
+  const { result, noise } = await captureNoise(() => Applicator.executePlan(actor, classItem, plan));
+  assertEqual(result.success, false, 'Not applied');
+  assertEqual(result.error.code, 'CANCELLED', 'Cancelled code');
+  assertEqual(noise.notifications.length, 0, 'No notifications');
+  assertEqual(classItem.getFlag('archetype-manager', 'archetypes'), null, 'Class untouched');
+});
+
+// =====================================================
+// Section 5: Undo, redo and recovery
+// =====================================================
+console.log('\n--- Section 5: Undo, redo and recovery ---');
+
+await asyncTest('Undoing an apply fires the remove hooks; redoing it fires the apply hooks', async () => {
+  clearHooks();
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, thf.parsed, thf.diff);
+  const preRemove = listen('archetypeManager.preRemove');
+  const removed = listen('archetypeManager.remove');
+  const preApply = listen('archetypeManager.preApply');
+  const applied = listen('archetypeManager.apply');
+
+  assertEqual(await Applicator.undo(actor), true, 'Undone');
+  assertEqual(preRemove.length, 1, 'preRemove fired');
+  assertEqual(preRemove[0].parsed.slug, 'two-handed-fighter', 'Stored parsed data passed');
+  assertDeepEqual(preRemove[0].archetypes, ['two-handed-fighter'], 'Before the write');
+  assertEqual(removed.length, 1, 'remove fired');
+  assertEqual(removed[0].archetypes, null, 'After the write');
+  assertEqual(preApply.length, 0, 'No apply hooks on undo');
+
+  assertEqual(await Applicator.redo(actor), true, 'Redone');
+  assertEqual(preApply.length, 1, 'preApply fired');
+  assertEqual(applied.length, 1, 'apply fired');
+  assertEqual(applied[0].parsed.name, 'Two-Handed Fighter', 'Parsed archetype passed');
+  assertEqual(applied[0].diff, null, 'No diff on redo');
+  assertDeepEqual(applied[0].archetypes, ['two-handed-fighter'], 'After the write');
+});
+
+await asyncTest('A pre-hook returning false cancels the undo', async () => {
+  clearHooks();
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, thf.parsed, thf.diff);
+  listen('archetypeManager.preRemove', false);
+  const removed = listen('archetypeManager.remove');
+  const { result, noise } = await captureNoise(() => Applicator.undo(actor));
+  assertEqual(result, false, 'Not undone');
+  assertDeepEqual(classItem.getFlag('archetype-manager', 'archetypes'), ['two-handed-fighter'], 'Still applied');
+  assertEqual(noise.rollbacks, 0, 'No rollback');
+  assertEqual(removed.length, 0, 'Post-hook not fired');
+});
+
+await asyncTest('Undoing a restore applies the archetypes again; redoing it fires the restore hooks', async () => {
+  clearHooks();
+  const { actor, classItem } = makeFixture();
+  await Applicator.applyStack(actor, classItem, [thf.parsed, archer.parsed]);
+  await Applicator.restoreFromBackup(actor, classItem);
+  const applied = listen('archetypeManager.apply');
+  const restored = listen('archetypeManager.restore');
+  await Applicator.undo(actor);
+  assertDeepEqual(applied.map(c => c.parsed.slug), ['two-handed-fighter', 'archer'], 'Each archetype applied');
+  await Applicator.redo(actor);
+  assertEqual(restored.length, 1, 'restore fired once');
+  assertDeepEqual(restored[0].parsed.map(p => p.slug), ['two-handed-fighter', 'archer'], 'Cleared archetypes listed');
+});
+
+await asyncTest('Recovering an interrupted apply fires the apply hook only when rolled forward', async () => {
+  clearHooks();
+  const applied = listen('archetypeManager.apply');
+  const removed = listen('archetypeManager.remove');
+  for (const direction of ['back', 'forward']) {
+    const { actor, classItem } = makeFixture();
+    const plan = await Applicator.planApply(actor, classItem, thf.parsed, thf.diff);
+    const entry = await OperationJournal.begin(actor, {
+      type: 'apply', classItemId: classItem.id, slug: plan.slug, archetypeName: plan.archetypeName,
+      before: plan.before, after: plan.after, itemsToCreate: plan.itemsToCreate, deletedItems: plan.itemsToDelete
+    });
+    const { result } = await captureNoise(() => Applicator.recoverOperation(actor, entry, direction));
+    assertEqual(result, true, `Recovered ${direction}`);
+  }
+  assertEqual(applied.length, 1, 'apply fired once');
+  assertDeepEqual(applied[0].archetypes, ['two-handed-fighter'], 'For the roll forward, after the write');
+  assertEqual(removed.length, 0, 'Nothing removed');
+});
+
+clearHooks();
+
+// =====================================================
+// Summary
+// =====================================================
+console.log(`\n${'='.repeat(50)}`);
+console.log(`Feature #116 Results: ${passed}/${totalTests} passed, ${failed} failed`);
+console.log(`${'='.repeat(50)}\n`);
+
+if (failed > 0) process.exit(1);
@@ -0,0 +1,289 @@
+/**
+ * Test Suite for Feature #117: Pluggable conflict-rule registry
+ *
+ * Verifies that named conflict rules can be registered and removed on ConflictChecker,
+ * that their conflicts (with reasons) appear in validateStacking, checkAgainstApplied
+ * and the real-time greying from getIncompatibleArchetypes, and that a faulty rule is
+ * skipped instead of breaking validation.
+ */
+
+
+import { readFileSync } from 'fs';
+import { setupMockEnvironment } from './foundry-mock.mjs';
+
+let passed = 0;
+let failed = 0;
+let totalTests = 0;
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${message || 'Deep equality failed'}: expected ${e}, got ${a}`);
+  }
+}
+
+function test(name, fn) {
+  totalTests++;
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+async function asyncTest(name, fn) {
+  totalTests++;
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+
+setupMockEnvironment();
+
+const { ConflictChecker } = await import('../scripts/conflict-checker.mjs');
+
+console.log('\n=== Feature #117: Pluggable conflict-rule registry ===\n');
+
+// =====================================================
+// Fixtures
+// =====================================================
+
+function archetype(name, slug, features) {
+  return { name, slug, class: 'druid', features };
+}
+
+const feature = (name, target = null) => ({ name, type: target ? 'replacement' : 'additive', target, level: 1 });
+
+const menagerist = archetype('Menagerist', 'menagerist', [feature('Menagerie', 'Nature Bond'), feature('Animal Companion')]);
+const packLord = archetype('Pack Lord', 'pack-lord', [feature('Pack Bond', 'Wild Shape'), feature('Animal Companion')]);
+const aquatic = archetype('Aquatic Druid', 'aquatic-druid', [feature('Aquatic Adaptation', 'Woodland Stride')]);
+const blight = archetype('Blight Druid', 'blight-druid', [feature('Vermin Empathy', 'Wild Empathy')]);
+
+const companionRule = {
+  label: 'One animal companion',
+  check: (archetypes) => {
+    const withCompanion = archetypes.filter(a =>
+      (a.features || []).some(f => f.name === 'Animal Companion') || (a.touched || []).includes('animal companion'));
+    return withCompanion.length > 1
+      ? [{ archetypes: withCompanion.map(a => a.slug), reason: 'Only one archetype may grant an animal companion' }]
+      : [];
+  }
+};
+
+const maxTwoRule = (archetypes) => archetypes.length > 2
+  ? [{ archetypes: archetypes.map(a => a.slug), reason: 'At most two archetypes per class' }]
+  : [];
+
+function reset() {
+  for (const { id } of ConflictChecker.getRules()) ConflictChecker.unregisterRule(id);
+}
+
+// =====================================================
+// Section 1: Registration
+// =====================================================
+console.log('--- Section 1: Registration ---');
+
+test('registerRule accepts { label, check } or a bare function', () => {
+  reset();
+  ConflictChecker.registerRule('one-companion', companionRule);
+  ConflictChecker.registerRule('max-two', maxTwoRule);
+  assertDeepEqual(ConflictChecker.getRules(), [
+    { id: 'one-companion', label: 'One animal companion' },
+    { id: 'max-two', label: 'max-two' }
+  ], 'Both rules listed');
+});
+
+test('Re-registering an id replaces the rule', () => {
+  reset();
+  ConflictChecker.registerRule('max-two', maxTwoRule);
+  ConflictChecker.registerRule('max-two', { label: 'Two max', check: maxTwoRule });
+  assertDeepEqual(ConflictChecker.getRules(), [{ id: 'max-two', label: 'Two max' }], 'One rule, new label');
+});
+
+test('unregisterRule removes a rule', () => {
+  reset();
+  ConflictChecker.registerRule('max-two', maxTwoRule);
+  assertEqual(ConflictChecker.unregisterRule('max-two'), true, 'Removed');
+  assertEqual(ConflictChecker.unregisterRule('max-two'), false, 'Already gone');
+  assertEqual(ConflictChecker.getRules().length, 0, 'No rules left');
+});
+
+test('Invalid registrations throw', () => {
+  reset();
+  let threw = 0;
+  try { ConflictChecker.registerRule('', maxTwoRule); } catch (e) { threw++; }
+  try { ConflictChecker.registerRule('no-check', { label: 'Nothing' }); } catch (e) { threw++; }
+  assertEqual(threw, 2, 'Both rejected');
+  assertEqual(ConflictChecker.getRules().length, 0, 'Nothing registered');
+});
+
+// =====================================================
+// Section 2: Apply-time validation
+// =====================================================
+console.log('\n--- Section 2: Apply-time validation ---');
+
+test('validateStacking reports rule conflicts with their reason', () => {
+  reset();
+  ConflictChecker.registerRule('one-companion', companionRule);
+  const result = ConflictChecker.validateStacking([menagerist, packLord], 'Druid');
+  assertEqual(result.valid, false, 'Stack invalid');
+  assertEqual(result.conflicts.length, 1, 'One conflict');
+  const conflict = result.conflicts[0];
+  assertEqual(conflict.rule, 'one-companion', 'Rule id');
+  assertEqual(conflict.reason, 'Only one archetype may grant an animal companion', 'Reason');
+  assertDeepEqual(conflict.slugs, ['menagerist', 'pack-lord'], 'Archetypes involved');
+  assertDeepEqual(result.conflictPairs, [['Menagerist', 'Pack Lord']], 'Conflict pair by name');
+});
+
+test('Rules see the whole stack at once', () => {
+  reset();
+  ConflictChecker.registerRule('max-two', maxTwoRule);
+  assertEqual(ConflictChecker.validateStacking([menagerist, aquatic], 'Druid').valid, true, 'Two is fine');
+  const result = ConflictChecker.validateStacking([menagerist, aquatic, blight], 'Druid');
+  assertEqual(result.valid, false, 'Three is too many');
+  assertEqual(result.conflicts[0].reason, 'At most two archetypes per class', 'Reason');
+});
+
+test('Without rules, validation is unchanged', () => {
+  reset();
+  assertEqual(ConflictChecker.validateStacking([menagerist, packLord, aquatic], 'Druid').valid, true, 'Different targets stack');
+});
+
+test('checkAgainstApplied reports rule conflicts involving the new archetype', () => {
+  reset();
+  ConflictChecker.registerRule('one-companion', companionRule);
+  const conflicts = ConflictChecker.checkAgainstApplied(packLord, [menagerist], 'Druid');
+  assertEqual(conflicts.length, 1, 'Conflict found');
+  assertEqual(ConflictChecker.checkCanApply(aquatic, [menagerist], 'Druid').canApply, true, 'Unrelated archetype allowed');
+});
+
+test('Rules may name archetypes by name instead of slug', () => {
+  reset();
+  ConflictChecker.registerRule('no-blight', (archetypes) => archetypes.some(a => a.slug === 'blight-druid') && archetypes.length > 1
+    ? [{ archetypes: ['Blight Druid'], reason: 'Blight Druid must be taken alone' }]
+    : []);
+  const result = ConflictChecker.validateStacking([aquatic, blight], 'Druid');
+  assertEqual(result.valid, false, 'Conflict found');
+  assertDeepEqual(result.conflicts[0].slugs, ['blight-druid'], 'Resolved to the slug');
+});
+
+test('A rule that throws is skipped with a warning', () => {
+  reset();
+  const warnings = [];
+  const origWarn = console.warn;
+  console.warn = (...args) => warnings.push(args.join(' '));
+  ConflictChecker.registerRule('broken', () => { throw new Error('boom'); });
+  ConflictChecker.registerRule('one-companion', companionRule);
+  let result;
+  try {
+    result = ConflictChecker.validateStacking([menagerist, packLord], 'Druid');
+  } finally {
+    console.warn = origWarn;
+  }
+  assertEqual(result.conflicts.length, 1, 'Other rules still run');
+  assert(warnings.some(w => w.includes('"broken"')), 'Warning names the rule');
+});
+
+// =====================================================
+// Section 3: Real-time greying
+// =====================================================
+console.log('\n--- Section 3: Real-time greying ---');
+
+const conflictIndex = new Map([
+  ['menagerist', new Set(['nature bond', 'animal companion'])],
+  ['pack-lord', new Set(['wild shape', 'animal companion'])],
+  ['aquatic-druid', new Set(['woodland stride'])],
+  ['blight-druid', new Set(['wild empathy'])]
+]);
+
+test('getIncompatibleArchetypes greys out archetypes a rule forbids', () => {
+  reset();
+  ConflictChecker.registerRule('max-two', maxTwoRule);
+  const incompatible = ConflictChecker.getIncompatibleArchetypes(
+    conflictIndex, new Set(['menagerist']), ['aquatic-druid'], 'druid');
+  assertEqual(incompatible.get('blight-druid'), 'At most two archetypes per class', 'Third archetype greyed with reason');
+});
+
+test('Rules receive known archetype data and touched features while selecting', () => {
+  reset();
+  const seen = [];
+  ConflictChecker.registerRule('spy', (archetypes, context) => {
+    seen.push({ archetypes: JSON.parse(JSON.stringify(archetypes)), context });
+    return [];
+  });
+  ConflictChecker.getIncompatibleArchetypes(conflictIndex, new Set(['menagerist']), [], 'druid', [menagerist]);
+  const first = seen[0];
+  assertEqual(first.context.phase, 'select', 'Select phase');
+  assertEqual(first.context.className, 'druid', 'Class name passed');
+  const menageristData = first.archetypes.find(a => a.slug === 'menagerist');
+  assertEqual(menageristData.features.length, 2, 'Known data passed through');
+  assertDeepEqual(menageristData.touched, ['nature bond', 'animal companion'], 'Touched features included');
+});
+
+test('Archetypes missing from the conflict index are still checked', () => {
+  reset();
+  ConflictChecker.registerRule('one-companion', companionRule);
+  const incompatible = ConflictChecker.getIncompatibleArchetypes(
+    new Map(), new Set(['menagerist']), [], 'druid', [menagerist, packLord, blight]);
+  assertEqual(incompatible.get('pack-lord'), 'Only one archetype may grant an animal companion', 'Greyed from list data alone');
+  assertEqual(incompatible.has('blight-druid'), false, 'Unaffected archetype stays available');
+});
+
+test('Conflicts among active archetypes alone do not grey out others', () => {
+  reset();
+  ConflictChecker.registerRule('one-companion', companionRule);
+  const incompatible = ConflictChecker.getIncompatibleArchetypes(
+    new Map(), new Set(['menagerist', 'pack-lord']), [], 'druid', [menagerist, packLord, blight]);
+  assertEqual(incompatible.has('blight-druid'), false, 'Blight Druid not blamed');
+});
+
+// =====================================================
+// Section 4: Module wiring
+// =====================================================
+console.log('\n--- Section 4: Module wiring ---');
+
+test('The module API exposes rule registration and fires archetypeManager.ready', () => {
+  const source = readFileSync(new URL('../scripts/module.mjs', import.meta.url), 'utf8');
+  assert(source.includes('registerConflictRule: (id, rule) => ConflictChecker.registerRule(id, rule)'), 'register exposed');
+  assert(source.includes('unregisterConflictRule: (id) => ConflictChecker.unregisterRule(id)'), 'unregister exposed');
+  assert(source.includes("Hooks.callAll('archetypeManager.ready'"), 'ready hook fired');
+});
+
+test('The selection list passes archetype data to getIncompatibleArchetypes', () => {
+  const source = readFileSync(new URL('../scripts/ui-manager.mjs', import.meta.url), 'utf8');
+  assert(source.includes('[...archetypeData, ...appliedArchetypeDataList]'), 'Archetype data passed');
+  assert(source.includes('ConflictChecker.getRules().length > 0'), 'Rules checked even without a conflict index');
+});
+
+reset();
+
+// =====================================================
+// Summary
+// =====================================================
+console.log(`\n${'='.repeat(50)}`);
+console.log(`Feature #117 Results: ${passed}/${totalTests} passed, ${failed} failed`);
+console.log(`${'='.repeat(50)}\n`);
+
+if (failed > 0) process.exit(1);
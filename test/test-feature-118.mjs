@@ -0,0 +1,342 @@
+/**
+ * Test Suite for Feature #118: Synchronize embedded class-feature items
+ *
+ * Verifies that applying an archetype deletes the actor's embedded feature items for
+ * replaced associations and creates the archetype's feature items at or below the class
+ * level, keeping PF1's item link map on the class in step; that remove, restore, undo and
+ * rollback bring back the exact original items; and that dry runs list every item change.
+ */
+
+
+import { setupMockEnvironment, createMockClassItem, createMockActor } from './foundry-mock.mjs';
+
+let passed = 0;
+let failed = 0;
+let totalTests = 0;
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${message || 'Deep equality failed'}: expected ${e}, got ${a}`);
+  }
+}
+
+function test(name, fn) {
+  totalTests++;
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+async function asyncTest(name, fn) {
+  totalTests++;
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+
+setupMockEnvironment();
+
+const { Applicator } = await import('../scripts/applicator.mjs');
+
+console.log('\n=== Feature #118: Synchronize embedded class-feature items ===\n');
+
+// =====================================================
+// Fixtures
+// =====================================================
+
+const UUID = {
+  bonusFeat: 'Compendium.pf1.class-abilities.BonusFeat1',
+  bravery: 'Compendium.pf1.class-abilities.Bravery',
+  armorTraining: 'Compendium.pf1.class-abilities.ArmorTraining1',
+  shattering: 'Compendium.pf1e-archetypes.pf-arch-features.ShatteringStrike',
+  overhand: 'Compendium.pf1e-archetypes.pf-arch-features.OverhandChop',
+  greaterPower: 'Compendium.pf1e-archetypes.pf-arch-features.GreaterPowerAttack'
+};
+
+const compendium = {
+  [UUID.bravery]: { name: 'Bravery', type: 'feat', system: { subType: 'classFeat', description: { value: 'Bravery text.' } } },
+  [UUID.shattering]: { name: 'Shattering Strike', type: 'feat', system: { subType: 'classFeat', description: { value: 'Shatter.' } } },
+  [UUID.overhand]: { name: 'Overhand Chop', type: 'feat', system: { subType: 'classFeat', description: { value: 'Chop.' } } },
+  [UUID.greaterPower]: { name: 'Greater Power Attack', type: 'feat', system: { subType: 'classFeat', description: { value: 'Power.' } } }
+};
+globalThis.fromUuid = async (uuid) => compendium[uuid]
+  ? { ...compendium[uuid], toObject() { return JSON.parse(JSON.stringify(compendium[uuid])); } }
+  : null;
+
+/**
+ * Actor whose embedded items collection reflects create/delete calls
+ */
+function createTrackingActor(name, classItems = []) {
+  const actor = createMockActor(name, []);
+  const items = [...classItems];
+  actor.items = {
+    filter: (fn) => items.filter(fn),
+    find: (fn) => items.find(fn),
+    get: (id) => items.find(i => i.id === id),
+    map: (fn) => items.map(fn),
+    get size() { return items.length; },
+    [Symbol.iterator]: () => items[Symbol.iterator]()
+  };
+  actor.createEmbeddedDocuments = async (type, data, options = {}) => {
+    const created = data.map(d => {
+      const item = {
+        ...JSON.parse(JSON.stringify(d)),
+        id: (options.keepId && d._id) || Math.random().toString(36).slice(2),
+        getFlag(scope, key) { return this.flags?.[scope]?.[key] ?? null; },
+        toObject() {
+          const { getFlag, toObject, id, ...data } = this;
+          return { ...JSON.parse(JSON.stringify(data)), _id: this.id };
+        }
+      };
+      items.push(item);
+      return item;
+    });
+    return created;
+  };
+  actor.deleteEmbeddedDocuments = async (type, ids) => {
+    for (const id of ids) {
+      const idx = items.findIndex(i => i.id === id);
+      if (idx >= 0) items.splice(idx, 1);
+    }
+    return ids;
+  };
+  return actor;
+}
+
+const baseAssociations = [
+  { uuid: UUID.bonusFeat, level: 1 },
+  { uuid: UUID.bravery, level: 2 },
+  { uuid: UUID.armorTraining, level: 3 }
+];
+
+/**
+ * Embedded feature item as PF1 creates it from a class association
+ */
+function pf1Feature(id, name, uuid) {
+  return {
+    id,
+    name,
+    type: 'feat',
+    system: { subType: 'classFeat', description: { value: `${name} text.` }, uses: { value: 1 } },
+    _stats: { compendiumSource: uuid },
+    flags: { pf1: { abilityType: 'ex' } },
+    getFlag(scope, key) { return this.flags?.[scope]?.[key] ?? null; },
+    toObject() {
+      const { getFlag, toObject, id: _, ...data } = this;
+      return { ...JSON.parse(JSON.stringify(data)), _id: this.id };
+    }
+  };
+}
+
+function makeFixture({ level = 7, linkMap = true } = {}) {
+  const classItem = createMockClassItem('Fighter', level, 'fighter');
+  classItem.system.links.classAssociations = JSON.parse(JSON.stringify(baseAssociations));
+  const features = [
+    pf1Feature('bonusFeatItem0001', 'Bonus Feat', UUID.bonusFeat),
+    pf1Feature('braveryItem000001', 'Bravery', UUID.bravery),
+    pf1Feature('armorTraining0001', 'Armor Training', UUID.armorTraining)
+  ];
+  if (linkMap) {
+    classItem.flags.pf1 = { links: { classAssociations: { bonusFeatItem0001: 1, braveryItem000001: 2, armorTraining0001: 3 } } };
+  }
+  const actor = createTrackingActor('Valeros', [classItem, ...features]);
+  actor.isOwner = true;
+  return { actor, classItem };
+}
+
+// Two-Handed Fighter: Shattering Strike (2) replaces Bravery, Greater Power Attack (11) is additive
+const thfParsed = {
+  name: 'Two-Handed Fighter',
+  slug: 'two-handed-fighter',
+  class: 'Fighter',
+  features: [
+    { name: 'Shattering Strike', level: 2, type: 'replacement', target: 'bravery', uuid: UUID.shattering, matchedAssociation: { uuid: UUID.bravery, level: 2 } },
+    { name: 'Greater Power Attack', level: 11, type: 'additive', target: null, uuid: UUID.greaterPower }
+  ]
+};
+const thfDiff = [
+  { status: 'unchanged', level: 1, name: 'Bonus Feat', original: { uuid: UUID.bonusFeat, level: 1 } },
+  { status: 'removed', level: 2, name: 'Bravery', original: { uuid: UUID.bravery, level: 2 } },
+  { status: 'added', level: 2, name: 'Shattering Strike', archetypeFeature: thfParsed.features[0] },
+  { status: 'unchanged', level: 3, name: 'Armor Training', original: { uuid: UUID.armorTraining, level: 3 } },
+  { status: 'added', level: 11, name: 'Greater Power Attack', archetypeFeature: thfParsed.features[1] }
+];
+
+const links = (classItem) => classItem.flags.pf1?.links?.classAssociations;
+const names = (actor) => actor.items.filter(i => i.type !== 'class').map(i => i.name).sort();
+
+function snapshot(actor, classItem) {
+  return JSON.stringify({
+    items: actor.items.filter(i => i.type !== 'class').map(i => i.toObject()).sort((a, b) => a._id.localeCompare(b._id)),
+    links: Object.entries(links(classItem) ?? {}).sort(),
+    associations: classItem.system.links.classAssociations
+  });
+}
+
+// =====================================================
+// Section 1: Apply
+// =====================================================
+console.log('--- Section 1: Apply ---');
+
+await asyncTest('Apply deletes the embedded item of a replaced feature', async () => {
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, thfParsed, thfDiff);
+  assertEqual(actor.items.get('braveryItem000001'), undefined, 'Bravery item removed');
+  assert(!('braveryItem000001' in links(classItem)), 'Bravery unlinked from the class');
+  assert(actor.items.get('armorTraining0001'), 'Unreplaced features kept');
+});
+
+await asyncTest('Apply creates archetype feature items at or below the class level', async () => {
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, thfParsed, thfDiff);
+  const strike = actor.items.find(i => i.name === 'Shattering Strike');
+  assert(strike, 'Shattering Strike created');
+  assertEqual(strike._stats.compendiumSource, UUID.shattering, 'Source recorded');
+  assertEqual(strike.flags['archetype-manager'].grantedByArchetype, 'two-handed-fighter', 'Tagged with its archetype');
+  assertEqual(links(classItem)[strike.id], 2, 'Linked to the class at its level');
+  assertEqual(actor.items.find(i => i.name === 'Greater Power Attack'), undefined, 'Level 11 feature not created at level 7');
+});
+
+await asyncTest('The replaced item is stored on the class for exact restore', async () => {
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, thfParsed, thfDiff);
+  const stored = classItem.getFlag('archetype-manager', 'removedFeatures');
+  assertEqual(stored[UUID.bravery]._id, 'braveryItem000001', 'Original ID stored');
+  assertEqual(stored[UUID.bravery].system.uses.value, 1, 'Item data stored');
+});
+
+await asyncTest('A dry run lists the items to delete and create without touching them', async () => {
+  const { actor, classItem } = makeFixture();
+  const plan = await Applicator.apply(actor, classItem, thfParsed, thfDiff, { dryRun: true });
+  assertDeepEqual(plan.itemsToDelete.map(i => i._id), ['braveryItem000001'], 'Bravery listed for deletion');
+  assertDeepEqual(plan.itemsToCreate.map(i => i.name), ['Shattering Strike'], 'Shattering Strike listed for creation');
+  assert(actor.items.get('braveryItem000001'), 'Nothing deleted');
+  assert(plan.classItemUpdate['flags.pf1.links.classAssociations'], 'Link map update planned');
+});
+
+await asyncTest('Classes without a PF1 link map fall back to class features by source', async () => {
+  const { actor, classItem } = makeFixture({ linkMap: false });
+  await Applicator.apply(actor, classItem, thfParsed, thfDiff);
+  assertEqual(actor.items.get('braveryItem000001'), undefined, 'Bravery item removed');
+  assert(actor.items.find(i => i.name === 'Shattering Strike'), 'Shattering Strike created');
+});
+
+await asyncTest('Classes without associations or items are left alone', async () => {
+  const classItem = createMockClassItem('Fighter', 7, 'fighter');
+  classItem.system.links.classAssociations = JSON.parse(JSON.stringify(baseAssociations));
+  const actor = createTrackingActor('Empty', [classItem]);
+  const plan = await Applicator.planApply(actor, classItem, { ...thfParsed, features: [] }, thfDiff.map(d =>
+    d.status === 'added' ? { ...d, archetypeFeature: { name: d.name } } : d));
+  assertDeepEqual(plan.itemsToDelete, [], 'Nothing to delete');
+  assertEqual(plan.classItemUpdate['flags.pf1.links.classAssociations'], undefined, 'No link map written');
+});
+
+// =====================================================
+// Section 2: Remove, restore, undo and rollback
+// =====================================================
+console.log('\n--- Section 2: Remove, restore, undo and rollback ---');
+
+await asyncTest('Remove brings back the exact original items and links', async () => {
+  const { actor, classItem } = makeFixture();
+  const original = snapshot(actor, classItem);
+  await Applicator.apply(actor, classItem, thfParsed, thfDiff);
+  await Applicator.remove(actor, classItem, 'two-handed-fighter');
+  assertEqual(snapshot(actor, classItem), original, 'Items, links and associations restored');
+  assertEqual(classItem.getFlag('archetype-manager', 'removedFeatures'), null, 'Stored items cleared');
+});
+
+await asyncTest('Restore from backup brings back the exact original items', async () => {
+  const { actor, classItem } = makeFixture();
+  const original = snapshot(actor, classItem);
+  await Applicator.apply(actor, classItem, thfParsed, thfDiff);
+  const result = await Applicator.restoreFromBackup(actor, classItem);
+  assertEqual(result.success, true, 'Restored');
+  assertEqual(snapshot(actor, classItem), original, 'Items, links and associations restored');
+});
+
+await asyncTest('Undo and redo move the feature items with the class', async () => {
+  const { actor, classItem } = makeFixture();
+  const original = snapshot(actor, classItem);
+  await Applicator.apply(actor, classItem, thfParsed, thfDiff);
+  const applied = snapshot(actor, classItem);
+
+  assertEqual(await Applicator.undo(actor), true, 'Undo succeeds');
+  assertEqual(snapshot(actor, classItem), original, 'Undo restores the original items');
+  assertEqual(await Applicator.redo(actor), true, 'Redo succeeds');
+  assertEqual(snapshot(actor, classItem), applied, 'Redo re-applies the same items');
+});
+
+await asyncTest('A failed apply leaves the feature items untouched', async () => {
+  const { actor, classItem } = makeFixture();
+  const original = snapshot(actor, classItem);
+  const origUpdate = classItem.update.bind(classItem);
+  let calls = 0;
+  classItem.update = async (data) => {
+    if (++calls === 1) throw new Error('Simulated write failure');
+    return origUpdate(data);
+  };
+  const origError = console.error;
+  console.error = () => {};
+  const result = await Applicator.apply(actor, classItem, thfParsed, thfDiff);
+  console.error = origError;
+  classItem.update = origUpdate;
+  assertEqual(result, false, 'Apply failed');
+  assertEqual(snapshot(actor, classItem), original, 'Items and links unchanged');
+});
+
+await asyncTest('Removing one of two archetypes only brings back its own replaced items', async () => {
+  const { actor, classItem } = makeFixture();
+  const chopParsed = {
+    name: 'Axe Fighter', slug: 'axe-fighter', class: 'Fighter',
+    features: [{ name: 'Overhand Chop', level: 3, type: 'replacement', target: 'armor training', uuid: UUID.overhand, matchedAssociation: { uuid: UUID.armorTraining, level: 3 } }]
+  };
+  await Applicator.apply(actor, classItem, thfParsed, thfDiff);
+  const chopDiff = [
+    { status: 'unchanged', level: 1, name: 'Bonus Feat', original: { uuid: UUID.bonusFeat, level: 1 } },
+    { status: 'unchanged', level: 2, name: 'Shattering Strike', original: { uuid: UUID.shattering, level: 2 } },
+    { status: 'removed', level: 3, name: 'Armor Training', original: { uuid: UUID.armorTraining, level: 3 } },
+    { status: 'added', level: 3, name: 'Overhand Chop', archetypeFeature: chopParsed.features[0] },
+    { status: 'unchanged', level: 11, name: 'Greater Power Attack', original: { uuid: UUID.greaterPower, level: 11 } }
+  ];
+  await Applicator.apply(actor, classItem, chopParsed, chopDiff);
+  assertDeepEqual(names(actor), ['Bonus Feat', 'Overhand Chop', 'Shattering Strike'], 'Both archetypes synced');
+
+  await Applicator.remove(actor, classItem, 'axe-fighter');
+  assert(actor.items.get('armorTraining0001'), 'Armor Training item back with its ID');
+  assertEqual(actor.items.get('braveryItem000001'), undefined, 'Bravery still replaced');
+  assert(actor.items.find(i => i.name === 'Shattering Strike'), 'Other archetype feature kept');
+});
+
+// =====================================================
+// Summary
+// =====================================================
+console.log(`\n${'='.repeat(50)}`);
+console.log(`Feature #118 Results: ${passed}/${totalTests} passed, ${failed} failed`);
+console.log(`${'='.repeat(50)}\n`);
+
+if (failed > 0) process.exit(1);
@@ -0,0 +1,347 @@
+/**
+ * Test Suite for Feature #119: Modified-feature copies clone the base feature
+ *
+ * Verifies that copies for modified features start from the matched base feature (with its
+ * actions, changes, context notes, uses and subtype), carry the archetype's name and text on
+ * top and a link back to their source, and are wired into the class's feature link map so
+ * that remove, undo and stacking treat them like any other class feature.
+ */
+
+import { setupMockEnvironment, createMockClassItem, createMockActor } from './foundry-mock.mjs';
+
+let passed = 0;
+let failed = 0;
+let totalTests = 0;
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${message || 'Deep equality failed'}: expected ${e}, got ${a}`);
+  }
+}
+
+function test(name, fn) {
+  totalTests++;
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+async function asyncTest(name, fn) {
+  totalTests++;
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+
+setupMockEnvironment();
+
+const { Applicator } = await import('../scripts/applicator.mjs');
+
+console.log('\n=== Feature #119: Modified-feature copies clone the base feature ===\n');
+
+// =====================================================
+// Fixtures
+// =====================================================
+
+const UUID = {
+  bravery: 'Compendium.pf1.class-abilities.Bravery',
+  weaponTraining: 'Compendium.pf1.class-abilities.WeaponTraining1',
+  thfWeaponTraining: 'Compendium.pf1e-archetypes.pf-arch-features.THFWeaponTraining',
+  weaponMaster: 'Compendium.pf1e-archetypes.pf-arch-features.WeaponGuardian'
+};
+
+const weaponTrainingSource = {
+  _id: 'compendiumWT00001',
+  name: 'Weapon Training',
+  type: 'feat',
+  folder: 'someFolder',
+  sort: 100,
+  system: {
+    subType: 'classFeat',
+    abilityType: 'ex',
+    description: { value: '<p>Base weapon training text.</p>' },
+    actions: [{ _id: 'action0000000001', name: 'Attack bonus' }],
+    changes: [{ _id: 'change0000000001', formula: '1', target: 'attack' }],
+    contextNotes: [{ text: '+1 on combat maneuvers', target: 'cmb' }],
+    uses: { per: 'day', maxFormula: '3' }
+  },
+  flags: { pf1: { keepHidden: false } }
+};
+
+const compendium = {
+  [UUID.weaponTraining]: weaponTrainingSource
+};
+globalThis.fromUuid = async (uuid) => compendium[uuid]
+  ? { ...compendium[uuid], toObject() { return JSON.parse(JSON.stringify(compendium[uuid])); } }
+  : null;
+
+/**
+ * Actor whose embedded items collection reflects create/delete calls
+ */
+function createTrackingActor(name, classItems = []) {
+  const actor = createMockActor(name, []);
+  const items = [...classItems];
+  actor.items = {
+    filter: (fn) => items.filter(fn),
+    find: (fn) => items.find(fn),
+    get: (id) => items.find(i => i.id === id),
+    map: (fn) => items.map(fn),
+    get size() { return items.length; },
+    [Symbol.iterator]: () => items[Symbol.iterator]()
+  };
+  actor.createEmbeddedDocuments = async (type, data, options = {}) => {
+    const created = data.map(d => {
+      const item = {
+        ...JSON.parse(JSON.stringify(d)),
+        id: (options.keepId && d._id) || Math.random().toString(36).slice(2),
+        getFlag(scope, key) { return this.flags?.[scope]?.[key] ?? null; },
+        toObject() {
+          const { getFlag, toObject, id, ...data } = this;
+          return { ...JSON.parse(JSON.stringify(data)), _id: this.id };
+        }
+      };
+      items.push(item);
+      return item;
+    });
+    return created;
+  };
+  actor.deleteEmbeddedDocuments = async (type, ids) => {
+    for (const id of ids) {
+      const idx = items.findIndex(i => i.id === id);
+      if (idx >= 0) items.splice(idx, 1);
+    }
+    return ids;
+  };
+  return actor;
+}
+
+/**
+ * Embedded feature item as PF1 creates it from a class association
+ */
+function pf1Feature(id, name, uuid) {
+  return {
+    id,
+    name,
+    type: 'feat',
+    system: { subType: 'classFeat', description: { value: `${name} text.` }, uses: { value: 1 } },
+    _stats: { compendiumSource: uuid },
+    flags: { pf1: { abilityType: 'ex' } },
+    getFlag(scope, key) { return this.flags?.[scope]?.[key] ?? null; },
+    toObject() {
+      const { getFlag, toObject, id: _, ...data } = this;
+      return { ...JSON.parse(JSON.stringify(data)), _id: this.id };
+    }
+  };
+}
+
+function makeFixture(level = 7) {
+  const classItem = createMockClassItem('Fighter', level, 'fighter');
+  classItem.system.links.classAssociations = [
+    { uuid: UUID.bravery, level: 2 },
+    { uuid: UUID.weaponTraining, level: 5 }
+  ];
+  classItem.flags.pf1 = { links: { classAssociations: { braveryItem000001: 2, weaponTrain00001: 5 } } };
+  const actor = createTrackingActor('Valeros', [
+    classItem,
+    pf1Feature('braveryItem000001', 'Bravery', UUID.bravery),
+    pf1Feature('weaponTrain00001', 'Weapon Training', UUID.weaponTraining)
+  ]);
+  actor.isOwner = true;
+  return { actor, classItem };
+}
+
+// Two-Handed Fighter modifies Weapon Training
+const thfFeature = {
+  name: 'Weapon Training',
+  level: 5,
+  type: 'modification',
+  target: 'weapon training',
+  uuid: UUID.thfWeaponTraining,
+  description: 'Bonuses apply only to two-handed weapons.',
+  matchedAssociation: { uuid: UUID.weaponTraining, level: 5 }
+};
+const thfParsed = { name: 'Two-Handed Fighter', slug: 'two-handed-fighter', class: 'Fighter', features: [thfFeature] };
+const thfDiff = [
+  { status: 'unchanged', level: 2, name: 'Bravery', original: { uuid: UUID.bravery, level: 2 } },
+  { status: 'modified', level: 5, name: 'Weapon Training', original: { uuid: UUID.weaponTraining, level: 5 }, archetypeFeature: thfFeature }
+];
+
+const copiesOf = (actor) => actor.items.filter(i => i.getFlag?.('archetype-manager', 'isModifiedCopy'));
+const links = (classItem) => classItem.flags.pf1?.links?.classAssociations;
+
+function snapshot(actor, classItem) {
+  return JSON.stringify({
+    items: actor.items.filter(i => i.type !== 'class').map(i => i.toObject()).sort((a, b) => a._id.localeCompare(b._id)),
+    links: Object.entries(links(classItem) ?? {}).sort()
+  });
+}
+
+// =====================================================
+// Section 1: Copy contents
+// =====================================================
+console.log('--- Section 1: Copy contents ---');
+
+await asyncTest('The copy carries the base feature\'s actions, changes, notes, uses and subtype', async () => {
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, thfParsed, thfDiff);
+  const [copy] = copiesOf(actor);
+  assertDeepEqual(copy.system.actions, weaponTrainingSource.system.actions, 'Actions cloned');
+  assertDeepEqual(copy.system.changes, weaponTrainingSource.system.changes, 'Changes cloned');
+  assertDeepEqual(copy.system.contextNotes, weaponTrainingSource.system.contextNotes, 'Context notes cloned');
+  assertDeepEqual(copy.system.uses, weaponTrainingSource.system.uses, 'Uses cloned');
+  assertEqual(copy.system.subType, 'classFeat', 'Subtype cloned');
+  assertEqual(copy.system.abilityType, 'ex', 'Ability type cloned');
+  assertEqual(copy.flags.pf1.keepHidden, false, 'Other system flags cloned');
+});
+
+await asyncTest('The archetype\'s name and text are layered on top of the base description', async () => {
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, thfParsed, thfDiff);
+  const [copy] = copiesOf(actor);
+  const desc = copy.system.description.value;
+  assertEqual(copy.name, 'Weapon Training (Two-Handed Fighter)', 'Archetype name');
+  assert(desc.startsWith('<p><strong>Modified by Two-Handed Fighter:</strong></p>'), 'Modification header first');
+  assert(desc.includes('two-handed weapons'), 'Archetype text included');
+  assert(desc.indexOf('Base weapon training text.') > desc.indexOf('two-handed weapons'), 'Base text kept below');
+});
+
+await asyncTest('The copy gets its own ID and no compendium folder or sort', async () => {
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, thfParsed, thfDiff);
+  const [copy] = copiesOf(actor);
+  assert(copy.id !== weaponTrainingSource._id, 'Fresh ID');
+  assertEqual(copy.folder, undefined, 'Folder dropped');
+  assertEqual(copy.sort, undefined, 'Sort dropped');
+});
+
+await asyncTest('The copy links back to its source and the association it fills', async () => {
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, thfParsed, thfDiff);
+  const [copy] = copiesOf(actor);
+  assertEqual(copy.flags['archetype-manager'].sourceUuid, UUID.weaponTraining, 'Base feature UUID');
+  assertEqual(copy._stats.compendiumSource, UUID.thfWeaponTraining, 'Archetype feature UUID');
+  assertEqual(copy.flags['archetype-manager'].createdByArchetype, 'two-handed-fighter', 'Owning archetype');
+});
+
+await asyncTest('Without matchedAssociation the diff\'s original feature is cloned', async () => {
+  const { actor, classItem } = makeFixture();
+  const { matchedAssociation, ...unmatched } = thfFeature;
+  const diff = [thfDiff[0], { ...thfDiff[1], archetypeFeature: unmatched }];
+  await Applicator.apply(actor, classItem, { ...thfParsed, features: [unmatched] }, diff);
+  const [copy] = copiesOf(actor);
+  assertDeepEqual(copy.system.actions, weaponTrainingSource.system.actions, 'Cloned from the original');
+});
+
+await asyncTest('An unresolvable base feature still produces a class-feature copy', async () => {
+  const data = await Applicator._buildModifiedFeatureCopyData(thfParsed, [{
+    status: 'modified',
+    level: 5,
+    name: 'Mystery',
+    archetypeFeature: { name: 'Mystery', description: 'Text.', matchedAssociation: { uuid: 'Compendium.missing.Item.x' } }
+  }]);
+  assertEqual(data.length, 1, 'Copy built');
+  assertEqual(data[0].type, 'feat', 'Feat');
+  assertEqual(data[0].system.subType, 'classFeat', 'Class feature subtype');
+  assert(data[0].system.description.value.includes('Modified by Two-Handed Fighter'), 'Header kept');
+  assertEqual(data[0].flags['archetype-manager'].sourceUuid, 'Compendium.missing.Item.x', 'Source still recorded');
+});
+
+// =====================================================
+// Section 2: Class progression
+// =====================================================
+console.log('\n--- Section 2: Class progression ---');
+
+await asyncTest('The copy replaces the base item in the class link map at its level', async () => {
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, thfParsed, thfDiff);
+  const [copy] = copiesOf(actor);
+  assertEqual(links(classItem)[copy.id], 5, 'Copy linked at level 5');
+  assert(!('weaponTrain00001' in links(classItem)), 'Base item unlinked');
+  assertEqual(actor.items.get('weaponTrain00001'), undefined, 'Base item removed');
+  assertEqual(copiesOf(actor).length, 1, 'Exactly one copy');
+  assertEqual(actor.items.filter(i => i.name?.startsWith('Weapon Training')).length, 1, 'No compendium duplicate');
+});
+
+await asyncTest('A dry run lists the copy and its link', async () => {
+  const { actor, classItem } = makeFixture();
+  const plan = await Applicator.apply(actor, classItem, thfParsed, thfDiff, { dryRun: true });
+  const copy = plan.itemsToCreate.find(d => d.flags['archetype-manager'].isModifiedCopy);
+  assert(copy?._id, 'Copy has a pre-assigned ID');
+  assertEqual(plan.classItemUpdate['flags.pf1.links.classAssociations'][copy._id], 5, 'Link planned');
+});
+
+await asyncTest('Removing the archetype deletes the copy and restores the base item exactly', async () => {
+  const { actor, classItem } = makeFixture();
+  const original = snapshot(actor, classItem);
+  await Applicator.apply(actor, classItem, thfParsed, thfDiff);
+  await Applicator.remove(actor, classItem, 'two-handed-fighter');
+  assertEqual(copiesOf(actor).length, 0, 'Copy deleted');
+  assertEqual(snapshot(actor, classItem), original, 'Items and links restored');
+});
+
+await asyncTest('Undo and redo round-trip the copy', async () => {
+  const { actor, classItem } = makeFixture();
+  const original = snapshot(actor, classItem);
+  await Applicator.apply(actor, classItem, thfParsed, thfDiff);
+  const applied = snapshot(actor, classItem);
+  await Applicator.undo(actor);
+  assertEqual(snapshot(actor, classItem), original, 'Undo restores the base item');
+  await Applicator.redo(actor);
+  assertEqual(snapshot(actor, classItem), applied, 'Redo brings back the same copy');
+});
+
+await asyncTest('A later archetype replacing the modified feature stores the copy until it is removed', async () => {
+  const { actor, classItem } = makeFixture();
+  await Applicator.apply(actor, classItem, thfParsed, thfDiff);
+  const [copy] = copiesOf(actor);
+  const guardian = {
+    name: 'Weapon Guardian', level: 5, type: 'replacement', target: 'weapon training',
+    uuid: UUID.weaponMaster, matchedAssociation: { uuid: UUID.thfWeaponTraining, level: 5 }
+  };
+  const guardianParsed = { name: 'Guardian', slug: 'guardian', class: 'Fighter', features: [guardian] };
+  await Applicator.apply(actor, classItem, guardianParsed, [
+    { status: 'unchanged', level: 2, name: 'Bravery', original: { uuid: UUID.bravery, level: 2 } },
+    { status: 'removed', level: 5, name: 'Weapon Training', original: { uuid: UUID.thfWeaponTraining, level: 5 } },
+    { status: 'added', level: 5, name: 'Weapon Guardian', archetypeFeature: guardian }
+  ]);
+  assertEqual(actor.items.get(copy.id), undefined, 'Copy removed while replaced');
+  assertEqual(classItem.getFlag('archetype-manager', 'removedFeatures')[UUID.thfWeaponTraining]._id, copy.id, 'Copy stored');
+
+  await Applicator.remove(actor, classItem, 'guardian');
+  assert(actor.items.get(copy.id), 'Copy back with its ID');
+  assertEqual(links(classItem)[copy.id], 5, 'Copy relinked');
+});
+
+// =====================================================
+// Summary
+// =====================================================
+console.log(`\n${'='.repeat(50)}`);
+console.log(`Feature #119 Results: ${passed}/${totalTests} passed, ${failed} failed`);
+console.log(`${'='.repeat(50)}\n`);
+
+if (failed > 0) process.exit(1);
@@ -0,0 +1,284 @@
+/**
+ * Test Suite for Feature #120: Archetype edits to class skills and proficiencies
+ *
+ * Verifies that classEdits declared in JE archetype data and fixes reach the parsed
+ * archetype, that apply edits system.classSkills / armorProf / weaponProf on the class item,
+ * and that remove, restore, stacking rebuilds, undo and rollback bring the fields back
+ * exactly from the originalClassFields backup.
+ */
+
+import { setupMockEnvironment, createMockClassItem, createMockActor } from './foundry-mock.mjs';
+
+let passed = 0;
+let failed = 0;
+let totalTests = 0;
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${message || 'Deep equality failed'}: expected ${e}, got ${a}`);
+  }
+}
+
+function test(name, fn) {
+  totalTests++;
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+async function asyncTest(name, fn) {
+  totalTests++;
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+
+setupMockEnvironment();
+
+const { Applicator } = await import('../scripts/applicator.mjs');
+const { ClassEdits } = await import('../scripts/class-edits.mjs');
+const { ArchetypeAPI } = await import('../scripts/archetype-api.mjs');
+const { CompendiumParser } = await import('../scripts/compendium-parser.mjs');
+const { JournalEntryDB } = await import('../scripts/journal-db.mjs');
+const { UIManager } = await import('../scripts/ui-manager.mjs');
+
+console.log('\n=== Feature #120: Archetype edits to class skills and proficiencies ===\n');
+
+// =====================================================
+// Fixtures
+// =====================================================
+
+globalThis.fromUuid = async (uuid) => uuid === 'Compendium.pf1.class-abilities.Bravery' ? { name: 'Bravery' } : null;
+
+const brawlerEdits = {
+  classSkills: { add: 'kna', remove: ['dip'] },
+  armorProf: { remove: ['hvy'] },
+  weaponProf: { add: ['Longsword', 'sim'] }
+};
+
+await JournalEntryDB.ensureDatabase();
+await JournalEntryDB.writeSection('custom', {
+  'brawler': {
+    name: 'Brawler',
+    class: 'fighter',
+    features: { 'close-control': { level: 2, replaces: 'Bravery', description: 'Close control.' } },
+    classEdits: brawlerEdits
+  },
+  'woodsman': {
+    name: 'Woodsman',
+    class: 'fighter',
+    features: { 'trailblazer': { level: 1, description: 'Trailblazer.' } },
+    classEdits: { classSkills: { add: ['sur'] }, armorProf: { remove: ['med'] } }
+  }
+});
+
+function makeFixture() {
+  const classItem = createMockClassItem('Fighter', 5, 'fighter');
+  classItem.system.links.classAssociations = [{ uuid: 'Compendium.pf1.class-abilities.Bravery', level: 2 }];
+  classItem.system.classSkills = { clm: true, dip: true, int: true };
+  classItem.system.armorProf = { value: ['lgt', 'med', 'hvy', 'shl', 'twr'], custom: [] };
+  classItem.system.weaponProf = { value: ['sim', 'mar'], custom: 'Spiked chain' };
+  const actor = createMockActor('Valeros', [classItem]);
+  actor.isOwner = true;
+  return { actor, classItem };
+}
+
+const fields = (classItem) => JSON.stringify({
+  classSkills: classItem.system.classSkills,
+  armorProf: classItem.system.armorProf,
+  weaponProf: classItem.system.weaponProf
+});
+
+// =====================================================
+// Section 1: ClassEdits
+// =====================================================
+console.log('--- Section 1: ClassEdits ---');
+
+test('normalize() turns single values into lists and drops unknown fields', () => {
+  assertDeepEqual(ClassEdits.normalize({ classSkills: { add: 'kna' }, hitDie: { add: ['d12'] } }),
+    { classSkills: { add: ['kna'], remove: [] } }, 'Normalized');
+  assertEqual(ClassEdits.normalize({}), null, 'Empty block');
+  assertEqual(ClassEdits.normalize(null), null, 'Missing block');
+});
+
+test('apply() edits class skills, standard and custom proficiencies', () => {
+  const { classItem } = makeFixture();
+  const result = ClassEdits.apply(ClassEdits.capture(classItem), brawlerEdits);
+  assertDeepEqual(result.classSkills, { clm: true, dip: false, int: true, kna: true }, 'Class skills');
+  assertDeepEqual(result.armorProf.value, ['lgt', 'med', 'shl', 'twr'], 'Heavy armor removed');
+  assertEqual(result.weaponProf.custom, 'Spiked chain;Longsword', 'Custom weapon added to a string list');
+  assertDeepEqual(result.weaponProf.value, ['sim', 'mar'], 'Existing code not duplicated');
+});
+
+test('apply() supports the { base, custom[] } proficiency layout', () => {
+  const values = { classSkills: null, armorProf: { base: ['lgt'], custom: ['Hide shirts'] }, weaponProf: null };
+  const result = ClassEdits.apply(values, { armorProf: { add: ['MED'], remove: ['hide shirts'] }, weaponProf: { add: ['Whip'] } });
+  assertDeepEqual(result.armorProf, { base: ['lgt', 'med'], custom: [] }, 'Codes and custom entries edited');
+  assertDeepEqual(result.weaponProf, { value: [], custom: ['Whip'] }, 'Missing field created');
+});
+
+test('apply() does not modify its input', () => {
+  const { classItem } = makeFixture();
+  const values = ClassEdits.capture(classItem);
+  const copy = JSON.stringify(values);
+  ClassEdits.apply(values, brawlerEdits);
+  assertEqual(JSON.stringify(values), copy, 'Input unchanged');
+});
+
+test('describe() lists each edited field', () => {
+  assertDeepEqual(ClassEdits.describe(brawlerEdits), [
+    'Class skills: adds kna; removes dip',
+    'Armor proficiencies: removes hvy',
+    'Weapon proficiencies: adds Longsword, sim'
+  ], 'Description lines');
+});
+
+// =====================================================
+// Section 2: Parsing
+// =====================================================
+console.log('\n--- Section 2: Parsing ---');
+
+await asyncTest('JE archetypes carry their classEdits into the parsed archetype', async () => {
+  const parsed = await CompendiumParser.parseArchetypeOnDemand({ name: 'Brawler', slug: 'brawler', source: 'custom', class: 'fighter' }, [], 'fighter');
+  assertDeepEqual(parsed.classEdits, brawlerEdits, 'classEdits passed through');
+});
+
+await asyncTest('JE fixes add classEdits to compendium archetypes', async () => {
+  await JournalEntryDB.setArchetype('fixes', 'lore-warden', { features: {}, classEdits: { classSkills: { add: ['kar'] } } });
+  const parsed = await CompendiumParser.parseArchetype({ name: 'Lore Warden' }, [], [], 'fighter');
+  assertDeepEqual(parsed.classEdits, { classSkills: { add: ['kar'] } }, 'Fix classEdits applied');
+});
+
+test('The preview lists the class changes', () => {
+  const html = UIManager._buildPreviewHTML({ name: 'Brawler', classEdits: brawlerEdits }, []);
+  assert(html.includes('Class Changes'), 'Section shown');
+  assert(html.includes('Armor proficiencies: removes hvy'), 'Edit listed');
+  assert(!UIManager._buildPreviewHTML({ name: 'Plain' }, []).includes('Class Changes'), 'No section without edits');
+});
+
+// =====================================================
+// Section 3: Apply, remove and rollback
+// =====================================================
+console.log('\n--- Section 3: Apply, remove and rollback ---');
+
+await asyncTest('Apply edits the class item and backs up the original fields', async () => {
+  const { actor, classItem } = makeFixture();
+  const original = JSON.parse(fields(classItem));
+  const result = await ArchetypeAPI.apply(actor, 'fighter', 'brawler');
+  assertEqual(result.success, true, 'Applied');
+  assertEqual(classItem.system.classSkills.kna, true, 'Class skill added');
+  assertEqual(classItem.system.classSkills.dip, false, 'Class skill removed');
+  assert(!classItem.system.armorProf.value.includes('hvy'), 'Heavy armor removed');
+  assertDeepEqual(classItem.getFlag('archetype-manager', 'originalClassFields'), { ...original, casting: null, hd: null, bab: null, savingThrows: null, skillsPerLevel: null }, 'Backup stored');
+});
+
+await asyncTest('Remove restores the fields exactly', async () => {
+  const { actor, classItem } = makeFixture();
+  const original = fields(classItem);
+  await ArchetypeAPI.apply(actor, 'fighter', 'brawler');
+  await ArchetypeAPI.remove(actor, 'fighter', 'brawler');
+  assertEqual(fields(classItem), original, 'Fields restored');
+  assertEqual(classItem.system.classSkills.kna, undefined, 'Added skill key removed, not just set false');
+  assertEqual(classItem.getFlag('archetype-manager', 'originalClassFields'), null, 'Backup cleared');
+});
+
+await asyncTest('Removing one of two archetypes rebuilds the other\'s edits from the backup', async () => {
+  const { actor, classItem } = makeFixture();
+  const original = JSON.parse(fields(classItem));
+  await ArchetypeAPI.apply(actor, 'fighter', 'brawler');
+  await ArchetypeAPI.apply(actor, 'fighter', 'woodsman');
+  assertDeepEqual(classItem.system.armorProf.value, ['lgt', 'shl', 'twr'], 'Both armor edits applied');
+
+  await ArchetypeAPI.remove(actor, 'fighter', 'brawler');
+  assertDeepEqual(classItem.system.classSkills, { ...original.classSkills, sur: true }, 'Only Woodsman skills remain');
+  assertDeepEqual(classItem.system.armorProf.value, ['lgt', 'hvy', 'shl', 'twr'], 'Only Woodsman armor edit remains');
+  assertEqual(classItem.system.weaponProf.custom, 'Spiked chain', 'Brawler weapon edit gone');
+});
+
+await asyncTest('Restore from backup resets the fields', async () => {
+  const { actor, classItem } = makeFixture();
+  const original = fields(classItem);
+  await ArchetypeAPI.apply(actor, 'fighter', 'brawler');
+  await ArchetypeAPI.apply(actor, 'fighter', 'woodsman');
+  await Applicator.restoreFromBackup(actor, classItem);
+  assertEqual(fields(classItem), original, 'Fields restored');
+});
+
+await asyncTest('Undo and redo round-trip the fields', async () => {
+  const { actor, classItem } = makeFixture();
+  const original = fields(classItem);
+  await ArchetypeAPI.apply(actor, 'fighter', 'brawler');
+  const applied = fields(classItem);
+  await Applicator.undo(actor);
+  assertEqual(fields(classItem), original, 'Undo restores');
+  await Applicator.redo(actor);
+  assertEqual(fields(classItem), applied, 'Redo re-applies');
+});
+
+await asyncTest('A failed apply rolls the fields back', async () => {
+  const { actor, classItem } = makeFixture();
+  const original = fields(classItem);
+  const origSetFlag = actor.setFlag.bind(actor);
+  actor.setFlag = async (scope, key, value) => {
+    if (key === 'appliedArchetypes' && value) throw new Error('Simulated disconnect');
+    return origSetFlag(scope, key, value);
+  };
+  const origError = console.error;
+  console.error = () => {};
+  const result = await ArchetypeAPI.apply(actor, 'fighter', 'brawler');
+  console.error = origError;
+  assertEqual(result.success, false, 'Apply failed');
+  assertEqual(fields(classItem), original, 'Fields rolled back');
+});
+
+await asyncTest('A dry run shows the field updates without writing them', async () => {
+  const { actor, classItem } = makeFixture();
+  const original = fields(classItem);
+  const { plan } = await ArchetypeAPI.apply(actor, 'fighter', 'brawler', { dryRun: true });
+  assertEqual(plan.classItemUpdate['system.classSkills'].kna, true, 'Class skill update planned');
+  assert(plan.classItemUpdate['system.armorProf'], 'Armor update planned');
+  assertEqual(fields(classItem), original, 'Nothing written');
+});
+
+await asyncTest('Archetypes applied before field tracking leave the fields alone on removal', async () => {
+  const { actor, classItem } = makeFixture();
+  await ArchetypeAPI.apply(actor, 'fighter', 'brawler');
+  await classItem.update({ 'flags.archetype-manager.-=originalClassFields': null });
+  const edited = fields(classItem);
+  await ArchetypeAPI.remove(actor, 'fighter', 'brawler');
+  assertEqual(fields(classItem), edited, 'Fields untouched without a backup');
+});
+
+// =====================================================
+// Summary
+// =====================================================
+console.log(`\n${'='.repeat(50)}`);
+console.log(`Feature #120 Results: ${passed}/${totalTests} passed, ${failed} failed`);
+console.log(`${'='.repeat(50)}\n`);
+
+if (failed > 0) process.exit(1);
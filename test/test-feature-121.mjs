@@ -0,0 +1,322 @@
+/**
+ * Test Suite for Feature #121: Spellcasting modifications
+ *
+ * Verifies that spellcasting blocks declared in JE archetype data and fixes reach the parsed
+ * archetype and get their own preview section, that apply edits the class item's
+ * system.casting and the actor's linked spellbook, and that remove, restore, stacking, undo
+ * and rollback revert exactly the spellbook paths the archetypes touched.
+ */
+
+import { setupMockEnvironment, createMockClassItem, createMockActor } from './foundry-mock.mjs';
+
+let passed = 0;
+let failed = 0;
+let totalTests = 0;
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${message || 'Deep equality failed'}: expected ${e}, got ${a}`);
+  }
+}
+
+function test(name, fn) {
+  totalTests++;
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+async function asyncTest(name, fn) {
+  totalTests++;
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+
+setupMockEnvironment();
+
+const { Applicator } = await import('../scripts/applicator.mjs');
+const { ClassEdits } = await import('../scripts/class-edits.mjs');
+const { ArchetypeAPI } = await import('../scripts/archetype-api.mjs');
+const { CompendiumParser } = await import('../scripts/compendium-parser.mjs');
+const { JournalEntryDB } = await import('../scripts/journal-db.mjs');
+const { UIManager } = await import('../scripts/ui-manager.mjs');
+
+console.log('\n=== Feature #121: Spellcasting modifications ===\n');
+
+// =====================================================
+// Fixtures
+// =====================================================
+
+globalThis.fromUuid = async () => null;
+
+await JournalEntryDB.ensureDatabase();
+await JournalEntryDB.writeSection('custom', {
+  'sacred-servant': {
+    name: 'Sacred Servant',
+    class: 'paladin',
+    features: { 'divine-bond': { level: 5, description: 'Holy symbol bond.' } },
+    spellcasting: {
+      casting: { ability: 'wis', domainSlots: 1 },
+      spellbook: { ability: 'wis', domainSlotValue: 1 }
+    }
+  },
+  'tortured-crusader': {
+    name: 'Tortured Crusader',
+    class: 'paladin',
+    features: { 'bad-luck': { level: 1, description: 'Bad luck.' } },
+    spellcasting: { diminished: true }
+  },
+  'warrior-of-the-holy-light': {
+    name: 'Warrior of the Holy Light',
+    class: 'paladin',
+    features: { 'power-of-faith': { level: 4, description: 'Power of faith.' } },
+    spellcasting: { spellbook: { ability: 'cha', castPerDayAllOffsetFormula: '-2' } }
+  }
+});
+
+/**
+ * Actor with a dotted-path update() like a Foundry document
+ */
+function createSpellcastingActor(name, classItems) {
+  const actor = createMockActor(name, classItems);
+  actor.isOwner = true;
+  actor.updates = [];
+  actor.system = {
+    attributes: {
+      spells: {
+        spellbooks: {
+          primary: { class: 'paladin', ability: 'cha', kind: 'divine', spells: { spell1: { value: 1 } } },
+          secondary: { class: '_hd', ability: 'int' }
+        }
+      }
+    }
+  };
+  actor.update = async function(data) {
+    this.updates.push(data);
+    for (const [path, value] of Object.entries(data)) {
+      const parts = path.split('.');
+      let current = this;
+      for (const part of parts.slice(0, -1)) current = current[part] ??= {};
+      const key = parts.at(-1);
+      if (key.startsWith('-=')) delete current[key.slice(2)];
+      else current[key] = JSON.parse(JSON.stringify(value));
+    }
+  };
+  return actor;
+}
+
+function makeFixture({ spellbook = true } = {}) {
+  const classItem = createMockClassItem('Paladin', 6, 'paladin');
+  classItem.system.casting = { type: 'prepared', progression: 'low', ability: 'cha', spells: 'divine' };
+  const actor = createSpellcastingActor('Seelah', [classItem]);
+  if (!spellbook) delete actor.system.attributes.spells.spellbooks.primary;
+  return { actor, classItem };
+}
+
+const book = (actor) => actor.system.attributes.spells.spellbooks.primary;
+const snapshot = (actor, classItem) => JSON.stringify({ casting: classItem.system.casting, books: actor.system.attributes.spells.spellbooks });
+
+// =====================================================
+// Section 1: ClassEdits spellcasting helpers
+// =====================================================
+console.log('--- Section 1: ClassEdits spellcasting helpers ---');
+
+test('normalizeSpellcasting() expands the diminished shorthand', () => {
+  assertDeepEqual(ClassEdits.normalizeSpellcasting({ diminished: true }),
+    { casting: null, spellbook: { castPerDayAllOffsetFormula: '-1' } }, 'Diminished');
+  assertDeepEqual(ClassEdits.normalizeSpellcasting({ diminished: true, spellbook: { castPerDayAllOffsetFormula: '-2' } }).spellbook,
+    { castPerDayAllOffsetFormula: '-2' }, 'Explicit offset wins');
+  assertEqual(ClassEdits.normalizeSpellcasting({ casting: {} }), null, 'Empty block');
+});
+
+test('describeSpellcasting() lists casting and spellbook changes', () => {
+  assertDeepEqual(ClassEdits.describeSpellcasting({ casting: { ability: 'wis' }, diminished: true }), [
+    'Casting ability: wis',
+    'Spells per day: -1 per spell level'
+  ], 'Description lines');
+});
+
+test('applyArchetype() merges casting changes into system.casting', () => {
+  const { classItem } = makeFixture();
+  const result = ClassEdits.applyArchetype(ClassEdits.capture(classItem), { spellcasting: { casting: { ability: 'wis' } } });
+  assertDeepEqual(result.casting, { type: 'prepared', progression: 'low', ability: 'wis', spells: 'divine' }, 'Merged');
+});
+
+// =====================================================
+// Section 2: Parsing and preview
+// =====================================================
+console.log('\n--- Section 2: Parsing and preview ---');
+
+await asyncTest('JE archetypes and fixes carry their spellcasting block', async () => {
+  const parsed = await CompendiumParser.parseArchetypeOnDemand({ name: 'Tortured Crusader', slug: 'tortured-crusader', source: 'custom', class: 'paladin' }, [], 'paladin');
+  assertDeepEqual(parsed.spellcasting, { diminished: true }, 'JE entry');
+  await JournalEntryDB.setArchetype('fixes', 'eldritch-scion', { features: {}, spellcasting: { casting: { type: 'spontaneous', ability: 'cha' } } });
+  const fixed = await CompendiumParser.parseArchetype({ name: 'Eldritch Scion' }, [], [], 'magus');
+  assertEqual(fixed.spellcasting.casting.type, 'spontaneous', 'JE fix');
+});
+
+test('The preview shows spellcasting in its own section', () => {
+  const html = UIManager._buildPreviewHTML({ name: 'Tortured Crusader', spellcasting: { diminished: true } }, []);
+  assert(html.includes('preview-spellcasting'), 'Section shown');
+  assert(html.includes('Spells per day: -1 per spell level'), 'Change listed');
+  assert(!html.includes('Class Changes'), 'Not mixed into class changes');
+  assert(!UIManager._buildPreviewHTML({ name: 'Plain' }, []).includes('preview-spellcasting'), 'No section without changes');
+});
+
+// =====================================================
+// Section 3: Apply and revert
+// =====================================================
+console.log('\n--- Section 3: Apply and revert ---');
+
+await asyncTest('Apply edits system.casting and the linked spellbook', async () => {
+  const { actor, classItem } = makeFixture();
+  const result = await ArchetypeAPI.apply(actor, 'paladin', 'sacred-servant');
+  assertEqual(result.success, true, 'Applied');
+  assertEqual(classItem.system.casting.ability, 'wis', 'Casting ability');
+  assertEqual(classItem.system.casting.domainSlots, 1, 'Domain slots');
+  assertEqual(book(actor).ability, 'wis', 'Spellbook ability');
+  assertEqual(book(actor).domainSlotValue, 1, 'Spellbook domain slots');
+  assertEqual(actor.system.attributes.spells.spellbooks.secondary.ability, 'int', 'Other spellbooks untouched');
+  assertDeepEqual(classItem.getFlag('archetype-manager', 'originalSpellbook'),
+    { key: 'primary', values: { ability: 'cha', domainSlotValue: null } }, 'Only touched paths backed up');
+});
+
+await asyncTest('Remove reverts exactly and keeps slot usage made in the meantime', async () => {
+  const { actor, classItem } = makeFixture();
+  await ArchetypeAPI.apply(actor, 'paladin', 'sacred-servant');
+  book(actor).spells.spell1.value = 0;
+  const expected = JSON.parse(snapshot(actor, classItem));
+  expected.casting = { type: 'prepared', progression: 'low', ability: 'cha', spells: 'divine' };
+  expected.books.primary = { class: 'paladin', ability: 'cha', kind: 'divine', spells: { spell1: { value: 0 } } };
+  await ArchetypeAPI.remove(actor, 'paladin', 'sacred-servant');
+  assertEqual(snapshot(actor, classItem), JSON.stringify(expected), 'Casting and spellbook reverted');
+  assert(!('domainSlotValue' in book(actor)), 'Added field deleted, not nulled');
+  assertEqual(classItem.getFlag('archetype-manager', 'originalSpellbook'), null, 'Backup cleared');
+});
+
+await asyncTest('Diminished spellcasting sets and clears the per-day offset', async () => {
+  const { actor, classItem } = makeFixture();
+  const original = snapshot(actor, classItem);
+  await ArchetypeAPI.apply(actor, 'paladin', 'tortured-crusader');
+  assertEqual(book(actor).castPerDayAllOffsetFormula, '-1', 'Offset set');
+  await ArchetypeAPI.remove(actor, 'paladin', 'tortured-crusader');
+  assertEqual(snapshot(actor, classItem), original, 'Offset cleared');
+});
+
+await asyncTest('Stacked archetypes rebuild shared spellbook paths in order', async () => {
+  const { actor, classItem } = makeFixture();
+  const original = snapshot(actor, classItem);
+  await ArchetypeAPI.apply(actor, 'paladin', 'tortured-crusader');
+  await ArchetypeAPI.apply(actor, 'paladin', 'warrior-of-the-holy-light', { force: true });
+  assertEqual(book(actor).castPerDayAllOffsetFormula, '-2', 'Later archetype wins');
+
+  await ArchetypeAPI.remove(actor, 'paladin', 'warrior-of-the-holy-light');
+  assertEqual(book(actor).castPerDayAllOffsetFormula, '-1', 'Earlier value back');
+  assertEqual(book(actor).ability, 'cha', 'Ability unchanged');
+
+  await ArchetypeAPI.apply(actor, 'paladin', 'warrior-of-the-holy-light', { force: true });
+  await ArchetypeAPI.remove(actor, 'paladin', 'tortured-crusader');
+  assertEqual(book(actor).castPerDayAllOffsetFormula, '-2', 'Remaining archetype keeps its value');
+  await ArchetypeAPI.remove(actor, 'paladin', 'warrior-of-the-holy-light');
+  assertEqual(snapshot(actor, classItem), original, 'Everything reverted');
+});
+
+await asyncTest('Restore from backup reverts every archetype\'s spellcasting', async () => {
+  const { actor, classItem } = makeFixture();
+  const original = snapshot(actor, classItem);
+  await ArchetypeAPI.apply(actor, 'paladin', 'sacred-servant');
+  await ArchetypeAPI.apply(actor, 'paladin', 'tortured-crusader', { force: true });
+  const result = await Applicator.restoreFromBackup(actor, classItem);
+  assertEqual(result.success, true, 'Restored');
+  assertEqual(snapshot(actor, classItem), original, 'Reverted');
+});
+
+await asyncTest('Undo and redo round-trip the spellbook', async () => {
+  const { actor, classItem } = makeFixture();
+  const original = snapshot(actor, classItem);
+  await ArchetypeAPI.apply(actor, 'paladin', 'sacred-servant');
+  const applied = snapshot(actor, classItem);
+  await Applicator.undo(actor);
+  assertEqual(snapshot(actor, classItem), original, 'Undo reverts');
+  await Applicator.redo(actor);
+  assertEqual(snapshot(actor, classItem), applied, 'Redo re-applies');
+});
+
+await asyncTest('A failed apply rolls the spellbook back', async () => {
+  const { actor, classItem } = makeFixture();
+  const original = snapshot(actor, classItem);
+  const origSetFlag = actor.setFlag.bind(actor);
+  actor.setFlag = async (scope, key, value) => {
+    if (key === 'appliedArchetypes' && value) throw new Error('Simulated disconnect');
+    return origSetFlag(scope, key, value);
+  };
+  const origError = console.error;
+  console.error = () => {};
+  const result = await ArchetypeAPI.apply(actor, 'paladin', 'sacred-servant');
+  console.error = origError;
+  assertEqual(result.success, false, 'Apply failed');
+  assertEqual(snapshot(actor, classItem), original, 'Rolled back');
+});
+
+await asyncTest('A dry run lists the spellbook update without writing it', async () => {
+  const { actor, classItem } = makeFixture();
+  const original = snapshot(actor, classItem);
+  const { plan } = await ArchetypeAPI.apply(actor, 'paladin', 'sacred-servant', { dryRun: true });
+  assertDeepEqual(plan.actorUpdate, {
+    'system.attributes.spells.spellbooks.primary.ability': 'wis',
+    'system.attributes.spells.spellbooks.primary.domainSlotValue': 1
+  }, 'Spellbook update planned');
+  assertEqual(plan.classItemUpdate['system.casting'].ability, 'wis', 'Casting update planned');
+  assertEqual(snapshot(actor, classItem), original, 'Nothing written');
+});
+
+await asyncTest('A plan goes stale when a touched spellbook path changes', async () => {
+  const { actor, classItem } = makeFixture();
+  const { plan } = await ArchetypeAPI.apply(actor, 'paladin', 'sacred-servant', { dryRun: true });
+  book(actor).ability = 'int';
+  const result = await Applicator.executePlan(actor, classItem, plan);
+  assertEqual(result.error?.code, 'STALE_PLAN', 'Stale plan rejected');
+});
+
+await asyncTest('Classes without a linked spellbook only edit system.casting', async () => {
+  const { actor, classItem } = makeFixture({ spellbook: false });
+  await ArchetypeAPI.apply(actor, 'paladin', 'sacred-servant');
+  assertEqual(classItem.system.casting.ability, 'wis', 'Casting edited');
+  assertEqual(actor.updates.length, 0, 'No actor update');
+  assertEqual(classItem.getFlag('archetype-manager', 'originalSpellbook'), null, 'No spellbook backup');
+});
+
+// =====================================================
+// Summary
+// =====================================================
+console.log(`\n${'='.repeat(50)}`);
+console.log(`Feature #121 Results: ${passed}/${totalTests} passed, ${failed} failed`);
+console.log(`${'='.repeat(50)}\n`);
+
+if (failed > 0) process.exit(1);
@@ -0,0 +1,254 @@
+/**
+ * Test Suite for Feature #122: Archetype changes to Hit Die, saves, BAB and skill ranks
+ *
+ * Verifies that a chassis block in JE archetype data or fixes reaches the parsed archetype,
+ * that apply overrides system.hd / bab / savingThrows / skillsPerLevel on the class item,
+ * that the originals share the originalClassFields backup and come back on removal, and
+ * that the preview shows a before/after table.
+ */
+
+import { setupMockEnvironment, createMockClassItem, createMockActor } from './foundry-mock.mjs';
+
+let passed = 0;
+let failed = 0;
+let totalTests = 0;
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${message || 'Deep equality failed'}: expected ${e}, got ${a}`);
+  }
+}
+
+function test(name, fn) {
+  totalTests++;
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+async function asyncTest(name, fn) {
+  totalTests++;
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+
+setupMockEnvironment();
+
+const { Applicator } = await import('../scripts/applicator.mjs');
+const { ClassEdits } = await import('../scripts/class-edits.mjs');
+const { ArchetypeAPI } = await import('../scripts/archetype-api.mjs');
+const { CompendiumParser } = await import('../scripts/compendium-parser.mjs');
+const { JournalEntryDB } = await import('../scripts/journal-db.mjs');
+const { UIManager } = await import('../scripts/ui-manager.mjs');
+
+console.log('\n=== Feature #122: Archetype changes to Hit Die, saves, BAB and skill ranks ===\n');
+
+// =====================================================
+// Fixtures
+// =====================================================
+
+globalThis.fromUuid = async (uuid) => uuid === 'Compendium.pf1.class-abilities.Bravery' ? { name: 'Bravery' } : null;
+
+const brutishChassis = { hd: 'd12', bab: 'full', savingThrows: { fort: 'good', will: 'poor' }, skillsPerLevel: 1 };
+
+await JournalEntryDB.ensureDatabase();
+await JournalEntryDB.writeSection('custom', {
+  'brute': {
+    name: 'Brute',
+    class: 'rogue',
+    features: { 'hulking': { level: 1, description: 'Hulking.' } },
+    chassis: brutishChassis
+  },
+  'scout': {
+    name: 'Scout',
+    class: 'rogue',
+    features: { 'pathfinder': { level: 2, description: 'Pathfinder.' } },
+    chassis: { savingThrows: { will: 'high' } },
+    classEdits: { classSkills: { add: ['sur'] } }
+  }
+});
+
+function makeFixture() {
+  const classItem = createMockClassItem('Rogue', 5, 'rogue');
+  classItem.system.links.classAssociations = [{ uuid: 'Compendium.pf1.class-abilities.Bravery', level: 2 }];
+  classItem.system.hd = 8;
+  classItem.system.bab = 'med';
+  classItem.system.savingThrows = { fort: { value: 'low' }, ref: { value: 'high' }, will: { value: 'low' } };
+  classItem.system.skillsPerLevel = 8;
+  classItem.system.classSkills = { acr: true };
+  const actor = createMockActor('Merisiel', [classItem]);
+  actor.isOwner = true;
+  return { actor, classItem };
+}
+
+const chassis = (classItem) => JSON.stringify({
+  hd: classItem.system.hd,
+  bab: classItem.system.bab,
+  savingThrows: classItem.system.savingThrows,
+  skillsPerLevel: classItem.system.skillsPerLevel
+});
+
+// =====================================================
+// Section 1: ClassEdits
+// =====================================================
+console.log('--- Section 1: ClassEdits ---');
+
+test('normalizeChassis() spells values the way PF1 stores them', () => {
+  assertDeepEqual(ClassEdits.normalizeChassis(brutishChassis),
+    { hd: 12, bab: 'high', savingThrows: { fort: 'high', will: 'low' }, skillsPerLevel: 1 }, 'Normalized');
+});
+
+test('normalizeChassis() drops invalid values', () => {
+  assertDeepEqual(ClassEdits.normalizeChassis({ hd: 'big', bab: 'fast', savingThrows: { fort: 'high', luck: 'high' }, skillsPerLevel: 0 }),
+    { savingThrows: { fort: 'high' }, skillsPerLevel: 0 }, 'Only valid values kept');
+  assertEqual(ClassEdits.normalizeChassis({ bab: 'fast' }), null, 'Nothing valid');
+  assertEqual(ClassEdits.normalizeChassis(null), null, 'Missing block');
+});
+
+test('applyArchetype() overrides only the declared chassis values', () => {
+  const { classItem } = makeFixture();
+  const result = ClassEdits.applyArchetype(ClassEdits.capture(classItem), { chassis: { savingThrows: { will: 'high' }, hd: 10 } });
+  assertEqual(result.hd, 10, 'Hit die');
+  assertEqual(result.bab, 'med', 'BAB untouched');
+  assertDeepEqual(result.savingThrows, { fort: { value: 'low' }, ref: { value: 'high' }, will: { value: 'high' } }, 'Saves');
+  assertEqual(result.skillsPerLevel, 8, 'Skill ranks untouched');
+});
+
+test('describeChassis() compares against the current values', () => {
+  const { classItem } = makeFixture();
+  assertDeepEqual(ClassEdits.describeChassis(brutishChassis, ClassEdits.capture(classItem)), [
+    { label: 'Hit Die', before: 'd8', after: 'd12' },
+    { label: 'Base Attack Bonus', before: 'Medium', after: 'High' },
+    { label: 'Fort Save', before: 'Low', after: 'High' },
+    { label: 'Will Save', before: 'Low', after: 'Low' },
+    { label: 'Skill Ranks per Level', before: 8, after: 1 }
+  ], 'Rows');
+  assertEqual(ClassEdits.describeChassis(brutishChassis, null)[0].before, '—', 'Unknown before value');
+});
+
+// =====================================================
+// Section 2: Parsing and preview
+// =====================================================
+console.log('\n--- Section 2: Parsing and preview ---');
+
+await asyncTest('JE archetypes carry their chassis into the parsed archetype', async () => {
+  const parsed = await CompendiumParser.parseArchetypeOnDemand({ name: 'Brute', slug: 'brute', source: 'custom', class: 'rogue' }, [], 'rogue');
+  assertDeepEqual(parsed.chassis, brutishChassis, 'chassis passed through');
+});
+
+await asyncTest('JE fixes add a chassis to compendium archetypes', async () => {
+  await JournalEntryDB.setArchetype('fixes', 'sanctified-slayer', { features: {}, chassis: { bab: 'high' } });
+  const parsed = await CompendiumParser.parseArchetype({ name: 'Sanctified Slayer' }, [], [], 'inquisitor');
+  assertDeepEqual(parsed.chassis, { bab: 'high' }, 'Fix chassis applied');
+});
+
+test('The preview shows a before/after chassis table', () => {
+  const { classItem } = makeFixture();
+  const html = UIManager._buildPreviewHTML({ name: 'Brute', chassis: brutishChassis }, [], classItem);
+  assert(html.includes('Class Chassis'), 'Section shown');
+  assert(html.includes('preview-chassis-table'), 'Table rendered');
+  assert(html.includes('d8') && html.includes('d12'), 'Hit die before and after');
+  assert(!UIManager._buildPreviewHTML({ name: 'Plain' }, [], classItem).includes('Class Chassis'), 'No section without overrides');
+});
+
+// =====================================================
+// Section 3: Apply and remove
+// =====================================================
+console.log('\n--- Section 3: Apply and remove ---');
+
+await asyncTest('Apply overrides the chassis and backs up the originals', async () => {
+  const { actor, classItem } = makeFixture();
+  const original = JSON.parse(chassis(classItem));
+  const result = await ArchetypeAPI.apply(actor, 'rogue', 'brute');
+  assertEqual(result.success, true, 'Applied');
+  assertEqual(classItem.system.hd, 12, 'Hit die');
+  assertEqual(classItem.system.bab, 'high', 'BAB');
+  assertEqual(classItem.system.savingThrows.fort.value, 'high', 'Fort save');
+  assertEqual(classItem.system.savingThrows.ref.value, 'high', 'Ref save untouched');
+  assertEqual(classItem.system.skillsPerLevel, 1, 'Skill ranks');
+
+  const backup = classItem.getFlag('archetype-manager', 'originalClassFields');
+  assertDeepEqual({ hd: backup.hd, bab: backup.bab, savingThrows: backup.savingThrows, skillsPerLevel: backup.skillsPerLevel },
+    original, 'Originals in the class field backup');
+});
+
+await asyncTest('Remove restores the chassis exactly', async () => {
+  const { actor, classItem } = makeFixture();
+  const original = chassis(classItem);
+  await ArchetypeAPI.apply(actor, 'rogue', 'brute');
+  await ArchetypeAPI.remove(actor, 'rogue', 'brute');
+  assertEqual(chassis(classItem), original, 'Chassis restored');
+  assertEqual(classItem.getFlag('archetype-manager', 'originalClassFields'), null, 'Backup cleared');
+});
+
+await asyncTest('Removing one of two archetypes rebuilds the other\'s overrides', async () => {
+  const { actor, classItem } = makeFixture();
+  await ArchetypeAPI.apply(actor, 'rogue', 'brute');
+  await ArchetypeAPI.apply(actor, 'rogue', 'scout');
+  assertEqual(classItem.system.savingThrows.will.value, 'high', 'Later archetype wins');
+
+  await ArchetypeAPI.remove(actor, 'rogue', 'brute');
+  assertEqual(classItem.system.hd, 8, 'Hit die restored');
+  assertEqual(classItem.system.bab, 'med', 'BAB restored');
+  assertDeepEqual(classItem.system.savingThrows, { fort: { value: 'low' }, ref: { value: 'high' }, will: { value: 'high' } }, 'Only Scout saves remain');
+  assertEqual(classItem.system.classSkills.sur, true, 'Scout class skill kept');
+});
+
+await asyncTest('Undo restores the chassis', async () => {
+  const { actor, classItem } = makeFixture();
+  const original = chassis(classItem);
+  await ArchetypeAPI.apply(actor, 'rogue', 'brute');
+  await Applicator.undo(actor);
+  assertEqual(chassis(classItem), original, 'Undo restores');
+});
+
+await asyncTest('Backups made before chassis tracking are completed on the next apply', async () => {
+  const { actor, classItem } = makeFixture();
+  await ArchetypeAPI.apply(actor, 'rogue', 'scout');
+  assertEqual(classItem.system.savingThrows.will.value, 'high', 'Scout applied');
+  const { classSkills, armorProf, weaponProf, casting } = classItem.getFlag('archetype-manager', 'originalClassFields');
+  await classItem.setFlag('archetype-manager', 'originalClassFields', { classSkills, armorProf, weaponProf, casting });
+
+  await ArchetypeAPI.apply(actor, 'rogue', 'brute');
+  await ArchetypeAPI.remove(actor, 'rogue', 'brute');
+  assertEqual(classItem.system.hd, 8, 'Hit die restored');
+  assertEqual(classItem.system.bab, 'med', 'BAB restored');
+  assertEqual(classItem.system.savingThrows.fort.value, 'low', 'Fort save restored');
+  assertEqual(classItem.system.savingThrows.will.value, 'high', 'Scout save kept');
+  assertEqual(classItem.system.skillsPerLevel, 8, 'Skill ranks restored');
+});
+
+// =====================================================
+// Summary
+// =====================================================
+console.log(`\n${'='.repeat(50)}`);
+console.log(`Feature #122 Results: ${passed}/${totalTests} passed, ${failed} failed`);
+console.log(`${'='.repeat(50)}\n`);
+
+if (failed > 0) process.exit(1);
@@ -0,0 +1,275 @@
+/**
+ * Test Suite for Feature #123: Split "replaces X, Y, and Z" into several replacement targets
+ *
+ * Verifies that compound replacement targets (commas, "and", "as well as", "and the ...
+ * gained at Nth level") are split into individual targets, that each target is matched
+ * to its own classAssociations entry, and that DiffEngine removes and ConflictChecker
+ * conflict-checks every one of them.
+ */
+
+import { setupMockEnvironment } from './foundry-mock.mjs';
+
+let passed = 0;
+let failed = 0;
+let totalTests = 0;
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${message || 'Deep equality failed'}: expected ${e}, got ${a}`);
+  }
+}
+
+function test(name, fn) {
+  totalTests++;
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+async function asyncTest(name, fn) {
+  totalTests++;
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+
+setupMockEnvironment();
+
+const { CompendiumParser } = await import('../scripts/compendium-parser.mjs');
+const { DiffEngine } = await import('../scripts/diff-engine.mjs');
+const { ConflictChecker } = await import('../scripts/conflict-checker.mjs');
+const { JournalEntryDB } = await import('../scripts/journal-db.mjs');
+const { UIManager } = await import('../scripts/ui-manager.mjs');
+
+console.log('\n=== Feature #123: Split compound replacement targets ===\n');
+
+// =====================================================
+// Fixtures
+// =====================================================
+
+const names = {
+  'Compendium.pf1.class-abilities.Bravery': 'Bravery',
+  'Compendium.pf1.class-abilities.ArmorTraining1': 'Armor Training 1',
+  'Compendium.pf1.class-abilities.ArmorTraining2': 'Armor Training 2',
+  'Compendium.pf1.class-abilities.WeaponTraining1': 'Weapon Training 1',
+  'Compendium.pf1.class-abilities.ArmorMastery': 'Armor Mastery',
+  'Compendium.pf1.class-abilities.WeaponArmorProf': 'Weapon and Armor Proficiency'
+};
+globalThis.fromUuid = async (uuid) => names[uuid] ? { name: names[uuid] } : null;
+
+const baseAssociations = [
+  { uuid: 'Compendium.pf1.class-abilities.WeaponArmorProf', level: 1 },
+  { uuid: 'Compendium.pf1.class-abilities.Bravery', level: 2 },
+  { uuid: 'Compendium.pf1.class-abilities.ArmorTraining1', level: 3 },
+  { uuid: 'Compendium.pf1.class-abilities.WeaponTraining1', level: 5 },
+  { uuid: 'Compendium.pf1.class-abilities.ArmorTraining2', level: 7 },
+  { uuid: 'Compendium.pf1.class-abilities.ArmorMastery', level: 19 }
+];
+const resolved = await CompendiumParser.resolveAssociations(baseAssociations);
+
+function featureDoc(name, text) {
+  return {
+    name,
+    uuid: `Compendium.pf1e-archetypes.pf-arch-features.Item.${name.slugify()}`,
+    system: { description: { value: `<p><strong>Level</strong>: 2</p><p>${text}</p>` } }
+  };
+}
+
+const ironclad = {
+  name: 'Ironclad',
+  slug: 'ironclad',
+  features: [{
+    name: 'Ironclad Defense',
+    level: 2,
+    type: 'replacement',
+    target: 'bravery and armor training 1',
+    targets: ['bravery', 'armor training 1'],
+    matchedAssociation: resolved[1],
+    matchedAssociations: [resolved[1], resolved[2]]
+  }]
+};
+const steelskin = {
+  name: 'Steelskin',
+  slug: 'steelskin',
+  features: [{
+    name: 'Steel Skin',
+    level: 3,
+    type: 'replacement',
+    target: 'Armor Training 1',
+    matchedAssociation: resolved[2]
+  }]
+};
+
+// =====================================================
+// Section 1: splitTargets
+// =====================================================
+console.log('--- Section 1: splitTargets ---');
+
+test('Splits on "and"', () => {
+  assertDeepEqual(CompendiumParser.splitTargets('bravery and armor training 1'), ['bravery', 'armor training 1'], 'Split');
+});
+
+test('Splits comma lists with an Oxford comma', () => {
+  assertDeepEqual(CompendiumParser.splitTargets('bravery, armor training 1, and armor mastery'),
+    ['bravery', 'armor training 1', 'armor mastery'], 'Split');
+});
+
+test('Splits on "as well as"', () => {
+  assertDeepEqual(CompendiumParser.splitTargets('bravery as well as weapon training 1'), ['bravery', 'weapon training 1'], 'Split');
+});
+
+test('Splits "and the ... gained at Nth level" and drops articles', () => {
+  assertDeepEqual(CompendiumParser.splitTargets('the bravery class feature and the armor training gained at 7th level'),
+    ['bravery', 'armor training gained at 7th level'], 'Split');
+});
+
+test('Bare tier numbers take the previous target\'s name', () => {
+  assertDeepEqual(CompendiumParser.splitTargets('armor training 1, 2, and 3'),
+    ['armor training 1', 'armor training 2', 'armor training 3'], 'Tiers expanded');
+});
+
+test('Feature names containing "and" are not split', () => {
+  assertDeepEqual(CompendiumParser.splitTargets('weapon and armor proficiency'), ['weapon and armor proficiency'], 'Known compound name');
+  assertDeepEqual(CompendiumParser.splitTargets('Hearth and Home', [{ resolvedName: 'Hearth and Home' }]),
+    ['Hearth and Home'], 'Name of a class association');
+  assertDeepEqual(CompendiumParser.splitTargets('trap sense (reflex and AC) and evasion'),
+    ['trap sense (reflex and AC)', 'evasion'], 'Parentheticals kept whole');
+});
+
+test('Single targets and empty text', () => {
+  assertDeepEqual(CompendiumParser.splitTargets('Bravery'), ['Bravery'], 'Single');
+  assertDeepEqual(CompendiumParser.splitTargets(null), [], 'Empty');
+});
+
+test('getTargets() falls back to the single target', () => {
+  assertDeepEqual(CompendiumParser.getTargets(ironclad.features[0]), ['bravery', 'armor training 1'], 'targets');
+  assertDeepEqual(CompendiumParser.getTargets(steelskin.features[0]), ['Armor Training 1'], 'target');
+  assertDeepEqual(CompendiumParser.getTargets({ type: 'additive' }), [], 'None');
+});
+
+// =====================================================
+// Section 2: Parsing
+// =====================================================
+console.log('\n--- Section 2: Parsing ---');
+
+await asyncTest('parseArchetype matches each target of a compound replacement', async () => {
+  const parsed = await CompendiumParser.parseArchetype({ name: 'Ironclad' }, [
+    featureDoc('Ironclad Defense', 'This ability replaces bravery and armor training 1.')
+  ], baseAssociations);
+  const feature = parsed.features[0];
+  assertEqual(feature.type, 'replacement', 'Type');
+  assertDeepEqual(feature.targets, ['bravery', 'armor training 1'], 'Targets');
+  assertDeepEqual(feature.matchedAssociations.map(a => a.resolvedName), ['Bravery', 'Armor Training 1'], 'Each target matched');
+  assertEqual(feature.matchedAssociation.resolvedName, 'Bravery', 'First match kept for single-target consumers');
+  assertEqual(feature.needsUserInput, false, 'No prompt needed');
+});
+
+await asyncTest('Weapon and Armor Proficiency stays one target', async () => {
+  const parsed = await CompendiumParser.parseArchetype({ name: 'Ironclad' }, [
+    featureDoc('Heavy Training', 'This replaces the weapon and armor proficiency class feature.')
+  ], baseAssociations);
+  assertDeepEqual(parsed.features[0].targets, ['weapon and armor proficiency'], 'Not split');
+  assertEqual(parsed.features[0].matchedAssociation.resolvedName, 'Weapon and Armor Proficiency', 'Matched');
+});
+
+await asyncTest('JE entries accept a compound string or a list of targets', async () => {
+  await JournalEntryDB.ensureDatabase();
+  await JournalEntryDB.writeSection('custom', {
+    'bulwark': {
+      name: 'Bulwark',
+      class: 'fighter',
+      features: {
+        'shield-wall': { level: 2, replaces: 'bravery, armor training 1, and armor mastery' },
+        'stand-fast': { level: 5, replaces: ['Weapon Training 1'] }
+      }
+    }
+  });
+  const parsed = await CompendiumParser.parseArchetypeOnDemand({ name: 'Bulwark', slug: 'bulwark', source: 'custom', class: 'fighter' }, baseAssociations, 'fighter');
+  assertDeepEqual(parsed.features[0].targets, ['bravery', 'armor training 1', 'armor mastery'], 'String split');
+  assertEqual(parsed.features[0].matchedAssociations.filter(Boolean).length, 3, 'All matched');
+  assertEqual(parsed.features[1].target, 'Weapon Training 1', 'List target');
+  assertEqual(parsed.features[1].matchedAssociation.resolvedName, 'Weapon Training 1', 'List matched');
+});
+
+// =====================================================
+// Section 3: Diff and conflicts
+// =====================================================
+console.log('\n--- Section 3: Diff and conflicts ---');
+
+test('generateDiff removes every target of a compound replacement', () => {
+  const diff = DiffEngine.generateDiff(resolved, ironclad);
+  const removed = diff.filter(d => d.status === 'removed').map(d => d.name);
+  assertDeepEqual(removed, ['Bravery', 'Armor Training 1'], 'Both removed');
+  assertEqual(diff.filter(d => d.status === 'added').length, 1, 'Feature added once');
+});
+
+test('Unmatched parts of a compound target are skipped', () => {
+  const partial = { name: 'Partial', features: [{ ...ironclad.features[0], matchedAssociations: [resolved[1], null] }] };
+  const removed = DiffEngine.generateDiff(resolved, partial).filter(d => d.status === 'removed').map(d => d.name);
+  assertDeepEqual(removed, ['Bravery'], 'Only the matched target removed');
+});
+
+test('detectConflicts checks every target', () => {
+  const conflicts = DiffEngine.detectConflicts(ironclad, steelskin);
+  assertEqual(conflicts.length, 1, 'Conflict found on the second target');
+  assertEqual(conflicts[0].featureName, 'Armor Training 1', 'Conflicting target');
+});
+
+test('ConflictChecker validates stacks target by target', () => {
+  const result = ConflictChecker.validateStacking([ironclad, steelskin]);
+  assertEqual(result.valid, false, 'Stack invalid');
+  const cumulative = ConflictChecker.getCumulativeReplacements([ironclad]);
+  assertEqual(cumulative.totalReplaced, 2, 'Both targets counted');
+});
+
+test('Applied archetypes are checked through any target', () => {
+  const tierTwo = { name: 'Tier Two', features: [{ name: 'Late Guard', type: 'replacement', target: 'Armor Training 2' }] };
+  const conflicts = ConflictChecker.checkAgainstApplied(tierTwo, [ironclad], 'fighter');
+  assert(conflicts.some(c => /armor training/i.test(c.featureName)), 'Armor Training conflict');
+  const braveryOnly = { name: 'Brave', features: [{ name: 'Fearless', type: 'replacement', target: 'Bravery' }] };
+  assertEqual(ConflictChecker.checkCanApply(braveryOnly, [ironclad], 'fighter').canApply, false, 'First target blocks too');
+});
+
+test('The conflict index records every target from descriptions', () => {
+  const index = ConflictChecker.buildConflictIndex(
+    [featureDoc('Ironclad Defense (Ironclad)', 'This ability replaces bravery and armor mastery.')],
+    [{ name: 'Ironclad', slug: 'ironclad' }],
+    'fighter'
+  );
+  const touched = index.get('ironclad');
+  assert(touched.has('bravery') && touched.has('armor mastery'), `Both touched: ${[...touched].join(', ')}`);
+});
+
+// =====================================================
+// Summary
+// =====================================================
+console.log(`\n${'='.repeat(50)}`);
+console.log(`Feature #123 Results: ${passed}/${totalTests} passed, ${failed} failed`);
+console.log(`${'='.repeat(50)}\n`);
+
+if (failed > 0) process.exit(1);
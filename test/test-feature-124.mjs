@@ -0,0 +1,256 @@
+/**
+ * Test Suite for Feature #124: Ordinal and tier-specific targets
+ *
+ * Verifies that targets naming a feature by the level it is gained at ("the 2nd-level
+ * bonus feat", "12th-level utility wild talent", "the bonus feat gained at 4th level")
+ * are parsed into (name, level) pairs, matched to the classAssociations entry or split
+ * tier at that level, and keyed per tier in conflict detection and the conflict index.
+ */
+
+import { setupMockEnvironment } from './foundry-mock.mjs';
+
+let passed = 0;
+let failed = 0;
+let totalTests = 0;
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${message || 'Deep equality failed'}: expected ${e}, got ${a}`);
+  }
+}
+
+function test(name, fn) {
+  totalTests++;
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+async function asyncTest(name, fn) {
+  totalTests++;
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+
+setupMockEnvironment();
+
+const { CompendiumParser } = await import('../scripts/compendium-parser.mjs');
+const { DiffEngine } = await import('../scripts/diff-engine.mjs');
+const { ConflictChecker } = await import('../scripts/conflict-checker.mjs');
+const { CompatibilityDB } = await import('../scripts/compatibility-db.mjs');
+
+console.log('\n=== Feature #124: Ordinal and tier-specific targets ===\n');
+
+// =====================================================
+// Fixtures
+// =====================================================
+
+const names = {
+  'Compendium.pf1.class-abilities.BonusFeat': 'Bonus Feat',
+  'Compendium.pf1.class-abilities.Bravery': 'Bravery',
+  'Compendium.pf1.class-abilities.Hex': 'Hex',
+  'Compendium.pf1.class-abilities.MonkBonusFeat': 'Bonus Feat'
+};
+globalThis.fromUuid = async (uuid) => names[uuid] ? { name: names[uuid] } : null;
+
+// Fighter bonus feats are separate entries at each level
+const fighterBase = await CompendiumParser.resolveAssociations([
+  { uuid: 'Compendium.pf1.class-abilities.BonusFeat', level: 1 },
+  { uuid: 'Compendium.pf1.class-abilities.BonusFeat', level: 2 },
+  { uuid: 'Compendium.pf1.class-abilities.Bravery', level: 2 },
+  { uuid: 'Compendium.pf1.class-abilities.BonusFeat', level: 4 },
+  { uuid: 'Compendium.pf1.class-abilities.BonusFeat', level: 6 }
+]);
+
+// Monk bonus feats are one condensed scalable entry
+const monkBase = await CompendiumParser.resolveAssociations([
+  { uuid: 'Compendium.pf1.class-abilities.MonkBonusFeat', level: 1 }
+]);
+
+function featureDoc(name, text) {
+  return {
+    name,
+    uuid: `Compendium.pf1e-archetypes.pf-arch-features.Item.${name.slugify()}`,
+    system: { description: { value: `<p><strong>Level</strong>: 4</p><p>${text}</p>` } }
+  };
+}
+
+const archetypeWith = (name, target) => ({
+  name,
+  slug: name.slugify(),
+  features: [{ name: `${name} Feature`, type: 'replacement', target, matchedAssociation: fighterBase[0] }]
+});
+
+// =====================================================
+// Section 1: parseTargetLevel
+// =====================================================
+console.log('--- Section 1: parseTargetLevel ---');
+
+test('Ordinal-level prefixes', () => {
+  assertDeepEqual(CompendiumParser.parseTargetLevel('the 2nd-level bonus feat'), { name: 'bonus feat', level: 2 }, '2nd-level');
+  assertDeepEqual(CompendiumParser.parseTargetLevel('12th-level utility wild talent'), { name: 'utility wild talent', level: 12 }, '12th-level');
+  assertDeepEqual(CompendiumParser.parseTargetLevel('the 6th level hex'), { name: 'hex', level: 6 }, 'Without hyphen');
+});
+
+test('"gained at Nth level" suffixes', () => {
+  assertDeepEqual(CompendiumParser.parseTargetLevel('the bonus feat gained at 4th level'), { name: 'bonus feat', level: 4 }, 'gained at');
+  assertDeepEqual(CompendiumParser.parseTargetLevel('bonus feat at level 6'), { name: 'bonus feat', level: 6 }, 'at level N');
+  assertDeepEqual(CompendiumParser.parseTargetLevel('the bonus feats gained at 1st level'), { name: 'bonus feat', level: 1 }, 'Plural made singular');
+});
+
+test('Ordinal words', () => {
+  assertDeepEqual(CompendiumParser.parseTargetLevel('the second-level bonus feat'), { name: 'bonus feat', level: 2 }, 'second-level');
+  assertDeepEqual(CompendiumParser.parseTargetLevel('the hex gained at tenth level'), { name: 'hex', level: 10 }, 'at tenth level');
+});
+
+test('Targets without a level are unchanged', () => {
+  assertDeepEqual(CompendiumParser.parseTargetLevel('Armor Training 1'), { name: 'Armor Training 1', level: null }, 'Tier number is not a level');
+  assertDeepEqual(CompendiumParser.parseTargetLevel('bonus feats'), { name: 'bonus feats', level: null }, 'Plain');
+});
+
+test('Level lists split into one target per level', () => {
+  assertDeepEqual(CompendiumParser.splitTargets('bravery and the bonus feats gained at 1st and 2nd levels'),
+    ['bravery', 'bonus feats gained at 1st level', 'bonus feats gained at 2nd level'], 'Split');
+});
+
+test('targetKey() and keysOverlap()', () => {
+  assertEqual(CompendiumParser.targetKey('the 6th-level hex'), 'hex@6', 'Level key');
+  assertEqual(CompendiumParser.targetKey('Bravery'), 'bravery', 'Plain key');
+  assertEqual(CompendiumParser.keysOverlap('hex@6', 'hex@6'), true, 'Same tier');
+  assertEqual(CompendiumParser.keysOverlap('hex@6', 'hex@2'), false, 'Different tiers');
+  assertEqual(CompendiumParser.keysOverlap('hex@6', 'hex'), true, 'Whole feature overlaps a tier');
+  assertEqual(CompendiumParser.keysOverlap('hex@6', 'bravery'), false, 'Different features');
+});
+
+// =====================================================
+// Section 2: Matching and diff
+// =====================================================
+console.log('\n--- Section 2: Matching and diff ---');
+
+test('matchTarget picks the entry gained at the named level', () => {
+  assertEqual(CompendiumParser.matchTarget('the 4th-level bonus feat', fighterBase).level, 4, '4th');
+  assertEqual(CompendiumParser.matchTarget('the bonus feat gained at 6th level', fighterBase).level, 6, '6th');
+  assertEqual(CompendiumParser.matchTarget('bonus feat', fighterBase).level, 1, 'No level: first entry');
+});
+
+test('matchTarget falls back to the name when no entry is at that level', () => {
+  assertEqual(CompendiumParser.matchTarget('the 10th-level bonus feat', monkBase)?.resolvedName, 'Bonus Feat', 'Condensed entry matched');
+});
+
+await asyncTest('parseArchetype resolves "replaces the bonus feat gained at 4th level"', async () => {
+  const parsed = await CompendiumParser.parseArchetype({ name: 'Drill Sergeant' }, [
+    featureDoc('Tactician', 'This ability replaces the bonus feat gained at 4th level.')
+  ], fighterBase);
+  assertEqual(parsed.features[0].matchedAssociation.level, 4, 'Matched at 4th');
+  const removed = DiffEngine.generateDiff(fighterBase, parsed).filter(d => d.status === 'removed');
+  assertDeepEqual(removed.map(d => `${d.name}@${d.level}`), ['Bonus Feat@4'], 'Only the 4th-level bonus feat removed');
+});
+
+test('A tier of a condensed scalable feature is split out at the named level', () => {
+  const parsed = {
+    name: 'Monk of the Sacred Mountain',
+    features: [{ name: 'Iron Skin', type: 'replacement', target: 'the 6th-level bonus feat', matchedAssociation: monkBase[0] }]
+  };
+  const diff = DiffEngine.generateDiff(monkBase, parsed, 'monk');
+  const removed = diff.filter(d => d.status === 'removed');
+  assertEqual(removed.length, 1, 'One tier removed');
+  assertEqual(removed[0].level, 6, 'The 6th-level tier');
+  assertEqual(diff.filter(d => d.status === 'unchanged' && d.name === 'Bonus Feat').length, 5, 'Other tiers kept');
+});
+
+test('DB touchedRaw entries with a level correlate by level', () => {
+  const raw = ['2nd-level bonus feat', '4th-level bonus feat'];
+  assertEqual(CompendiumParser._matchFeatureToDbTouched('Tactician (Drill Sergeant)', 'Fighter (Drill Sergeant)', raw, { level: 4 }),
+    '4th-level bonus feat', 'Level-specific entry');
+  assertEqual(CompendiumParser._matchFeatureToDbTouched('Bonus Feat Mastery (Drill Sergeant)', 'Fighter (Drill Sergeant)', raw, { level: 4 }),
+    '4th-level bonus feat', 'Name match skips other levels');
+});
+
+// =====================================================
+// Section 3: Conflicts
+// =====================================================
+console.log('\n--- Section 3: Conflicts ---');
+
+test('Different levels of the same feature do not conflict', () => {
+  const a = archetypeWith('Alpha', 'the 2nd-level bonus feat');
+  const b = archetypeWith('Beta', 'the bonus feat gained at 4th level');
+  assertEqual(DiffEngine.detectConflicts(a, b).length, 0, 'No conflict');
+  assertEqual(ConflictChecker.validateStacking([a, b], 'fighter').valid, true, 'Stack valid');
+});
+
+test('The same level conflicts, and so does the whole feature', () => {
+  const a = archetypeWith('Alpha', 'the 2nd-level bonus feat');
+  const b = archetypeWith('Beta', 'the bonus feat gained at 2nd level');
+  const whole = archetypeWith('Gamma', 'bonus feat');
+  assertEqual(DiffEngine.detectConflicts(a, b).length, 1, 'Same tier');
+  assertEqual(DiffEngine.detectConflicts(a, whole).length, 1, 'Whole feature');
+});
+
+test('The conflict index keys level-specific features per tier', () => {
+  CompatibilityDB._db = {
+    classes: {
+      witch: {
+        'hex-channeler': { touched: ['6th-level hex'], touchedRaw: ['6th-level hex'], compatible: [] }
+      }
+    }
+  };
+  try {
+    const index = ConflictChecker.buildConflictIndex(
+      [featureDoc('Early Curse (Hedge Witch)', 'This replaces the 2nd-level hex.')],
+      [{ name: 'Hex Channeler', slug: 'hex-channeler' }, { name: 'Hedge Witch', slug: 'hedge-witch' }],
+      'witch'
+    );
+    assertDeepEqual([...index.get('hex-channeler')], ['hex@6'], 'DB entry keyed by tier');
+    assertDeepEqual([...index.get('hedge-witch')], ['hex@2'], 'Regex entry keyed by tier');
+  } finally {
+    CompatibilityDB._db = null;
+  }
+});
+
+test('Selection greying compares tiers', () => {
+  const index = new Map([
+    ['hex-channeler', new Set(['hex@6'])],
+    ['hedge-witch', new Set(['hex@2'])],
+    ['gravewalker', new Set(['hex'])],
+    ['sixth-sense', new Set(['hex@6'])]
+  ]);
+  const incompatible = ConflictChecker.getIncompatibleArchetypes(index, new Set(['hex-channeler']));
+  assert(!incompatible.has('hedge-witch'), 'Different tier allowed');
+  assert(incompatible.has('gravewalker'), 'Whole feature blocked');
+  assertEqual(incompatible.get('sixth-sense'), 'Conflicts with Hex Channeler over Hex (level 6)', 'Same tier blocked');
+});
+
+// =====================================================
+// Summary
+// =====================================================
+console.log(`\n${'='.repeat(50)}`);
+console.log(`Feature #124 Results: ${passed}/${totalTests} passed, ${failed} failed`);
+console.log(`${'='.repeat(50)}\n`);
+
+if (failed > 0) process.exit(1);
@@ -0,0 +1,312 @@
+/**
+ * Test Suite for Feature #125: Ordered, extensible recognition rules
+ *
+ * Verifies that "in place of", "instead of", "loses", "alters", "changes", "functions as
+ * ... except" and "as the X class feature, but" are recognized alongside replaces/modifies,
+ * that the rules are listed in order with their type, that loose wording only counts when
+ * it names a class feature, and that rules can be added through the API and the JE config page.
+ */
+
+import { setupMockEnvironment, MockJournalEntryPage } from './foundry-mock.mjs';
+
+let passed = 0;
+let failed = 0;
+let totalTests = 0;
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${message || 'Deep equality failed'}: expected ${e}, got ${a}`);
+  }
+}
+
+function test(name, fn) {
+  totalTests++;
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+async function asyncTest(name, fn) {
+  totalTests++;
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+
+setupMockEnvironment();
+
+const { CompendiumParser } = await import('../scripts/compendium-parser.mjs');
+const { ConflictChecker } = await import('../scripts/conflict-checker.mjs');
+const { JournalEntryDB } = await import('../scripts/journal-db.mjs');
+
+console.log('\n=== Feature #125: Ordered, extensible recognition rules ===\n');
+
+// =====================================================
+// Fixtures
+// =====================================================
+
+const names = {
+  'Compendium.pf1.class-abilities.Bravery': 'Bravery',
+  'Compendium.pf1.class-abilities.ArmorTraining': 'Armor Training',
+  'Compendium.pf1.class-abilities.WeaponTraining': 'Weapon Training'
+};
+globalThis.fromUuid = async (uuid) => names[uuid] ? { name: names[uuid] } : null;
+
+const baseAssociations = [
+  { uuid: 'Compendium.pf1.class-abilities.Bravery', level: 2 },
+  { uuid: 'Compendium.pf1.class-abilities.ArmorTraining', level: 3 },
+  { uuid: 'Compendium.pf1.class-abilities.WeaponTraining', level: 5 }
+];
+const resolved = await CompendiumParser.resolveAssociations(baseAssociations);
+
+const desc = text => `<p><strong>Level</strong>: 2</p><p>${text}</p>`;
+
+function featureDoc(name, text) {
+  return {
+    name,
+    uuid: `Compendium.pf1e-archetypes.pf-arch-features.Item.${name.slugify()}`,
+    system: { description: { value: desc(text) } }
+  };
+}
+
+const je = await JournalEntryDB.ensureDatabase();
+je.createEmbeddedDocuments = async (type, data) => {
+  for (const page of data) je.pages._items.push(new MockJournalEntryPage(page));
+};
+
+// =====================================================
+// Section 1: Built-in rules
+// =====================================================
+console.log('--- Section 1: Built-in rules ---');
+
+test('Rules are listed in order with their type', () => {
+  const rules = CompendiumParser.getRecognitionRules();
+  assertDeepEqual(rules.map(r => r.id), [
+    'replaces', 'in-place-of', 'instead-of', 'loses', 'modifies', 'alters', 'changes', 'functions-as-except', 'as-but'
+  ], 'Order');
+  assertEqual(rules.find(r => r.id === 'loses').type, 'replacement', 'loses is a replacement');
+  assertEqual(rules.find(r => r.id === 'alters').type, 'modification', 'alters is a modification');
+  assert(rules.every(r => r.source === 'built-in'), 'All built-in');
+});
+
+const wording = [
+  ['in place of', 'She gains a bonus feat in place of bravery.', 'replacement', 'bravery', 'in-place-of'],
+  ['in place of a list', 'In place of bravery and armor training, the fighter gains evasion.', 'replacement', 'bravery and armor training', 'in-place-of'],
+  ['instead of', 'Instead of gaining armor training, he gains evasion.', 'replacement', 'armor training', 'instead-of'],
+  ['loses', 'A shield fighter loses armor training.', 'replacement', 'armor training', 'loses'],
+  ['alters', 'This ability alters weapon training.', 'modification', 'weapon training', 'alters'],
+  ['changes', 'This changes bravery.', 'modification', 'bravery', 'changes'],
+  ['functions as ... except', 'This ability functions as weapon training, except it applies to bows.', 'modification', 'weapon training', 'functions-as-except'],
+  ['as ... but', 'This works as the bravery class feature, but applies to charm effects.', 'modification', 'bravery class feature', 'as-but']
+];
+for (const [label, text, type, target, rule] of wording) {
+  test(`Recognizes "${label}"`, () => {
+    const result = CompendiumParser.classifyFeature(desc(text));
+    assertEqual(result.type, type, 'Type');
+    assertEqual(result.target, target, 'Target');
+    assertEqual(result.rule, rule, 'Rule');
+  });
+}
+
+test('replaces and modifies keep their results', () => {
+  assertDeepEqual(CompendiumParser.classifyFeature(desc('This replaces bravery.')),
+    { type: 'replacement', target: 'bravery', rule: 'replaces' }, 'replaces');
+  assertDeepEqual(CompendiumParser.classifyFeature(desc('This modifies weapon training.')),
+    { type: 'modification', target: 'weapon training', rule: 'modifies' }, 'modifies');
+  assertDeepEqual(CompendiumParser.classifyFeature(desc('Gains a bonus.')),
+    { type: 'additive', target: null, rule: null }, 'additive');
+});
+
+test('Loose wording only counts when it names a class feature', () => {
+  const text = desc('The target loses 1d6 hit points.');
+  assertEqual(CompendiumParser.classifyFeature(text, resolved).type, 'additive', 'Not a class feature');
+  assertEqual(CompendiumParser.classifyFeature(desc('He loses bravery.'), resolved).type, 'replacement', 'Names a class feature');
+});
+
+await asyncTest('parseArchetype resolves new wording without prompting', async () => {
+  const parsed = await CompendiumParser.parseArchetype({ name: 'Shield Fighter' }, [
+    featureDoc('Active Defense', 'At 2nd level, she gains active defense in place of bravery.'),
+    featureDoc('Shield Ward', 'The fighter takes 1 point of damage instead of 2.')
+  ], baseAssociations);
+  assertEqual(parsed.features[0].type, 'replacement', 'Replacement');
+  assertEqual(parsed.features[0].matchedAssociation.resolvedName, 'Bravery', 'Matched');
+  assertEqual(parsed.features[0].recognitionRule, 'in-place-of', 'Rule recorded');
+  assertEqual(parsed.features[0].needsUserInput, false, 'No prompt');
+  assertEqual(parsed.features[1].type, 'additive', '"instead of 2" is not a replacement');
+});
+
+test('The conflict index uses the same rules', () => {
+  const index = ConflictChecker.buildConflictIndex(
+    [featureDoc('Active Defense (Shield Fighter)', 'She gains active defense in place of bravery.')],
+    [{ name: 'Shield Fighter', slug: 'shield-fighter' }],
+    'fighter',
+    resolved
+  );
+  assert(index.get('shield-fighter')?.has('bravery'), 'Bravery touched');
+});
+
+test('Loose wording that merely mentions a class feature is not a replacement', () => {
+  for (const text of [
+    'He loses his bonus from bravery while raging.',
+    'This alters the way armor training works with shields.',
+    'She gains a dodge bonus instead of the usual bravery bonus, she notes.'
+  ]) {
+    assertEqual(CompendiumParser.classifyFeature(desc(text), resolved).type, 'additive', text);
+  }
+  assertEqual(CompendiumParser.classifyFeature(desc('He loses bravery.'), resolved).type, 'replacement', 'Naming the feature still counts');
+});
+
+test('Ordinary "loses" and "changes" prose does not enter the conflict index', () => {
+  const features = [
+    featureDoc('Hard Knocks (Brawler)', 'The fighter loses 1 hit point.'),
+    featureDoc('Quick Hands (Brawler)', 'This ability changes the number of uses.'),
+    featureDoc('Shed Armor (Brawler)', 'He loses armor training.'),
+    featureDoc('Grit (Brawler)', 'He loses his bonus from bravery while raging.')
+  ];
+  const archetypes = [{ name: 'Brawler', slug: 'brawler' }];
+  assertDeepEqual([...ConflictChecker.buildConflictIndex(features, archetypes, 'fighter', resolved).get('brawler')],
+    ['armor training'], 'Only the class feature');
+  assertEqual(ConflictChecker.buildConflictIndex(features, archetypes, 'fighter').has('brawler'), false,
+    'Nothing without the class features to check against');
+});
+
+// =====================================================
+// Section 2: Extending the rules
+// =====================================================
+console.log('\n--- Section 2: Extending the rules ---');
+
+test('Registered rules run after the built-ins, or where placed', () => {
+  CompendiumParser.registerRecognitionRule({ id: 'supplants', type: 'replacement', pattern: 'supplants\\s+(.+?)\\.' });
+  CompendiumParser.registerRecognitionRule({ id: 'trades', type: 'replacement', pattern: /trades away\s+(.+?)\./i, before: 'replaces' });
+  try {
+    const ids = CompendiumParser.getRecognitionRules().map(r => r.id);
+    assertEqual(ids[0], 'trades', 'Placed before replaces');
+    assertEqual(ids.at(-1), 'supplants', 'Appended');
+    assertDeepEqual(CompendiumParser.classifyFeature(desc('This supplants bravery.')),
+      { type: 'replacement', target: 'bravery', rule: 'supplants' }, 'String pattern compiled case-insensitive');
+  } finally {
+    CompendiumParser.unregisterRecognitionRule('supplants');
+    CompendiumParser.unregisterRecognitionRule('trades');
+  }
+  assertEqual(CompendiumParser.getRecognitionRules().length, 9, 'Unregistered');
+});
+
+test('Re-registering an id replaces a built-in rule in place of the original', () => {
+  CompendiumParser.registerRecognitionRule({ id: 'changes', type: 'replacement', pattern: /\bswaps\s+(.+?)\./i, after: 'loses' });
+  try {
+    const rules = CompendiumParser.getRecognitionRules();
+    assertEqual(rules.filter(r => r.id === 'changes').length, 1, 'One rule per id');
+    assertEqual(rules[4].id, 'changes', 'Placed after loses');
+  } finally {
+    CompendiumParser.unregisterRecognitionRule('changes');
+  }
+});
+
+test('Invalid rules are rejected', () => {
+  let threw = 0;
+  for (const rule of [{ type: 'replacement', pattern: 'x(.+)' }, { id: 'a', type: 'additive', pattern: 'x(.+)' }, { id: 'b', type: 'replacement' }]) {
+    try { CompendiumParser.registerRecognitionRule(rule); } catch (e) { threw++; }
+  }
+  assertEqual(threw, 3, 'All three rejected');
+});
+
+await asyncTest('Rules from the JE config page are loaded and listed', async () => {
+  const written = await JournalEntryDB.writeConfig({
+    recognitionRules: [
+      { id: 'forgoes', type: 'replacement', label: 'forgoes X', pattern: 'forgoes\\s+(.+?)\\.', before: 'loses' },
+      { id: 'broken', type: 'replacement', pattern: '(unclosed' }
+    ]
+  });
+  assertEqual(written, true, 'Config written');
+
+  const origWarn = console.warn;
+  let warnings = 0;
+  console.warn = () => { warnings++; };
+  const rules = await CompendiumParser.loadJournalRules();
+  console.warn = origWarn;
+
+  assertDeepEqual(rules.map(r => r.id), ['forgoes'], 'Valid rule loaded');
+  assertEqual(warnings, 1, 'Invalid rule skipped with a warning');
+  const listed = CompendiumParser.getRecognitionRules();
+  assertEqual(listed[listed.findIndex(r => r.id === 'loses') - 1].id, 'forgoes', 'Placed before loses');
+  assertEqual(listed.find(r => r.id === 'forgoes').source, 'journal', 'Source recorded');
+});
+
+await asyncTest('parseArchetype picks up JE rules', async () => {
+  const origWarn = console.warn;
+  console.warn = () => {};
+  const parsed = await CompendiumParser.parseArchetype({ name: 'Monastic Fighter' }, [
+    featureDoc('Discipline', 'The fighter forgoes bravery.')
+  ], baseAssociations);
+  console.warn = origWarn;
+  assertEqual(parsed.features[0].recognitionRule, 'forgoes', 'JE rule matched');
+  assertEqual(parsed.features[0].matchedAssociation.resolvedName, 'Bravery', 'Matched');
+});
+
+await asyncTest('The config page is read once, and again only when it changes', async () => {
+  await import('../scripts/module.mjs');
+  const origRead = JournalEntryDB.readConfig;
+  let reads = 0;
+  JournalEntryDB.readConfig = async function () { reads++; return origRead.call(this); };
+  try {
+    await CompendiumParser.parseArchetype({ name: 'Monastic Fighter' }, [featureDoc('Discipline', 'The fighter forgoes bravery.')], baseAssociations);
+    await CompendiumParser.parseArchetype({ name: 'Shield Fighter' }, [featureDoc('Active Defense', 'She gains active defense in place of bravery.')], baseAssociations);
+    assertEqual(reads, 0, 'Not re-read while parsing');
+
+    const page = je.pages.getName(JournalEntryDB.CONFIG_PAGE);
+    page.parent = je;
+    Hooks.callAll('updateJournalEntryPage', { name: 'fixes', parent: je });
+    assertEqual(reads, 0, 'Other pages are ignored');
+    Hooks.callAll('updateJournalEntryPage', page);
+    await new Promise(r => setTimeout(r, 0));
+    assertEqual(reads, 1, 'Re-read when the config page changes');
+  } finally {
+    JournalEntryDB.readConfig = origRead;
+  }
+});
+
+await asyncTest('Only the GM can write the config page', async () => {
+  game.user.isGM = false;
+  try {
+    assertEqual(await JournalEntryDB.writeConfig({}), false, 'Refused');
+  } finally {
+    game.user.isGM = true;
+  }
+  await JournalEntryDB.writeConfig({});
+  await CompendiumParser.loadJournalRules();
+  assertEqual(CompendiumParser.getRecognitionRules().length, 9, 'JE rules cleared');
+});
+
+// =====================================================
+// Summary
+// =====================================================
+console.log(`\n${'='.repeat(50)}`);
+console.log(`Feature #125 Results: ${passed}/${totalTests} passed, ${failed} failed`);
+console.log(`${'='.repeat(50)}\n`);
+
+if (failed > 0) process.exit(1);
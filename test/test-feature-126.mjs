@@ -0,0 +1,319 @@
+/**
+ * Test Suite for Feature #126: Tier ranges and level lists
+ *
+ * Verifies that targets naming several tiers of a scalable series ("weapon training 2, 3
+ * and 4", "weapon training 2-4", "sneak attack at 3rd, 7th and 11th level") are parsed into
+ * one target per tier, that the diff removes every named tier of the split series, and that
+ * the fix dialog and manual entry dialog accept tier ranges and level lists.
+ */
+
+
+import { setupMockEnvironment } from './foundry-mock.mjs';
+
+let passed = 0;
+let failed = 0;
+let totalTests = 0;
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${message || 'Deep equality failed'}: expected ${e}, got ${a}`);
+  }
+}
+
+function test(name, fn) {
+  totalTests++;
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+async function asyncTest(name, fn) {
+  totalTests++;
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+
+setupMockEnvironment();
+
+const { CompendiumParser } = await import('../scripts/compendium-parser.mjs');
+const { DiffEngine } = await import('../scripts/diff-engine.mjs');
+const { ScalableFeatures } = await import('../scripts/scalable-features.mjs');
+const { UIManager } = await import('../scripts/ui-manager.mjs');
+
+console.log('\n=== Feature #126: Tier ranges and level lists ===\n');
+
+// =====================================================
+// Fixtures
+// =====================================================
+
+const names = {
+  'Compendium.pf1.class-abilities.BonusFeat': 'Bonus Feat',
+  'Compendium.pf1.class-abilities.Bravery': 'Bravery',
+  'Compendium.pf1.class-abilities.WeaponTraining': 'Weapon Training',
+  'Compendium.pf1.class-abilities.SneakAttack': 'Sneak Attack',
+  'Compendium.pf1.class-abilities.Trapfinding': 'Trapfinding'
+};
+globalThis.fromUuid = async (uuid) => names[uuid] ? { name: names[uuid] } : null;
+
+const fighterRaw = [
+  { uuid: 'Compendium.pf1.class-abilities.BonusFeat', level: 1 },
+  { uuid: 'Compendium.pf1.class-abilities.Bravery', level: 2 },
+  { uuid: 'Compendium.pf1.class-abilities.WeaponTraining', level: 5 }
+];
+const fighterBase = await CompendiumParser.resolveAssociations(fighterRaw);
+
+const rogueBase = await CompendiumParser.resolveAssociations([
+  { uuid: 'Compendium.pf1.class-abilities.SneakAttack', level: 1 },
+  { uuid: 'Compendium.pf1.class-abilities.Trapfinding', level: 1 }
+]);
+
+function replacing(name, replaces, base) {
+  const { targets, matchedAssociations, matchedAssociation } = CompendiumParser.resolveTargets(replaces, base);
+  return {
+    name,
+    slug: name.slugify(),
+    features: [{ name: `${name} Feature`, level: 5, type: 'replacement', target: targets[0], targets, matchedAssociations, matchedAssociation }]
+  };
+}
+
+const removedLevels = (diff, name) => diff
+  .filter(d => d.status === 'removed' && d.name.startsWith(name))
+  .map(d => d.level);
+
+function formFrom(html, values) {
+  const container = document.createElement('div');
+  container.innerHTML = html;
+  for (const [selector, value] of Object.entries(values)) {
+    const el = container.querySelector(selector);
+    if (el.type === 'checkbox') el.checked = value;
+    else if (el.tagName === 'SELECT' && ![...el.options].some(o => o.value === value)) {
+      el.insertAdjacentHTML('beforeend', `<option value="${value}">${value}</option>`);
+      el.value = value;
+    } else el.value = value;
+  }
+  return container;
+}
+
+// =====================================================
+// Section 1: Parsing ranges and lists
+// =====================================================
+console.log('--- Section 1: Parsing ranges and lists ---');
+
+test('Tier ranges split into one target per tier', () => {
+  const expected = ['weapon training 2', 'weapon training 3', 'weapon training 4'];
+  assertDeepEqual(CompendiumParser.splitTargets('weapon training 2-4'), expected, 'Hyphen');
+  assertDeepEqual(CompendiumParser.splitTargets('weapon training 2–4'), expected, 'En dash');
+  assertDeepEqual(CompendiumParser.splitTargets('weapon training 2 through 4'), expected, 'through');
+  assertDeepEqual(CompendiumParser.splitTargets('weapon training II to IV'), expected, 'Roman range');
+});
+
+test('Tier lists, including Roman numerals, take the series name', () => {
+  assertDeepEqual(CompendiumParser.splitTargets('weapon training 2, 3 and 4'),
+    ['weapon training 2', 'weapon training 3', 'weapon training 4'], 'Digits');
+  assertDeepEqual(CompendiumParser.splitTargets('weapon training II, III, and IV'),
+    ['weapon training 2', 'weapon training 3', 'weapon training 4'], 'Roman numerals written as digits');
+  assertDeepEqual(CompendiumParser.splitTargets('bravery and weapon training 1-2'),
+    ['bravery', 'weapon training 1', 'weapon training 2'], 'Range inside a compound target');
+});
+
+test('Level lists split into one target per level', () => {
+  assertDeepEqual(CompendiumParser.splitTargets('sneak attack at 3rd, 7th and 11th level'),
+    ['sneak attack at 3rd level', 'sneak attack at 7th level', 'sneak attack at 11th level'], 'Level list');
+});
+
+test('Targets that name one tier are left alone', () => {
+  assertDeepEqual(CompendiumParser.expandTarget('weapon training 3'), ['weapon training 3'], 'Single tier');
+  assertDeepEqual(CompendiumParser.expandTarget('Damage Reduction 1/-'), ['Damage Reduction 1/-'], 'Not a range');
+  assertDeepEqual(CompendiumParser.expandTarget('weapon training 4-2'), ['weapon training 4-2'], 'Backwards range not expanded');
+});
+
+test('List entries in JE data are expanded too', () => {
+  const { targets, matchedAssociations } = CompendiumParser.resolveTargets(['bravery', 'weapon training 3-4'], fighterBase);
+  assertDeepEqual(targets, ['bravery', 'weapon training 3', 'weapon training 4'], 'Expanded');
+  assert(matchedAssociations.every(Boolean), 'Each tier matched');
+});
+
+test('ScalableFeatures.parseTarget reads ranges, lists and level lists', () => {
+  const range = ScalableFeatures.parseTarget('weapon training 2-4', 'fighter');
+  assertEqual(range.baseName, 'weapon training', 'Series');
+  assertDeepEqual(range.tiers, [2, 3, 4], 'Range tiers');
+  assertEqual(range.tier, 2, 'First tier');
+  assertDeepEqual(ScalableFeatures.parseTarget('weapon training II, III and IV', 'fighter').tiers, [2, 3, 4], 'Roman list');
+  assertDeepEqual(ScalableFeatures.parseTarget('sneak attack at 3rd, 7th and 11th level', 'rogue').tiers, [2, 4, 6], 'Levels mapped to tiers');
+  assertDeepEqual(ScalableFeatures.parseTarget('weapon training 3', 'fighter').tiers, [3], 'Single tier');
+  assertEqual(ScalableFeatures.parseTarget('weapon training', 'fighter').tiers, null, 'Entire series');
+});
+
+test('Tier specs outside the series are rejected', () => {
+  const series = ScalableFeatures.getSeries('weapon training', 'fighter');
+  assertEqual(ScalableFeatures.parseTierSpec('3-6', series), null, 'Past the last tier');
+  assertEqual(ScalableFeatures.parseTierSpec('at 6th level', series), null, 'No tier at that level');
+  assertDeepEqual(ScalableFeatures.parseTierSpec('5th through 13th levels', series), [1, 2, 3], 'Level range');
+});
+
+test('getTierTargets names each tier by its level', () => {
+  assertDeepEqual(ScalableFeatures.getTierTargets('sneak attack', [2, 4], 'rogue'),
+    ['Sneak Attack at 3rd level', 'Sneak Attack at 7th level'], 'Targets');
+  assertEqual(ScalableFeatures.ordinal(11), '11th', '11th');
+  assertEqual(ScalableFeatures.ordinal(22), '22nd', '22nd');
+});
+
+// =====================================================
+// Section 2: Diff
+// =====================================================
+console.log('\n--- Section 2: Diff removes every named tier ---');
+
+test('A tier list removes each tier of the split series', () => {
+  const diff = DiffEngine.generateDiff(fighterBase, replacing('Weapon Master', 'weapon training 2, 3 and 4', fighterBase), 'fighter');
+  assertDeepEqual(removedLevels(diff, 'Weapon Training'), [9, 13, 17], 'Tiers 2-4 removed');
+  assert(diff.some(d => d.status === 'unchanged' && d.name === 'Weapon Training 1'), 'Tier 1 kept');
+});
+
+test('A tier range removes each tier', () => {
+  const diff = DiffEngine.generateDiff(fighterBase, replacing('Weapon Master', 'weapon training II-III', fighterBase), 'fighter');
+  assertDeepEqual(removedLevels(diff, 'Weapon Training'), [9, 13], 'Tiers 2-3 removed');
+});
+
+test('A level list reduces a progression', () => {
+  const diff = DiffEngine.generateDiff(rogueBase, replacing('Slow Striker', 'sneak attack at 3rd, 7th and 11th level', rogueBase), 'rogue');
+  assertDeepEqual(removedLevels(diff, 'Sneak Attack'), [3, 7, 11], 'Three dice removed');
+  assertEqual(diff.filter(d => d.status === 'unchanged' && d.name.startsWith('Sneak Attack')).length, 7, 'Other dice kept');
+});
+
+test('Tier targets from getTierTargets remove exactly their tiers', () => {
+  const targets = ScalableFeatures.getTierTargets('bravery', [2, 3], 'fighter');
+  const diff = DiffEngine.generateDiff(fighterBase, replacing('Brave Heart', targets, fighterBase), 'fighter');
+  assertDeepEqual(removedLevels(diff, 'Bravery'), [6, 10], 'Bravery at 6th and 10th level removed');
+});
+
+// =====================================================
+// Section 3: Fix dialog
+// =====================================================
+console.log('\n--- Section 3: Fix dialog ---');
+
+const baseFeatures = fighterBase.map(a => ({ name: a.resolvedName, level: a.level, uuid: a.uuid }));
+const unresolved = { name: 'Focused Training', level: 9, className: 'fighter', archetypeSlug: 'focused' };
+
+test('Fix dialog has a tiers field', () => {
+  const html = UIManager._buildFixDialogHTML(unresolved, baseFeatures);
+  assert(html.includes('fix-tiers-input'), 'Tiers input');
+});
+
+test('A tier range on a series saves one target per tier', () => {
+  const form = formFrom(UIManager._buildFixDialogHTML(unresolved, baseFeatures), {
+    '.fix-replaces-select': 'Weapon Training', '.fix-tiers-input': '2-4'
+  });
+  const result = UIManager._parseFixDialogResult(form, unresolved);
+  assertDeepEqual(result.replaces, ['Weapon Training at 9th level', 'Weapon Training at 13th level', 'Weapon Training at 17th level'], 'Targets');
+});
+
+test('A level list on other features names the levels', () => {
+  const form = formFrom(UIManager._buildFixDialogHTML(unresolved, baseFeatures), {
+    '.fix-replaces-select': 'Bonus Feat', '.fix-tiers-input': '2nd and 4th level'
+  });
+  assertDeepEqual(UIManager._parseFixDialogResult(form, unresolved).replaces,
+    ['Bonus Feat at 2nd level', 'Bonus Feat at 4th level'], 'Targets');
+});
+
+test('Tiers the series does not have are rejected', () => {
+  const form = formFrom(UIManager._buildFixDialogHTML(unresolved, baseFeatures), {
+    '.fix-replaces-select': 'Weapon Training', '.fix-tiers-input': '4-6'
+  });
+  assertEqual(UIManager._parseFixDialogResult(form, unresolved), null, 'Rejected');
+});
+
+await asyncTest('A fix naming several tiers resolves each of them', async () => {
+  const doc = {
+    name: 'Focused Training',
+    system: { description: { value: '<p><strong>Level</strong>: 9</p><p>This ability replaces focused study.</p>' } }
+  };
+  const parsed = await CompendiumParser.parseArchetypeWithPrompts({ name: 'Focused' }, [doc], fighterRaw, {
+    className: 'fighter',
+    promptCallback: async () => ({ level: 9, replaces: ['Weapon Training at 9th level', 'Weapon Training at 13th level'], isAdditive: false })
+  });
+  const feature = parsed.features[0];
+  assertEqual(feature.targets.length, 2, 'Two targets');
+  assert(feature.matchedAssociations.every(Boolean), 'Both matched');
+  const diff = DiffEngine.generateDiff(fighterBase, parsed, 'fighter');
+  assertDeepEqual(removedLevels(diff, 'Weapon Training'), [9, 13], 'Both tiers removed');
+});
+
+// =====================================================
+// Section 4: Manual entry
+// =====================================================
+console.log('\n--- Section 4: Manual entry ---');
+
+const expanded = ScalableFeatures.getExpandedFeatureList(fighterBase, 'fighter');
+const manualForm = (values) => formFrom(UIManager._buildManualEntryHTML('custom', expanded), {
+  '[name="archetype-name"]': 'Focused Fighter',
+  '[name="archetype-class"]': 'fighter',
+  '[name="feat-name-0"]': 'Focused Training',
+  '[name="feat-level-0"]': '9',
+  ...values
+});
+
+test('Manual entry rows have a tiers field', () => {
+  assert(UIManager._buildManualEntryHTML('custom', expanded).includes('name="feat-tiers-0"'), 'Tiers input');
+});
+
+test('A series with a tier range saves every tier', () => {
+  const result = UIManager._validateManualEntry(manualForm({
+    '[name="feat-replaces-0"]': 'series:weapon training', '[name="feat-tiers-0"]': '2-3'
+  }));
+  assert(result.valid, result.errors.join('; '));
+  const feature = result.data.entry.features['focused-training'];
+  assertDeepEqual(feature.replaces, ['Weapon Training at 9th level', 'Weapon Training at 13th level'], 'Targets');
+  assertDeepEqual(feature.scalable, { type: 'tiers', baseName: 'weapon training', tiers: [2, 3] }, 'Scalable record');
+});
+
+test('A level list on a series saves the tiers at those levels', () => {
+  const result = UIManager._validateManualEntry(manualForm({
+    '[name="feat-replaces-0"]': 'series:bravery', '[name="feat-tiers-0"]': '6th, 10th and 14th level'
+  }));
+  assert(result.valid, result.errors.join('; '));
+  assertDeepEqual(result.data.entry.features['focused-training'].scalable.tiers, [2, 3, 4], 'Tiers');
+});
+
+test('Unreadable tiers and tiers without a feature are errors', () => {
+  const bad = UIManager._validateManualEntry(manualForm({
+    '[name="feat-replaces-0"]': 'series:weapon training', '[name="feat-tiers-0"]': '7-9'
+  }));
+  assert(!bad.valid && bad.errors[0].includes('does not name tiers'), 'Bad range');
+  const missing = UIManager._validateManualEntry(manualForm({ '[name="feat-tiers-0"]': '2-3' }));
+  assert(!missing.valid && missing.errors[0].includes('Select the feature'), 'No feature');
+});
+
+// =====================================================
+// Summary
+// =====================================================
+console.log(`\n${'='.repeat(50)}`);
+console.log(`Feature #126 Results: ${passed}/${totalTests} passed, ${failed} failed`);
+console.log(`${'='.repeat(50)}\n`);
+
+if (failed > 0) process.exit(1);
@@ -0,0 +1,318 @@
+/**
+ * Test Suite for Feature #127: Parse confidence scores and explanations
+ *
+ * Verifies that every parsed feature carries a confidence score and an explanation of
+ * which rule fired, which text it captured, which class feature was chosen and which
+ * others were close; that low-confidence matches are shown in the preview and can be
+ * corrected through the fix dialog; and that parseArchetypeWithPrompts can prompt for them.
+ */
+
+
+import { setupMockEnvironment } from './foundry-mock.mjs';
+
+let passed = 0;
+let failed = 0;
+let totalTests = 0;
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${message || 'Deep equality failed'}: expected ${e}, got ${a}`);
+  }
+}
+
+function test(name, fn) {
+  totalTests++;
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+async function asyncTest(name, fn) {
+  totalTests++;
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+
+setupMockEnvironment();
+
+const { CompendiumParser } = await import('../scripts/compendium-parser.mjs');
+const { DiffEngine } = await import('../scripts/diff-engine.mjs');
+const { JournalEntryDB } = await import('../scripts/journal-db.mjs');
+const { UIManager } = await import('../scripts/ui-manager.mjs');
+
+console.log('\n=== Feature #127: Parse confidence and explanations ===\n');
+
+// =====================================================
+// Fixtures
+// =====================================================
+
+const names = {
+  'Compendium.pf1.class-abilities.Bravery': 'Bravery',
+  'Compendium.pf1.class-abilities.ArmorTraining': 'Armor Training',
+  'Compendium.pf1.class-abilities.WeaponTraining': 'Weapon Training',
+  'Compendium.pf1.class-abilities.ArmorMastery': 'Armor Mastery (Ex)'
+};
+globalThis.fromUuid = async (uuid) => names[uuid] ? { name: names[uuid] } : null;
+
+const baseAssociations = [
+  { uuid: 'Compendium.pf1.class-abilities.Bravery', level: 2 },
+  { uuid: 'Compendium.pf1.class-abilities.ArmorTraining', level: 3 },
+  { uuid: 'Compendium.pf1.class-abilities.WeaponTraining', level: 5 },
+  { uuid: 'Compendium.pf1.class-abilities.ArmorMastery', level: 19 }
+];
+const resolved = await CompendiumParser.resolveAssociations(baseAssociations);
+
+function featureDoc(name, text, level = 3) {
+  return {
+    name,
+    uuid: `Compendium.pf1e-archetypes.pf-arch-features.Item.${name.slugify()}`,
+    system: { description: { value: `<p><strong>Level</strong>: ${level}</p><p>${text}</p>` } }
+  };
+}
+
+const parseOne = async (text) => (await CompendiumParser.parseArchetype(
+  { name: 'Test Archetype' }, [featureDoc('Test Feature', text)], baseAssociations
+)).features[0];
+
+await JournalEntryDB.ensureDatabase();
+
+// =====================================================
+// Section 1: Match explanations
+// =====================================================
+console.log('--- Section 1: How a target was matched ---');
+
+test('Exact, normalized and partial passes are reported', () => {
+  const exact = CompendiumParser.explainMatch('Bravery', resolved);
+  assertEqual(exact.pass, 'exact', 'Exact pass');
+  assertEqual(exact.confidence, 1, 'Exact confidence');
+
+  const normalized = CompendiumParser.explainMatch('armor mastery', resolved);
+  assertEqual(normalized.pass, 'normalized', 'Normalized pass');
+  assertEqual(normalized.association.resolvedName, 'Armor Mastery (Ex)', 'Chosen');
+  assertEqual(normalized.confidence, 0.9, 'Normalized confidence');
+
+  const partial = CompendiumParser.explainMatch('armor', resolved);
+  assertEqual(partial.pass, 'partial', 'Partial pass');
+});
+
+test('Close alternatives are listed and lower the confidence', () => {
+  const match = CompendiumParser.explainMatch('training', resolved);
+  assertEqual(match.association.resolvedName, 'Armor Training', 'First partial match chosen');
+  assertDeepEqual(match.candidates.map(c => c.resolvedName), ['Weapon Training'], 'Alternative listed');
+  assertEqual(match.confidence, 0.4, 'Partial and ambiguous');
+});
+
+test('matchTarget still returns the chosen association', () => {
+  assertEqual(CompendiumParser.matchTarget('training', resolved).resolvedName, 'Armor Training', 'Same choice');
+  assertEqual(CompendiumParser.matchTarget('wild shape', resolved), null, 'No match');
+});
+
+// =====================================================
+// Section 2: Feature scores
+// =====================================================
+console.log('\n--- Section 2: Feature scores ---');
+
+await asyncTest('An exact "replaces" match is fully confident and explained', async () => {
+  const feature = await parseOne('This ability replaces bravery.');
+  assertEqual(feature.confidence, 1, 'Confidence');
+  assert(feature.explanation.includes('Rule "replaces X" matched "bravery"'), 'Rule and text');
+  assert(feature.explanation.includes('chose Bravery (Lv 2)'), 'Chosen association');
+  assert(!CompendiumParser.isLowConfidence(feature), 'Not low');
+});
+
+await asyncTest('Looser wording scores lower', async () => {
+  const feature = await parseOne('She gains evasion in place of bravery.');
+  assertEqual(feature.recognitionRule, 'in-place-of', 'Rule');
+  assertEqual(feature.confidence, 0.9, 'Confidence');
+});
+
+await asyncTest('A substring match with close alternatives is low confidence', async () => {
+  const feature = await parseOne('This ability replaces training.');
+  assert(feature.matchedAssociation, 'A match was still found');
+  assertEqual(feature.needsUserInput, false, 'Not flagged as unresolved');
+  assert(CompendiumParser.isLowConfidence(feature), 'Low confidence');
+  assert(feature.explanation.includes('also close: Weapon Training (Lv 5)'), feature.explanation);
+});
+
+await asyncTest('Compound targets score as their weakest match', async () => {
+  const feature = await parseOne('This ability replaces bravery and training.');
+  assertEqual(feature.confidence, 0.4, 'Weakest target');
+});
+
+await asyncTest('Additive and unresolved features', async () => {
+  const additive = await parseOne('The fighter gains a bonus on Climb checks.');
+  assertEqual(additive.confidence, 0.8, 'Additive');
+  assert(!CompendiumParser.isLowConfidence(additive), 'Additive is not a low-confidence match');
+
+  const unmatched = await parseOne('This ability replaces wild shape.');
+  assertEqual(unmatched.confidence, 0, 'No match');
+  assert(unmatched.explanation.includes('"wild shape" matched no class feature'), 'Explained');
+  assert(!CompendiumParser.isLowConfidence(unmatched), 'Unresolved features are prompted as such');
+});
+
+await asyncTest('JE fixes are fully confident', async () => {
+  await JournalEntryDB.setArchetype('fixes', 'fixed-archetype', {
+    class: 'fighter',
+    features: { 'test-feature': { level: 3, replaces: 'bravery', type: 'replacement' } }
+  });
+  const parsed = await CompendiumParser.parseArchetype({ name: 'Fixed Archetype' },
+    [featureDoc('Test Feature', 'This ability replaces training.')], baseAssociations);
+  assertEqual(parsed.features[0].confidence, 1, 'Confidence');
+  assert(parsed.features[0].explanation.includes('JE fixes'), 'Explanation');
+});
+
+// =====================================================
+// Section 3: Prompting
+// =====================================================
+console.log('\n--- Section 3: Prompting for low-confidence matches ---');
+
+await asyncTest('Low-confidence matches are prompted only when asked', async () => {
+  const prompted = [];
+  const promptCallback = async (feature) => {
+    prompted.push(feature);
+    return { level: 3, replaces: 'Weapon Training', isAdditive: false };
+  };
+  const docs = [featureDoc('Test Feature', 'This ability replaces training.')];
+
+  const unprompted = await CompendiumParser.parseArchetypeWithPrompts({ name: 'Unsure' }, docs, baseAssociations, { promptCallback });
+  assertEqual(prompted.length, 0, 'Not prompted by default');
+  assertEqual(unprompted.features[0].matchedAssociation.resolvedName, 'Armor Training', 'Match kept');
+
+  const parsed = await CompendiumParser.parseArchetypeWithPrompts({ name: 'Unsure' }, docs, baseAssociations,
+    { promptCallback, promptLowConfidence: true });
+  assertEqual(prompted.length, 1, 'Prompted');
+  assertEqual(prompted[0].target, 'training', 'Prompt shows the current target');
+  assert(prompted[0].explanation.includes('also close'), 'Prompt shows the explanation');
+  assertEqual(parsed.features[0].matchedAssociation.resolvedName, 'Weapon Training', 'Fix applied');
+  assertEqual(parsed.features[0].confidence, 1, 'Fixed feature is confident');
+});
+
+test('Fix dialog explains a low-confidence match', () => {
+  const html = UIManager._buildFixDialogHTML(
+    { name: 'Test Feature', level: 3, confidence: 0.4, explanation: 'Rule "replaces X" matched "training".' }, []);
+  assert(html.includes('low confidence (40%)'), 'Confidence shown');
+  const container = document.createElement('div');
+  container.innerHTML = html;
+  assert(container.textContent.includes('matched "training"'), 'Explanation shown');
+  assert(UIManager._buildFixDialogHTML({ name: 'Unparsed' }, []).includes('could not be automatically parsed'), 'Unparsed text kept');
+});
+
+// =====================================================
+// Section 4: Preview
+// =====================================================
+console.log('\n--- Section 4: Preview ---');
+
+const unsure = await CompendiumParser.parseArchetype({ name: 'Unsure' },
+  [featureDoc('Test Feature', 'This ability replaces training.'), featureDoc('Brave Heart', 'This ability replaces bravery.', 2)],
+  baseAssociations);
+const unsureDiff = DiffEngine.generateDiff(resolved, unsure, 'fighter');
+
+test('Preview lists low-confidence matches with a fix button', () => {
+  const html = UIManager._buildPreviewHTML(unsure, unsureDiff);
+  assert(html.includes('Low-Confidence Matches'), 'Section shown');
+  assert(html.includes('data-feature-index="0"'), 'Fix button for the unsure feature');
+  assert(!html.includes('data-feature-index="1"'), 'No fix button for the confident one');
+  assertEqual((html.match(/low-confidence-icon/g) || []).length, 1, 'Row flagged');
+});
+
+test('Preview tooltip keeps a quoted explanation whole', () => {
+  const explanation = 'Rule "replaces X" matched "training".';
+  const parsed = { ...unsure, features: unsure.features.map((f, i) => i === 0 ? { ...f, explanation } : f) };
+  const diff = unsureDiff.map(d => d.archetypeFeature?.name === 'Test Feature' ? { ...d, archetypeFeature: { ...d.archetypeFeature, explanation } } : d);
+  const container = document.createElement('div');
+  container.innerHTML = UIManager._buildPreviewHTML(parsed, diff);
+  const icon = container.querySelector('.low-confidence-icon');
+  assert(icon.getAttribute('title').endsWith(explanation), 'Whole explanation in the tooltip');
+  assertEqual(icon.getAttributeNames().sort().join(','), 'class,style,title', 'Nothing leaks into the tag');
+});
+
+await asyncTest('Explanations are shown as text wherever they appear', async () => {
+  const explanation = 'Rule matched "<img src=x onerror=alert(1)>".';
+  const parsed = { ...unsure, features: unsure.features.map((f, i) => i === 0 ? { ...f, explanation } : f) };
+  const diff = unsureDiff.map(d => d.archetypeFeature?.name === 'Test Feature' ? { ...d, archetypeFeature: { ...d.archetypeFeature, explanation } } : d);
+  const container = document.createElement('div');
+
+  container.innerHTML = UIManager._buildPreviewHTML(parsed, diff);
+  const row = container.querySelector('.preview-low-confidence li');
+  assert(row.textContent.includes('<img src=x'), 'Low-confidence list shows the text');
+  assertEqual(row.querySelector('img'), null, 'No element injected into the list');
+
+  container.innerHTML = UIManager._buildFixDialogHTML({ name: 'Test Feature', level: 3, confidence: 0.4, explanation }, []);
+  assert(container.querySelector('.fix-low-confidence').textContent.includes('<img src=x'), 'Fix dialog shows the text');
+  assertEqual(container.querySelector('img'), null, 'No element injected into the fix dialog');
+
+  container.innerHTML = UIManager._buildFixDialogHTML({ name: 'Test Feature', level: 3, ambiguity: { target: '<img src=x>', candidates: [{ uuid: 'a', name: 'A' }] } }, []);
+  assertEqual(container.querySelector('img'), null, 'No element injected from an ambiguous target');
+
+  UIManager.showPreviewDialog(null, { name: 'Fighter' }, parsed, diff);
+  const preview = Dialog._lastInstance;
+  preview._element.querySelector(`.info-btn[data-index="${diff.findIndex(d => d.archetypeFeature?.name === 'Test Feature')}"]`).click();
+  container.innerHTML = Dialog._lastInstance.data.content;
+  assert(container.querySelector('.feature-explanation').textContent.includes('<img src=x'), 'Info dialog shows the text');
+  assertEqual(container.querySelector('.feature-explanation img'), null, 'No element injected into the info dialog');
+  preview.data.buttons.cancel?.callback?.();
+});
+
+test('Preview warnings follow the Show Parse Warnings setting', () => {
+  game.settings.set('archetype-manager', 'showParseWarnings', false);
+  try {
+    const html = UIManager._buildPreviewHTML(unsure, unsureDiff);
+    assert(!html.includes('Low-Confidence Matches') && !html.includes('low-confidence-icon'), 'Hidden');
+  } finally {
+    game.settings.set('archetype-manager', 'showParseWarnings', true);
+  }
+});
+
+await asyncTest('Fix button saves a fix and returns to the selection', async () => {
+  const pending = UIManager.showPreviewDialog(null, { name: 'Fighter' }, unsure, unsureDiff);
+  const preview = Dialog._lastInstance;
+  preview._element.querySelector('.fix-feature-btn').click();
+  await new Promise(r => setTimeout(r, 0));
+
+  const fixDialog = Dialog._lastInstance;
+  assert(fixDialog !== preview, 'Fix dialog opened');
+  assert(fixDialog.data.content.includes('low confidence'), 'Fix dialog explains the match');
+  const form = document.createElement('div');
+  form.innerHTML = fixDialog.data.content;
+  form.querySelector('.fix-replaces-select').value = 'Weapon Training';
+  await fixDialog.data.buttons.confirm.callback(form);
+
+  assertEqual(await pending, 'back', 'Preview returns to the selection');
+  const saved = await JournalEntryDB.getArchetype('unsure');
+  assertEqual(saved.features['test-feature'].replaces, 'Weapon Training', 'Fix saved');
+});
+
+// =====================================================
+// Summary
+// =====================================================
+console.log(`\n${'='.repeat(50)}`);
+console.log(`Feature #127 Results: ${passed}/${totalTests} passed, ${failed} failed`);
+console.log(`${'='.repeat(50)}\n`);
+
+if (failed > 0) process.exit(1);
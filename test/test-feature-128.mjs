@@ -0,0 +1,236 @@
+/**
+ * Test Suite for Feature #128: Ambiguous replacement targets
+ *
+ * Verifies that matching scores every candidate class feature, breaks ties with the
+ * level the target names and then the archetype feature's own level, and that targets
+ * several features still match equally well are sent to the fix dialog with the
+ * candidates pre-filled.
+ */
+
+
+import { setupMockEnvironment } from './foundry-mock.mjs';
+
+let passed = 0;
+let failed = 0;
+let totalTests = 0;
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${message || 'Deep equality failed'}: expected ${e}, got ${a}`);
+  }
+}
+
+function test(name, fn) {
+  totalTests++;
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+async function asyncTest(name, fn) {
+  totalTests++;
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+
+setupMockEnvironment();
+
+const { CompendiumParser } = await import('../scripts/compendium-parser.mjs');
+const { DiffEngine } = await import('../scripts/diff-engine.mjs');
+const { UIManager } = await import('../scripts/ui-manager.mjs');
+
+console.log('\n=== Feature #128: Ambiguous replacement targets ===\n');
+
+// =====================================================
+// Fixtures
+// =====================================================
+
+const names = {
+  'Compendium.pf1.class-abilities.BonusFeat': 'Bonus Feat',
+  'Compendium.pf1.class-abilities.Bravery': 'Bravery',
+  'Compendium.pf1.class-abilities.ArmorTraining': 'Armor Training',
+  'Compendium.pf1.class-abilities.ChannelEnergy': 'Channel Energy',
+  'Compendium.pf1.class-abilities.ChannelPositive': 'Channel Positive Energy'
+};
+globalThis.fromUuid = async (uuid) => names[uuid] ? { name: names[uuid] } : null;
+
+const fighterRaw = [
+  { uuid: 'Compendium.pf1.class-abilities.BonusFeat', level: 1 },
+  { uuid: 'Compendium.pf1.class-abilities.BonusFeat', level: 2 },
+  { uuid: 'Compendium.pf1.class-abilities.Bravery', level: 2 },
+  { uuid: 'Compendium.pf1.class-abilities.ArmorTraining', level: 3 },
+  { uuid: 'Compendium.pf1.class-abilities.BonusFeat', level: 4 },
+  { uuid: 'Compendium.pf1.class-abilities.ArmorTraining', level: 7 }
+];
+const fighter = await CompendiumParser.resolveAssociations(fighterRaw);
+
+const clericRaw = [
+  { uuid: 'Compendium.pf1.class-abilities.ChannelEnergy', level: 1 },
+  { uuid: 'Compendium.pf1.class-abilities.ChannelPositive', level: 1 }
+];
+const cleric = await CompendiumParser.resolveAssociations(clericRaw);
+
+function featureDoc(name, text, level) {
+  return {
+    name,
+    uuid: `Compendium.pf1e-archetypes.pf-arch-features.Item.${name.slugify()}`,
+    system: { description: { value: `<p><strong>Level</strong>: ${level}</p><p>${text}</p>` } }
+  };
+}
+
+const removed = (diff) => diff.filter(d => d.status === 'removed').map(d => `${d.name}@${d.level}`);
+
+// =====================================================
+// Section 1: Scoring
+// =====================================================
+console.log('--- Section 1: Scoring candidates ---');
+
+test('Every candidate is scored, best first', () => {
+  const scored = CompendiumParser.scoreCandidates('channel', cleric);
+  assertDeepEqual(scored.map(c => [c.association.resolvedName, c.pass]),
+    [['Channel Energy', 'partial'], ['Channel Positive Energy', 'partial']], 'Both partial');
+  const exact = CompendiumParser.scoreCandidates('channel energy', cleric);
+  assertEqual(exact[0].pass, 'exact', 'Exact first');
+  assertEqual(exact.length, 1, 'Positive energy does not contain the phrase');
+});
+
+test('A level named by the target outranks other levels', () => {
+  const scored = CompendiumParser.scoreCandidates('the bonus feat gained at 2nd level', fighter);
+  assertEqual(scored[0].association.level, 2, 'Level 2 first');
+  assert(scored[0].score > scored[1].score, 'Ranked above');
+});
+
+test('The feature level breaks ties', () => {
+  const match = CompendiumParser.explainMatch('bonus feat', fighter, { level: 4 });
+  assertEqual(match.association.level, 4, 'Entry at the feature level chosen');
+  assertDeepEqual(match.ties, [], 'Not ambiguous');
+  assertEqual(match.confidence, 1, 'Confident');
+});
+
+test('Remaining ties are ambiguous', () => {
+  const match = CompendiumParser.explainMatch('bonus feat', fighter, { level: 3 });
+  assertDeepEqual(match.ties.map(a => a.level), [1, 2, 4], 'All bonus feats tie');
+  assertEqual(match.association.level, 1, 'First kept as the best guess');
+  assert(match.confidence <= 0.5, 'Low confidence');
+
+  const channel = CompendiumParser.explainMatch('channel', cleric, { level: 1 });
+  assertEqual(channel.ties.length, 2, 'Channel features tie');
+});
+
+test('Entries of one scalable series are not a tie', () => {
+  const match = CompendiumParser.explainMatch('armor training', fighter, { level: 5, className: 'fighter' });
+  assertDeepEqual(match.ties, [], 'Series entries are one feature');
+  assertEqual(CompendiumParser.explainMatch('armor training', fighter, { level: 5 }).ties.length, 2,
+    'Without the class the entries tie');
+});
+
+test('resolveTargets reports ambiguities per target', () => {
+  const { targets, ambiguities } = CompendiumParser.resolveTargets('bravery and bonus feat', fighter, { level: 3 });
+  assertDeepEqual(targets, ['bravery', 'bonus feat'], 'Targets');
+  assertEqual(ambiguities.length, 1, 'One ambiguity');
+  assertEqual(ambiguities[0].target, 'bonus feat', 'For the bonus feat');
+});
+
+// =====================================================
+// Section 2: Parsing and diff
+// =====================================================
+console.log('\n--- Section 2: Parsing and diff ---');
+
+await asyncTest('The entry at the feature level is replaced', async () => {
+  const parsed = await CompendiumParser.parseArchetype({ name: 'Drill Sergeant' },
+    [featureDoc('Tactician', 'This ability replaces the bonus feat.', 4)], fighterRaw, 'fighter');
+  const feature = parsed.features[0];
+  assertEqual(feature.matchedAssociation.level, 4, 'Matched at level 4');
+  assertEqual(feature.ambiguity, null, 'Not ambiguous');
+  assertDeepEqual(removed(DiffEngine.generateDiff(fighter, parsed, 'fighter')), ['Bonus Feat@4'], 'Level 4 entry removed');
+});
+
+await asyncTest('An ambiguous feature records its candidates', async () => {
+  const parsed = await CompendiumParser.parseArchetype({ name: 'Drill Sergeant' },
+    [featureDoc('Tactician', 'This ability replaces the bonus feat.', 3)], fighterRaw, 'fighter');
+  const feature = parsed.features[0];
+  assertEqual(feature.ambiguity.target, 'bonus feat', 'Ambiguous target');
+  assertDeepEqual(feature.ambiguity.candidates.map(a => a.level), [1, 2, 4], 'Candidates');
+  assert(feature.explanation.includes('equally well'), feature.explanation);
+  assert(CompendiumParser.isLowConfidence(feature), 'Shown as low confidence in the preview');
+});
+
+// =====================================================
+// Section 3: Fix dialog
+// =====================================================
+console.log('\n--- Section 3: Resolving the ambiguity ---');
+
+await asyncTest('Ambiguous features are prompted with the candidates', async () => {
+  const prompted = [];
+  const parsed = await CompendiumParser.parseArchetypeWithPrompts({ name: 'Drill Sergeant' },
+    [featureDoc('Tactician', 'This ability replaces the bonus feat.', 3)], fighterRaw, {
+      className: 'fighter',
+      promptCallback: async (feature) => {
+        prompted.push(feature);
+        return { level: 3, replaces: 'Bonus Feat at 2nd level', isAdditive: false };
+      }
+    });
+  assertEqual(prompted.length, 1, 'Prompted without promptLowConfidence');
+  assertDeepEqual(prompted[0].ambiguity.candidates.map(c => [c.name, c.level]),
+    [['Bonus Feat', 1], ['Bonus Feat', 2], ['Bonus Feat', 4]], 'Candidates passed');
+  assertEqual(parsed.features[0].matchedAssociation.level, 2, 'User choice matched');
+  assertEqual(parsed.features[0].ambiguity, null, 'Resolved');
+  assertDeepEqual(removed(DiffEngine.generateDiff(fighter, parsed, 'fighter')), ['Bonus Feat@2'], 'Chosen entry removed');
+});
+
+test('Fix dialog pre-fills the candidates', () => {
+  const html = UIManager._buildFixDialogHTML({
+    name: 'Tactician',
+    ambiguity: { target: 'bonus feat', candidates: [{ name: 'Bonus Feat', level: 1 }, { name: 'Bonus Feat', level: 4 }] }
+  }, fighter.map(a => ({ name: a.resolvedName, level: a.level })));
+  assert(html.includes('"bonus feat" matches several class features equally well'), 'Explained');
+  assert(html.includes('<optgroup label="Candidates">'), 'Candidate group');
+  assert(html.includes('<option value="Bonus Feat at 1st level" selected>'), 'Best guess selected');
+  assert(html.includes('value="Bonus Feat at 4th level"'), 'Each candidate names its level');
+
+  const container = document.createElement('div');
+  container.innerHTML = html;
+  assertEqual(UIManager._parseFixDialogResult(container, { name: 'Tactician' }).replaces, 'Bonus Feat at 1st level', 'Selected by default');
+});
+
+test('Preview fix prompt carries the ambiguity', () => {
+  const feature = { name: 'Tactician', level: 3, ambiguity: { target: 'bonus feat', candidates: fighter.filter(a => a.resolvedName === 'Bonus Feat') } };
+  const prompt = UIManager._fixPromptFeature(feature, { slug: 'drill-sergeant', name: 'Drill Sergeant' }, { name: 'Fighter' });
+  assertDeepEqual(prompt.ambiguity.candidates.map(c => c.level), [1, 2, 4], 'Candidates');
+  assertEqual(prompt.className, 'fighter', 'Class');
+});
+
+// =====================================================
+// Summary
+// =====================================================
+console.log(`\n${'='.repeat(50)}`);
+console.log(`Feature #128 Results: ${passed}/${totalTests} passed, ${failed} failed`);
+console.log(`${'='.repeat(50)}\n`);
+
+if (failed > 0) process.exit(1);
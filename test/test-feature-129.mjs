@@ -0,0 +1,205 @@
+/**
+ * Test Suite for Feature #129: Feature levels from prose
+ *
+ * Verifies that a missing "Level:" marker falls back to level phrases in the opening
+ * sentence, and that features gained at several levels produce one entry per level.
+ */
+
+
+import { setupMockEnvironment } from './foundry-mock.mjs';
+
+let passed = 0;
+let failed = 0;
+let totalTests = 0;
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${message || 'Deep equality failed'}: expected ${e}, got ${a}`);
+  }
+}
+
+function test(name, fn) {
+  totalTests++;
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+async function asyncTest(name, fn) {
+  totalTests++;
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+
+setupMockEnvironment();
+
+const { CompendiumParser } = await import('../scripts/compendium-parser.mjs');
+const { DiffEngine } = await import('../scripts/diff-engine.mjs');
+
+console.log('\n=== Feature #129: Feature levels from prose ===\n');
+
+// =====================================================
+// Fixtures
+// =====================================================
+
+const names = {
+  'Compendium.pf1.class-abilities.BonusFeat': 'Bonus Feat',
+  'Compendium.pf1.class-abilities.Bravery': 'Bravery'
+};
+globalThis.fromUuid = async (uuid) => names[uuid] ? { name: names[uuid] } : null;
+
+const fighterRaw = [
+  { uuid: 'Compendium.pf1.class-abilities.BonusFeat', level: 1 },
+  { uuid: 'Compendium.pf1.class-abilities.Bravery', level: 2 }
+];
+const fighter = await CompendiumParser.resolveAssociations(fighterRaw);
+
+function featureDoc(name, html) {
+  return {
+    name,
+    uuid: `Compendium.pf1e-archetypes.pf-arch-features.Item.${name.slugify()}`,
+    system: { description: { value: html } }
+  };
+}
+
+// =====================================================
+// Section 1: Single-level phrases
+// =====================================================
+console.log('--- Section 1: Single-level phrases ---');
+
+test('"At 3rd level" gives level 3', () => {
+  assertEqual(CompendiumParser.parseLevel('<p>At 3rd level, the fighter gains evasion.</p>'), 3, 'Level');
+});
+
+test('"Starting at" and "Beginning at" phrases are read', () => {
+  assertEqual(CompendiumParser.parseLevel('<p>Starting at 5th level, she gains a bonus.</p>'), 5, 'Starting at');
+  assertEqual(CompendiumParser.parseLevel('<p>Beginning at 11th level, he can reroll.</p>'), 11, 'Beginning at');
+});
+
+test('"Upon reaching" and "at level N" phrases are read', () => {
+  assertEqual(CompendiumParser.parseLevel('<p>Upon reaching 7th level, the monk gains ki.</p>'), 7, 'Upon reaching');
+  assertEqual(CompendiumParser.parseLevel('<p>When she reaches 9th level, she gains X.</p>'), 9, 'Reaches');
+  assertEqual(CompendiumParser.parseLevel('<p>At level 4, the ranger gains X.</p>'), 4, 'At level N');
+});
+
+test('Ordinal words are read', () => {
+  assertEqual(CompendiumParser.parseLevel('<p>At fifth level, the bard gains X.</p>'), 5, 'fifth');
+});
+
+test('Only the opening sentence is read', () => {
+  assertEqual(CompendiumParser.parseLevel('<p>The fighter gains evasion. At 20th level, it improves.</p>'), null, 'Later sentence ignored');
+});
+
+test('The "Level:" marker wins over prose', () => {
+  assertDeepEqual(CompendiumParser.parseLevels('<p><strong>Level</strong>: 3</p><p>At 5th level and every 4 levels thereafter, X.</p>'),
+    [3], 'Marker only');
+});
+
+test('Descriptions without a level still give null', () => {
+  assertEqual(CompendiumParser.parseLevel('<p>This ability replaces bravery.</p>'), null, 'No level');
+  assertDeepEqual(CompendiumParser.parseLevels(null), [], 'Null description');
+});
+
+// =====================================================
+// Section 2: Several levels
+// =====================================================
+console.log('\n--- Section 2: Several levels ---');
+
+test('"every N levels thereafter" repeats up to 20th level', () => {
+  assertDeepEqual(CompendiumParser.parseLevels('<p>At 5th level and every 4 levels thereafter, the ranger gains a bonus feat.</p>'),
+    [5, 9, 13, 17], 'Levels');
+});
+
+test('Cardinal words and "every other level" set the step', () => {
+  assertDeepEqual(CompendiumParser.parseLevels('<p>At 2nd level and every six levels thereafter, X.</p>'), [2, 8, 14, 20], 'six');
+  assertDeepEqual(CompendiumParser.parseLevels('<p>At 16th level and every other level thereafter, X.</p>'), [16, 18, 20], 'other');
+});
+
+test('Level lists and "again at" are read', () => {
+  assertDeepEqual(CompendiumParser.parseLevels('<p>At 5th, 9th, and 13th levels, he gains X.</p>'), [5, 9, 13], 'List');
+  assertDeepEqual(CompendiumParser.parseLevels('<p>At 2nd level, and again at 10th and 18th level, X.</p>'), [2, 10, 18], 'Again');
+});
+
+// =====================================================
+// Section 3: Parsing archetypes
+// =====================================================
+console.log('\n--- Section 3: Parsing archetypes ---');
+
+await asyncTest('A prose level makes the feature additive instead of unknown', async () => {
+  const parsed = await CompendiumParser.parseArchetype({ name: 'Hedge Knight' },
+    [featureDoc('Steady Stance', '<p>At 3rd level, the fighter cannot be knocked prone.</p>')], fighterRaw, 'fighter');
+  const [feature] = parsed.features;
+  assertEqual(feature.type, 'additive', 'Additive');
+  assertEqual(feature.level, 3, 'Level');
+  assertEqual(feature.needsUserInput, false, 'No prompt needed');
+  assert(feature.explanation.includes('description text'), 'Explanation names the prose level');
+});
+
+await asyncTest('A repeating feature produces one entry per level', async () => {
+  const parsed = await CompendiumParser.parseArchetype({ name: 'Hedge Knight' },
+    [featureDoc('Favored Oath', '<p>At 5th level and every 5 levels thereafter, the fighter swears an oath.</p>')], fighterRaw, 'fighter');
+  assertDeepEqual(parsed.features.map(f => f.level), [5, 10, 15, 20], 'Levels');
+  assert(parsed.features.every(f => f.uuid === parsed.features[0].uuid), 'Same item');
+  assertDeepEqual(parsed.features[0].levels, [5, 10, 15, 20], 'Levels listed');
+  const added = DiffEngine.generateDiff(fighter, parsed, 'fighter').filter(d => d.status === 'added');
+  assertDeepEqual(added.map(d => d.level), [5, 10, 15, 20], 'Added at each level');
+});
+
+await asyncTest('A repeating replacement of a scaling feature replaces the tier at each of its levels', async () => {
+  const parsed = await CompendiumParser.parseArchetype({ name: 'Hedge Knight' },
+    [featureDoc('Fearless', '<p>At 2nd level and every 8 levels thereafter, the fighter gains a bonus against fear. This replaces bravery.</p>')],
+    fighterRaw, 'fighter');
+  assertDeepEqual(parsed.features.map(f => [f.level, f.type, f.target]),
+    [[2, 'replacement', 'bravery'], [10, 'replacement', 'bravery'], [18, 'replacement', 'bravery']], 'Types');
+  assertDeepEqual(parsed.features.map(f => f.needsUserInput), [false, false, false], 'No prompts');
+  const diff = DiffEngine.generateDiff(fighter, parsed, 'fighter');
+  assertDeepEqual(diff.filter(d => d.status === 'removed').map(d => `${d.name}@${d.level}`),
+    ['Bravery@2', 'Bravery@10', 'Bravery@18'], 'Each tier removed once');
+});
+
+await asyncTest('A repeating replacement replaces the base feature gained at each of its levels', async () => {
+  const feats = await CompendiumParser.resolveAssociations([2, 4, 6].map(level => ({ uuid: 'Compendium.pf1.class-abilities.BonusFeat', level })));
+  const parsed = await CompendiumParser.parseArchetype({ name: 'Hedge Knight' },
+    [featureDoc('Martial Stance', '<p>At 2nd, 4th, and 6th levels, the fighter learns a stance. This replaces the bonus feat.</p>')],
+    feats.map(({ uuid, level }) => ({ uuid, level })), 'fighter');
+  assertDeepEqual(parsed.features.map(f => [f.level, f.type, f.matchedAssociation?.level]),
+    [[2, 'replacement', 2], [4, 'replacement', 4], [6, 'replacement', 6]], 'Each level matched');
+  const diff = DiffEngine.generateDiff(feats, parsed, 'fighter');
+  assertDeepEqual(diff.filter(d => d.status === 'removed').map(d => `${d.name}@${d.level}`),
+    ['Bonus Feat@2', 'Bonus Feat@4', 'Bonus Feat@6'], 'Every bonus feat replaced');
+});
+
+// =====================================================
+// Summary
+// =====================================================
+console.log(`\n${'='.repeat(50)}`);
+console.log(`Feature #129 Results: ${passed}/${totalTests} passed, ${failed} failed`);
+console.log(`${'='.repeat(50)}\n`);
+
+if (failed > 0) process.exit(1);
@@ -0,0 +1,291 @@
+/**
+ * Test Suite for Feature #130: Review dialog for unresolved features
+ *
+ * Verifies that every unresolved, ambiguous or low-confidence feature is shown in one
+ * review dialog, that the results are applied to the parse, and that all fixes are saved
+ * to the JE fixes section in a single write.
+ */
+
+
+import { setupMockEnvironment } from './foundry-mock.mjs';
+
+let passed = 0;
+let failed = 0;
+let totalTests = 0;
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${message || 'Deep equality failed'}: expected ${e}, got ${a}`);
+  }
+}
+
+function test(name, fn) {
+  totalTests++;
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+async function asyncTest(name, fn) {
+  totalTests++;
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+
+setupMockEnvironment();
+
+const { CompendiumParser } = await import('../scripts/compendium-parser.mjs');
+const { DiffEngine } = await import('../scripts/diff-engine.mjs');
+const { JournalEntryDB } = await import('../scripts/journal-db.mjs');
+const { ScalableFeatures } = await import('../scripts/scalable-features.mjs');
+const { UIManager } = await import('../scripts/ui-manager.mjs');
+
+console.log('\n=== Feature #130: Review dialog for unresolved features ===\n');
+
+// =====================================================
+// Fixtures
+// =====================================================
+
+const names = {
+  'Compendium.pf1.class-abilities.Bravery': 'Bravery',
+  'Compendium.pf1.class-abilities.ArmorTraining': 'Armor Training',
+  'Compendium.pf1.class-abilities.WeaponTraining': 'Weapon Training'
+};
+globalThis.fromUuid = async (uuid) => names[uuid] ? { name: names[uuid] } : null;
+
+const baseAssociations = [
+  { uuid: 'Compendium.pf1.class-abilities.Bravery', level: 2 },
+  { uuid: 'Compendium.pf1.class-abilities.ArmorTraining', level: 3 },
+  { uuid: 'Compendium.pf1.class-abilities.WeaponTraining', level: 5 }
+];
+const resolved = await CompendiumParser.resolveAssociations(baseAssociations);
+
+function featureDoc(name, text, level = 3) {
+  return {
+    name,
+    uuid: `Compendium.pf1e-archetypes.pf-arch-features.Item.${name.slugify()}`,
+    system: { description: { value: `<p><strong>Level</strong>: ${level}</p><p>${text}</p>` } }
+  };
+}
+
+// One confident, one low-confidence and two unresolved features
+const docs = [
+  featureDoc('Brave Heart', 'This ability replaces bravery.', 2),
+  featureDoc('Unsure Training', 'This ability replaces training.'),
+  featureDoc('Focused Mind', 'This ability replaces focused study.', 4),
+  featureDoc('Odd Gift', 'This ability replaces the gift.', 6)
+];
+
+await JournalEntryDB.ensureDatabase();
+
+// =====================================================
+// Section 1: Collecting features for review
+// =====================================================
+console.log('--- Section 1: Collecting features for review ---');
+
+await asyncTest('needsReview covers unresolved, ambiguous and (optionally) low-confidence features', async () => {
+  const parsed = await CompendiumParser.parseArchetype({ name: 'Review Me' }, docs, baseAssociations, 'fighter');
+  assertDeepEqual(parsed.features.map(f => CompendiumParser.needsReview(f)), [false, false, true, true], 'Unresolved only');
+  assertDeepEqual(parsed.features.map(f => CompendiumParser.needsReview(f, { lowConfidence: true })), [false, true, true, true], 'With low confidence');
+});
+
+await asyncTest('reviewCallback is called once with every feature and the expanded feature list', async () => {
+  const calls = [];
+  const parsed = await CompendiumParser.parseArchetypeWithPrompts({ name: 'Review Me' }, docs, baseAssociations, {
+    className: 'fighter',
+    promptLowConfidence: true,
+    promptCallback: async () => { throw new Error('promptCallback should not be called'); },
+    reviewCallback: async (features, expanded) => {
+      calls.push({ features, expanded });
+      return [
+        { level: 5, replaces: 'Weapon Training', isAdditive: false },
+        null,
+        { level: 6, replaces: null, isAdditive: true }
+      ];
+    }
+  });
+  assertEqual(calls.length, 1, 'One call');
+  assertDeepEqual(calls[0].features.map(f => f.name), ['Unsure Training', 'Focused Mind', 'Odd Gift'], 'Features');
+  assertEqual(calls[0].features[0].archetypeSlug, 'review-me', 'Archetype slug');
+  assertEqual(calls[0].features[1].needsUserInput, true, 'Unresolved flag passed');
+  assert(calls[0].expanded.some(f => f._isSeriesHeader && f._baseName === 'weapon training'), 'Expanded series');
+
+  assertEqual(parsed.features[1].matchedAssociation.resolvedName, 'Weapon Training', 'Fix applied');
+  assertEqual(parsed.features[1].level, 5, 'Level applied');
+  assertEqual(parsed.features[2].needsUserInput, true, 'Skipped feature left as is');
+  assertEqual(parsed.features[3].type, 'additive', 'Additive applied');
+  assertEqual(parsed.features[3].needsUserInput, false, 'Resolved');
+});
+
+await asyncTest('A cancelled review leaves every feature as parsed', async () => {
+  const parsed = await CompendiumParser.parseArchetypeWithPrompts({ name: 'Review Me' }, docs, baseAssociations, {
+    className: 'fighter',
+    reviewCallback: async () => null
+  });
+  assertDeepEqual(parsed.features.map(f => !!f.needsUserInput), [false, false, true, true], 'Unchanged');
+});
+
+// =====================================================
+// Section 2: Dialog content
+// =====================================================
+console.log('\n--- Section 2: Dialog content ---');
+
+const expanded = ScalableFeatures.getExpandedFeatureList(resolved, 'fighter');
+const reviewFeatures = [
+  { name: 'Unsure Training', level: 3, description: `<p>${'Long text. '.repeat(40)}</p>`, archetypeSlug: 'review-me', archetypeName: 'Review Me', className: 'fighter', confidence: 0.4 },
+  { name: 'Focused Mind', level: 4, description: '<p>This ability replaces focused study.</p>', archetypeSlug: 'review-me', archetypeName: 'Review Me', className: 'fighter', needsUserInput: true },
+  { name: 'Drilled', level: 1, description: '', archetypeSlug: 'other-archetype', archetypeName: 'Other', className: 'fighter',
+    ambiguity: { target: 'training', candidates: [{ name: 'Armor Training', level: 3 }, { name: 'Weapon Training', level: 5 }] } }
+];
+
+test('Each feature gets a row with an excerpt, level, dropdown and additive toggle', () => {
+  const container = document.createElement('div');
+  container.innerHTML = UIManager._buildReviewDialogHTML(reviewFeatures, expanded);
+  const rows = container.querySelectorAll('.review-feature-row');
+  assertEqual(rows.length, 3, 'Rows');
+  assert(rows[0].querySelector('.review-excerpt').textContent.endsWith('…'), 'Excerpt truncated');
+  assert(rows[1].querySelector('.review-excerpt').textContent.includes('focused study'), 'Excerpt text');
+  assertEqual(rows[1].querySelector('.review-level-input').value, '4', 'Level');
+  assert(rows[1].querySelector('.review-additive-checkbox'), 'Additive toggle');
+  assert(rows[0].querySelector('option[value="series:weapon training"]'), 'Series option');
+  assert(rows[0].querySelector('option[value="tier:weapon training:2"]'), 'Tier option');
+  assertEqual(rows[1].querySelector('.review-status').textContent, 'Unresolved', 'Status');
+  assertEqual(rows[2].querySelector('.review-replaces-select').value, 'Armor Training at 3rd level', 'Best candidate selected');
+});
+
+test('Row results decode the dropdown and leave untouched rows out', () => {
+  const container = document.createElement('div');
+  container.innerHTML = UIManager._buildReviewDialogHTML(reviewFeatures, expanded);
+  const rows = container.querySelectorAll('.review-feature-row');
+  rows[0].querySelector('.review-replaces-select').value = 'tier:weapon training:2';
+  rows[0].querySelector('.review-level-input').value = '9';
+  rows[2].querySelector('.review-additive-checkbox').checked = true;
+
+  const results = UIManager._parseReviewDialogResult(container, reviewFeatures);
+  assertDeepEqual(results[0], { level: 9, replaces: 'weapon training 2', isAdditive: false, featureName: 'Unsure Training' }, 'Tier');
+  assertEqual(results[1], null, 'Untouched row');
+  assertDeepEqual(results[2], { level: 1, replaces: null, isAdditive: true, featureName: 'Drilled' }, 'Additive');
+});
+
+// =====================================================
+// Section 3: Saving
+// =====================================================
+console.log('\n--- Section 3: Saving ---');
+
+await asyncTest('All fixes are saved in one write, keeping existing fixes', async () => {
+  await JournalEntryDB.setArchetype('fixes', 'review-me', { class: 'fighter', features: { 'brave-heart': { level: 2, replaces: 'Bravery' } } });
+  const writes = [];
+  const originalWrite = JournalEntryDB.writeSection;
+  JournalEntryDB.writeSection = async function (section, data) {
+    writes.push(section);
+    return originalWrite.call(this, section, data);
+  };
+  try {
+    const pending = UIManager.showReviewDialog(reviewFeatures, expanded);
+    const dialog = Dialog._lastInstance;
+    const form = document.createElement('div');
+    form.innerHTML = dialog.data.content;
+    form.querySelector('[name="review-replaces-0"]').value = 'series:weapon training';
+    form.querySelector('[name="review-additive-1"]').checked = true;
+    await dialog.data.buttons.confirm.callback(form);
+
+    const results = await pending;
+    assertEqual(results.filter(Boolean).length, 3, 'Three results');
+    assertDeepEqual(writes, ['fixes'], 'One write');
+  } finally {
+    JournalEntryDB.writeSection = originalWrite;
+  }
+
+  const fixes = await JournalEntryDB.readSection('fixes');
+  assertEqual(fixes['review-me'].features['brave-heart'].replaces, 'Bravery', 'Existing fix kept');
+  assertEqual(fixes['review-me'].features['unsure-training'].replaces, 'weapon training', 'Replacement saved');
+  assertEqual(fixes['review-me'].features['focused-mind'].replaces, null, 'Additive saved');
+  assertEqual(fixes['other-archetype'].features['drilled'].replaces, 'Armor Training at 3rd level', 'Second archetype saved');
+  assertEqual(fixes['other-archetype'].class, 'fighter', 'Class recorded');
+});
+
+await asyncTest('Saving with nothing resolved writes nothing', async () => {
+  let writes = 0;
+  const originalWrite = JournalEntryDB.writeSection;
+  JournalEntryDB.writeSection = async () => { writes++; return true; };
+  try {
+    const pending = UIManager.showReviewDialog(reviewFeatures.slice(0, 2), expanded);
+    const dialog = Dialog._lastInstance;
+    const form = document.createElement('div');
+    form.innerHTML = dialog.data.content;
+    await dialog.data.buttons.confirm.callback(form);
+    assertEqual(await pending, null, 'Nothing returned');
+    assertEqual(writes, 0, 'No write');
+  } finally {
+    JournalEntryDB.writeSection = originalWrite;
+  }
+});
+
+// =====================================================
+// Section 4: Preview
+// =====================================================
+console.log('\n--- Section 4: Preview ---');
+
+const reviewParsed = await CompendiumParser.parseArchetype({ name: 'Preview Me' }, docs, baseAssociations, 'fighter');
+const reviewDiff = DiffEngine.generateDiff(resolved, reviewParsed, 'fighter');
+
+test('Preview lists unresolved features and offers Review All', () => {
+  const html = UIManager._buildPreviewHTML(reviewParsed, reviewDiff);
+  assert(html.includes('Unresolved Features'), 'Unresolved section');
+  assert(html.includes('data-feature-index="2"') && html.includes('data-feature-index="3"'), 'Fix buttons');
+  assert(html.includes('Review All (3)'), 'Review All button');
+});
+
+await asyncTest('Review All opens one dialog and returns to the selection after saving', async () => {
+  const pending = UIManager.showPreviewDialog(null, { name: 'Fighter' }, reviewParsed, reviewDiff);
+  const preview = Dialog._lastInstance;
+  preview._element.querySelector('.review-all-btn').click();
+  await new Promise(r => setTimeout(r, 0));
+
+  const review = Dialog._lastInstance;
+  assert(review !== preview, 'Review dialog opened');
+  const form = document.createElement('div');
+  form.innerHTML = review.data.content;
+  assertEqual(form.querySelectorAll('.review-feature-row').length, 3, 'All flagged features listed');
+  form.querySelector('[name="review-additive-2"]').checked = true;
+  await review.data.buttons.confirm.callback(form);
+
+  assertEqual(await pending, 'back', 'Preview returns to the selection');
+  const saved = await JournalEntryDB.getArchetype('preview-me');
+  assertEqual(saved.features['odd-gift'].replaces, null, 'Fix saved');
+});
+
+// =====================================================
+// Summary
+// =====================================================
+console.log(`\n${'='.repeat(50)}`);
+console.log(`Feature #130 Results: ${passed}/${totalTests} passed, ${failed} failed`);
+console.log(`${'='.repeat(50)}\n`);
+
+if (failed > 0) process.exit(1);
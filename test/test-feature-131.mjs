@@ -0,0 +1,277 @@
+/**
+ * Test Suite for Feature #131: Parse-audit report
+ *
+ * Verifies that the GM audit parses every archetype of a class against a reference class
+ * item, counts features by type, lists unmatched targets, disagreements with the
+ * CompatibilityDB and archetypes without features, and exports a JE fixes skeleton.
+ */
+
+
+import { setupMockEnvironment, createMockClassItem } from './foundry-mock.mjs';
+
+let passed = 0;
+let failed = 0;
+let totalTests = 0;
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${message || 'Deep equality failed'}: expected ${e}, got ${a}`);
+  }
+}
+
+function test(name, fn) {
+  totalTests++;
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+async function asyncTest(name, fn) {
+  totalTests++;
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+
+setupMockEnvironment();
+
+const { CompendiumParser } = await import('../scripts/compendium-parser.mjs');
+const { CompatibilityDB } = await import('../scripts/compatibility-db.mjs');
+const { DiffEngine } = await import('../scripts/diff-engine.mjs');
+const { JournalEntryDB } = await import('../scripts/journal-db.mjs');
+const { ParseAudit } = await import('../scripts/parse-audit.mjs');
+
+console.log('\n=== Feature #131: Parse-audit report ===\n');
+
+// =====================================================
+// Fixtures
+// =====================================================
+
+const names = {
+  'Compendium.pf1.class-abilities.BonusFeat': 'Bonus Feat',
+  'Compendium.pf1.class-abilities.Bravery': 'Bravery',
+  'Compendium.pf1.class-abilities.ArmorTraining': 'Armor Training'
+};
+globalThis.fromUuid = async (uuid) => names[uuid] ? { name: names[uuid] } : null;
+
+const fighter = createMockClassItem('Fighter', 5);
+fighter.system.links.classAssociations = [
+  { uuid: 'Compendium.pf1.class-abilities.BonusFeat', level: 1 },
+  { uuid: 'Compendium.pf1.class-abilities.Bravery', level: 2 },
+  { uuid: 'Compendium.pf1.class-abilities.ArmorTraining', level: 3 }
+];
+const otherFighter = createMockClassItem('Fighter', 1);
+const wizard = createMockClassItem('Wizard', 1);
+game.items = [fighter, otherFighter, wizard];
+
+function featureDoc(name, html) {
+  return { name, id: name.slugify(), uuid: `Compendium.pf1e-archetypes.pf-arch-features.Item.${name.slugify()}`, system: { description: { value: html } } };
+}
+
+const archetypeDocs = ['Fighter (Brave One)', 'Fighter (Empty One)', 'Fighter (Db Guy)', 'Wizard (Other)']
+  .map(name => ({ name, id: name.slugify(), system: {} }));
+const featureDocs = [
+  featureDoc('Stout Heart (Brave One)', '<p><strong>Level</strong>: 2</p><p>This ability replaces bravery.</p>'),
+  featureDoc('Odd Skill (Brave One)', '<p><strong>Level</strong>: 3</p><p>This ability replaces focused study.</p>'),
+  featureDoc('Strange (Brave One)', '<p>It is strange.</p>'),
+  featureDoc('Shiny (Db Guy)', '<p><strong>Level</strong>: 3</p><p>This ability replaces armor training 1.</p>'),
+  featureDoc('Tome (Other)', '<p><strong>Level</strong>: 1</p><p>This ability replaces arcane bond.</p>')
+];
+
+game.modules.set('pf1e-archetypes', { id: 'pf1e-archetypes', active: true });
+game.packs.set('pf1e-archetypes.pf-archetypes', { getDocuments: async () => archetypeDocs });
+game.packs.set('pf1e-archetypes.pf-arch-features', { getDocuments: async () => featureDocs });
+
+CompatibilityDB._db = {
+  classes: {
+    fighter: {
+      'db-guy': { touched: ['bravery'], touchedRaw: ['Bravery'], compatible: [] },
+      'brave-one': { touched: ['bravery'], touchedRaw: ['Bravery'], compatible: [] }
+    }
+  }
+};
+
+await JournalEntryDB.ensureDatabase();
+await JournalEntryDB.setArchetype('custom', 'homebrew-hero', {
+  name: 'Homebrew Hero',
+  class: 'fighter',
+  features: { 'big-swing': { level: 1, replaces: 'Mighty Cleave' }, 'quick-feet': { level: 2, replaces: null } }
+});
+
+// =====================================================
+// Section 1: Reference classes
+// =====================================================
+console.log('--- Section 1: Reference classes ---');
+
+test('All classes uses one world class item per class', () => {
+  assertDeepEqual(ParseAudit.getReferenceClasses(null).map(i => i.id), [fighter.id, wizard.id], 'One per class');
+});
+
+test('Classes can be chosen by item, name or tag', () => {
+  assertDeepEqual(ParseAudit.getReferenceClasses(fighter).map(i => i.id), [fighter.id], 'Item');
+  assertDeepEqual(ParseAudit.getReferenceClasses(['wizard', 'Nope']).map(i => i.id), [wizard.id], 'Name, unknown skipped');
+});
+
+await asyncTest('Only the GM can run the audit', async () => {
+  game.user.isGM = false;
+  try {
+    assertEqual(await ParseAudit.run(fighter), null, 'Refused');
+  } finally {
+    game.user.isGM = true;
+  }
+});
+
+// =====================================================
+// Section 2: Report
+// =====================================================
+console.log('\n--- Section 2: Report ---');
+
+const report = await ParseAudit.run(fighter);
+const fighterReport = report.classes[0];
+const byName = Object.fromEntries(fighterReport.archetypes.map(a => [a.name, a]));
+
+test('Every compendium and JE archetype of the class is parsed', () => {
+  assertEqual(report.classes.length, 1, 'One class');
+  assertDeepEqual(fighterReport.archetypes.map(a => a.name).sort(),
+    ['Fighter (Brave One)', 'Fighter (Db Guy)', 'Fighter (Empty One)', 'Homebrew Hero'], 'Archetypes');
+  assertEqual(byName['Homebrew Hero'].source, 'custom', 'JE source');
+});
+
+test('Features are counted by type', () => {
+  assertDeepEqual(byName['Fighter (Brave One)'].counts, { replacement: 2, modification: 0, additive: 0, unknown: 1 }, 'Brave One');
+  assertDeepEqual(fighterReport.totals.byType, { replacement: 4, modification: 0, additive: 1, unknown: 1 }, 'Class totals');
+  assertEqual(report.totals.features, 6, 'Report totals');
+});
+
+test('Unmatched targets and unrecognized features are listed', () => {
+  assertDeepEqual(byName['Fighter (Brave One)'].unmatched, [{ feature: 'Odd Skill (Brave One)', level: 3, target: 'focused study' }], 'Compendium');
+  assertDeepEqual(byName['Homebrew Hero'].unmatched.map(u => u.target), ['Mighty Cleave'], 'JE entry');
+  assertDeepEqual(byName['Fighter (Brave One)'].unknown, [{ feature: 'Strange (Brave One)', level: null }], 'Unknown');
+  assertEqual(fighterReport.totals.unmatched, 2, 'Total');
+});
+
+test('Regex results are compared with the CompatibilityDB touched list', () => {
+  assertDeepEqual(byName['Fighter (Db Guy)'].disagreements, { regexOnly: ['armor training'], dbOnly: ['bravery'] }, 'Disagreement');
+  assertDeepEqual(byName['Fighter (Brave One)'].disagreements, { regexOnly: [], dbOnly: [] }, 'Agreement');
+  assertEqual(byName['Homebrew Hero'].disagreements, null, 'Not compared for JE entries');
+  assertEqual(fighterReport.totals.disagreements, 1, 'Total');
+});
+
+test('Archetypes with no features are flagged', () => {
+  assertEqual(byName['Fighter (Empty One)'].noFeatures, true, 'Empty');
+  assertEqual(byName['Fighter (Db Guy)'].noFeatures, false, 'Not empty');
+  assertEqual(report.totals.noFeatures, 1, 'Total');
+});
+
+// =====================================================
+// Section 3: Fixes skeleton
+// =====================================================
+console.log('\n--- Section 3: Fixes skeleton ---');
+
+const skeleton = ParseAudit.buildFixSkeleton(report);
+
+test('The skeleton has an entry per failing feature', () => {
+  assertDeepEqual(Object.keys(skeleton).sort(), ['fighter-brave-one', 'fighter-empty-one', 'homebrew-hero'], 'Archetypes');
+  const entry = skeleton['fighter-brave-one'];
+  assertEqual(entry.class, 'fighter', 'Class');
+  assertDeepEqual(Object.keys(entry.features).sort(), ['odd-skill-brave-one', 'strange-brave-one'], 'Features');
+  assertEqual(entry.features['odd-skill-brave-one'].level, 3, 'Level');
+  assertEqual(entry.features['odd-skill-brave-one'].replaces, null, 'Left to fill in');
+  assert(entry.features['odd-skill-brave-one']._audit.includes('focused study'), 'Reason');
+  assert(skeleton['fighter-empty-one']._audit.includes('missing section'), 'Empty archetype note');
+});
+
+await asyncTest('A filled-in skeleton entry fixes the failure', async () => {
+  await JournalEntryDB.setArchetype('fixes', 'fighter-brave-one', {
+    class: 'fighter',
+    features: { 'odd-skill-brave-one': { level: 3, replaces: 'Armor Training' } }
+  });
+  try {
+    const rerun = await ParseAudit.run(fighter);
+    const braveOne = rerun.classes[0].archetypes.find(a => a.slug === 'fighter-brave-one');
+    assertEqual(braveOne.unmatched.length, 0, 'No unmatched targets');
+    assertEqual(braveOne.counts.replacement, 2, 'Fixed feature counted as a replacement');
+  } finally {
+    await JournalEntryDB.deleteArchetype('fixes', 'fighter-brave-one');
+  }
+});
+
+await asyncTest('A JE fix saved by the fix dialog replaces its target in the diff', async () => {
+  await JournalEntryDB.setArchetype('fixes', 'fighter-brave-one', {
+    class: 'fighter',
+    features: { 'odd-skill-brave-one': { level: 3, replaces: 'Armor Training', description: '' } }
+  });
+  try {
+    const parsed = await CompendiumParser.parseArchetype({ name: 'Fighter (Brave One)' }, [featureDocs[1]],
+      fighter.system.links.classAssociations, 'fighter');
+    assertEqual(parsed.features[0].type, 'replacement', 'Type derived');
+    assertEqual(parsed.features[0].matchedAssociation.resolvedName, 'Armor Training', 'Target matched');
+    const resolved = await CompendiumParser.resolveAssociations(fighter.system.links.classAssociations);
+    const removed = DiffEngine.generateDiff(resolved, parsed, 'fighter').filter(d => d.status === 'removed');
+    assert(removed.some(d => d.name.startsWith('Armor Training')), 'Target removed');
+  } finally {
+    await JournalEntryDB.deleteArchetype('fixes', 'fighter-brave-one');
+  }
+});
+
+// =====================================================
+// Section 4: Dialog
+// =====================================================
+console.log('\n--- Section 4: Dialog ---');
+
+await asyncTest('The report dialog summarizes the audit and exports the skeleton', async () => {
+  const exported = [];
+  foundry.utils.saveDataToFile = (data, type, filename) => exported.push({ data, type, filename });
+  try {
+    const opened = await ParseAudit.open(fighter);
+    assertEqual(opened.totals.archetypes, 4, 'Report returned');
+    const dialog = Dialog._lastInstance;
+    const content = dialog.data.content;
+    assert(content.includes('Unmatched Targets (2)'), 'Unmatched section');
+    assert(content.includes('Disagreements with CompatibilityDB (1)'), 'Disagreement section');
+    assert(content.includes('No Features Found (1)'), 'Empty section');
+
+    dialog._element.querySelector('.export-fixes-btn').click();
+    assertEqual(exported.length, 1, 'Exported');
+    assertEqual(exported[0].type, 'application/json', 'JSON');
+    assert(JSON.parse(exported[0].data)['fighter-brave-one'], 'Skeleton exported');
+  } finally {
+    delete foundry.utils.saveDataToFile;
+  }
+});
+
+CompatibilityDB._db = null;
+
+// =====================================================
+// Summary
+// =====================================================
+console.log(`\n${'='.repeat(50)}`);
+console.log(`Feature #131 Results: ${passed}/${totalTests} passed, ${failed} failed`);
+console.log(`${'='.repeat(50)}\n`);
+
+if (failed > 0) process.exit(1);
@@ -0,0 +1,325 @@
+/**
+ * Test Suite for Feature #132: Stale JE fix detection
+ *
+ * Verifies that JE fixes are stamped with a hash of the compendium description and the
+ * source module version, that fixes written for older text are flagged in the parse results
+ * and the preview, and that the maintenance view keeps, updates or drops them.
+ */
+
+
+import { setupMockEnvironment } from './foundry-mock.mjs';
+
+let passed = 0;
+let failed = 0;
+let totalTests = 0;
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${message || 'Deep equality failed'}: expected ${e}, got ${a}`);
+  }
+}
+
+function test(name, fn) {
+  totalTests++;
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+async function asyncTest(name, fn) {
+  totalTests++;
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+
+setupMockEnvironment();
+
+const { CompendiumParser } = await import('../scripts/compendium-parser.mjs');
+const { JournalEntryDB } = await import('../scripts/journal-db.mjs');
+const { UIManager } = await import('../scripts/ui-manager.mjs');
+const { FixMaintenance } = await import('../scripts/fix-maintenance.mjs');
+
+console.log('\n=== Feature #132: Stale JE fix detection ===\n');
+
+// =====================================================
+// Fixtures
+// =====================================================
+
+const names = {
+  'Compendium.pf1.class-abilities.BonusFeat': 'Bonus Feat',
+  'Compendium.pf1.class-abilities.Bravery': 'Bravery'
+};
+globalThis.fromUuid = async (uuid) => names[uuid] ? { name: names[uuid] } : null;
+
+const baseAssociations = [
+  { uuid: 'Compendium.pf1.class-abilities.BonusFeat', level: 1 },
+  { uuid: 'Compendium.pf1.class-abilities.Bravery', level: 2 }
+];
+
+function featureDoc(name, html) {
+  return { name, id: name.slugify(), uuid: `Compendium.pf1e-archetypes.pf-arch-features.Item.${name.slugify()}`, system: { description: { value: html } } };
+}
+
+const OLD_TEXT = '<p><strong>Level</strong>: 2</p><p>This ability replaces bravery.</p>';
+const NEW_TEXT = '<p><strong>Level</strong>: 2</p><p>This ability replaces bravery and armor training 1.</p>';
+const SAME_TEXT = '<p><strong>Level</strong>: 3</p><p>Gains a shield.</p>';
+
+const featureDocs = [
+  featureDoc('Stout Heart (Brave One)', NEW_TEXT),
+  featureDoc('Shield Wall (Brave One)', SAME_TEXT),
+  featureDoc('Old Habit (Brave One)', '<p>Unchanged wording.</p>')
+];
+
+game.modules.set('pf1e-archetypes', { id: 'pf1e-archetypes', active: true, version: '2.1.0' });
+game.packs.set('pf1e-archetypes.pf-arch-features', { getDocuments: async () => featureDocs });
+
+await JournalEntryDB.ensureDatabase();
+
+async function resetFixes() {
+  await JournalEntryDB.writeSection('fixes', {
+    'fighter-brave-one': {
+      class: 'fighter',
+      features: {
+        'stout-heart-brave-one': { level: 2, replaces: 'Bravery', description: '', descriptionHash: CompendiumParser.hashDescription(OLD_TEXT), sourceVersion: '1.0.0' },
+        'shield-wall-brave-one': { level: 3, replaces: null, description: '', descriptionHash: CompendiumParser.hashDescription(SAME_TEXT), sourceVersion: '1.0.0' },
+        'old-habit-brave-one': { level: 1, replaces: null, description: '' },
+        'gone-feature-brave-one': { level: 4, replaces: null, description: '' }
+      }
+    },
+    'fighter-lone-one': {
+      class: 'fighter',
+      features: {
+        'stout-heart-brave-one': { level: 2, replaces: null, description: '', descriptionHash: CompendiumParser.hashDescription(OLD_TEXT) }
+      }
+    }
+  });
+}
+
+// =====================================================
+// Section 1: Description stamps
+// =====================================================
+console.log('--- Section 1: Description stamps ---');
+
+test('The description hash ignores markup and whitespace but not wording', () => {
+  const hash = CompendiumParser.hashDescription('<p>This ability replaces bravery.</p>');
+  assert(/^[0-9a-f]{8}$/.test(hash), 'Hex hash');
+  assertEqual(CompendiumParser.hashDescription('This   ability <em>replaces</em>\nbravery.'), hash, 'Same wording');
+  assert(CompendiumParser.hashDescription('<p>This ability replaces bravery and armor training.</p>') !== hash, 'Different wording');
+  assertEqual(CompendiumParser.hashDescription(null), CompendiumParser.hashDescription(''), 'Empty');
+});
+
+test('A fix stamp records the hash and the source module version', () => {
+  assertDeepEqual(CompendiumParser.fixStamp(NEW_TEXT), { descriptionHash: CompendiumParser.hashDescription(NEW_TEXT), sourceVersion: '2.1.0' }, 'Stamp');
+});
+
+test('Fixes are checked against the current description', () => {
+  const stamped = { descriptionHash: CompendiumParser.hashDescription(OLD_TEXT), sourceVersion: '1.0.0' };
+  assertEqual(CompendiumParser.checkFix(stamped, OLD_TEXT).status, 'current', 'Current');
+  const stale = CompendiumParser.checkFix(stamped, NEW_TEXT);
+  assertEqual(stale.status, 'stale', 'Stale');
+  assertEqual(stale.savedVersion, '1.0.0', 'Saved version');
+  assertEqual(stale.currentVersion, '2.1.0', 'Current version');
+  assertEqual(CompendiumParser.checkFix({ level: 1 }, OLD_TEXT).status, 'unstamped', 'Unstamped');
+});
+
+// =====================================================
+// Section 2: Parse results
+// =====================================================
+console.log('\n--- Section 2: Parse results ---');
+
+await resetFixes();
+const parsed = await CompendiumParser.parseArchetype(
+  { name: 'Fighter (Brave One)' }, featureDocs.slice(0, 2), baseAssociations, 'fighter');
+const stout = parsed.features.find(f => f.name === 'Stout Heart (Brave One)');
+const shield = parsed.features.find(f => f.name === 'Shield Wall (Brave One)');
+
+test('A fix written for older text is flagged but still applied', () => {
+  assertEqual(stout.source, 'je-fix', 'Fix applied');
+  assertEqual(stout.type, 'replacement', 'Fix classification kept');
+  assertEqual(stout.staleFix.status, 'stale', 'Flagged');
+  assertEqual(stout.staleFix.savedVersion, '1.0.0', 'Saved version');
+  assert(stout.explanation.includes('description has changed'), 'Explained');
+  assertEqual(stout.sourceDescription, NEW_TEXT, 'Current compendium text kept');
+});
+
+test('A fix matching the current text is not flagged', () => {
+  assertEqual(shield.source, 'je-fix', 'Fix applied');
+  assertEqual(shield.staleFix, null, 'Not flagged');
+  assertEqual(shield.explanation, 'Taken from the JE fixes entry for this feature.', 'Plain explanation');
+});
+
+test('The preview lists outdated fixes when parse warnings are shown', () => {
+  const diff = [{ status: 'added', name: stout.name, level: 2, archetypeFeature: stout }];
+  const container = document.createElement('div');
+  container.innerHTML = UIManager._buildPreviewHTML(parsed, diff);
+  const items = container.querySelectorAll('.preview-stale-fixes li');
+  assertEqual(items.length, 1, 'One outdated fix');
+  assert(items[0].textContent.includes('Stout Heart'), 'Names the feature');
+  assert(items[0].querySelector('.fix-feature-btn'), 'Can be fixed');
+
+  game.settings.set('archetype-manager', 'showParseWarnings', false);
+  try {
+    container.innerHTML = UIManager._buildPreviewHTML(parsed, diff);
+    assertEqual(container.querySelectorAll('.preview-stale-fixes').length, 0, 'Hidden with warnings off');
+  } finally {
+    game.settings.set('archetype-manager', 'showParseWarnings', true);
+  }
+});
+
+// =====================================================
+// Section 3: Saving fixes
+// =====================================================
+console.log('\n--- Section 3: Saving fixes ---');
+
+await asyncTest('Saved fixes are stamped with the compendium text, not a corrected one', async () => {
+  await resetFixes();
+  const refix = UIManager._fixPromptFeature({ ...stout, description: 'Corrected text' }, parsed);
+  const fresh = { name: 'New Trick (Brave One)', description: SAME_TEXT, archetypeSlug: 'fighter-brave-one', className: 'fighter' };
+  assert(await UIManager._saveFixes([
+    { feature: refix, result: { level: 2, replaces: 'Bravery' } },
+    { feature: fresh, result: { level: 3, replaces: null } }
+  ]), 'Saved');
+
+  const features = (await JournalEntryDB.readSection('fixes'))['fighter-brave-one'].features;
+  assertEqual(features['stout-heart-brave-one'].descriptionHash, CompendiumParser.hashDescription(NEW_TEXT), 'Re-fix stamped with compendium text');
+  assertEqual(features['stout-heart-brave-one'].description, 'Corrected text', 'Corrected text kept');
+  assertEqual(features['new-trick-brave-one'].descriptionHash, CompendiumParser.hashDescription(SAME_TEXT), 'New fix stamped');
+  assertEqual(features['new-trick-brave-one'].sourceVersion, '2.1.0', 'Version stamped');
+});
+
+// =====================================================
+// Section 4: Maintenance view
+// =====================================================
+console.log('\n--- Section 4: Maintenance view ---');
+
+await asyncTest('Only the GM can scan the fixes', async () => {
+  game.user.isGM = false;
+  try {
+    assertEqual(await FixMaintenance.scan(), null, 'Refused');
+  } finally {
+    game.user.isGM = true;
+  }
+});
+
+await resetFixes();
+const entries = await FixMaintenance.scan();
+
+await asyncTest('Stale and unstamped fixes are listed; current and uncheckable ones are not', async () => {
+  assertDeepEqual(entries.map(e => `${e.archetypeSlug}/${e.featureSlug}:${e.status}`).sort(), [
+    'fighter-brave-one/old-habit-brave-one:unstamped',
+    'fighter-brave-one/stout-heart-brave-one:stale',
+    'fighter-lone-one/stout-heart-brave-one:stale'
+  ], 'Entries');
+  const entry = entries.find(e => e.archetypeSlug === 'fighter-brave-one' && e.status === 'stale');
+  assertEqual(entry.featureName, 'Stout Heart (Brave One)', 'Feature name');
+  assertEqual(entry.currentDescription, NEW_TEXT, 'Current text');
+});
+
+test('The maintenance dialog offers keep, update and drop per fix', () => {
+  const container = document.createElement('div');
+  container.innerHTML = UIManager._buildFixMaintenanceHTML(entries);
+  const rows = container.querySelectorAll('.maintenance-row');
+  assertEqual(rows.length, 3, 'One row per entry');
+  const options = [...rows[0].querySelectorAll('.maintenance-action-select option')].map(o => o.value);
+  assertDeepEqual(options, ['keep', 'update', 'drop'], 'Actions');
+  assertEqual(rows[0].querySelector('.maintenance-action-select').value, 'keep', 'Keep by default');
+});
+
+await asyncTest('Keep, update and drop are applied in one write', async () => {
+  const writes = [];
+  const originalWrite = JournalEntryDB.writeSection;
+  JournalEntryDB.writeSection = async function (section, data) {
+    writes.push(section);
+    return originalWrite.call(this, section, data);
+  };
+  try {
+    const actions = entries.map(e => e.status === 'unstamped' ? 'update' : e.archetypeSlug === 'fighter-lone-one' ? 'drop' : 'keep');
+    const counts = await FixMaintenance.applyActions(entries, actions);
+    assertDeepEqual(counts, { keep: 1, update: 1, drop: 1 }, 'Counts');
+    assertDeepEqual(writes, ['fixes'], 'One write');
+  } finally {
+    JournalEntryDB.writeSection = originalWrite;
+  }
+
+  const fixes = await JournalEntryDB.readSection('fixes');
+  const features = fixes['fighter-brave-one'].features;
+  assertEqual(features['stout-heart-brave-one'].descriptionHash, CompendiumParser.hashDescription(OLD_TEXT), 'Kept as is');
+  assertEqual(features['old-habit-brave-one'].descriptionHash, CompendiumParser.hashDescription('<p>Unchanged wording.</p>'), 'Updated');
+  assertEqual(features['old-habit-brave-one'].sourceVersion, '2.1.0', 'Updated version');
+  assertEqual(features['old-habit-brave-one'].level, 1, 'Fix kept on update');
+  assert(features['gone-feature-brave-one'], 'Uncheckable fix untouched');
+  assertEqual(fixes['fighter-lone-one'], undefined, 'Empty archetype dropped');
+});
+
+await asyncTest('Keeping everything does not write', async () => {
+  let wrote = false;
+  const originalWrite = JournalEntryDB.writeSection;
+  JournalEntryDB.writeSection = async () => { wrote = true; return true; };
+  try {
+    assertDeepEqual(await FixMaintenance.applyActions(entries, []), { keep: 2, update: 0, drop: 0 }, 'All kept');
+    assertEqual(wrote, false, 'No write');
+  } finally {
+    JournalEntryDB.writeSection = originalWrite;
+  }
+});
+
+await asyncTest('The view applies the actions chosen in the dialog', async () => {
+  await resetFixes();
+  Dialog._lastInstance = null;
+  const pending = FixMaintenance.open();
+  await new Promise(r => setTimeout(r, 10));
+  const dialog = Dialog._lastInstance;
+  assert(dialog, 'Dialog shown');
+
+  const container = document.createElement('div');
+  container.innerHTML = dialog.data.content;
+  container.querySelectorAll('.maintenance-action-select').forEach(select => { select.value = 'drop'; });
+  dialog.data.buttons.apply.callback([container]);
+
+  assertDeepEqual(await pending, { keep: 0, update: 0, drop: 3 }, 'All dropped');
+  const fixes = await JournalEntryDB.readSection('fixes');
+  assertDeepEqual(Object.keys(fixes['fighter-brave-one'].features).sort(), ['gone-feature-brave-one', 'shield-wall-brave-one'], 'Remaining fixes');
+});
+
+await asyncTest('Nothing to review shows no dialog', async () => {
+  await JournalEntryDB.writeSection('fixes', {});
+  Dialog._lastInstance = null;
+  assertEqual(await FixMaintenance.open(), null, 'Nothing applied');
+  assertEqual(Dialog._lastInstance, null, 'No dialog');
+});
+
+// =====================================================
+// Summary
+// =====================================================
+
+console.log(`\n${'='.repeat(50)}`);
+console.log(`Feature #132 Results: ${passed}/${totalTests} passed, ${failed} failed`);
+console.log(`${'='.repeat(50)}\n`);
+
+if (failed > 0) process.exit(1);
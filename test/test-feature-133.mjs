@@ -0,0 +1,324 @@
+/**
+ * Test Suite for Feature #133: Fix scopes
+ *
+ * Verifies that fixes can be saved for the world (GM only), for one actor (in its flags) or
+ * for this session only, that parsing uses the most specific fix, and that the fix and
+ * review dialogs offer the scopes the user is allowed to write.
+ */
+
+
+import { setupMockEnvironment, createMockClassItem, createMockActor } from './foundry-mock.mjs';
+
+let passed = 0;
+let failed = 0;
+let totalTests = 0;
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${message || 'Deep equality failed'}: expected ${e}, got ${a}`);
+  }
+}
+
+function test(name, fn) {
+  totalTests++;
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+async function asyncTest(name, fn) {
+  totalTests++;
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+
+setupMockEnvironment();
+
+const { CompendiumParser } = await import('../scripts/compendium-parser.mjs');
+const { JournalEntryDB } = await import('../scripts/journal-db.mjs');
+const { UIManager } = await import('../scripts/ui-manager.mjs');
+
+console.log('\n=== Feature #133: Fix scopes ===\n');
+
+// =====================================================
+// Fixtures
+// =====================================================
+
+const names = {
+  'Compendium.pf1.class-abilities.BonusFeat': 'Bonus Feat',
+  'Compendium.pf1.class-abilities.Bravery': 'Bravery'
+};
+globalThis.fromUuid = async (uuid) => names[uuid] ? { name: names[uuid] } : null;
+
+const baseAssociations = [
+  { uuid: 'Compendium.pf1.class-abilities.BonusFeat', level: 1 },
+  { uuid: 'Compendium.pf1.class-abilities.Bravery', level: 2 }
+];
+
+function featureDoc(name, html) {
+  return { name, id: name.slugify(), uuid: `Compendium.pf1e-archetypes.pf-arch-features.Item.${name.slugify()}`, system: { description: { value: html } } };
+}
+
+const strange = featureDoc('Strange Gift (Odd One)', '<p><strong>Level</strong>: 2</p><p>It is strange.</p>');
+const archetype = { name: 'Fighter (Odd One)' };
+const SLUG = 'fighter-odd-one';
+const FEATURE_SLUG = 'strange-gift-odd-one';
+
+const actor = createMockActor('Valeros', [createMockClassItem('Fighter', 5)]);
+const otherActor = createMockActor('Seelah', [createMockClassItem('Fighter', 5)]);
+
+await JournalEntryDB.ensureDatabase();
+
+function fixData(replaces) {
+  return { [SLUG]: { class: 'fighter', features: { [FEATURE_SLUG]: { level: 2, replaces } } } };
+}
+
+async function resetScopes() {
+  await JournalEntryDB.writeSection('fixes', {});
+  await actor.setFlag('archetype-manager', 'fixes', {});
+  CompendiumParser._sessionFixes = {};
+}
+
+async function parseFor(parseActor) {
+  const parsed = await CompendiumParser.parseArchetype(archetype, [strange], baseAssociations, 'fighter', { actor: parseActor });
+  return parsed.features[0];
+}
+
+function promptFeature() {
+  return { name: strange.name, description: strange.system.description.value, level: 2, archetypeSlug: SLUG, className: 'fighter', needsUserInput: true };
+}
+
+async function asPlayer(fn) {
+  game.user.isGM = false;
+  try {
+    return await fn();
+  } finally {
+    game.user.isGM = true;
+  }
+}
+
+// Open the fix dialog, pick a scope, mark the feature additive and save
+async function saveFixDialog(scope, dialogActor) {
+  Dialog._lastInstance = null;
+  const pending = UIManager.showFixDialog(promptFeature(), [{ name: 'Bravery', level: 2 }], { actor: dialogActor });
+  const dialog = Dialog._lastInstance;
+  const container = document.createElement('div');
+  container.innerHTML = dialog.data.content;
+  container.querySelector('.fix-additive-checkbox').checked = true;
+  if (scope) {
+    const radio = container.querySelector(`.fix-scope-radio[value="${scope}"]`);
+    container.querySelectorAll('.fix-scope-radio').forEach(r => { r.checked = r === radio; });
+  }
+  await dialog.data.buttons.confirm.callback([container]);
+  return pending;
+}
+
+// =====================================================
+// Section 1: Fix stores
+// =====================================================
+console.log('--- Section 1: Fix stores ---');
+
+await asyncTest('Each scope reads and writes its own store', async () => {
+  await resetScopes();
+  assert(await CompendiumParser.writeFixes('world', fixData('Bravery')), 'World written');
+  assert(await CompendiumParser.writeFixes('actor', fixData('Bonus Feat'), actor), 'Actor written');
+  assert(await CompendiumParser.writeFixes('session', fixData(null)), 'Session written');
+
+  assertEqual((await JournalEntryDB.readSection('fixes'))[SLUG].features[FEATURE_SLUG].replaces, 'Bravery', 'World in the JE');
+  assertEqual(actor.getFlag('archetype-manager', 'fixes')[SLUG].features[FEATURE_SLUG].replaces, 'Bonus Feat', 'Actor in flags');
+  assertEqual((await CompendiumParser.readFixes('session'))[SLUG].features[FEATURE_SLUG].replaces, null, 'Session in memory');
+  assertEqual((await CompendiumParser.readFixes('actor', actor))[SLUG].features[FEATURE_SLUG].replaces, 'Bonus Feat', 'Actor read');
+  assertDeepEqual(await CompendiumParser.readFixes('actor', otherActor), {}, 'Other actor has none');
+});
+
+await asyncTest('Removing an actor fix replaces the flag instead of merging into it', async () => {
+  // Foundry's setFlag merges objects into the existing flag, so mimic that here
+  const merging = createMockActor('Merisiel', [createMockClassItem('Fighter', 5)]);
+  const merge = (target, source) => {
+    for (const [key, value] of Object.entries(source)) {
+      if (value && typeof value === 'object' && target[key] && typeof target[key] === 'object') merge(target[key], value);
+      else target[key] = value;
+    }
+    return target;
+  };
+  merging.setFlag = async (scope, key, value) => {
+    merging.flags[scope] ??= {};
+    merging.flags[scope][key] = merge(merging.flags[scope][key] ?? {}, foundry.utils.deepClone(value));
+  };
+
+  const both = fixData('Bravery');
+  both['other-archetype'] = { class: 'fighter', features: { [FEATURE_SLUG]: { level: 2, replaces: 'Bonus Feat' } } };
+  await CompendiumParser.writeFixes('actor', both, merging);
+  const edited = await CompendiumParser.readFixes('actor', merging);
+  delete edited['other-archetype'];
+  delete edited[SLUG].features[FEATURE_SLUG];
+  await CompendiumParser.writeFixes('actor', edited, merging);
+
+  assertDeepEqual(await CompendiumParser.readFixes('actor', merging), { [SLUG]: { class: 'fighter', features: {} } }, 'Removed fixes stay removed');
+});
+
+await asyncTest('Players cannot write world fixes, and actor fixes need an actor', async () => {
+  await resetScopes();
+  await asPlayer(async () => {
+    assertEqual(await CompendiumParser.writeFixes('world', fixData('Bravery')), false, 'World refused');
+    assert(await CompendiumParser.writeFixes('actor', fixData('Bravery'), actor), 'Actor allowed');
+  });
+  assertEqual(await CompendiumParser.writeFixes('actor', fixData('Bravery')), false, 'No actor');
+});
+
+// =====================================================
+// Section 2: Parsing
+// =====================================================
+console.log('\n--- Section 2: Parsing ---');
+
+await asyncTest('The most specific fix applies: session, then actor, then world', async () => {
+  await resetScopes();
+  await CompendiumParser.writeFixes('world', fixData('Bravery'));
+  let feature = await parseFor(actor);
+  assertEqual(feature.fixScope, 'world', 'World only');
+  assertEqual(feature.source, 'je-fix', 'World source');
+
+  await CompendiumParser.writeFixes('actor', fixData('Bonus Feat'), actor);
+  feature = await parseFor(actor);
+  assertEqual(feature.fixScope, 'actor', 'Actor over world');
+  assertEqual(feature.source, 'actor-fix', 'Actor source');
+  assertEqual(feature.matchedAssociation?.resolvedName, 'Bonus Feat', 'Actor fix applied');
+  assert(feature.explanation.includes("this actor's fixes"), 'Explained');
+
+  await CompendiumParser.writeFixes('session', fixData(null), actor);
+  feature = await parseFor(actor);
+  assertEqual(feature.fixScope, 'session', 'Session over actor');
+  assertEqual(feature.type, 'additive', 'Session fix applied');
+});
+
+await asyncTest("An actor's fixes only apply to that actor", async () => {
+  await resetScopes();
+  await CompendiumParser.writeFixes('actor', fixData('Bravery'), actor);
+  assertEqual((await parseFor(otherActor)).source, 'auto-parse', 'Other actor auto-parsed');
+  assertEqual((await parseFor(null)).source, 'auto-parse', 'No actor auto-parsed');
+  assertEqual((await parseFor(actor)).source, 'actor-fix', 'Own actor fixed');
+});
+
+// =====================================================
+// Section 3: Fix dialog
+// =====================================================
+console.log('\n--- Section 3: Fix dialog ---');
+
+test('The GM saves to the world by default; players cannot', () => {
+  const container = document.createElement('div');
+  container.innerHTML = UIManager._buildFixDialogHTML(promptFeature(), [], actor);
+  assertEqual(container.querySelector('.fix-scope-radio:checked').value, 'world', 'GM default');
+  assert(container.textContent.includes('Valeros'), 'Names the actor');
+
+  game.user.isGM = false;
+  try {
+    container.innerHTML = UIManager._buildFixDialogHTML(promptFeature(), [], actor);
+    assertEqual(container.querySelector('.fix-scope-radio[value="world"]').disabled, true, 'World disabled');
+    assertEqual(container.querySelector('.fix-scope-radio:checked').value, 'actor', 'Player default');
+
+    container.innerHTML = UIManager._buildFixDialogHTML(promptFeature(), [], null);
+    assertEqual(container.querySelector('.fix-scope-radio[value="actor"]').disabled, true, 'Actor disabled without an actor');
+    assertEqual(container.querySelector('.fix-scope-radio:checked').value, 'session', 'Session default');
+  } finally {
+    game.user.isGM = true;
+  }
+});
+
+await asyncTest('A player saves a fix for their actor without touching the world', async () => {
+  await resetScopes();
+  const result = await asPlayer(() => saveFixDialog('actor', actor));
+  assertEqual(result.scope, 'actor', 'Scope returned');
+  assertEqual(result.isAdditive, true, 'Fix returned');
+  assert(actor.getFlag('archetype-manager', 'fixes')[SLUG].features[FEATURE_SLUG], 'Saved on the actor');
+  assertDeepEqual(await JournalEntryDB.readSection('fixes'), {}, 'World untouched');
+  assertEqual((await parseFor(actor)).type, 'additive', 'Used when parsing for the actor');
+});
+
+await asyncTest('A world choice by a player falls back to their default scope', async () => {
+  await resetScopes();
+  const result = await asPlayer(() => saveFixDialog('world', actor));
+  assertEqual(result.scope, 'actor', 'Fell back to the actor');
+  assertDeepEqual(await JournalEntryDB.readSection('fixes'), {}, 'World untouched');
+});
+
+await asyncTest('A session fix stays in memory and applies to its own actor only', async () => {
+  await resetScopes();
+  const result = await saveFixDialog('session', actor);
+  assertEqual(result.scope, 'session', 'Scope returned');
+  assertDeepEqual(await JournalEntryDB.readSection('fixes'), {}, 'World untouched');
+  assertDeepEqual(actor.getFlag('archetype-manager', 'fixes'), {}, 'Actor untouched');
+  assertEqual((await parseFor(actor)).fixScope, 'session', 'Used for this actor this session');
+  assertEqual((await parseFor(otherActor)).source, 'auto-parse', 'Not used for another actor');
+  assertEqual((await parseFor(null)).source, 'auto-parse', 'Not used without an actor');
+});
+
+await asyncTest('The review dialog saves every fix to the chosen scope', async () => {
+  await resetScopes();
+  Dialog._lastInstance = null;
+  const pending = asPlayer(() => UIManager.showReviewDialog([{ ...promptFeature(), archetypeName: archetype.name }], [], { actor }));
+  const dialog = Dialog._lastInstance;
+  const container = document.createElement('div');
+  container.innerHTML = dialog.data.content;
+  container.querySelector('.review-additive-checkbox').checked = true;
+  assertEqual(container.querySelector('.fix-scope-radio:checked').value, 'actor', 'Player default');
+  await asPlayer(() => dialog.data.buttons.confirm.callback([container]));
+
+  assertEqual((await pending)?.[0]?.isAdditive, true, 'Result returned');
+  assert(actor.getFlag('archetype-manager', 'fixes')[SLUG].features[FEATURE_SLUG], 'Saved on the actor');
+  assertDeepEqual(await JournalEntryDB.readSection('fixes'), {}, 'World untouched');
+});
+
+// =====================================================
+// Section 4: Parse on demand
+// =====================================================
+console.log('\n--- Section 4: Parse on demand ---');
+
+await asyncTest('Archetypes parsed for an actor use its fixes', async () => {
+  await resetScopes();
+  await CompendiumParser.writeFixes('actor', fixData('Bravery'), actor);
+  game.modules.set('pf1e-archetypes', { id: 'pf1e-archetypes', active: true });
+  game.packs.set('pf1e-archetypes.pf-arch-features', { getDocuments: async () => [strange] });
+  CompendiumParser._archFeaturesCache = null;
+
+  const archData = { name: archetype.name, slug: SLUG, source: 'compendium', class: 'fighter', _doc: { name: archetype.name, system: {} } };
+  const withActor = await CompendiumParser.parseArchetypeOnDemand(archData, baseAssociations, 'fighter', actor);
+  const withoutActor = await CompendiumParser.parseArchetypeOnDemand(archData, baseAssociations, 'fighter');
+  assertEqual(withActor.features[0].source, 'actor-fix', 'Actor fix used');
+  assertEqual(withoutActor.features[0].source, 'auto-parse', 'Not used without the actor');
+});
+
+// =====================================================
+// Summary
+// =====================================================
+
+console.log(`\n${'='.repeat(50)}`);
+console.log(`Feature #133 Results: ${passed}/${totalTests} passed, ${failed} failed`);
+console.log(`${'='.repeat(50)}\n`);
+
+if (failed > 0) process.exit(1);
@@ -0,0 +1,391 @@
+/**
+ * Test Suite for Feature #134: Player fix suggestions
+ *
+ * Verifies that players can queue the fixes they work out on the suggestions page with the
+ * archetype, feature, proposer and time, that the GM can accept (merging into fixes), edit or
+ * reject each one, and that GMs are told on login when suggestions are waiting.
+ */
+
+
+import { setupMockEnvironment, createMockClassItem, createMockActor } from './foundry-mock.mjs';
+
+let passed = 0;
+let failed = 0;
+let totalTests = 0;
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${message || 'Deep equality failed'}: expected ${e}, got ${a}`);
+  }
+}
+
+function test(name, fn) {
+  totalTests++;
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+async function asyncTest(name, fn) {
+  totalTests++;
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+
+setupMockEnvironment();
+
+const { JournalEntryDB } = await import('../scripts/journal-db.mjs');
+const { UIManager } = await import('../scripts/ui-manager.mjs');
+const { FixSuggestions } = await import('../scripts/fix-suggestions.mjs');
+
+console.log('\n=== Feature #134: Player fix suggestions ===\n');
+
+// =====================================================
+// Fixtures
+// =====================================================
+
+const gm = { id: 'gm-user', name: 'Game Master', isGM: true };
+const player = { id: 'player-1', name: 'Alice', isGM: false };
+game.user = gm;
+game.users = { activeGM: gm, get: (id) => [gm, player].find(u => u.id === id) ?? null };
+
+// Players' socket messages are delivered to the GM once the player's call returns
+const socketQueue = [];
+game.socket = { on() {}, emit: (event, message) => socketQueue.push({ event, message }) };
+
+const actor = createMockActor('Valeros', [createMockClassItem('Fighter', 5)]);
+
+function promptFeature(name = 'Strange Gift (Odd One)') {
+  return {
+    name,
+    description: '<p><strong>Level</strong>: 2</p><p>It is strange.</p>',
+    level: 2,
+    archetypeSlug: 'fighter-odd-one',
+    archetypeName: 'Fighter (Odd One)',
+    className: 'fighter',
+    needsUserInput: true
+  };
+}
+
+async function asPlayer(fn) {
+  game.user = player;
+  try {
+    return await fn();
+  } finally {
+    game.user = gm;
+    while (socketQueue.length > 0) {
+      const { event, message } = socketQueue.shift();
+      if (event === JournalEntryDB.SOCKET) await JournalEntryDB.handleSocketMessage(message);
+    }
+  }
+}
+
+// Open the fix dialog as a player, mark the feature additive and save
+async function playerFix(suggest, name) {
+  return asPlayer(async () => {
+    Dialog._lastInstance = null;
+    const pending = UIManager.showFixDialog(promptFeature(name), [], { actor });
+    const dialog = Dialog._lastInstance;
+    const container = document.createElement('div');
+    container.innerHTML = dialog.data.content;
+    container.querySelector('.fix-additive-checkbox').checked = true;
+    container.querySelector('.fix-suggest-checkbox').checked = suggest;
+    await dialog.data.buttons.confirm.callback([container]);
+    return pending;
+  });
+}
+
+// Replace the queue with the given suggestions
+async function setQueue(suggestions = {}) {
+  await JournalEntryDB.removeSuggestions(Object.keys(await JournalEntryDB.readSuggestions()));
+  const page = JournalEntryDB.getDatabase().pages.getName('suggestions');
+  await page.update(Object.fromEntries(Object.entries(suggestions).map(([id, s]) => [`flags.archetype-manager.suggestions.${id}`, s])));
+}
+
+function suggestion(id, createdAt, fix) {
+  return {
+    id,
+    archetypeSlug: 'fighter-odd-one',
+    archetypeName: 'Fighter (Odd One)',
+    className: 'fighter',
+    featureSlug: `feature-${id}`,
+    featureName: `Feature ${id}`,
+    fix: { level: 2, replaces: null, description: '', ...fix },
+    proposer: { id: 'player-1', name: 'Alice' },
+    createdAt
+  };
+}
+
+// =====================================================
+// Section 1: Suggestions page
+// =====================================================
+console.log('--- Section 1: Suggestions page ---');
+
+await asyncTest('Nothing is created without the database', async () => {
+  assertEqual(await JournalEntryDB.ensureSuggestionsPage(), null, 'No database');
+});
+
+await JournalEntryDB.ensureDatabase();
+
+await asyncTest('Only the GM creates the page, without giving players ownership', async () => {
+  assertEqual(await asPlayer(() => JournalEntryDB.ensureSuggestionsPage()), null, 'Player cannot create it');
+  const page = await JournalEntryDB.ensureSuggestionsPage();
+  assert(page, 'Created by the GM');
+  assertEqual(page.name, 'suggestions', 'Page name');
+  assertEqual(page.ownership.default, CONST.DOCUMENT_OWNERSHIP_LEVELS.INHERIT, 'Permissions of the database');
+  assertEqual(await JournalEntryDB.ensureSuggestionsPage(), page, 'Created once');
+  const je = JournalEntryDB.getDatabase();
+  assertEqual(je.pages.length, 4, 'Added next to the three sections');
+});
+
+await asyncTest('A page owned by every player is taken back', async () => {
+  const page = JournalEntryDB.getDatabase().pages.getName('suggestions');
+  await page.update({ ownership: { default: CONST.DOCUMENT_OWNERSHIP_LEVELS.OWNER } });
+  await asPlayer(() => JournalEntryDB.ensureSuggestionsPage());
+  assertEqual(page.ownership.default, CONST.DOCUMENT_OWNERSHIP_LEVELS.OWNER, 'Players cannot change it');
+  await JournalEntryDB.ensureSuggestionsPage();
+  assertEqual(page.ownership.default, CONST.DOCUMENT_OWNERSHIP_LEVELS.INHERIT, 'The GM takes it back');
+});
+
+await asyncTest('Players can queue suggestions but still cannot write fixes', async () => {
+  await asPlayer(async () => {
+    assertEqual(await JournalEntryDB.writeSection('fixes', {}), false, 'Fixes refused');
+    assert(await JournalEntryDB.addSuggestions([{ archetypeSlug: 'a', featureSlug: 'b', fix: { level: 1, replaces: null } }]), 'Suggestion queued');
+    assertEqual(socketQueue.length, 1, 'Sent to the GM instead of written');
+  });
+  const queued = Object.values(await JournalEntryDB.readSuggestions());
+  assertEqual(queued.length, 1, 'One suggestion');
+  assertDeepEqual(queued[0].proposer, { id: 'player-1', name: 'Alice' }, 'Proposer recorded');
+  assert(!isNaN(Date.parse(queued[0].createdAt)), 'Timestamp recorded');
+  assert(queued[0].id, 'Id recorded');
+  await setQueue();
+});
+
+await asyncTest('Players cannot suggest without a GM, and only the active GM writes', async () => {
+  const record = { archetypeSlug: 'a', featureSlug: 'b', fix: { level: 1, replaces: null } };
+  game.users.activeGM = null;
+  try {
+    assertEqual(await asPlayer(() => JournalEntryDB.addSuggestions([record])), false, 'No GM to send to');
+  } finally {
+    game.users.activeGM = gm;
+  }
+
+  const message = { action: 'addSuggestions', userId: 'player-1', records: [record] };
+  assertEqual(await asPlayer(() => JournalEntryDB.handleSocketMessage(message)), false, 'Players ignore it');
+  game.users.activeGM = { id: 'other-gm', isGM: true };
+  try {
+    assertEqual(await JournalEntryDB.handleSocketMessage(message), false, 'Other GMs ignore it');
+  } finally {
+    game.users.activeGM = gm;
+  }
+  assertEqual(await JournalEntryDB.handleSocketMessage({ ...message, userId: 'nobody' }), false, 'Unknown sender ignored');
+  assertDeepEqual(await JournalEntryDB.readSuggestions(), {}, 'Nothing queued');
+});
+
+await asyncTest('Each suggestion is written as its own flag, so concurrent writers do not clash', async () => {
+  const page = JournalEntryDB.getDatabase().pages.getName('suggestions');
+  const updates = [];
+  const originalUpdate = page.update.bind(page);
+  page.update = async (data) => { updates.push(data); return originalUpdate(data); };
+  try {
+    await Promise.all([
+      asPlayer(() => JournalEntryDB.addSuggestions([{ archetypeSlug: 'a', featureSlug: 'one', fix: { level: 1, replaces: null } }])),
+      JournalEntryDB.addSuggestions([{ archetypeSlug: 'a', featureSlug: 'two', fix: { level: 1, replaces: null } }])
+    ]);
+  } finally {
+    page.update = originalUpdate;
+  }
+  assertEqual(updates.length, 2, 'One update per writer');
+  assert(updates.every(u => Object.keys(u).every(k => /^flags\.archetype-manager\.suggestions\.[^.]+$/.test(k))), 'Only per-id keys written');
+  assertDeepEqual(Object.values(await JournalEntryDB.readSuggestions()).map(s => s.featureSlug).sort(), ['one', 'two'], 'Both kept');
+  await setQueue();
+});
+
+// =====================================================
+// Section 2: Suggesting from the fix dialog
+// =====================================================
+console.log('\n--- Section 2: Suggesting from the fix dialog ---');
+
+test('Only players are offered to suggest the fix', () => {
+  const container = document.createElement('div');
+  container.innerHTML = UIManager._buildFixDialogHTML(promptFeature(), [], actor);
+  assertEqual(container.querySelector('.fix-suggest-checkbox'), null, 'Not for the GM');
+
+  game.user.isGM = false;
+  try {
+    container.innerHTML = UIManager._buildFixDialogHTML(promptFeature(), [], actor);
+    assertEqual(container.querySelector('.fix-suggest-checkbox')?.checked, true, 'Checked for players');
+  } finally {
+    game.user.isGM = true;
+  }
+});
+
+await asyncTest("A player's fix is saved for them and queued for the GM", async () => {
+  const result = await playerFix(true);
+  assertEqual(result.scope, 'actor', 'Saved for the actor');
+
+  const [queued] = Object.values(await JournalEntryDB.readSuggestions());
+  assertEqual(queued.archetypeSlug, 'fighter-odd-one', 'Archetype');
+  assertEqual(queued.archetypeName, 'Fighter (Odd One)', 'Archetype name');
+  assertEqual(queued.featureSlug, 'strange-gift-odd-one', 'Feature');
+  assertEqual(queued.featureName, 'Strange Gift (Odd One)', 'Feature name');
+  assertEqual(queued.className, 'fighter', 'Class');
+  assertEqual(queued.fix.level, 2, 'Fix level');
+  assertEqual(queued.fix.replaces, null, 'Fix target');
+  assert(queued.fix.descriptionHash, 'Fix stamped');
+  assertEqual(queued.proposer.name, 'Alice', 'Proposer');
+});
+
+await asyncTest('Nothing is queued when the player unticks the box', async () => {
+  await setQueue();
+  await playerFix(false);
+  assertDeepEqual(await JournalEntryDB.readSuggestions(), {}, 'Nothing queued');
+});
+
+// =====================================================
+// Section 3: GM review
+// =====================================================
+console.log('\n--- Section 3: GM review ---');
+
+await asyncTest('Suggestions are listed oldest first', async () => {
+  await setQueue({
+    b: suggestion('b', '2026-03-02T00:00:00.000Z'),
+    a: suggestion('a', '2026-03-01T00:00:00.000Z')
+  });
+  assertDeepEqual((await FixSuggestions.list()).map(s => s.id), ['a', 'b'], 'Order');
+});
+
+test('The review dialog shows each suggestion with editable fields', () => {
+  const suggestions = [suggestion('a', '2026-03-01T00:00:00.000Z', { replaces: ['Bravery', 'Armor Training 1'] })];
+  const container = document.createElement('div');
+  container.innerHTML = UIManager._buildSuggestionReviewHTML(suggestions);
+  const row = container.querySelector('.suggestion-row');
+  assert(row.querySelector('.suggestion-proposer').textContent.includes('Alice'), 'Proposer shown');
+  assertEqual(row.querySelector('.suggestion-replaces-input').value, 'Bravery, Armor Training 1', 'Targets shown');
+  assertEqual(row.querySelector('.suggestion-action-select').value, 'later', 'Decide later by default');
+
+  row.querySelector('.suggestion-level-input').value = '4';
+  row.querySelector('.suggestion-replaces-input').value = ' Bravery ';
+  row.querySelector('.suggestion-action-select').value = 'accept';
+  assertDeepEqual(UIManager._parseSuggestionReviewResult(container, suggestions),
+    [{ action: 'accept', fix: { level: 4, replaces: 'Bravery' } }], 'Edited decision');
+
+  row.querySelector('.suggestion-replaces-input').value = '';
+  assertEqual(UIManager._parseSuggestionReviewResult(container, suggestions)[0].fix.replaces, null, 'Blank is additive');
+});
+
+await asyncTest('Accepted suggestions are merged into fixes; rejected ones are dropped; the rest wait', async () => {
+  await JournalEntryDB.writeSection('fixes', { 'fighter-odd-one': { class: 'fighter', features: { keep: { level: 1, replaces: null } } } });
+  await setQueue({
+    a: suggestion('a', '2026-03-01T00:00:00.000Z', { description: 'Suggested text' }),
+    b: suggestion('b', '2026-03-02T00:00:00.000Z'),
+    c: suggestion('c', '2026-03-03T00:00:00.000Z')
+  });
+  const suggestions = await FixSuggestions.list();
+
+  const counts = await FixSuggestions.applyDecisions(suggestions, [
+    { action: 'accept', fix: { level: 3, replaces: 'Bravery' } },
+    { action: 'reject' }
+  ]);
+  assertDeepEqual(counts, { later: 1, accept: 1, reject: 1 }, 'Counts');
+
+  const features = (await JournalEntryDB.readSection('fixes'))['fighter-odd-one'].features;
+  assertDeepEqual(Object.keys(features).sort(), ['feature-a', 'keep'], 'Merged next to existing fixes');
+  assertEqual(features['feature-a'].level, 3, 'Edited level');
+  assertEqual(features['feature-a'].replaces, 'Bravery', 'Edited target');
+  assertEqual(features['feature-a'].description, 'Suggested text', 'Suggested description kept');
+  assertDeepEqual(Object.keys(await JournalEntryDB.readSuggestions()), ['c'], 'Only the undecided one waits');
+});
+
+await asyncTest('Suggestions queued while the GM reviews are kept', async () => {
+  await setQueue({ d: suggestion('d', '2026-03-04T00:00:00.000Z') });
+  const suggestions = await FixSuggestions.list();
+  await asPlayer(() => JournalEntryDB.addSuggestions([{ archetypeSlug: 'fighter-odd-one', featureSlug: 'late', fix: { level: 1, replaces: null } }]));
+
+  await FixSuggestions.applyDecisions(suggestions, [{ action: 'reject' }]);
+  assertDeepEqual(Object.values(await JournalEntryDB.readSuggestions()).map(s => s.featureSlug), ['late'], 'Late suggestion kept');
+  await setQueue({ c: suggestion('c', '2026-03-03T00:00:00.000Z') });
+});
+
+await asyncTest('Only the GM can decide on suggestions', async () => {
+  const suggestions = await FixSuggestions.list();
+  assertEqual(await asPlayer(() => FixSuggestions.applyDecisions(suggestions, [{ action: 'accept' }])), null, 'Refused');
+  assertEqual(await asPlayer(() => FixSuggestions.open()), null, 'Dialog refused');
+  assertEqual((await FixSuggestions.list()).length, 1, 'Still waiting');
+});
+
+await asyncTest('The review applies the decisions chosen in the dialog', async () => {
+  Dialog._lastInstance = null;
+  const pending = FixSuggestions.open();
+  await new Promise(r => setTimeout(r, 10));
+  const dialog = Dialog._lastInstance;
+  assert(dialog, 'Dialog shown');
+
+  const container = document.createElement('div');
+  container.innerHTML = dialog.data.content;
+  container.querySelector('.suggestion-action-select').value = 'accept';
+  dialog.data.buttons.apply.callback([container]);
+
+  assertDeepEqual(await pending, { later: 0, accept: 1, reject: 0 }, 'Accepted');
+  assert((await JournalEntryDB.readSection('fixes'))['fighter-odd-one'].features['feature-c'], 'Merged');
+  assertDeepEqual(await JournalEntryDB.readSuggestions(), {}, 'Queue empty');
+});
+
+// =====================================================
+// Section 4: Login notification
+// =====================================================
+console.log('\n--- Section 4: Login notification ---');
+
+await asyncTest('GMs are told how many suggestions are waiting', async () => {
+  const messages = [];
+  const originalInfo = ui.notifications.info;
+  ui.notifications.info = (msg) => messages.push(msg);
+  try {
+    assertEqual(await FixSuggestions.notifyGM(), 0, 'None waiting');
+    assertEqual(messages.length, 0, 'No notification');
+
+    await setQueue({ a: suggestion('a', '2026-03-01T00:00:00.000Z'), b: suggestion('b', '2026-03-02T00:00:00.000Z') });
+    assertEqual(await FixSuggestions.notifyGM(), 2, 'Two waiting');
+    assert(messages[0].includes('2 fix suggestions are waiting'), 'Notified');
+    assertEqual(await asPlayer(() => FixSuggestions.notifyGM()), 0, 'Players are not notified');
+    assertEqual(messages.length, 1, 'Only the GM notification');
+  } finally {
+    ui.notifications.info = originalInfo;
+  }
+});
+
+// =====================================================
+// Summary
+// =====================================================
+
+console.log(`\n${'='.repeat(50)}`);
+console.log(`Feature #134 Results: ${passed}/${totalTests} passed, ${failed} failed`);
+console.log(`${'='.repeat(50)}\n`);
+
+if (failed > 0) process.exit(1);
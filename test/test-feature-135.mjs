@@ -0,0 +1,313 @@
+/**
+ * Test Suite for Feature #135: Strict mode
+ *
+ * Verifies that in strict mode the preview lists every unresolved feature, keeps Apply
+ * disabled until each is fixed or marked as additive, and that the decisions are stored
+ * with the applied archetype data.
+ */
+
+
+import { setupMockEnvironment, createMockClassItem, createMockActor } from './foundry-mock.mjs';
+
+let passed = 0;
+let failed = 0;
+let totalTests = 0;
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${message || 'Deep equality failed'}: expected ${e}, got ${a}`);
+  }
+}
+
+function test(name, fn) {
+  totalTests++;
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+async function asyncTest(name, fn) {
+  totalTests++;
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${e.message}`);
+  }
+}
+
+
+setupMockEnvironment();
+
+const { CompendiumParser } = await import('../scripts/compendium-parser.mjs');
+const { UIManager } = await import('../scripts/ui-manager.mjs');
+const { ArchetypeAPI } = await import('../scripts/archetype-api.mjs');
+const { Applicator } = await import('../scripts/applicator.mjs');
+
+console.log('\n=== Feature #135: Strict mode ===\n');
+
+// =====================================================
+// Fixtures
+// =====================================================
+
+const featureNames = {
+  'Compendium.pf1.class-abilities.BonusFeat1': 'Bonus Feat',
+  'Compendium.pf1.class-abilities.Bravery': 'Bravery',
+  'Compendium.pf1.class-abilities.ArmorTraining1': 'Armor Training 1'
+};
+globalThis.fromUuid = async (uuid) => featureNames[uuid] ? { name: featureNames[uuid] } : null;
+
+const ARCH = 'Compendium.pf1e-archetypes.pf-arch-features.Item';
+
+function oddOne() {
+  return {
+    name: 'Odd One',
+    slug: 'odd-one',
+    class: 'fighter',
+    features: [
+      { name: 'Strange Gift', level: 2, type: 'unknown', target: null, matchedAssociation: null, needsUserInput: true, uuid: `${ARCH}.StrangeGift`, description: '' },
+      { name: 'Odd Step', level: 3, type: 'replacement', target: 'Dance', matchedAssociation: null, needsUserInput: false, uuid: `${ARCH}.OddStep`, description: '' },
+      {
+        name: 'Hawkeye', level: 3, type: 'replacement', target: 'Armor Training 1', needsUserInput: false, uuid: `${ARCH}.Hawkeye`, description: '',
+        matchedAssociation: { uuid: 'Compendium.pf1.class-abilities.ArmorTraining1', level: 3, resolvedName: 'Armor Training 1' }
+      }
+    ]
+  };
+}
+
+function makeFixture() {
+  const fighter = createMockClassItem('Fighter', 5, 'fighter');
+  fighter.system.links.classAssociations = [
+    { uuid: 'Compendium.pf1.class-abilities.BonusFeat1', level: 1 },
+    { uuid: 'Compendium.pf1.class-abilities.Bravery', level: 2 },
+    { uuid: 'Compendium.pf1.class-abilities.ArmorTraining1', level: 3 }
+  ];
+  const actor = createMockActor('Valeros', [fighter]);
+  actor.isOwner = true;
+  game.actors = [actor];
+  return { actor, fighter };
+}
+
+function setStrict(value) {
+  game.settings.set('archetype-manager', 'strictMode', value);
+}
+
+function renderPreview(parsed) {
+  const container = document.createElement('div');
+  container.innerHTML = UIManager._buildPreviewHTML(parsed, []);
+  return container;
+}
+
+// Open the preview with the dialog buttons in place, as Foundry renders it
+function openPreview(parsed) {
+  Dialog._lastInstance = null;
+  const pending = UIManager.showPreviewDialog(null, null, parsed, []);
+  const dialog = Dialog._lastInstance;
+  const container = document.createElement('div');
+  container.innerHTML = `${dialog.data.content}<button data-button="apply">Apply</button>`;
+  dialog.data.render(container);
+  return { pending, dialog, container, applyBtn: container.querySelector('[data-button="apply"]') };
+}
+
+function check(container, index) {
+  const box = container.querySelector(`.strict-additive-checkbox[data-feature-index="${index}"]`);
+  box.checked = true;
+  box.dispatchEvent(new window.Event('change'));
+}
+
+// =====================================================
+// Section 1: Unresolved features
+// =====================================================
+console.log('--- Section 1: Unresolved features ---');
+
+test('Features needing input and unmatched replacements are unresolved', () => {
+  const [gift, step, hawkeye] = oddOne().features;
+  assertEqual(CompendiumParser.isUnresolved(gift), true, 'Needs input');
+  assertEqual(CompendiumParser.isUnresolved(step), true, 'Unmatched replacement');
+  assertEqual(CompendiumParser.isUnresolved(hawkeye), false, 'Matched replacement');
+  assertEqual(CompendiumParser.isUnresolved({ name: 'Extra', type: 'additive' }), false, 'Additive');
+});
+
+test('Marking a feature additive records the decision on the parsed archetype', () => {
+  game.user.name = 'Game Master';
+  const parsed = oddOne();
+  const decision = CompendiumParser.markAdditive(parsed, 1);
+  assertEqual(decision.feature, 'Odd Step', 'Feature');
+  assertEqual(decision.decision, 'additive', 'Decision');
+  assertEqual(decision.originalType, 'replacement', 'Original type');
+  assertEqual(decision.originalTarget, 'Dance', 'Original target');
+  assertEqual(decision.decidedBy, 'Game Master', 'Decided by');
+  assert(!isNaN(Date.parse(decision.decidedAt)), 'Timestamp');
+  assertEqual(parsed.features[1].type, 'additive', 'Now additive');
+  assertEqual(CompendiumParser.isUnresolved(parsed.features[1]), false, 'No longer unresolved');
+  assertDeepEqual(parsed.unresolvedDecisions, [decision], 'Recorded');
+  assertEqual(CompendiumParser.markAdditive(parsed, 9), null, 'No such feature');
+});
+
+// =====================================================
+// Section 2: Preview
+// =====================================================
+console.log('\n--- Section 2: Preview ---');
+
+test('Without strict mode the preview is unchanged', () => {
+  setStrict(false);
+  const container = renderPreview(oddOne());
+  assertEqual(container.querySelectorAll('.preview-unresolved li').length, 1, 'Only the feature needing input');
+  assertEqual(container.querySelector('.strict-additive-checkbox'), null, 'No additive choice');
+  assertEqual(container.querySelector('.strict-mode-notice'), null, 'No notice');
+});
+
+test('Strict mode lists every unresolved feature, even with warnings hidden', () => {
+  setStrict(true);
+  game.settings.set('archetype-manager', 'showParseWarnings', false);
+  try {
+    const container = renderPreview(oddOne());
+    const rows = container.querySelectorAll('.preview-unresolved li');
+    assertEqual(rows.length, 2, 'Both unresolved features');
+    assert(rows[1].textContent.includes('"Dance" matched no class feature'), 'Unmatched target explained');
+    assertDeepEqual([...container.querySelectorAll('.strict-additive-checkbox')].map(b => b.dataset.featureIndex), ['0', '1'], 'Additive choice per feature');
+    assert(container.querySelector('.strict-mode-notice'), 'Notice shown');
+  } finally {
+    game.settings.set('archetype-manager', 'showParseWarnings', true);
+    setStrict(false);
+  }
+});
+
+await asyncTest('Apply stays disabled until every unresolved feature is marked additive', async () => {
+  setStrict(true);
+  try {
+    const { pending, dialog, container, applyBtn } = openPreview(oddOne());
+    assertEqual(applyBtn.disabled, true, 'Disabled at first');
+    check(container, 0);
+    assertEqual(applyBtn.disabled, true, 'Still one left');
+    check(container, 1);
+    assertEqual(applyBtn.disabled, false, 'Enabled');
+    dialog.data.buttons.apply.callback([container]);
+    assertEqual(await pending, 'apply', 'Applied');
+  } finally {
+    setStrict(false);
+  }
+});
+
+await asyncTest('Applying anyway goes back with a warning and records nothing', async () => {
+  setStrict(true);
+  const warnings = [];
+  const originalWarn = ui.notifications.warn;
+  ui.notifications.warn = (msg) => warnings.push(msg);
+  try {
+    const parsed = oddOne();
+    const { pending, dialog, container } = openPreview(parsed);
+    check(container, 0);
+    dialog.data.buttons.apply.callback([container]);
+    assertEqual(await pending, 'back', 'Sent back');
+    assert(warnings[0].includes('Strict mode'), 'Warned');
+    assertEqual(parsed.unresolvedDecisions, undefined, 'Nothing recorded');
+    assertEqual(parsed.features[0].needsUserInput, true, 'Feature untouched');
+  } finally {
+    ui.notifications.warn = originalWarn;
+    setStrict(false);
+  }
+});
+
+await asyncTest('The additive decisions are recorded when applying', async () => {
+  setStrict(true);
+  try {
+    const parsed = oddOne();
+    const { pending, dialog, container } = openPreview(parsed);
+    check(container, 0);
+    check(container, 1);
+    dialog.data.buttons.apply.callback([container]);
+    await pending;
+    assertDeepEqual(parsed.unresolvedDecisions.map(d => d.feature), ['Strange Gift', 'Odd Step'], 'Both recorded');
+    assertDeepEqual(parsed.features.map(f => f.type), ['additive', 'additive', 'replacement'], 'Marked additive');
+  } finally {
+    setStrict(false);
+  }
+});
+
+// =====================================================
+// Section 3: Applied data
+// =====================================================
+console.log('\n--- Section 3: Applied data ---');
+
+await asyncTest('Decisions on a combined preview are stored with each archetype applied', async () => {
+  const { actor, fighter } = makeFixture();
+  const first = oddOne();
+  const second = { name: 'Plain', slug: 'plain', class: 'fighter', features: [
+    { name: 'Plain Step', level: 2, type: 'replacement', target: 'Jig', matchedAssociation: null, needsUserInput: false, uuid: `${ARCH}.PlainStep`, description: '' }
+  ] };
+  const parsedList = [first, second];
+  const combined = { name: 'Odd One + Plain', slug: 'odd-one+plain', class: 'fighter',
+    features: parsedList.flatMap(a => a.features.map(f => ({ ...f, archetypeSlug: a.slug }))) };
+  CompendiumParser.markAdditive(combined, 0);
+  CompendiumParser.markAdditive(combined, 3);
+
+  UIManager._copyAdditiveDecisions(combined, parsedList);
+  assertDeepEqual(first.unresolvedDecisions, [combined.unresolvedDecisions[0]], 'First archetype');
+  assertDeepEqual(second.unresolvedDecisions, [combined.unresolvedDecisions[1]], 'Second archetype');
+  assertEqual(first.features[1].type, 'replacement', 'Undecided feature untouched');
+
+  const result = await Applicator.applyStack(actor, fighter, parsedList);
+  assert(result.success, 'Applied');
+  const stored = fighter.getFlag('archetype-manager', 'appliedArchetypeData');
+  assertEqual(stored['odd-one'].unresolvedDecisions[0].feature, 'Strange Gift', 'Stored with the first');
+  assertEqual(stored.plain.unresolvedDecisions[0].originalTarget, 'Jig', 'Stored with the second');
+});
+
+await asyncTest('The API refuses unresolved features in strict mode unless told to add them', async () => {
+  setStrict(true);
+  try {
+    const { actor, fighter } = makeFixture();
+    const refused = await ArchetypeAPI.apply(actor, fighter, oddOne());
+    assertEqual(refused.error?.code, 'UNRESOLVED', 'Refused');
+    assert(refused.error.message.includes('Strange Gift, Odd Step'), 'Features named');
+
+    const parsed = oddOne();
+    const result = await ArchetypeAPI.apply(actor, fighter, parsed, { markAdditive: true });
+    assertEqual(result.success, true, 'Applied');
+    assertDeepEqual(parsed, oddOne(), "The caller's parsed data is not changed");
+    assert(result.diff.some(d => d.status === 'added' && d.name === 'Odd Step'), 'Added without replacing anything');
+    const stored = fighter.getFlag('archetype-manager', 'appliedArchetypeData')['odd-one'];
+    assertEqual(stored.unresolvedDecisions.length, 2, 'Decisions stored');
+  } finally {
+    setStrict(false);
+  }
+});
+
+await asyncTest('Without strict mode the API applies as before', async () => {
+  const { actor, fighter } = makeFixture();
+  const result = await ArchetypeAPI.apply(actor, fighter, oddOne());
+  assertEqual(result.success, true, 'Applied');
+  assertEqual(fighter.getFlag('archetype-manager', 'appliedArchetypeData')['odd-one'].unresolvedDecisions, undefined, 'No decisions');
+});
+
+// =====================================================
+// Summary
+// =====================================================
+
+console.log(`\n${'='.repeat(50)}`);
+console.log(`Feature #135 Results: ${passed}/${totalTests} passed, ${failed} failed`);
+console.log(`${'='.repeat(50)}\n`);
+
+if (failed > 0) process.exit(1);
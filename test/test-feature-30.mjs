@@ -64,6 +64,7 @@ const { DiffEngine } = await import('../scripts/diff-engine.mjs');
 const { ConflictChecker } = await import('../scripts/conflict-checker.mjs');
 const { CompendiumParser } = await import('../scripts/compendium-parser.mjs');
 const { UIManager } = await import('../scripts/ui-manager.mjs');
+const { Applicator } = await import('../scripts/applicator.mjs');
 
 console.log('\n=== Feature #30: Conflict check against already-applied archetypes ===\n');
 
@@ -309,59 +310,44 @@ test('Archetype C passes even with A already applied to class item', () => {
 });
 
 // =====================================================
-// Step 6: UI helper builds applied archetype data correctly
+// Step 6: Applicator returns applied archetype data correctly
 // =====================================================
-console.log('\n--- Step 6: UI helper builds applied archetype data ---');
+console.log('\n--- Step 6: Applicator returns applied archetype data ---');
 
-test('_buildAppliedArchetypeData returns empty for no applied', () => {
+test('getAppliedArchetypeData returns empty for no applied', () => {
   const classItem = createMockClassItem('Fighter', 10, 'fighter');
-  const archetypeList = [
-    { slug: 'two-handed-fighter', name: 'Two-Handed Fighter', parsedData: archetypeA },
-    { slug: 'weapon-master', name: 'Weapon Master', parsedData: archetypeC }
-  ];
-  const result = UIManager._buildAppliedArchetypeData(classItem, archetypeList);
+  const result = Applicator.getAppliedArchetypeData(classItem);
   assertEqual(result.length, 0, 'Should return empty array for no applied archetypes');
 });
 
-test('_buildAppliedArchetypeData returns data for applied archetype', () => {
+test('getAppliedArchetypeData returns data for applied archetype', () => {
   const classItem = createMockClassItem('Fighter', 10, 'fighter');
   classItem.flags['archetype-manager'] = { archetypes: ['two-handed-fighter'] };
-  const archetypeList = [
-    { slug: 'two-handed-fighter', name: 'Two-Handed Fighter', parsedData: archetypeA },
-    { slug: 'weapon-master', name: 'Weapon Master', parsedData: archetypeC }
-  ];
-  const result = UIManager._buildAppliedArchetypeData(classItem, archetypeList);
+  const result = Applicator.getAppliedArchetypeData(classItem);
   assertEqual(result.length, 1, 'Should return 1 applied archetype data');
   assertEqual(result[0].name, 'Two-Handed Fighter', 'Should return correct archetype data');
   assertEqual(result[0].features.length, 2, 'Should include features');
 });
 
-test('_buildAppliedArchetypeData handles multiple applied archetypes', () => {
+test('getAppliedArchetypeData handles multiple applied archetypes', () => {
   const classItem = createMockClassItem('Fighter', 10, 'fighter');
   classItem.flags['archetype-manager'] = { archetypes: ['two-handed-fighter', 'weapon-master'] };
-  const archetypeList = [
-    { slug: 'two-handed-fighter', name: 'Two-Handed Fighter', parsedData: archetypeA },
-    { slug: 'weapon-master', name: 'Weapon Master', parsedData: archetypeC }
-  ];
-  const result = UIManager._buildAppliedArchetypeData(classItem, archetypeList);
+  const result = Applicator.getAppliedArchetypeData(classItem);
   assertEqual(result.length, 2, 'Should return 2 applied archetype data');
 });
 
-test('_buildAppliedArchetypeData handles unknown slug gracefully', () => {
+test('getAppliedArchetypeData handles unknown slug gracefully', () => {
   const classItem = createMockClassItem('Fighter', 10, 'fighter');
   classItem.flags['archetype-manager'] = { archetypes: ['unknown-archetype'] };
-  const archetypeList = [
-    { slug: 'two-handed-fighter', name: 'Two-Handed Fighter', parsedData: archetypeA }
-  ];
-  const result = UIManager._buildAppliedArchetypeData(classItem, archetypeList);
+  const result = Applicator.getAppliedArchetypeData(classItem);
   assertEqual(result.length, 1, 'Should still return entry for unknown slug');
   assertEqual(result[0].slug, 'unknown-archetype', 'Should have the slug');
   assertEqual(result[0].name, 'Unknown Archetype', 'Should have generated display name');
   assertEqual(result[0].features.length, 0, 'Should have empty features for unknown');
 });
 
-test('_buildAppliedArchetypeData handles null classItem', () => {
-  const result = UIManager._buildAppliedArchetypeData(null, []);
+test('getAppliedArchetypeData handles null classItem', () => {
+  const result = Applicator.getAppliedArchetypeData(null);
   assertEqual(result.length, 0, 'Should return empty for null classItem');
 });
 
@@ -638,7 +638,7 @@ test('Chat message was created', () => {
 });
 
 await asyncTest('Created item copies for modified features', async () => {
-  // The modification should trigger _createModifiedFeatureCopies
+  // The modification should plan a modified feature copy
   // Check if createEmbeddedDocuments was called for the modified Weapon Training
   var modifiedCalls = createEmbeddedCalls.filter(c => c.type === 'Item');
   // Should have 1 call for the modified Weapon Training
@@ -735,23 +735,29 @@ test('Fallback description still has "Modified by" header', () => {
 });
 
 // =====================================================
-// Verify _createModifiedFeatureCopies directly
+// Verify the copies in an apply plan directly
 // =====================================================
-console.log('\n--- Direct _createModifiedFeatureCopies testing ---');
+console.log('\n--- Direct planApply copy testing ---');
 
-await asyncTest('_createModifiedFeatureCopies returns empty array for no modifications', async () => {
-  var testActor = createEnhancedMockActor('Direct Test', []);
+function planCopies(plan) {
+  return plan.itemsToCreate.filter(d => d.flags?.['archetype-manager']?.isModifiedCopy === true);
+}
+
+await asyncTest('planApply plans no copies for no modifications', async () => {
+  var testClass = createMockClassItem('Fighter', 5, 'direct-1');
+  var testActor = createEnhancedMockActor('Direct Test', [testClass]);
   var testDiff = [
     { status: 'unchanged', level: 1, name: 'Feat A', original: {} },
     { status: 'removed', level: 2, name: 'Feat B', original: {} },
     { status: 'added', level: 2, name: 'Feat C', archetypeFeature: { name: 'Feat C' } }
   ];
-  var result = await Applicator._createModifiedFeatureCopies(testActor, { name: 'Test', slug: 'test' }, testDiff);
-  assertEqual(result.length, 0, 'Should return empty array when no modifications');
+  var plan = await Applicator.planApply(testActor, testClass, { name: 'Test', slug: 'test' }, testDiff);
+  assertEqual(planCopies(plan).length, 0, 'Should plan no copies when no modifications');
 });
 
-await asyncTest('_createModifiedFeatureCopies creates correct data structure', async () => {
-  var testActor = createEnhancedMockActor('Direct Test 2', []);
+await asyncTest('planApply builds the correct copy data structure', async () => {
+  var testClass = createMockClassItem('Fighter', 5, 'direct-2');
+  var testActor = createEnhancedMockActor('Direct Test 2', [testClass]);
   var testDiff = [
     {
       status: 'modified',
@@ -763,22 +769,29 @@ await asyncTest('_createModifiedFeatureCopies creates correct data structure', a
       }
     }
   ];
-  var result = await Applicator._createModifiedFeatureCopies(
+  var plan = await Applicator.planApply(
     testActor,
+    testClass,
     { name: 'Test Archetype', slug: 'test-archetype' },
     testDiff
   );
-  assertEqual(result.length, 1, 'Should create 1 item');
+  var result = planCopies(plan);
+  assertEqual(result.length, 1, 'Should plan 1 copy');
   assertEqual(result[0].name, 'Modified Test (Test Archetype)', 'Name format correct');
   assertEqual(result[0].type, 'feat', 'Type is feat');
   assertIncludes(result[0].system.description.value, 'Modified by Test Archetype', 'Description correct');
   assertIncludes(result[0].system.description.value, 'Test modification description', 'Description includes feature text');
-  assertEqual(result[0].getFlag('archetype-manager', 'createdByArchetype'), 'test-archetype', 'Flag set');
-  assertEqual(result[0].getFlag('archetype-manager', 'isModifiedCopy'), true, 'isModifiedCopy set');
+  assertEqual(result[0].flags['archetype-manager'].createdByArchetype, 'test-archetype', 'Flag set');
+
+  await Applicator.apply(testActor, testClass, { name: 'Test Archetype', slug: 'test-archetype' }, testDiff, { plan });
+  var created = testActor.items.filter(i => i.getFlag && i.getFlag('archetype-manager', 'isModifiedCopy') === true);
+  assertEqual(created.length, 1, 'Executing the plan creates the copy');
+  assertEqual(created[0].getFlag('archetype-manager', 'createdByArchetype'), 'test-archetype', 'Created copy flagged');
 });
 
-await asyncTest('_createModifiedFeatureCopies ignores modified entries with no archetypeFeature', async () => {
-  var testActor = createEnhancedMockActor('Direct Test 3', []);
+await asyncTest('planApply ignores modified entries with no archetypeFeature', async () => {
+  var testClass = createMockClassItem('Fighter', 5, 'direct-3');
+  var testActor = createEnhancedMockActor('Direct Test 3', [testClass]);
   var testDiff = [
     {
       status: 'modified',
@@ -787,12 +800,13 @@ await asyncTest('_createModifiedFeatureCopies ignores modified entries with no a
       archetypeFeature: null
     }
   ];
-  var result = await Applicator._createModifiedFeatureCopies(
+  var plan = await Applicator.planApply(
     testActor,
+    testClass,
     { name: 'Test', slug: 'test' },
     testDiff
   );
-  assertEqual(result.length, 0, 'Should not create copy without archetypeFeature');
+  assertEqual(planCopies(plan).length, 0, 'Should not plan a copy without archetypeFeature');
 });
 
 // =====================================================
@@ -648,15 +648,31 @@ test('Additive message includes actor and archetype names', () => {
 });
 
 // =====================================================
-// Direct _postApplyMessage testing
+// Direct planApply message testing
 // =====================================================
-console.log('\n--- Direct _postApplyMessage testing ---');
+console.log('\n--- Direct planApply message testing ---');
+
+async function planMessage(actorName, className, parsed, diff) {
+  var planClass = createMockClassItem(className, 5, className.toLowerCase());
+  var planActor = createEnhancedMockActor(actorName, [planClass]);
+  var planParsed = { slug: parsed.name.toLowerCase(), ...parsed };
+  // Fill in the fields a generated diff always carries
+  var planDiff = diff.map(d => ({
+    level: 1,
+    original: d.status === 'added' ? undefined : { resolvedName: d.name, level: 1, uuid: `Compendium.test.${d.name}` },
+    archetypeFeature: d.status === 'added' || d.status === 'modified' ? { name: d.name, level: 1 } : undefined,
+    ...d
+  }));
+  var plan = await Applicator.planApply(planActor, planClass, planParsed, planDiff);
+  await Applicator.apply(planActor, planClass, planParsed, planDiff, { plan });
+  return plan.chatMessage;
+}
 
 chatMessages = [];
 
-await asyncTest('_postApplyMessage creates chat message with all sections', async () => {
-  var testActor = { name: 'TestActor' };
-  var testClassItem = { name: 'TestClass' };
+await asyncTest('planApply builds the chat message with all sections', async () => {
+  var testActorName = 'TestActor';
+  var testClassName = 'TestClass';
   var testParsed = { name: 'TestArchetype' };
   var testDiff = [
     { status: 'removed', name: 'OldFeature1' },
@@ -668,10 +684,11 @@ await asyncTest('_postApplyMessage creates chat message with all sections', asyn
     { status: 'unchanged', name: 'KeptFeature1' }
   ];
 
-  await Applicator._postApplyMessage(testActor, testClassItem, testParsed, testDiff);
+  var planned = await planMessage(testActorName, testClassName, testParsed, testDiff);
 
   assertEqual(chatMessages.length, 1, 'Should create 1 chat message');
   var content = chatMessages[0].content;
+  assertEqual(planned.content, content, 'Posts the planned message');
 
   // Check all names
   assertIncludes(content, 'TestArchetype', 'Archetype name');
@@ -695,16 +712,16 @@ await asyncTest('_postApplyMessage creates chat message with all sections', asyn
 
 chatMessages = [];
 
-await asyncTest('_postApplyMessage omits empty sections', async () => {
-  var testActor = { name: 'TestActor2' };
-  var testClassItem = { name: 'TestClass2' };
+await asyncTest('planApply message omits empty sections', async () => {
+  var testActorName = 'TestActor2';
+  var testClassName = 'TestClass2';
   var testParsed = { name: 'TestArchetype2' };
   var testDiff = [
     { status: 'added', name: 'OnlyAdded' },
     { status: 'unchanged', name: 'Kept' }
   ];
 
-  await Applicator._postApplyMessage(testActor, testClassItem, testParsed, testDiff);
+  var planned = await planMessage(testActorName, testClassName, testParsed, testDiff);
 
   var content = chatMessages[0].content;
   assertIncludes(content, 'Added', 'Should have Added section');
@@ -715,15 +732,15 @@ await asyncTest('_postApplyMessage omits empty sections', async () => {
 
 chatMessages = [];
 
-await asyncTest('_postApplyMessage with empty diff still creates message', async () => {
-  var testActor = { name: 'EmptyActor' };
-  var testClassItem = { name: 'EmptyClass' };
+await asyncTest('planApply with empty diff still builds a message', async () => {
+  var testActorName = 'EmptyActor';
+  var testClassName = 'EmptyClass';
   var testParsed = { name: 'EmptyArchetype' };
   var testDiff = [
     { status: 'unchanged', name: 'Only Unchanged' }
   ];
 
-  await Applicator._postApplyMessage(testActor, testClassItem, testParsed, testDiff);
+  var planned = await planMessage(testActorName, testClassName, testParsed, testDiff);
 
   var content = chatMessages[0].content;
   assertIncludes(content, 'EmptyArchetype', 'Should include archetype name');
@@ -739,8 +756,8 @@ console.log('\n--- Verify feature list formatting ---');
 chatMessages = [];
 
 await asyncTest('Multiple replaced features are comma-separated', async () => {
-  var testActor = { name: 'A' };
-  var testClassItem = { name: 'C' };
+  var testActorName = 'A';
+  var testClassName = 'C';
   var testParsed = { name: 'T' };
   var testDiff = [
     { status: 'removed', name: 'Alpha' },
@@ -748,7 +765,7 @@ await asyncTest('Multiple replaced features are comma-separated', async () => {
     { status: 'removed', name: 'Gamma' }
   ];
 
-  await Applicator._postApplyMessage(testActor, testClassItem, testParsed, testDiff);
+  var planned = await planMessage(testActorName, testClassName, testParsed, testDiff);
 
   var content = chatMessages[0].content;
   // Should list all three names separated by commas
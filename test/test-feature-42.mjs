@@ -2,7 +2,7 @@
  * Test Suite for Feature #42: Error rollback restores original state
  *
  * Verifies that when an error occurs during archetype application,
- * the _rollback method correctly:
+ * the _rollbackOperation method correctly:
  * 1. Restores original classAssociations from backup
  * 2. Removes any orphaned item copies created during failed apply
  * 3. Cleans up tracking flags
@@ -292,6 +292,13 @@ function createTestEnv(options = {}) {
   };
 }
 
+/**
+ * Build the journal entry of a failed apply whose "before" state is given
+ */
+function journalEntry(before, overrides = {}) {
+  return { id: 'op-1', type: 'apply', slug: 'two-handed-fighter', before, createdItemIds: [], itemsToCreate: [], deletedItems: [], ...overrides };
+}
+
 // =====================================================
 // Step 1: Note original classAssociations
 // =====================================================
@@ -356,16 +363,16 @@ await asyncTest('Error during createEmbeddedDocuments triggers rollback', async
 await asyncTest('Error during setFlag triggers rollback', async () => {
   const env = createTestEnv();
 
-  // Allow backup to succeed, then fail on tracking flag
+  // Fail on the tracking flag write (batched into the classItem update with classAssociations)
   let setFlagCallCount = 0;
-  const origSetFlag = env.classItem.setFlag.bind(env.classItem);
-  env.classItem.setFlag = async function(scope, key, value) {
+  const origUpdate = env.classItem.update.bind(env.classItem);
+  env.classItem.update = async function(data) {
     setFlagCallCount++;
-    // First setFlag is backup (originalAssociations), second is archetypes tracking
-    if (key === 'archetypes' && Array.isArray(value) && value.includes('two-handed-fighter')) {
+    const value = data['flags.archetype-manager.archetypes'];
+    if (Array.isArray(value) && value.includes('two-handed-fighter')) {
       throw new Error('Simulated flag write error');
     }
-    return origSetFlag(scope, key, value);
+    return origUpdate(data);
   };
 
   const result = await Applicator.apply(env.actor, env.classItem, twoHandedFighterParsed, env.diff);
@@ -398,10 +405,10 @@ await asyncTest('Rollback method is called on application error', async () => {
 
   // Track rollback calls
   let rollbackCalled = false;
-  const origRollback = Applicator._rollback;
-  Applicator._rollback = async function(actor, classItem, slug) {
+  const origRollback = Applicator._rollbackOperation;
+  Applicator._rollbackOperation = async function(actor, classItem, entry) {
     rollbackCalled = true;
-    return origRollback.call(this, actor, classItem, slug);
+    return origRollback.call(this, actor, classItem, entry);
   };
 
   // Fail during classItem update for classAssociations
@@ -414,18 +421,18 @@ await asyncTest('Rollback method is called on application error', async () => {
   await Applicator.apply(env.actor, env.classItem, twoHandedFighterParsed, env.diff);
 
   assert(rollbackCalled, 'Rollback should have been called');
-  Applicator._rollback = origRollback;
+  Applicator._rollbackOperation = origRollback;
   env.restoreConsole();
 });
 
-await asyncTest('Rollback receives correct slug parameter', async () => {
+await asyncTest('Rollback receives the journal entry of the archetype', async () => {
   const env = createTestEnv();
 
   let rollbackSlug = null;
-  const origRollback = Applicator._rollback;
-  Applicator._rollback = async function(actor, classItem, slug) {
-    rollbackSlug = slug;
-    return origRollback.call(this, actor, classItem, slug);
+  const origRollback = Applicator._rollbackOperation;
+  Applicator._rollbackOperation = async function(actor, classItem, entry) {
+    rollbackSlug = entry.slug;
+    return origRollback.call(this, actor, classItem, entry);
   };
 
   env.classItem.update = async function(data) {
@@ -436,8 +443,8 @@ await asyncTest('Rollback receives correct slug parameter', async () => {
 
   await Applicator.apply(env.actor, env.classItem, twoHandedFighterParsed, env.diff);
 
-  assertEqual(rollbackSlug, 'two-handed-fighter', 'Rollback should receive archetype slug');
-  Applicator._rollback = origRollback;
+  assertEqual(rollbackSlug, 'two-handed-fighter', 'Rollback entry should carry the archetype slug');
+  Applicator._rollbackOperation = origRollback;
   env.restoreConsole();
 });
 
@@ -446,11 +453,11 @@ await asyncTest('Rollback receives correct actor and classItem', async () => {
 
   let rollbackActor = null;
   let rollbackClassItem = null;
-  const origRollback = Applicator._rollback;
-  Applicator._rollback = async function(actor, classItem, slug) {
+  const origRollback = Applicator._rollbackOperation;
+  Applicator._rollbackOperation = async function(actor, classItem, entry) {
     rollbackActor = actor;
     rollbackClassItem = classItem;
-    return origRollback.call(this, actor, classItem, slug);
+    return origRollback.call(this, actor, classItem, entry);
   };
 
   env.classItem.update = async function(data) {
@@ -463,7 +470,7 @@ await asyncTest('Rollback receives correct actor and classItem', async () => {
 
   assertEqual(rollbackActor?.name, 'Test Fighter', 'Rollback should receive correct actor');
   assertEqual(rollbackClassItem?.name, 'Fighter', 'Rollback should receive correct classItem');
-  Applicator._rollback = origRollback;
+  Applicator._rollbackOperation = origRollback;
   env.restoreConsole();
 });
 
@@ -565,18 +572,15 @@ await asyncTest('Rollback restores backup even after partial modification', asyn
   const origUpdate = env.classItem.update.bind(env.classItem);
   let rollbackUpdateCalled = false;
 
-  env.classItem.setFlag = async function(scope, key, value) {
-    setFlagCallCount++;
-    if (key === 'archetypes' && Array.isArray(value) && value.includes('two-handed-fighter')) {
-      throw new Error('Simulated flag write error');
-    }
-    return origSetFlag(scope, key, value);
-  };
-
-  // Track the rollback's update call
+  // Track the rollback's update call; fail the first (batched) tracking flag write
   let updateCount = 0;
   env.classItem.update = async function(data) {
     updateCount++;
+    const value = data['flags.archetype-manager.archetypes'];
+    if (Array.isArray(value) && value.includes('two-handed-fighter')) {
+      setFlagCallCount++;
+      throw new Error('Simulated flag write error');
+    }
     if (data['system.links.classAssociations'] !== undefined && updateCount > 1) {
       rollbackUpdateCalled = true;
     }
@@ -623,13 +627,14 @@ await asyncTest('Rollback deletes item copies created during failed apply', asyn
 
   // Fail after item copies are created
   let setFlagCount = 0;
-  const origSetFlag = env.classItem.setFlag.bind(env.classItem);
-  env.classItem.setFlag = async function(scope, key, value) {
-    setFlagCount++;
-    if (key === 'archetypes' && Array.isArray(value) && value.includes('two-handed-fighter')) {
+  const origUpdate = env.classItem.update.bind(env.classItem);
+  env.classItem.update = async function(data) {
+    const value = data['flags.archetype-manager.archetypes'];
+    if (Array.isArray(value) && value.includes('two-handed-fighter')) {
+      setFlagCount++;
       throw new Error('Simulated failure after copies created');
     }
-    return origSetFlag(scope, key, value);
+    return origUpdate(data);
   };
 
   await Applicator.apply(env.actor, env.classItem, twoHandedFighterParsed, env.diff);
@@ -676,13 +681,14 @@ await asyncTest('Rollback only deletes copies matching the failed archetype slug
 
   // Fail after copies created
   let setFlagCount = 0;
-  const origSetFlag = env.classItem.setFlag.bind(env.classItem);
-  env.classItem.setFlag = async function(scope, key, value) {
-    setFlagCount++;
-    if (key === 'archetypes' && Array.isArray(value) && value.includes('two-handed-fighter')) {
+  const origUpdate = env.classItem.update.bind(env.classItem);
+  env.classItem.update = async function(data) {
+    const value = data['flags.archetype-manager.archetypes'];
+    if (Array.isArray(value) && value.includes('two-handed-fighter')) {
+      setFlagCount++;
       throw new Error('Simulated failure');
     }
-    return origSetFlag(scope, key, value);
+    return origUpdate(data);
   };
 
   await Applicator.apply(env.actor, env.classItem, twoHandedFighterParsed, env.diff);
@@ -710,7 +716,7 @@ await asyncTest('No orphaned copies when createEmbeddedDocuments fails', async (
   await Applicator.apply(env.actor, env.classItem, twoHandedFighterParsed, env.diff);
 
   // Since createEmbeddedDocuments failed, no copies exist to delete
-  // Rollback's _deleteCreatedCopies should find nothing (actorItems is empty)
+  // Rollback should find no copies to delete (actorItems is empty)
   // This should not throw
   env.restoreConsole();
 });
@@ -988,8 +994,9 @@ await asyncTest('Rollback handles already-clean state gracefully', async () => {
 
   // Call rollback directly on a clean class item (no backup exists)
   // This shouldn't throw
+  const entry = journalEntry(Applicator._captureState(env.actor, env.classItem), { slug: 'non-existent' });
   try {
-    await Applicator._rollback(env.actor, env.classItem, 'non-existent');
+    assertEqual(await Applicator._rollbackOperation(env.actor, env.classItem, entry), true, 'Rollback completes');
   } catch (e) {
     throw new Error('Rollback should not throw on clean state: ' + e.message);
   }
@@ -1000,10 +1007,11 @@ await asyncTest('Rollback handles missing backup flag gracefully', async () => {
   const env = createTestEnv();
 
   // Set archetypes flag but no backup
+  const before = Applicator._captureState(env.actor, env.classItem);
   await env.classItem.setFlag('archetype-manager', 'archetypes', ['two-handed-fighter']);
 
   try {
-    await Applicator._rollback(env.actor, env.classItem, 'two-handed-fighter');
+    await Applicator._rollbackOperation(env.actor, env.classItem, journalEntry(before));
   } catch (e) {
     throw new Error('Rollback should handle missing backup: ' + e.message);
   }
@@ -1062,13 +1070,14 @@ await asyncTest('Rollback with replacement-only archetype (no modifications/copi
 
   // Fail on tracking flag
   let setFlagCount = 0;
-  const origSetFlag = env.classItem.setFlag.bind(env.classItem);
-  env.classItem.setFlag = async function(scope, key, value) {
-    setFlagCount++;
-    if (key === 'archetypes' && Array.isArray(value) && value.includes('replacement-only')) {
+  const origUpdate = env.classItem.update.bind(env.classItem);
+  env.classItem.update = async function(data) {
+    const value = data['flags.archetype-manager.archetypes'];
+    if (Array.isArray(value) && value.includes('replacement-only')) {
+      setFlagCount++;
       throw new Error('Simulated failure');
     }
-    return origSetFlag(scope, key, value);
+    return origUpdate(data);
   };
 
   const result = await Applicator.apply(env.actor, env.classItem, replacementOnlyArchetype, diff);
@@ -1105,12 +1114,13 @@ await asyncTest('Apply with empty diff handles rollback gracefully', async () =>
 });
 
 // =====================================================
-// Direct _rollback method testing
+// Direct _rollbackOperation method testing
 // =====================================================
-console.log('\n--- Direct _rollback method testing ---');
+console.log('\n--- Direct _rollbackOperation method testing ---');
 
-await asyncTest('_rollback restores backup to classAssociations', async () => {
+await asyncTest('_rollbackOperation restores the captured classAssociations', async () => {
   const env = createTestEnv();
+  const before = Applicator._captureState(env.actor, env.classItem);
 
   // Set up backup flag
   await env.classItem.setFlag('archetype-manager', 'originalAssociations',
@@ -1120,7 +1130,7 @@ await asyncTest('_rollback restores backup to classAssociations', async () => {
   // Modify classAssociations (simulating partial apply)
   env.classItem.system.links.classAssociations = [{ uuid: 'modified', level: 1 }];
 
-  await Applicator._rollback(env.actor, env.classItem, 'two-handed-fighter');
+  await Applicator._rollbackOperation(env.actor, env.classItem, journalEntry(before));
 
   const restored = env.classItem.system.links.classAssociations;
   assertEqual(restored.length, 12, 'Should restore all 12 original entries');
@@ -1128,14 +1138,16 @@ await asyncTest('_rollback restores backup to classAssociations', async () => {
   env.restoreConsole();
 });
 
-await asyncTest('_rollback removes slug from archetypes flag', async () => {
+await asyncTest('_rollbackOperation removes slug from archetypes flag', async () => {
   const env = createTestEnv();
 
   await env.classItem.setFlag('archetype-manager', 'originalAssociations',
     JSON.parse(JSON.stringify(env.originalAssociationsCopy)));
+  await env.classItem.setFlag('archetype-manager', 'archetypes', ['other-archetype']);
+  const before = Applicator._captureState(env.actor, env.classItem);
   await env.classItem.setFlag('archetype-manager', 'archetypes', ['two-handed-fighter', 'other-archetype']);
 
-  await Applicator._rollback(env.actor, env.classItem, 'two-handed-fighter');
+  await Applicator._rollbackOperation(env.actor, env.classItem, journalEntry(before));
 
   const archetypes = env.classItem.getFlag('archetype-manager', 'archetypes');
   assert(!archetypes.includes('two-handed-fighter'), 'Should remove two-handed-fighter');
@@ -1143,15 +1155,16 @@ await asyncTest('_rollback removes slug from archetypes flag', async () => {
   env.restoreConsole();
 });
 
-await asyncTest('_rollback calls _deleteCreatedCopies with correct slug', async () => {
+await asyncTest('_rollbackOperation deletes the copies created by the operation', async () => {
   const env = createTestEnv();
+  const before = Applicator._captureState(env.actor, env.classItem);
 
   // Add an item copy
   const copyItem = {
     id: 'copy-123',
     name: 'Weapon Training (Two-Handed Fighter)',
     type: 'feat',
-    flags: { 'archetype-manager': { createdByArchetype: 'two-handed-fighter', isModifiedCopy: true } },
+    flags: { 'archetype-manager': { createdByArchetype: 'two-handed-fighter', isModifiedCopy: true, operationId: 'op-1' } },
     getFlag: function(scope, key) { return this.flags?.[scope]?.[key] ?? null; }
   };
   env.actorItems.push(copyItem);
@@ -1164,14 +1177,15 @@ await asyncTest('_rollback calls _deleteCreatedCopies with correct slug', async
     return ids;
   };
 
-  await Applicator._rollback(env.actor, env.classItem, 'two-handed-fighter');
+  await Applicator._rollbackOperation(env.actor, env.classItem, journalEntry(before));
 
   assert(deletedIds.includes('copy-123'), 'Should delete copy created by the archetype');
   env.restoreConsole();
 });
 
-await asyncTest('_rollback does not delete copies from other archetypes', async () => {
+await asyncTest('_rollbackOperation does not delete copies from other archetypes', async () => {
   const env = createTestEnv();
+  const before = Applicator._captureState(env.actor, env.classItem);
 
   const otherCopy = {
     id: 'other-copy-456',
@@ -1190,21 +1204,22 @@ await asyncTest('_rollback does not delete copies from other archetypes', async
     return ids;
   };
 
-  await Applicator._rollback(env.actor, env.classItem, 'two-handed-fighter');
+  await Applicator._rollbackOperation(env.actor, env.classItem, journalEntry(before));
 
   assert(!deletedIds.includes('other-copy-456'), 'Should not delete other archetype copies');
   env.restoreConsole();
 });
 
-await asyncTest('_rollback with no archetypes flag handles gracefully', async () => {
+await asyncTest('_rollbackOperation with no archetypes flag handles gracefully', async () => {
   const env = createTestEnv();
+  const before = Applicator._captureState(env.actor, env.classItem);
 
   // No archetypes flag set at all
   await env.classItem.setFlag('archetype-manager', 'originalAssociations',
     JSON.parse(JSON.stringify(env.originalAssociationsCopy)));
 
   try {
-    await Applicator._rollback(env.actor, env.classItem, 'two-handed-fighter');
+    await Applicator._rollbackOperation(env.actor, env.classItem, journalEntry(before));
   } catch (e) {
     throw new Error('Should handle missing archetypes flag: ' + e.message);
   }
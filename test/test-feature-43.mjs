@@ -204,7 +204,7 @@ await asyncTest('Create Fighter with original classAssociations', async () => {
 });
 
 await asyncTest('Create mock actor', async () => {
-  // Create actor with item tracking for _deleteCreatedCopies
+  // Create actor with item tracking for copy deletion
   var items = [classItem];
   actor = {
     id: 'actor-1',
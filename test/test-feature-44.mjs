@@ -537,7 +537,7 @@ test('Actor still has only class item after removal', () => {
 });
 
 test('No delete calls for copies (nothing to delete)', () => {
-  // When no copies exist, _deleteCreatedCopies should not call deleteEmbeddedDocuments
+  // When no copies exist, the remove should not call deleteEmbeddedDocuments
   // (or call it with empty array — both are acceptable)
   var deleteCalls = actor3._deleteEmbeddedCalls.filter(c => c.type === 'Item');
   if (deleteCalls.length > 0) {
@@ -671,12 +671,20 @@ test('Total items after removing B: class + 1 copy from A = 2', () => {
 });
 
 // =====================================================
-// Direct _deleteCreatedCopies testing
+// Direct remove plan copy testing
 // =====================================================
-console.log('\n--- Direct _deleteCreatedCopies testing ---');
+console.log('\n--- Direct remove plan copy testing ---');
+
+// A class item with the given archetype applied and nothing else changed
+async function classWithArchetype(name, slug) {
+  var item = createMockClassItem(name, 5, name.toLowerCase());
+  await item.setFlag('archetype-manager', 'archetypes', [slug]);
+  await item.setFlag('archetype-manager', 'originalAssociations', []);
+  return item;
+}
 
-await asyncTest('_deleteCreatedCopies with matching slug deletes copies', async () => {
-  var testClassItem = createMockClassItem('Test', 5, 'test');
+await asyncTest('Removing an archetype deletes only its own copies', async () => {
+  var testClassItem = await classWithArchetype('Test', 'target-slug');
   var testActor = createEnhancedMockActor('Direct Test', [testClassItem]);
 
   // Manually add items that simulate created copies
@@ -696,8 +704,11 @@ await asyncTest('_deleteCreatedCopies with matching slug deletes copies', async
 
   assertEqual(testActor._items.length, 3, 'Should start with 3 items');
 
-  await Applicator._deleteCreatedCopies(testActor, 'target-slug');
+  var plan = await Applicator.planRemove(testActor, testClassItem, 'target-slug');
+  assertEqual(plan.itemsToDelete.map(d => d._id).join(','), 'copy-1', 'Plan deletes the target copy only');
 
+  var result = await Applicator.remove(testActor, testClassItem, 'target-slug', { plan });
+  assertEqual(result, true, 'Remove should succeed');
   assertEqual(testActor._items.length, 2, 'Should have 2 items after delete');
 
   var remaining = testActor.items.filter(
@@ -711,8 +722,9 @@ await asyncTest('_deleteCreatedCopies with matching slug deletes copies', async
   assertEqual(otherRemaining.length, 1, 'Other slug copies should remain');
 });
 
-await asyncTest('_deleteCreatedCopies with no matching copies does nothing', async () => {
-  var testActor = createEnhancedMockActor('Empty Test', []);
+await asyncTest('Removing an archetype with no copies leaves other items alone', async () => {
+  var testClassItem = await classWithArchetype('Empty', 'nonexistent-slug');
+  var testActor = createEnhancedMockActor('Empty Test', [testClassItem]);
   var mockItem = {
     id: 'non-copy',
     name: 'Regular Item',
@@ -721,17 +733,22 @@ await asyncTest('_deleteCreatedCopies with no matching copies does nothing', asy
   };
   testActor._items.push(mockItem);
 
-  await Applicator._deleteCreatedCopies(testActor, 'nonexistent-slug');
+  var plan = await Applicator.planRemove(testActor, testClassItem, 'nonexistent-slug');
+  assertEqual(plan.itemsToDelete.length, 0, 'Plan deletes nothing');
 
-  assertEqual(testActor._items.length, 1, 'Regular item should remain');
-  assertEqual(testActor._items[0].id, 'non-copy', 'Regular item ID unchanged');
+  await Applicator.remove(testActor, testClassItem, 'nonexistent-slug', { plan });
+
+  assertEqual(testActor._items.length, 2, 'Class and regular item should remain');
+  assertEqual(testActor._items[1].id, 'non-copy', 'Regular item ID unchanged');
 });
 
-await asyncTest('_deleteCreatedCopies on actor with no items does not throw', async () => {
-  var testActor = createEnhancedMockActor('No Items', []);
+await asyncTest('Removing from an actor with only the class item does not throw', async () => {
+  var testClassItem = await classWithArchetype('Lone', 'any-slug');
+  var testActor = createEnhancedMockActor('No Items', [testClassItem]);
   // Should not throw
-  await Applicator._deleteCreatedCopies(testActor, 'any-slug');
-  assertEqual(testActor._items.length, 0, 'Still empty');
+  var result = await Applicator.remove(testActor, testClassItem, 'any-slug');
+  assertEqual(result, true, 'Remove should succeed');
+  assertEqual(testActor._items.length, 1, 'Only the class item');
 });
 
 // =====================================================
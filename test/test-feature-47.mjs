@@ -628,34 +628,44 @@ await asyncTest('Permission denied removal does NOT post chat message', async ()
 });
 
 // =====================================================
-// Direct _postRemoveMessage testing
+// Direct remove plan message testing
 // =====================================================
-console.log('\n--- Direct _postRemoveMessage tests ---');
+console.log('\n--- Direct remove plan message tests ---');
+
+// Remove a recorded archetype from a fresh fixture and return the planned message
+async function removeMessage(actorName, className, slug) {
+  createTestFixture(actorName);
+  classItem.name = className;
+  await classItem.setFlag('archetype-manager', 'archetypes', [slug]);
+  await classItem.setFlag('archetype-manager', 'originalAssociations', JSON.parse(JSON.stringify(resolvedFighterAssociations)));
+  const plan = await Applicator.planRemove(actor, classItem, slug);
+  await Applicator.remove(actor, classItem, slug, { plan });
+  return plan.chatMessage;
+}
 
-await asyncTest('_postRemoveMessage creates message with correct structure', async () => {
+await asyncTest('planRemove builds a message with correct structure', async () => {
   chatMessages = [];
-  const mockActor = { name: 'Direct Test Actor' };
-  const mockClassItem = { name: 'Wizard' };
-  await Applicator._postRemoveMessage(mockActor, mockClassItem, 'test-archetype');
+  const planned = await removeMessage('Direct Test Actor', 'Wizard', 'test-archetype');
 
   assertEqual(chatMessages.length, 1, 'Should create 1 message');
   const content = chatMessages[0].content;
+  assertEqual(planned.content, content, 'Posts the planned message');
   assertIncludes(content, 'Direct Test Actor', 'Has actor name');
   assertIncludes(content, 'Wizard', 'Has class name');
   assertIncludes(content, 'test-archetype', 'Has archetype slug');
 });
 
-await asyncTest('_postRemoveMessage includes restoration confirmation', async () => {
+await asyncTest('planRemove message includes restoration confirmation', async () => {
   chatMessages = [];
-  await Applicator._postRemoveMessage({ name: 'Hero' }, { name: 'Paladin' }, 'holy-warrior');
+  await removeMessage('Hero', 'Paladin', 'holy-warrior');
 
   const content = chatMessages[0].content.toLowerCase();
   assertIncludes(content, 'restored', 'Contains restoration confirmation');
 });
 
-await asyncTest('_postRemoveMessage has proper HTML structure', async () => {
+await asyncTest('planRemove message has proper HTML structure', async () => {
   chatMessages = [];
-  await Applicator._postRemoveMessage({ name: 'Knight' }, { name: 'Fighter' }, 'shield-bearer');
+  await removeMessage('Knight', 'Fighter', 'shield-bearer');
 
   const content = chatMessages[0].content;
   // Should have heading
@@ -76,6 +76,7 @@ const { DiffEngine } = await import('../scripts/diff-engine.mjs');
 const { ConflictChecker } = await import('../scripts/conflict-checker.mjs');
 const { CompendiumParser } = await import('../scripts/compendium-parser.mjs');
 const { UIManager } = await import('../scripts/ui-manager.mjs');
+const { Applicator } = await import('../scripts/applicator.mjs');
 const { JournalEntryDB } = await import('../scripts/journal-db.mjs');
 
 console.log('\n=== Feature #55: Support for selecting multiple archetypes for stacking ===\n');
@@ -552,7 +553,7 @@ test('Deselecting all returns to empty state', () => {
 });
 
 // =====================================================
-// Step 11: _buildAppliedArchetypeData with parsedData
+// Step 11: getAppliedArchetypeData with parsedData
 // =====================================================
 console.log('\n--- Step 11: Build applied archetype data ---');
 
@@ -560,12 +561,7 @@ test('Applied archetype data built from archetype list with parsedData', () => {
   const classItem = createMockClassItem('Fighter', 10, 'fighter');
   classItem.flags['archetype-manager'] = { archetypes: ['two-handed-fighter'] };
 
-  const archetypeList = [
-    { slug: 'two-handed-fighter', name: 'Two-Handed Fighter', parsedData: archetypeA },
-    { slug: 'weapon-master', name: 'Weapon Master', parsedData: archetypeB }
-  ];
-
-  const result = UIManager._buildAppliedArchetypeData(classItem, archetypeList);
+  const result = Applicator.getAppliedArchetypeData(classItem);
   assertEqual(result.length, 1, '1 applied');
   assertEqual(result[0].name, 'Two-Handed Fighter', 'Correct archetype');
   assertEqual(result[0].features.length, 2, 'Has features for conflict checking');
@@ -575,12 +571,7 @@ test('Conflict checking uses applied data from flags', () => {
   const classItem = createMockClassItem('Fighter', 10, 'fighter');
   classItem.flags['archetype-manager'] = { archetypes: ['two-handed-fighter'] };
 
-  const archetypeList = [
-    { slug: 'two-handed-fighter', name: 'Two-Handed Fighter', parsedData: archetypeA },
-    { slug: 'unbreakable', name: 'Unbreakable', parsedData: archetypeC }
-  ];
-
-  const appliedData = UIManager._buildAppliedArchetypeData(classItem, archetypeList);
+  const appliedData = Applicator.getAppliedArchetypeData(classItem);
   const result = ConflictChecker.checkCanApply(archetypeC, appliedData);
   assertEqual(result.canApply, false, 'C should conflict with applied A');
 });
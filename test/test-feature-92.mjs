@@ -386,13 +386,13 @@ await asyncTest('_applyInProgress is true during apply', async () => {
 
   let wasTrueDuringApply = false;
 
-  // Intercept setFlag to check _applyInProgress during operation
-  const origSetFlag = fighter.setFlag.bind(fighter);
-  fighter.setFlag = async function(scope, key, value) {
-    if (key === 'archetypes' && Applicator._applyInProgress) {
+  // Intercept the batched update (which writes the archetypes flag) to check _applyInProgress
+  const origUpdate = fighter.update.bind(fighter);
+  fighter.update = async function(data) {
+    if ('flags.archetype-manager.archetypes' in data && Applicator._applyInProgress) {
       wasTrueDuringApply = true;
     }
-    return origSetFlag(scope, key, value);
+    return origUpdate(data);
   };
 
   await Applicator.apply(actor, fighter, archetype, diff);
@@ -503,12 +503,12 @@ await asyncTest('Backup created exactly once after double-click', async () => {
   const archetype = buildTestArchetype();
   const diff = DiffEngine.generateDiff(fighter.system.links.classAssociations, archetype);
 
-  // Track how many times originalAssociations is set
+  // Track how many times originalAssociations is set (batched into the classItem update)
   let backupSetCount = 0;
-  const origSetFlag = fighter.setFlag.bind(fighter);
-  fighter.setFlag = async function(scope, key, value) {
-    if (key === 'originalAssociations') backupSetCount++;
-    return origSetFlag(scope, key, value);
+  const origUpdate = fighter.update.bind(fighter);
+  fighter.update = async function(data) {
+    if ('flags.archetype-manager.originalAssociations' in data) backupSetCount++;
+    return origUpdate(data);
   };
 
   await Promise.all([
@@ -441,13 +441,13 @@ await asyncTest('_removeInProgress is true during remove', async () => {
 
   let wasTrueDuringRemove = false;
 
-  // Intercept unsetFlag to check _removeInProgress during operation
-  const origUnsetFlag = fighter.unsetFlag.bind(fighter);
-  fighter.unsetFlag = async function(scope, key) {
-    if (key === 'archetypes' && Applicator._removeInProgress) {
+  // Intercept the batched update (which clears the archetypes flag) to check _removeInProgress
+  const origUpdate = fighter.update.bind(fighter);
+  fighter.update = async function(data) {
+    if ('flags.archetype-manager.-=archetypes' in data && Applicator._removeInProgress) {
       wasTrueDuringRemove = true;
     }
-    return origUnsetFlag(scope, key);
+    return origUpdate(data);
   };
 
   await Applicator.remove(actor, fighter, 'two-handed-fighter');
@@ -388,13 +388,12 @@ await asyncTest('3.4 - Dialog render callback: applied archetype list shows None
     'Archetype name should not appear in applied list');
 });
 
-await asyncTest('3.5 - _buildAppliedArchetypeData returns empty after removal', async () => {
+await asyncTest('3.5 - getAppliedArchetypeData returns empty after removal', async () => {
   const { classItem, actor, parsedArchetype, diff } = createTestEnvironment();
   await applyAndVerify(actor, classItem, parsedArchetype, diff);
   await Applicator.remove(actor, classItem, 'two-handed-fighter');
 
-  const archetypeDataList = [];
-  const appliedData = UIManager._buildAppliedArchetypeData(classItem, archetypeDataList);
+  const appliedData = Applicator.getAppliedArchetypeData(classItem);
   assertEqual(appliedData.length, 0, 'No applied archetype data should be returned after removal');
 });
 
@@ -775,7 +774,7 @@ await asyncTest('7.1 - Item copies created during apply are tracked with correct
   }
 });
 
-await asyncTest('7.2 - _deleteCreatedCopies called during remove', async () => {
+await asyncTest('7.2 - Created copies deleted during remove', async () => {
   const { classItem, actor, parsedArchetype, diff } = createTestEnvironment();
 
   // Setup mock items that would be "created" by the archetype
@@ -863,8 +862,8 @@ await asyncTest('8.4 - Conflict checker finds no applied archetypes after remova
   await applyAndVerify(actor, classItem, parsedArchetype, diff);
   await Applicator.remove(actor, classItem, 'two-handed-fighter');
 
-  // _buildAppliedArchetypeData uses classItem.getFlag(MODULE_ID, 'archetypes')
-  const appliedData = UIManager._buildAppliedArchetypeData(classItem, []);
+  // getAppliedArchetypeData uses classItem.getFlag(MODULE_ID, 'archetypes')
+  const appliedData = Applicator.getAppliedArchetypeData(classItem);
   assertEqual(appliedData.length, 0, 'No applied archetype data for conflict checking');
 });
 
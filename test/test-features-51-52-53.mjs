@@ -106,6 +106,7 @@ await hooks.callAll('ready');
 
 // Import UIManager and JournalEntryDB
 const { UIManager } = await import('../scripts/ui-manager.mjs');
+const { Applicator } = await import('../scripts/applicator.mjs');
 const { JournalEntryDB } = await import('../scripts/journal-db.mjs');
 
 // Helper: create dialog and get its internal state via render callback
@@ -449,42 +450,31 @@ await testAsync('#52.5: Conflict indicator with parsedData triggers warning disp
 
   const actor = createMockActor('Parsed Conflict Test', [fighterClass]);
 
-  // We need to test the conflict rendering by directly calling _buildAppliedArchetypeData
+  // We need to test the conflict rendering by directly calling getAppliedArchetypeData
   // and checking that the renderArchetypeList correctly handles the result
 
-  // Test that _buildAppliedArchetypeData returns data for applied archetypes
-  const appliedData = UIManager._buildAppliedArchetypeData(fighterClass, [
-    {
-      slug: 'test-archetype-a',
-      parsedData: {
-        name: 'Test Archetype A',
-        slug: 'test-archetype-a',
-        features: [
-          { name: 'Shattering Strike', type: 'replacement', target: 'Bravery', level: 2 }
-        ]
-      }
-    }
-  ]);
+  // Test that getAppliedArchetypeData returns data for applied archetypes
+  const appliedData = Applicator.getAppliedArchetypeData(fighterClass);
 
   assert(appliedData.length === 1, 'Should have 1 applied archetype data entry');
   assertEqual(appliedData[0].name, 'Test Archetype A', 'Applied data should have correct name');
   assertEqual(appliedData[0].slug, 'test-archetype-a', 'Applied data should have correct slug');
 });
 
-await testAsync('#52.6: _buildAppliedArchetypeData returns empty array when no applied archetypes', async () => {
+await testAsync('#52.6: getAppliedArchetypeData returns empty array when no applied archetypes', async () => {
   const fighterClass = createMockClassItem('Fighter', 5, 'fighter');
   // No applied archetypes
 
-  const result = UIManager._buildAppliedArchetypeData(fighterClass, []);
+  const result = Applicator.getAppliedArchetypeData(fighterClass);
   assert(Array.isArray(result), 'Result should be an array');
   assertEqual(result.length, 0, 'Should return empty array when no archetypes applied');
 });
 
-await testAsync('#52.7: _buildAppliedArchetypeData returns placeholder when parsedData not found', async () => {
+await testAsync('#52.7: getAppliedArchetypeData returns placeholder when parsedData not found', async () => {
   const fighterClass = createMockClassItem('Fighter', 5, 'fighter');
   await fighterClass.setFlag('archetype-manager', 'archetypes', ['unknown-archetype']);
 
-  const result = UIManager._buildAppliedArchetypeData(fighterClass, []);
+  const result = Applicator.getAppliedArchetypeData(fighterClass);
   assert(result.length === 1, 'Should return 1 entry for applied archetype');
   assert(result[0].name, 'Entry should have a name');
   assertEqual(result[0].slug, 'unknown-archetype', 'Entry should have correct slug');